@@ -0,0 +1,691 @@
+#!/usr/bin/env node
+/**
+ * @file hardlock.mjs
+ * @description Command-line interface to the HardLock Vault engine: analyze, audit and generate passwords
+ * @author Hardin Irfan <hardinmail05@gmail.com>
+ * @copyright Copyright (c) 2025 Hardin Irfan
+ * @license MIT
+ */
+
+import { readFileSync, statSync } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import { join } from 'node:path';
+import { parseArgs } from 'node:util';
+import {
+  analyze, audit, auditEntries, importPasswords, IMPORT_FORMATS, generate, formatTime, loadPasswordCorpus, loadLanguagePack, checkBreaches, urlRangeSource,
+  parseBannedTerms, setBannedTerms, evaluatePolicy, validatePolicy, POLICY_PRESETS,
+  batchProblems, csvField, generateBatch, parseIdentifiers, generationReport, generatorProblems, generateFromMask, maskProblems, maskReport, findSiteRules, parseSiteRules, derivePassword, deriveProblems, runDeriveSelfTest, siteHost, analyzePin, generatePin, pinProblem, pinReport, generatePassphrase, loadPassphraseWordlist, parseWordlist, passphraseReport,
+  DEFAULT_GENERATOR_SETTINGS, DEFAULT_PASSPHRASE_SETTINGS, PASSPHRASE_WORDLISTS, CAPITALIZATION_MODES, MAX_CLASS_MINIMUM, MAX_PASSWORD_LENGTH, STRENGTH_LEVELS, LANGUAGE_PACKS
+} from '../src/engine/index.js';
+
+const USAGE = `Usage: hardlock <command> [options]
+
+Commands:
+  analyze [password]     Analyze one password (read from stdin when omitted)
+  audit <file>           Analyze one password per line, like the Bulk Analysis tab ("-" for stdin)
+  pin [pin]              Analyze a PIN: common PINs, dates, repeats, keypad shapes and rarity
+                         (read from stdin when omitted)
+  generate               Generate passwords
+  derive <site>          Derive the password for a site from a master password read from stdin;
+                         the same input and generator options always give the same password
+  serve-ranges <dir>     Serve a folder of Pwned Passwords range files (ABCDE.txt) as a local
+                         stand-in for the range API, for the web app's breach check
+
+Output:
+  --format <type>        table (default), json or csv
+
+Imports (audit):
+  --import <format>      Read the file as a password-manager export and audit each login with its site
+                         and username: auto to detect, or ${Object.keys(IMPORT_FORMATS).join(', ')}
+
+Dictionaries (analyze, audit):
+  --languages <ids>      Comma-separated language packs to match against
+                         (${Object.entries(LANGUAGE_PACKS).map(([id, pack]) => `${id} = ${pack.name}`).join(', ')})
+  --banned-terms <file>  Organization terms (one per line or comma-separated) treated as top
+                         dictionary words, including case, l33t and affix variations
+
+Owner details (analyze, audit), matched like top dictionary words:
+  --name, --username, --email, --company, --site <value>
+  --birth-date <yyyy-mm-dd>
+
+Breach check (analyze, audit):
+  --breach-source <src>  Folder of range files or range URL ({prefix} is replaced, otherwise appended);
+                         only the first 5 characters of each SHA-1 hash are looked up
+
+Gating (analyze, audit):
+  --min-score <n>        Exit with code 1 if any password scores below n
+  --min-strength <label> Exit with code 1 if any password is weaker than label
+                         (${STRENGTH_LEVELS.join(', ')})
+  --no-breached          Exit with code 1 if any password appears in the breach data, or cannot be checked
+                         because the source has no range file for it
+  --policy <name|file>   Check each password against a policy and exit with code 1 if any fails:
+                         ${Object.keys(POLICY_PRESETS).join(', ')} or a JSON file with { "name", "rules" }
+
+Generator (generate):
+  --length <n>           Password length (default ${DEFAULT_GENERATOR_SETTINGS.length}, at most ${MAX_PASSWORD_LENGTH})
+  --count <n>            Number of passwords to generate (default 1); no password is repeated
+  --ids <file>           Generate one password per identifier in the file (one per line, "-" for stdin)
+                         and print it next to the identifier
+  --no-uppercase         Exclude uppercase letters
+  --no-lowercase         Exclude lowercase letters
+  --no-numbers           Exclude numbers
+  --no-symbols           Exclude symbols
+  --exclude-similar      Exclude similar characters (il1Lo0O)
+  --pronounceable        Generate a pronounceable password
+  --min-uppercase, --min-lowercase, --min-numbers, --min-symbols <n>
+                         At least n characters from the class (0-${MAX_CLASS_MINIMUM}, default 1); with every class
+                         enabled the length must be at least 4, so set a class to 0 for shorter passwords
+  --no-edge-symbols      Keep symbols off the first and last position
+  --policy <name|file>   Generate passwords that satisfy the policy
+  --rules <rules|site>   Generate passwords that satisfy site rules in the passwordrules syntax,
+                         e.g. 'minlength: 8; maxlength: 16; required: lower, upper; required: digit',
+                         or the site to look up in --rules-db; length and character options are ignored
+  --rules-db <file>      Site rules database: { "site": "rules" } or Apple's password-rules.json format
+
+Templates (generate --mask):
+  --mask <template>      Generate passwords of a fixed shape: ?l ?u ?d ?s ?L (letters) ?a (any) for a class,
+                         [a-f0-9] for a custom class, {n} to repeat, \\ before a literal ? [ { or \\,
+                         e.g. '?u?l{3}-?d{4}?s'
+
+PINs (generate --pin):
+  --pin <digits>         Generate PINs of 4 to 8 digits that avoid common PINs and patterns
+
+Passphrases (generate --passphrase):
+  --passphrase           Generate Diceware-style passphrases from a word list
+  --wordlist <id|file>   ${Object.keys(PASSPHRASE_WORDLISTS).join(', ')} or a file with one word per line
+                         (default ${DEFAULT_PASSPHRASE_SETTINGS.wordlist})
+  --words <n>            Number of words (default ${DEFAULT_PASSPHRASE_SETTINGS.wordCount})
+  --separator <text>     Text between words (default "${DEFAULT_PASSPHRASE_SETTINGS.separator}")
+  --capitalize <mode>    ${Object.keys(CAPITALIZATION_MODES).join(', ')} (default ${DEFAULT_PASSPHRASE_SETTINGS.capitalization})
+  --add-digit            Append a digit to a random word
+  --add-symbol           Append a symbol to a random word
+
+Derived passwords (derive <site>, also with the generator options except --policy and --count):
+  --login <name>         Account name, for different passwords for several accounts on one site
+  --counter <n>          Raise to change the site's password (default 1)
+  --self-test            Check the derivation against its built-in test vectors instead
+
+Server (serve-ranges):
+  --port <n>             Port to listen on (default 8787)
+  --host <address>       Address to bind (default 127.0.0.1)
+
+Prefer stdin over the argument for real passwords: arguments show up in shell history and process lists.`;
+
+// Exit codes
+const EXIT_OK = 0;
+const EXIT_BELOW_THRESHOLD = 1;
+const EXIT_USAGE = 2;
+
+const OPTIONS = {
+  format: { type: 'string', default: 'table' },
+  'min-score': { type: 'string' },
+  'min-strength': { type: 'string' },
+  languages: { type: 'string' },
+  'banned-terms': { type: 'string' },
+  name: { type: 'string' },
+  username: { type: 'string' },
+  email: { type: 'string' },
+  company: { type: 'string' },
+  'birth-date': { type: 'string' },
+  site: { type: 'string' },
+  'breach-source': { type: 'string' },
+  'no-breached': { type: 'boolean', default: false },
+  import: { type: 'string' },
+  policy: { type: 'string' },
+  length: { type: 'string' },
+  count: { type: 'string', default: '1' },
+  ids: { type: 'string' },
+  'no-uppercase': { type: 'boolean', default: false },
+  'no-lowercase': { type: 'boolean', default: false },
+  'no-numbers': { type: 'boolean', default: false },
+  'no-symbols': { type: 'boolean', default: false },
+  'exclude-similar': { type: 'boolean', default: false },
+  pronounceable: { type: 'boolean', default: false },
+  'min-uppercase': { type: 'string' },
+  'min-lowercase': { type: 'string' },
+  'min-numbers': { type: 'string' },
+  'min-symbols': { type: 'string' },
+  'no-edge-symbols': { type: 'boolean', default: false },
+  rules: { type: 'string' },
+  'rules-db': { type: 'string' },
+  mask: { type: 'string' },
+  pin: { type: 'string' },
+  passphrase: { type: 'boolean', default: false },
+  wordlist: { type: 'string', default: DEFAULT_PASSPHRASE_SETTINGS.wordlist },
+  words: { type: 'string' },
+  separator: { type: 'string', default: DEFAULT_PASSPHRASE_SETTINGS.separator },
+  capitalize: { type: 'string', default: DEFAULT_PASSPHRASE_SETTINGS.capitalization },
+  'add-digit': { type: 'boolean', default: false },
+  'add-symbol': { type: 'boolean', default: false },
+  login: { type: 'string', default: '' },
+  counter: { type: 'string', default: '1' },
+  'self-test': { type: 'boolean', default: false },
+  port: { type: 'string', default: '8787' },
+  host: { type: 'string', default: '127.0.0.1' },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+class UsageError extends Error {}
+
+// A file that cannot be read; reported on one line, without the usage text
+class InputError extends UsageError {}
+
+const parseInteger = (value, name, min = 0) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) {
+    throw new UsageError(`--${name} must be an integer of at least ${min}`);
+  }
+  return number;
+};
+
+// A file that cannot be read exits as a usage error, never like a password below the threshold
+const readInput = (source) => {
+  let content;
+  try {
+    content = readFileSync(source === '-' ? 0 : source, 'utf8');
+  } catch (error) {
+    throw new InputError(`Cannot read ${source === '-' ? 'stdin' : source} (${error.message})`);
+  }
+  return content.split(/\r?\n/);
+};
+
+// Load the requested language packs and return their ids
+const loadLanguages = async (values) => {
+  if (values.languages === undefined) return [];
+  const ids = values.languages.split(',').map(id => id.trim().toLowerCase()).filter(Boolean);
+  const unknown = ids.filter(id => !LANGUAGE_PACKS[id]);
+  if (unknown.length > 0) {
+    throw new UsageError(`Unknown language pack: ${unknown.join(', ')} (expected ${Object.keys(LANGUAGE_PACKS).join(', ')})`);
+  }
+  await Promise.all(ids.map(loadLanguagePack));
+  return ids;
+};
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// Preset name or JSON file with { name, rules }
+const loadPolicy = (value) => {
+  if (POLICY_PRESETS[value]) return POLICY_PRESETS[value];
+
+  let policy;
+  try {
+    policy = JSON.parse(readFileSync(value, 'utf8'));
+  } catch (error) {
+    throw new UsageError(`--policy must be one of ${Object.keys(POLICY_PRESETS).join(', ')} or a JSON policy file (${error.message})`);
+  }
+  if (!isObject(policy) || (policy.rules !== undefined && !isObject(policy.rules))) {
+    throw new UsageError(`Invalid policy ${value}: expected a JSON object with a rules object`);
+  }
+  const problems = validatePolicy(policy.rules || {});
+  if (problems.length > 0) throw new UsageError(`Invalid policy ${value}: ${problems.join('; ')}`);
+  return { id: 'custom', name: policy.name || 'Custom', ...policy };
+};
+
+// Evaluate the policy once breach results are in, so its blocklist rule can use them
+const withPolicy = (results, values) => {
+  if (values.policy === undefined) return results;
+  const policy = loadPolicy(values.policy);
+  return results.map(result => ({ ...result, policy: evaluatePolicy(result.password, policy, result) }));
+};
+
+// Options for analyze() and audit() from the command line; banned terms apply to the engine as a whole
+const analysisOptions = async (values) => {
+  if (values['banned-terms'] !== undefined) {
+    let text;
+    try {
+      text = readFileSync(values['banned-terms'], 'utf8');
+    } catch (error) {
+      throw new InputError(`--banned-terms: cannot read ${values['banned-terms']} (${error.message})`);
+    }
+    setBannedTerms(parseBannedTerms(text));
+  }
+  return {
+    languages: await loadLanguages(values),
+    userContext: {
+      name: values.name,
+      username: values.username,
+      email: values.email,
+      company: values.company,
+      birthDate: values['birth-date'],
+      site: values.site
+    }
+  };
+};
+
+// Range files are named by hash prefix, with or without a .txt extension
+const readRangeFile = async (dir, prefix) => {
+  for (const name of [`${prefix}.txt`, prefix]) {
+    try {
+      return await readFile(join(dir, name), 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+  return null;
+};
+
+// A folder that does not exist would make every lookup come back unknown, so it is refused up front
+const rangeSource = (source) => {
+  if (/^https?:\/\//i.test(source)) return urlRangeSource(source);
+  if (!statSync(source, { throwIfNoEntry: false })?.isDirectory()) {
+    throw new UsageError(`--breach-source must be a folder of range files or a range URL (${source} is neither)`);
+  }
+  return (prefix) => readRangeFile(source, prefix);
+};
+
+// Add breached/breachCount to each result when a breach source is configured
+const withBreaches = async (results, values) => {
+  if (values['breach-source'] === undefined) {
+    if (values['no-breached']) throw new UsageError('--no-breached needs --breach-source');
+    return results;
+  }
+  const source = rangeSource(values['breach-source']);
+  let breaches;
+  try {
+    breaches = await checkBreaches(results.map(result => result.password), source);
+  } catch (error) {
+    const reason = error.cause?.message ? `${error.message}: ${error.cause.message}` : error.message;
+    throw new UsageError(`Could not read the breach source ${values['breach-source']} (${reason})`);
+  }
+  return results.map((result, i) => ({ ...result, breached: breaches[i].breached, breachCount: breaches[i].count }));
+};
+
+const toCsv = (columns, rows) => {
+  const field = (value) => csvField(Array.isArray(value) ? value.join('; ') : value);
+  const lines = [columns.map(column => field(column.label)).join(',')];
+  rows.forEach(row => lines.push(columns.map(column => field(column.value(row))).join(',')));
+  return lines.join('\n');
+};
+
+const toTable = (columns, rows) => {
+  const cells = rows.map(row => columns.map(column => String(column.value(row))));
+  const widths = columns.map((column, i) => Math.max(column.label.length, ...cells.map(row => row[i].length)));
+  const format = (values) => values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd();
+
+  return [
+    format(columns.map(column => column.label)),
+    format(widths.map(width => '-'.repeat(width))),
+    ...cells.map(format)
+  ].join('\n');
+};
+
+const render = (format, columns, rows, json) => {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(json, null, 2);
+    case 'csv':
+      return toCsv(columns, rows);
+    case 'table':
+      return toTable(columns, rows);
+    default:
+      throw new UsageError(`Unknown format "${format}" (expected table, json or csv)`);
+  }
+};
+
+// Columns shared by analyze and audit
+const ANALYSIS_COLUMNS = [
+  { label: 'Password', value: row => row.password },
+  { label: 'Score', value: row => row.score },
+  { label: 'Strength', value: row => row.strength },
+  { label: 'Entropy', value: row => row.entropy },
+  { label: 'Common', value: row => (row.isCommon ? 'yes' : 'no') },
+  { label: 'Rank', value: row => row.commonRank || '' },
+  { label: 'Languages', value: row => row.languages.join('; ') },
+  { label: 'Org terms', value: row => row.organizationTerms.join('; ') },
+  { label: 'Personal', value: row => [...new Set(row.personalDetails.map(detail => detail.label))].join('; ') },
+  { label: 'Breached', value: row => (row.breached === undefined ? '' : row.breached === null ? 'unknown' : row.breachCount) },
+  {
+    label: 'Policy',
+    value: row => (!row.policy ? '' : row.policy.passed ? 'pass'
+      : `fail: ${row.policy.results.filter(result => !result.passed).map(result => result.label).join('; ')}`)
+  }
+];
+
+const ANALYZE_COLUMNS = [
+  ...ANALYSIS_COLUMNS,
+  { label: 'Guesses', value: row => row.guesses.toExponential(1) },
+  { label: 'Online', value: row => formatTime(row.timeToCrack.online) },
+  { label: 'Offline', value: row => formatTime(row.timeToCrack.offline) },
+  { label: 'Optimized', value: row => formatTime(row.timeToCrack.optimized) },
+  { label: 'Feedback', value: row => row.feedback.join('; ') }
+];
+
+const AUDIT_COLUMNS = [
+  ...ANALYSIS_COLUMNS,
+  { label: 'Patterns', value: row => row.patterns }
+];
+
+// Audit columns for the logins of an imported export
+const IMPORT_COLUMNS = [
+  { label: 'Site', value: row => row.site },
+  { label: 'Username', value: row => row.username },
+  ...AUDIT_COLUMNS,
+  { label: 'Reused', value: row => (row.reusedIn > 1 ? row.reusedIn : '') }
+];
+
+// Return a predicate telling whether a result meets the requested thresholds
+const buildGate = (values) => {
+  const minScore = values['min-score'] !== undefined ? parseInteger(values['min-score'], 'min-score') : null;
+
+  let minLevel = null;
+  if (values['min-strength'] !== undefined) {
+    minLevel = STRENGTH_LEVELS.findIndex(level => level.toLowerCase() === values['min-strength'].toLowerCase());
+    if (minLevel === -1) {
+      throw new UsageError(`--min-strength must be one of: ${STRENGTH_LEVELS.join(', ')}`);
+    }
+  }
+
+  return (result) => {
+    // A password with no range to check it against is not known to be safe
+    if (values['no-breached'] && result.breached !== false) return false;
+    if (result.policy && !result.policy.passed) return false;
+    if (minScore !== null && result.score < minScore) return false;
+    if (minLevel !== null && STRENGTH_LEVELS.indexOf(result.strength) < minLevel) return false;
+    return true;
+  };
+};
+
+const runAnalyze = async (positionals, values) => {
+  const passes = buildGate(values);
+  const pwd = positionals.length > 0 ? positionals.join(' ') : readInput('-').filter(Boolean)[0];
+  if (!pwd) throw new UsageError('No password given');
+
+  const options = await analysisOptions(values);
+  const [result] = withPolicy(await withBreaches([{ password: pwd, ...analyze(pwd, options) }], values), values);
+  const entropy = Math.round(result.entropy * 10) / 10;
+  console.log(render(values.format, ANALYZE_COLUMNS, [{ ...result, entropy }], result));
+
+  return passes(result) ? EXIT_OK : EXIT_BELOW_THRESHOLD;
+};
+
+const PIN_COLUMNS = [
+  { label: 'PIN', value: row => row.pin },
+  { label: 'Rarer than', value: row => `${row.percentile}%` },
+  { label: 'Common', value: row => row.commonRank || '' },
+  { label: 'Patterns', value: row => row.patterns.map(pattern => pattern.label).join('; ') },
+  { label: 'Feedback', value: row => row.feedback.join('; ') }
+];
+
+const runPin = (positionals, values) => {
+  const pin = positionals.length > 0 ? positionals.join('') : readInput('-').filter(Boolean)[0];
+  if (!pin) throw new UsageError('No PIN given');
+  const problem = pinProblem(pin.trim());
+  if (problem) throw new UsageError(problem);
+
+  const result = analyzePin(pin.trim());
+  console.log(render(values.format, PIN_COLUMNS, [result], result));
+  return EXIT_OK;
+};
+
+const runAudit = async (positionals, values) => {
+  const passes = buildGate(values);
+  if (positionals.length !== 1) throw new UsageError('audit expects exactly one file ("-" for stdin)');
+
+  const options = await analysisOptions(values);
+  let rows;
+  if (values.import !== undefined) {
+    const text = readInput(positionals[0]).join('\n');
+    let imported;
+    try {
+      imported = importPasswords(text, values.import);
+    } catch (error) {
+      throw new UsageError(`--import: ${error.message}`);
+    }
+    rows = auditEntries(imported.entries, options);
+  } else {
+    rows = audit(readInput(positionals[0]), options);
+  }
+  const results = withPolicy(await withBreaches(rows, values), values);
+  console.log(render(values.format, values.import !== undefined ? IMPORT_COLUMNS : AUDIT_COLUMNS, results, results));
+
+  return results.every(passes) ? EXIT_OK : EXIT_BELOW_THRESHOLD;
+};
+
+// Rule string for --rules: the entry for a site in the --rules-db file, otherwise the value itself
+const loadRules = (values) => {
+  if (values['rules-db'] === undefined) return values.rules;
+  const text = readInput(values['rules-db']).join('\n');
+  let entries;
+  try {
+    entries = parseSiteRules(text);
+  } catch (error) {
+    throw new UsageError(`--rules-db must be a JSON site rules file (${error.message})`);
+  }
+  const entry = findSiteRules(entries, values.rules);
+  if (entry) return entry.rules;
+  if (!values.rules.includes(':')) throw new UsageError(`No rules for ${values.rules} in ${values['rules-db']}`);
+  return values.rules;
+};
+
+// Built-in word list id or a word list file
+const loadWordlist = async (value) => {
+  if (PASSPHRASE_WORDLISTS[value]) return loadPassphraseWordlist(value);
+  try {
+    return parseWordlist(readFileSync(value, 'utf8'));
+  } catch (error) {
+    throw new UsageError(`--wordlist must be one of ${Object.keys(PASSPHRASE_WORDLISTS).join(', ')} or a word list file (${error.message})`);
+  }
+};
+
+// Distinct secrets from next(): --count of them, or one per identifier in the --ids file
+const generateRows = (values, next, combinations) => {
+  const identifiers = values.ids !== undefined ? parseIdentifiers(readInput(values.ids).join('\n')) : [];
+  const count = identifiers.length > 0 ? identifiers.length : parseInteger(values.count, 'count', 1);
+  const problems = batchProblems({ count, identifiers, combinations });
+  if (problems.length > 0) throw new UsageError(problems.join('; '));
+  return generateBatch(next, { count, identifiers, combinations });
+};
+
+const idColumn = (rows) => (rows[0].id !== undefined ? [{ label: 'ID', value: row => row.id }] : []);
+
+const runPassphrase = async (values) => {
+  if (!CAPITALIZATION_MODES[values.capitalize]) {
+    throw new UsageError(`--capitalize must be one of ${Object.keys(CAPITALIZATION_MODES).join(', ')}`);
+  }
+  const settings = {
+    wordCount: values.words !== undefined ? parseInteger(values.words, 'words', 1) : DEFAULT_PASSPHRASE_SETTINGS.wordCount,
+    separator: values.separator,
+    capitalization: values.capitalize,
+    addDigit: values['add-digit'],
+    addSymbol: values['add-symbol']
+  };
+  const words = await loadWordlist(values.wordlist);
+  if (words.length < 2) throw new UsageError('The word list needs at least two words');
+
+  const report = passphraseReport(settings, words);
+  const entropy = Math.round(report.entropy * 10) / 10;
+  const rows = generateRows(values, () => generatePassphrase(settings, words), report.combinations)
+    .map(({ password, ...row }) => ({ ...row, passphrase: password, entropy }));
+  const columns = [
+    ...idColumn(rows),
+    { label: 'Passphrase', value: row => row.passphrase },
+    { label: 'Entropy', value: row => row.entropy }
+  ];
+  console.log(render(values.format, columns, rows, rows));
+  return EXIT_OK;
+};
+
+const runMask = (values) => {
+  const problems = maskProblems(values.mask);
+  if (problems.length > 0) throw new UsageError(problems.join('; '));
+
+  const report = maskReport(values.mask);
+  const entropy = Math.round(report.entropy * 10) / 10;
+  const rows = generateRows(values, () => generateFromMask(values.mask), report.combinations).map(row => ({ ...row, entropy }));
+  const columns = [
+    ...idColumn(rows),
+    { label: 'Password', value: row => row.password },
+    { label: 'Entropy', value: row => row.entropy }
+  ];
+  console.log(render(values.format, columns, rows, rows));
+  return EXIT_OK;
+};
+
+const runGeneratePin = (values) => {
+  const report = pinReport(parseInteger(values.pin, 'pin', 1));
+  if (!report) throw new UsageError('--pin must be from 4 to 8 digits');
+
+  const entropy = Math.round(report.entropy * 10) / 10;
+  const rows = generateRows(values, () => generatePin(Number(values.pin)), report.combinations).map(row => ({ ...row, entropy }));
+  const columns = [
+    ...idColumn(rows),
+    { label: 'PIN', value: row => row.password },
+    { label: 'Entropy', value: row => row.entropy }
+  ];
+  console.log(render(values.format, columns, rows, rows));
+  return EXIT_OK;
+};
+
+// Generator settings from the password options
+const passwordSettings = (values) => {
+  const settings = {
+    ...DEFAULT_GENERATOR_SETTINGS,
+    length: values.length !== undefined ? parseInteger(values.length, 'length', 1) : DEFAULT_GENERATOR_SETTINGS.length,
+    includeUppercase: !values['no-uppercase'],
+    includeLowercase: !values['no-lowercase'],
+    includeNumbers: !values['no-numbers'],
+    includeSymbols: !values['no-symbols'],
+    excludeSimilar: values['exclude-similar'],
+    pronounceable: values.pronounceable,
+    noEdgeSymbols: values['no-edge-symbols'],
+    policy: values.policy !== undefined && values.rules === undefined ? loadPolicy(values.policy) : null,
+    passwordRules: values.rules !== undefined ? loadRules(values) : null
+  };
+  for (const [flag, key] of [['min-uppercase', 'minUppercase'], ['min-lowercase', 'minLowercase'],
+    ['min-numbers', 'minNumbers'], ['min-symbols', 'minSymbols']]) {
+    if (values[flag] !== undefined) settings[key] = parseInteger(values[flag], flag);
+  }
+  return settings;
+};
+
+const runGenerate = (positionals, values) => {
+  if (values.passphrase) return runPassphrase(values);
+  if (values.mask !== undefined) return runMask(values);
+  if (values.pin !== undefined) return runGeneratePin(values);
+
+  const settings = passwordSettings(values);
+  const problems = generatorProblems(settings);
+  if (problems.length > 0) throw new UsageError(problems.join('; '));
+
+  // Exact entropy of the settings, the same for every password they produce. The engine throws for settings
+  // it cannot satisfy, such as a target policy it keeps missing; those are reported like bad options.
+  let report;
+  let generated;
+  try {
+    report = generationReport(settings);
+    generated = generateRows(values, () => generate(settings), report.combinations);
+  } catch (error) {
+    throw error instanceof UsageError ? error : new UsageError(error.message);
+  }
+  const entropy = Math.round(report.entropy * 10) / 10;
+  const rows = generated.map(row => ({ ...row, entropy }));
+  const columns = [
+    ...idColumn(rows),
+    { label: 'Password', value: row => row.password },
+    { label: 'Entropy', value: row => row.entropy }
+  ];
+  console.log(render(values.format, columns, rows, rows));
+  return EXIT_OK;
+};
+
+const runDerive = async (positionals, values) => {
+  if (values['self-test']) {
+    const results = await runDeriveSelfTest();
+    const columns = [
+      { label: 'Site', value: row => row.site },
+      { label: 'Counter', value: row => row.counter },
+      { label: 'Result', value: row => (row.passed ? 'pass' : `fail: got ${row.actual}`) }
+    ];
+    console.log(render(values.format, columns, results, results));
+    return results.every(result => result.passed) ? EXIT_OK : EXIT_BELOW_THRESHOLD;
+  }
+
+  if (positionals.length !== 1) throw new UsageError('derive expects exactly one site');
+  if (values.policy !== undefined) throw new UsageError('derive cannot use --policy; use --rules instead');
+  const [site] = positionals;
+  const options = { site, login: values.login, counter: parseInteger(values.counter, 'counter', 1) };
+  const settings = passwordSettings(values);
+  const master = readInput('-')[0];
+  const problems = deriveProblems(master, options, settings);
+  if (problems.length > 0) throw new UsageError(problems.join('; '));
+
+  const row = { site: siteHost(site), login: values.login, counter: options.counter, password: await derivePassword(master, options, settings) };
+  const columns = [
+    { label: 'Site', value: item => item.site },
+    { label: 'Counter', value: item => item.counter },
+    { label: 'Password', value: item => item.password }
+  ];
+  console.log(render(values.format, columns, [row], row));
+  return EXIT_OK;
+};
+
+// Serve GET /<prefix> and GET /range/<prefix> from a folder of range files, with CORS so the web app can read them
+const runServeRanges = (positionals, values) => {
+  if (positionals.length !== 1) throw new UsageError('serve-ranges expects exactly one folder');
+  const [dir] = positionals;
+  const port = parseInteger(values.port, 'port', 1);
+
+  const server = createServer(async (request, response) => {
+    const headers = { 'Access-Control-Allow-Origin': '*', 'Content-Type': 'text/plain; charset=utf-8' };
+    const match = /^\/(?:range\/)?([0-9A-Fa-f]{5})(?:\.txt)?$/.exec(new URL(request.url, 'http://localhost').pathname);
+    if (request.method !== 'GET' || !match) {
+      response.writeHead(404, headers).end();
+      return;
+    }
+
+    try {
+      const text = await readRangeFile(dir, match[1].toUpperCase());
+      response.writeHead(text === null ? 404 : 200, headers).end(text ?? '');
+    } catch (error) {
+      response.writeHead(500, headers).end();
+      console.error(`hardlock: ${error.message}`);
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.on('error', reject);
+    server.listen(port, values.host, () => {
+      console.log(`Serving range files from ${dir} at http://${values.host}:${port}/range/{prefix}`);
+    });
+    server.on('close', () => resolve(EXIT_OK));
+  });
+};
+
+const COMMANDS = {
+  analyze: runAnalyze,
+  audit: runAudit,
+  pin: runPin,
+  generate: runGenerate,
+  derive: runDerive,
+  'serve-ranges': runServeRanges
+};
+
+const main = async (argv) => {
+  try {
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    const [command, ...rest] = positionals;
+
+    if (values.help || !command) {
+      console.log(USAGE);
+      return values.help ? EXIT_OK : EXIT_USAGE;
+    }
+    if (!COMMANDS[command]) throw new UsageError(`Unknown command "${command}"`);
+
+    return await COMMANDS[command](rest, values);
+  } catch (error) {
+    // parseArgs reports bad flags with ERR_PARSE_ARGS_* codes
+    if (error instanceof InputError) {
+      console.error(`hardlock: ${error.message}`);
+      return EXIT_USAGE;
+    }
+    if (error instanceof UsageError || String(error.code).startsWith('ERR_PARSE_ARGS')) {
+      console.error(`hardlock: ${error.message}\n\n${USAGE}`);
+      return EXIT_USAGE;
+    }
+    throw error;
+  }
+};
+
+await loadPasswordCorpus();
+process.exitCode = await main(process.argv.slice(2));
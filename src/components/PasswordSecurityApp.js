@@ -6,886 +6,592 @@
  * @license MIT
  */
 
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { 
   Turtle, Eye, EyeOff, Zap, Download, Moon, Sun, 
   AlertTriangle, CheckCircle, Info, Copy, RefreshCw, Settings, 
   BarChart3, Clock, Target, Cpu, Database, Book, 
-  ChevronUp, ChevronDown, ArrowUpDown
+  ChevronUp, ChevronDown, ArrowUpDown, ShieldAlert, Lock
 } from 'lucide-react';
+import {
+  analyze, audit, auditEntries, calculateTimeToCrack, generate, generationReport, generatePassphrase, loadPassphraseWordlist, parseWordlist, passphraseReport, generatorProblems, runGeneratorSelfTest, generateFromMask, maskProblems, maskReport, derivePassword, deriveProblems, runDeriveSelfTest, analyzePin, generatePin, pinReport, pinProblem, parsePasswordRules, parseSiteRules, formatSiteRules, findSiteRules, guessesToScore, scoreToStrength, generateBatch, batchProblems, batchToCsv, batchToJson, parseIdentifiers, importPasswords, createVault, masterPasswordProblems, openVault, saveVaultEntry, sealVault, searchVault, validateVaultRecord, vaultEntryProblems, loadVaultRecord, saveVaultRecord, deleteVaultRecord, formatTime, formatRank, loadPasswordCorpus,
+  checkBreach, checkBreaches, fileListRangeSource, urlRangeSource,
+  loadLanguagePack, parseBannedTerms, setBannedTerms, evaluatePolicy, validatePolicy,
+  DEFAULT_GENERATOR_SETTINGS, DEFAULT_PASSPHRASE_SETTINGS, MAX_BATCH_SIZE, PASSPHRASE_WORDLISTS, CAPITALIZATION_MODES, MAX_CLASS_MINIMUM, MASK_PLACEHOLDERS, MIN_PIN_LENGTH, MAX_PIN_LENGTH, DERIVATION_ITERATIONS, VAULT_ITERATIONS, IMPORT_FORMATS, STRENGTH_LEVELS, SELF_TEST_ALPHA, USER_CONTEXT_FIELDS, LANGUAGE_PACKS, POLICY_PRESETS, CHARACTER_CLASSES, EMPTY_POLICY_RULES
+} from '../engine/index.js';
 
-// Common password prefixes and suffixes
-const COMMON_PREFIXES = ['admin', 'user', 'test', 'password', 'pass', 'welcome', 'abc', 'qwerty', 'letme', 'hello', 'temp', 'demo', 'login', 'secure', 'dev', 'guest', 'acc'];
-const COMMON_SUFFIXES = ['123', '1234', '12345', '123456', '2023', '2024', '2022', '2021', '!', '!!', '@', '#', '1', '01', '0'];
-
-// Dictionary of common word categories people use in passwords
-const COMMON_WORDS_CATEGORIES = {
-  food: ['pizza', 'burger', 'pasta', 'sushi', 'nasi', 'rice', 'bread', 'cheese', 'nasigoreng', 'nasikuning', 
-        'chocolate', 'cookie', 'cake', 'coffee', 'tea', 'banana', 'apple', 'orange', 'chicken', 'beef', 'fish',
-        'candy', 'sugar', 'salt', 'cream', 'milk', 'water', 'juice', 'soda', 'wine', 'beer'],
-  animals: ['cat', 'dog', 'lion', 'tiger', 'bear', 'monkey', 'horse', 'bird', 'fish', 'dragon', 'eagle', 'wolf', 'fox',
-          'rabbit', 'mouse', 'rat', 'deer', 'cow', 'goat', 'sheep', 'pig', 'duck', 'chicken', 'snake', 'lizard',
-          'turtle', 'elephant', 'panda', 'koala', 'dolphin', 'whale', 'shark', 'zebra', 'giraffe', 'frog'],
-  colors: ['red', 'blue', 'green', 'black', 'white', 'orange', 'purple', 'yellow', 'pink', 'brown', 'gold', 'silver',
-         'gray', 'violet', 'indigo', 'magenta', 'cyan', 'teal', 'maroon', 'navy', 'lime', 'olive', 'aqua', 'coral'],
-  sports: ['soccer', 'football', 'basketball', 'tennis', 'golf', 'hockey', 'baseball', 'rugby', 'cricket',
-         'volleyball', 'badminton', 'swimming', 'boxing', 'racing', 'running', 'cycling', 'skating', 'skiing',
-         'surfing', 'bowling', 'billiards', 'archery', 'fishing', 'hunting', 'karate', 'judo', 'taekwondo'],
-  tech: ['computer', 'laptop', 'windows', 'apple', 'android', 'github', 'code', 'tech', 'cyber', 'crypto', 'bitcoin',
-       'google', 'microsoft', 'facebook', 'twitter', 'instagram', 'youtube', 'tiktok', 'snapchat', 'linkedin',
-       'wifi', 'internet', 'router', 'server', 'cloud', 'linux', 'ubuntu', 'python', 'java', 'javascript', 
-       'html', 'css', 'php', 'ruby', 'swift', 'data', 'cyber', 'hack', 'secure', 'virus', 'trojan'],
-  emotions: ['happy', 'love', 'smile', 'cool', 'angry', 'sad', 'peace', 'hope', 'dream', 'joy',
-           'excited', 'calm', 'relax', 'stress', 'worry', 'fear', 'brave', 'proud', 'shame', 'guilt',
-           'trust', 'doubt', 'surprise', 'disgust', 'pleasure', 'pain', 'faith', 'believe'],
-  names: ['john', 'mike', 'david', 'james', 'alex', 'sarah', 'emma', 'lisa', 'anna', 'maria', 'chris', 'robert', 'michael',
-        'william', 'mary', 'patricia', 'linda', 'barbara', 'elizabeth', 'jennifer', 'susan', 'jessica', 'thomas',
-        'charles', 'daniel', 'matthew', 'mark', 'donald', 'steven', 'paul', 'andrew', 'josh', 'george', 'kevin'],
-  places: ['paris', 'london', 'tokyo', 'berlin', 'rome', 'madrid', 'moscow', 'dubai', 'sydney', 'beijing',
-         'newyork', 'chicago', 'boston', 'seattle', 'atlanta', 'miami', 'vegas', 'texas', 'canada', 'mexico',
-         'brazil', 'india', 'china', 'japan', 'korea', 'egypt', 'africa', 'europe', 'asia', 'america'],
-  months: ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december',
-         'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'],
-  days: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday',
-       'mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun']
+// localStorage key for the breach range URL (the URL only, never passwords or hashes)
+const BREACH_SOURCE_URL_KEY = 'hardlock.breachSourceUrl';
+// localStorage key for the organization banned-terms list
+const BANNED_TERMS_KEY = 'hardlock.bannedTerms';
+// localStorage key for the selected policy and the custom rule set
+const POLICY_KEY = 'hardlock.policy';
+const DEFAULT_POLICY_SETTINGS = { preset: 'none', customRules: { ...EMPTY_POLICY_RULES, minLength: 12 } };
+
+const loadPolicySettings = () => {
+  try {
+    return JSON.parse(localStorage.getItem(POLICY_KEY)) || DEFAULT_POLICY_SETTINGS;
+  } catch (error) {
+    return DEFAULT_POLICY_SETTINGS;
+  }
+};
+
+// localStorage key for saved generator presets (settings only, never generated passwords)
+const GENERATOR_PRESETS_KEY = 'hardlock.generatorPresets';
+
+const loadGeneratorPresets = () => {
+  try {
+    return JSON.parse(localStorage.getItem(GENERATOR_PRESETS_KEY)) || [];
+  } catch (error) {
+    return [];
+  }
+};
+
+// localStorage key for the site rules database (domains and their password rules)
+const SITE_RULES_KEY = 'hardlock.siteRules';
+
+const loadSiteRules = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SITE_RULES_KEY)) || [];
+  } catch (error) {
+    return [];
+  }
 };
 
-// Common English words that might not be in our categories
-const OTHER_COMMON_WORDS = [
-  'password', 'secret', 'private', 'letme', 'hello', 'please', 'money', 'summer', 'winter', 'spring', 'autumn',
-  'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday',
-  'company', 'business', 'office', 'house', 'garden', 'school', 'college', 'friend', 'family',
-  'welcome', 'thank', 'sorry', 'great', 'awesome', 'super', 'nice', 'home', 'work', 'play',
-  'simple', 'easy', 'hard', 'strong', 'weak', 'big', 'small', 'first', 'last', 'best',
-  'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten'
+// Rule strings offered as starting points, for limits sites commonly impose
+const PASSWORD_RULE_EXAMPLES = [
+  { rules: 'maxlength: 20; required: lower; required: upper; required: digit; required: [!@#];', description: 'At most 20 characters, only !@# as symbols' },
+  { rules: 'minlength: 8; maxlength: 16; required: lower, upper; required: digit; allowed: [-_.];', description: 'Letters and digits, 8 to 16 characters, -_. allowed' },
+  { rules: 'minlength: 12; required: upper; required: lower; required: digit; required: special; max-consecutive: 2;', description: 'All four classes, no character three times in a row' }
 ];
 
-// Common prefixes that indicate a likely common word
-// Flatten categories for easy searching
-const ALL_COMMON_WORDS = Object.values(COMMON_WORDS_CATEGORIES).flat();
+// Templates offered as starting points in the Generator tab
+const MASK_EXAMPLES = [
+  { mask: '?L?a{15}', description: '16 characters, starting with a letter' },
+  { mask: '?u?l{3}-?d{4}?s', description: 'Four letters, a dash, four digits and a symbol' },
+  { mask: '[a-km-z2-9]{5}-[a-km-z2-9]{5}-[a-km-z2-9]{5}', description: 'Three groups of five without l, 0 or 1' }
+];
+
+// localStorage key for the vault's auto-lock delay in minutes; the vault itself is in IndexedDB, encrypted
+const VAULT_AUTO_LOCK_KEY = 'hardlock.vaultAutoLock';
+const VAULT_AUTO_LOCK_OPTIONS = [1, 5, 15, 30, 60];
+// User activity that keeps an unlocked vault open
+const VAULT_ACTIVITY_EVENTS = ['mousedown', 'mousemove', 'keydown', 'scroll', 'touchstart'];
+const EMPTY_VAULT_FORM = { id: null, site: '', username: '', password: '', notes: '', tags: '' };
+
+// Matching time grows quickly with length, so passwords longer than this are analyzed once typing pauses
+const INSTANT_ANALYSIS_LENGTH = 32;
+const ANALYSIS_DELAY = 400;
+
+// Save text as a file download
+const downloadFile = (name, text, type) => {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = name;
+  a.click();
+  URL.revokeObjectURL(url);
+};
 
 const PasswordSecurityApp = () => {
   const [darkMode, setDarkMode] = useState(true);
   const [password, setPassword] = useState('');
   const [showPassword, setShowPassword] = useState(false);
+  const [analyzerMode, setAnalyzerMode] = useState('password');
+  const [pin, setPin] = useState('');
   const [analysis, setAnalysis] = useState(null);
   const [activeTab, setActiveTab] = useState('analyzer');
-  const [generatorSettings, setGeneratorSettings] = useState({
-    length: 16,
-    includeUppercase: true,
-    includeLowercase: true,
-    includeNumbers: true,
-    includeSymbols: true,
-    excludeSimilar: false,
-    pronounceable: false
-  });
+  const [generatorSettings, setGeneratorSettings] = useState(DEFAULT_GENERATOR_SETTINGS);
   const [generatedPassword, setGeneratedPassword] = useState('');
+  const [generatorPolicyId, setGeneratorPolicyId] = useState('none');
+  const [generatorError, setGeneratorError] = useState(null);
+  const [selfTest, setSelfTest] = useState(null);
+  const [generatorPresets, setGeneratorPresets] = useState(loadGeneratorPresets);
+  const [presetName, setPresetName] = useState('');
+  const [siteRules, setSiteRules] = useState(loadSiteRules);
+  const [siteAddress, setSiteAddress] = useState('');
+  const [siteRulesError, setSiteRulesError] = useState(null);
+  const [derivation, setDerivation] = useState({ enabled: false, site: '', login: '', counter: 1 });
+  // The master password is kept in memory only and never stored
+  const [masterPassword, setMasterPassword] = useState('');
+  const [deriving, setDeriving] = useState(false);
+  const [deriveSelfTest, setDeriveSelfTest] = useState(null);
+  // Batches are kept in memory only and are gone once the page is closed
+  const [batchSettings, setBatchSettings] = useState({ count: 50, source: 'current', identifiers: '' });
+  const [batch, setBatch] = useState(null);
+  const [generatorMode, setGeneratorMode] = useState('password');
+  const [passphraseSettings, setPassphraseSettings] = useState(DEFAULT_PASSPHRASE_SETTINGS);
+  const [maskText, setMaskText] = useState(MASK_EXAMPLES[0].mask);
+  const [strengthTarget, setStrengthTarget] = useState('Strong');
+  const [pinLength, setPinLength] = useState(6);
+  const [loadedWordlist, setLoadedWordlist] = useState(null);
+  const [customWordlist, setCustomWordlist] = useState(null);
   const [bulkPasswords, setBulkPasswords] = useState('');
   const [bulkResults, setBulkResults] = useState([]);
+  const [importFormat, setImportFormat] = useState('auto');
+  const [importStatus, setImportStatus] = useState(null);
   const [copied, setCopied] = useState(false);
   const [sortConfig, setSortConfig] = useState({ key: 'score', direction: 'desc' });
+  const [corpusLoaded, setCorpusLoaded] = useState(false);
+  const [breachSource, setBreachSource] = useState(() => ({
+    type: 'url',
+    url: localStorage.getItem(BREACH_SOURCE_URL_KEY) || '',
+    files: []
+  }));
+  const [breachCheck, setBreachCheck] = useState(null);
+  const [bulkBreachCheck, setBulkBreachCheck] = useState(null);
+  // Owner details are kept in memory only
+  const [userContext, setUserContext] = useState(
+    Object.fromEntries(Object.keys(USER_CONTEXT_FIELDS).map(field => [field, '']))
+  );
+  const [showUserContext, setShowUserContext] = useState(false);
+  const [selectedLanguages, setSelectedLanguages] = useState([]);
+  const [loadedLanguages, setLoadedLanguages] = useState([]);
+  const [languagePackError, setLanguagePackError] = useState(null);
+  const [bannedTermsText, setBannedTermsText] = useState(() => localStorage.getItem(BANNED_TERMS_KEY) || '');
+  const [showBannedTerms, setShowBannedTerms] = useState(false);
+  const bannedTerms = useMemo(() => parseBannedTerms(bannedTermsText), [bannedTermsText]);
+  const [policySettings, setPolicySettings] = useState(loadPolicySettings);
+  // Encrypted vault record from IndexedDB: undefined until loaded, null when there is none
+  const [vaultRecord, setVaultRecord] = useState(undefined);
+  // The key and decrypted entries of an unlocked vault are kept in memory only, until it locks
+  const [vaultSession, setVaultSession] = useState(null);
+  const [vaultEntries, setVaultEntries] = useState([]);
+  const [vaultMaster, setVaultMaster] = useState('');
+  const [vaultMasterConfirm, setVaultMasterConfirm] = useState('');
+  const [vaultBusy, setVaultBusy] = useState(false);
+  const [vaultError, setVaultError] = useState(null);
+  const [vaultForm, setVaultForm] = useState(EMPTY_VAULT_FORM);
+  const [vaultQuery, setVaultQuery] = useState('');
+  const [revealedEntries, setRevealedEntries] = useState([]);
+  const [vaultAutoLock, setVaultAutoLock] = useState(() => Number(localStorage.getItem(VAULT_AUTO_LOCK_KEY)) || 5);
+  const lastVaultActivity = useRef(Date.now());
+  // Password of a vault entry opened in the Analyzer, and the username and site it replaced; undone on lock
+  const vaultAnalysis = useRef(null);
+  // Passwords of the last imported export, by importIndex of their bulk results; never stored in the results
+  const importedPasswords = useRef([]);
 
-  // Keep a smaller list of the most common passwords
-  const commonPasswords = useMemo(() => [
-    '123456', 'password', '123456789', '12345678', '12345', '1234567',
-    'password123', 'admin', 'welcome', 'qwerty', 'abc123', 'Password1',
-    'letmein', 'monkey', 'dragon', 'sunshine', 'princess', 'football',
-    'charlie', 'shadow', 'master', 'jordan', 'superman', 'harley',
-    'qwerty123', 'password1', 'admin123', 'test123', 'common123'
-  ], []);
-
-  // Keyboard patterns
-  const keyboardPatterns = useMemo(() => [
-    'qwerty', 'asdf', 'zxcv', '1234', 'abcd', 'qwer', 'asdfgh',
-    '123456', 'qwertyuiop', 'asdfghjkl', 'zxcvbnm', '098765'
-  ], []);
-
-  // Add common password patterns
-  const commonPatterns = useMemo(() => [
-    /^1q2w3e/, /^qwe\d+/, /^qwerty\d+/, /^admin\d+/, /^test\d+/, /^user\d+/,
-    /^pass\d+/, /^password\d+/, /^welcome\d+/, /^qaz\w+/, /^developer\d*/,
-    /^github\d*/, /^git\d+/, /^root\d*/, /^temp\d*/, /^demo\d*/,
-    /^123\w+/, /^\w+123$/, /^\w+1234$/, /^[a-z]+\d{1,4}$/i
-  ], []);
-
-  // Check if a word is common based on various criteria
-  const isCommonWord = useCallback((word) => {
-    if (!word || word.length < 3) return false;
-    
-    // Check if it's in our category lists
-    const lowercaseWord = word.toLowerCase();
-    
-    // Check for direct match in our category lists
-    for (const category of Object.values(COMMON_WORDS_CATEGORIES)) {
-      if (category.includes(lowercaseWord)) {
-        return true;
-      }
-    }
-    
-    // Check against common prefixes (many common words start with these)
-    if (COMMON_PREFIXES.some(prefix => lowercaseWord.startsWith(prefix))) {
-      return true;
+  // Problems in the custom rule set, and the policy results are checked against (null for none)
+  const policyProblems = useMemo(() => validatePolicy(policySettings.customRules), [policySettings.customRules]);
+  const activePolicy = useMemo(() => {
+    if (policySettings.preset === 'custom') {
+      return policyProblems.length ? null : { id: 'custom', name: 'Custom policy', rules: policySettings.customRules };
     }
-    
-    // Check against other common words list
-    if (OTHER_COMMON_WORDS.includes(lowercaseWord)) {
-      return true;
-    }
-    
-    // Consider short words (3-5 chars) to be potentially common even if not in our lists
-    if (lowercaseWord.length <= 5) {
-      return 0.7; // 70% chance it's common if short
-    }
-    
-    // Words with length > 8 that aren't in our lists are more likely to be uncommon
-    if (lowercaseWord.length >= 8) {
-      return false;
-    }
-    
-    // For medium length words (6-7 chars), use a heuristic
-    // Consider them 40% likely to be common if not in our lists
-    return 0.4; 
-  }, []);
+    return POLICY_PRESETS[policySettings.preset] || null;
+  }, [policySettings, policyProblems]);
 
-  // Check if a password is likely to be common
-  const isLikelyCommonPassword = useCallback((pwd) => {
-    if (!pwd) return false;
-    
-    const lowercasePwd = pwd.toLowerCase();
-    
-    // Direct match in common password list
-    if (commonPasswords.includes(lowercasePwd)) return true;
-    
-    // Check for common prefixes and suffixes combinations (exact matches only)
-    for (const prefix of COMMON_PREFIXES) {
-      for (const suffix of COMMON_SUFFIXES) {
-        if (lowercasePwd === prefix + suffix) return true;
-      }
-    }
-    
-    // Check for food name patterns (food + simple numbers)
-    for (const food of ALL_COMMON_WORDS) {
-      for (const suffix of COMMON_SUFFIXES) {
-        if (lowercasePwd === food + suffix) return true;
-      }
-    }
-    
-    // Check for simple variations (e.g., capitalized first letter)
-    for (const common of commonPasswords) {
-      if (common.length > 4 && (
-          lowercasePwd === common || 
-          lowercasePwd === common + '!' ||
-          lowercasePwd === common.charAt(0).toUpperCase() + common.slice(1)
-      )) {
-        return true;
-      }
+  // Selected language packs that have finished loading
+  const activeLanguages = useMemo(
+    () => selectedLanguages.filter(id => loadedLanguages.includes(id)),
+    [selectedLanguages, loadedLanguages]
+  );
+
+  // Analyze password strength
+  const analyzePassword = useCallback((pwd) => {
+    setAnalysis(analyze(pwd, { userContext, languages: activeLanguages }));
+  }, [userContext, activeLanguages]);
+
+  // Target policy for a generator policy id (null for none, or a custom rule set with problems)
+  const generatorPolicy = useCallback((policyId) => {
+    if (policyId === 'custom') {
+      return policyProblems.length === 0 ? { id: 'custom', name: 'Custom policy', rules: policySettings.customRules } : null;
     }
-    
-    // Check for keyboard patterns (only if they make up a significant portion of the password)
-    for (const pattern of keyboardPatterns) {
-      if (pattern.length >= 4 && lowercasePwd.includes(pattern) && pattern.length >= lowercasePwd.length / 2) {
-        return true;
-      }
+    return POLICY_PRESETS[policyId] || null;
+  }, [policySettings.customRules, policyProblems]);
+
+  // Generator settings with the target policy the output must satisfy; site rules and derived passwords use none
+  const generatorOptions = useMemo(
+    () => ({
+      ...generatorSettings,
+      policy: generatorSettings.passwordRules || derivation.enabled ? null : generatorPolicy(generatorPolicyId)
+    }),
+    [generatorSettings, generatorPolicyId, generatorPolicy, derivation.enabled]
+  );
+  const derivingSitePassword = generatorMode === 'password' && derivation.enabled;
+
+  // Words of the selected passphrase list, once loaded (null while loading)
+  const passphraseWords = useMemo(() => {
+    if (passphraseSettings.wordlist === 'custom') return customWordlist?.words.length ? customWordlist.words : null;
+    return loadedWordlist?.id === passphraseSettings.wordlist ? loadedWordlist.words : null;
+  }, [passphraseSettings.wordlist, customWordlist, loadedWordlist]);
+
+  const generatorIssues = useMemo(() => {
+    if (derivingSitePassword) return deriveProblems(masterPassword, derivation, generatorOptions);
+    if (generatorMode === 'password') return generatorProblems(generatorOptions);
+    if (generatorMode === 'template') return maskProblems(maskText);
+    return [];
+  }, [generatorMode, generatorOptions, maskText, derivingSitePassword, masterPassword, derivation]);
+  // Exact entropy of the generator's settings, shown next to the analyzer's estimate for the generated password
+  // Derived passwords get none: their strength is that of the master password
+  const generatorReport = useMemo(() => {
+    if (derivingSitePassword) return null;
+    if (generatorMode === 'passphrase') return passphraseReport(passphraseSettings, passphraseWords);
+    if (generatorMode === 'template') return maskReport(maskText);
+    if (generatorMode === 'pin') return pinReport(pinLength);
+    return generationReport(generatorOptions);
+  }, [generatorMode, passphraseSettings, passphraseWords, maskText, pinLength, generatorOptions, derivingSitePassword]);
+  // Strength the template reaches against an attacker who knows it, for the strength target warning
+  const maskStrength = useMemo(
+    () => (generatorMode === 'template' && generatorReport
+      ? scoreToStrength(guessesToScore(generatorReport.averageGuesses)).strength
+      : null),
+    [generatorMode, generatorReport]
+  );
+
+  // Generate password
+  const generatePassword = useCallback(() => {
+    if (generatorMode === 'passphrase') {
+      if (passphraseWords) setGeneratedPassword(generatePassphrase(passphraseSettings, passphraseWords));
+      return;
     }
-    
-    // Check for sequential patterns (only if they make up a significant portion of the password)
-    const sequences = ['0123', '1234', '2345', '3456', '4567', '5678', '6789', 'abcd', 'wxyz'];
-    for (const seq of sequences) {
-      if (lowercasePwd.includes(seq) && seq.length >= lowercasePwd.length / 2) {
-        return true;
-      }
+    if (generatorMode === 'template') {
+      if (maskProblems(maskText).length === 0) setGeneratedPassword(generateFromMask(maskText));
+      return;
     }
-    
-    // Check for repeated characters (3 or more) that make up most of the password
-    const repeatingMatch = lowercasePwd.match(/(.)\1{2,}/g);
-    if (repeatingMatch && repeatingMatch[0].length >= lowercasePwd.length / 2) {
-      return true;
+    if (generatorMode === 'pin') {
+      setGeneratedPassword(generatePin(pinLength));
+      return;
     }
-    
-    // Check for years as passwords
-    if (/^(19|20)\d{2}$/.test(lowercasePwd)) return true;
-    
-    // Check for simple words with number substitutions (l33t speak)
-    if (/^[a@][d][m][i1][n]|^[p][a@][s$][s$][w][0o][r][d]|^[t][e3][s$][t]/.test(lowercasePwd)) return true;
-    
-    // Check for single character type (but only for shorter passwords)
-    if (pwd.length < 8) {
-      if (/^[a-z]+$/i.test(pwd) || /^\d+$/.test(pwd)) return true;
+    // Derived passwords are only computed on request (see deriveSitePassword); clear one that no longer matches
+    if (derivingSitePassword) {
+      setGeneratedPassword('');
+      return;
     }
+    if (generatorProblems(generatorOptions).length > 0) return;
     
-    // Check for common words with numbers (exact matches only)
-    const commonWords = ['password', 'admin', 'user', 'login', 'welcome', 'manager', 'secure', 'security', 
-                       'test', 'server', 'database', 'account', 'system', 'network', 'default', 'guest'];
-    
-    if (/^[a-z]+[0-9]{1,4}$/i.test(lowercasePwd)) {
-      const wordPart = lowercasePwd.replace(/[0-9]+$/, '');
-      if (commonWords.some(word => wordPart === word)) {
-        return true;
-      }
+    try {
+      const result = generate(generatorOptions);
+      if (!result) return;
+      
+      setGeneratedPassword(result);
+      setGeneratorError(null);
+    } catch (error) {
+      setGeneratorError(error.message);
     }
-    
-    return false;
-  }, [commonPasswords, keyboardPatterns, ALL_COMMON_WORDS]);
+  }, [generatorMode, passphraseSettings, passphraseWords, maskText, pinLength, generatorOptions, derivingSitePassword]);
 
-  // Calculate password entropy
-  const calculateEntropy = useCallback((pwd) => {
-    if (!pwd) return 0;
-    
-    // Calculate character diversity
-    let charset = 0;
-    if (/[a-z]/.test(pwd)) charset += 26;
-    if (/[A-Z]/.test(pwd)) charset += 26;
-    if (/[0-9]/.test(pwd)) charset += 10;
-    if (/[^a-zA-Z0-9]/.test(pwd)) charset += 33;
-    
-    // Base entropy calculation
-    let rawEntropy = Math.log2(Math.pow(charset || 1, pwd.length));
-    
-    // Apply pattern-based entropy reduction
-    // Repeating characters reduce effective entropy
-    const repeats = pwd.match(/(.)\1+/g);
-    if (repeats) {
-      const repeatLength = repeats.reduce((sum, repeat) => sum + repeat.length, 0);
-      // Adjust entropy for repetition patterns
-      const repetitionPenalty = (repeatLength / pwd.length) * 0.25;
-      rawEntropy *= (1 - repetitionPenalty);
-    }
-    
-    // Sequential or keyboard patterns reduce effective entropy
-    const seqResult = containsSequentialPattern(pwd);
-    const hasKeyboardPattern = containsKeyboardPattern(pwd);
-    
-    if (seqResult.found || hasKeyboardPattern) {
-      // Penalty depends on how much of the password is made up of patterns
-      let patternRatio = 0;
-      
-      if (seqResult.found) {
-        patternRatio = Math.max(patternRatio, seqResult.length / pwd.length);
+  // Derive the site password from the master password; PBKDF2 takes a moment, so this runs only on request
+  const deriveSitePassword = useCallback(() => {
+    if (deriveProblems(masterPassword, derivation, generatorOptions).length > 0) return;
+    setDeriving(true);
+    derivePassword(masterPassword, derivation, generatorOptions)
+      .then(result => {
+        setGeneratedPassword(result);
+        setGeneratorError(null);
+      })
+      .catch(error => setGeneratorError(error.message))
+      .finally(() => setDeriving(false));
+  }, [masterPassword, derivation, generatorOptions]);
+
+  // Chi-square self-test of the generator; deferred a tick so the running state renders first
+  const runSelfTest = useCallback(() => {
+    setSelfTest({ status: 'running' });
+    setTimeout(() => setSelfTest({ status: 'done', results: runGeneratorSelfTest() }), 0);
+  }, []);
+
+  // Save the current password settings and target policy as a named preset, replacing one of the same name
+  const saveGeneratorPreset = useCallback(() => {
+    const name = presetName.trim();
+    if (!name) return;
+    setGeneratorPresets(prev => [
+      ...prev.filter(preset => preset.name !== name),
+      { name, settings: generatorSettings, policyId: generatorPolicyId }
+    ]);
+    setPresetName('');
+  }, [presetName, generatorSettings, generatorPolicyId]);
+
+  const applyGeneratorPreset = useCallback((name) => {
+    const preset = generatorPresets.find(item => item.name === name);
+    if (!preset) return;
+    setGeneratorSettings({ ...DEFAULT_GENERATOR_SETTINGS, ...preset.settings });
+    setGeneratorPolicyId(preset.policyId);
+  }, [generatorPresets]);
+
+  const deleteGeneratorPreset = useCallback((name) => {
+    setGeneratorPresets(prev => prev.filter(preset => preset.name !== name));
+    setBatchSettings(prev => (prev.source === name ? { ...prev, source: 'current' } : prev));
+  }, []);
+
+  // Settings a batch is generated with: the current ones or a saved preset
+  const batchOptions = useMemo(() => {
+    const preset = generatorPresets.find(item => item.name === batchSettings.source);
+    if (!preset) return generatorOptions;
+    return {
+      ...DEFAULT_GENERATOR_SETTINGS,
+      ...preset.settings,
+      policy: preset.settings.passwordRules ? null : generatorPolicy(preset.policyId)
+    };
+  }, [batchSettings.source, generatorPresets, generatorOptions, generatorPolicy]);
+
+  const batchIdentifiers = useMemo(() => parseIdentifiers(batchSettings.identifiers), [batchSettings.identifiers]);
+  const batchIssues = useMemo(() => {
+    const problems = generatorProblems(batchOptions);
+    if (problems.length > 0) return problems;
+    return batchProblems({
+      count: batchSettings.count,
+      identifiers: batchIdentifiers,
+      combinations: generationReport(batchOptions)?.combinations ?? null
+    });
+  }, [batchOptions, batchSettings.count, batchIdentifiers]);
+
+  // Generate a batch of distinct passwords; deferred a tick so the running state renders first
+  const runBatch = useCallback(() => {
+    if (batchIssues.length > 0) return;
+    setBatch({ status: 'running' });
+    setTimeout(() => {
+      try {
+        const rows = generateBatch(() => generate(batchOptions), {
+          count: batchSettings.count,
+          identifiers: batchIdentifiers,
+          combinations: generationReport(batchOptions).combinations
+        });
+        setBatch({ status: 'done', rows });
+      } catch (error) {
+        setBatch({ status: 'error', error: error.message });
       }
-      
-      // Apply proportional penalty
-      const entropyReduction = 0.2 + (patternRatio * 0.1); // 20-30% reduction
-      rawEntropy *= (1 - entropyReduction);
+    }, 0);
+  }, [batchIssues, batchOptions, batchSettings.count, batchIdentifiers]);
+
+  const exportBatch = useCallback((format) => {
+    if (batch?.status !== 'done') return;
+    if (format === 'csv') {
+      downloadFile('password-batch.csv', batchToCsv(batch.rows), 'text/csv');
+    } else {
+      downloadFile('password-batch.json', batchToJson(batch.rows), 'application/json');
     }
-    
-    // Word + number patterns are weaker than random characters
-    if (/^[a-z]+[0-9]+$/i.test(pwd)) {
-      rawEntropy *= 0.9; // 10% entropy reduction for word+number pattern
+  }, [batch]);
+
+  // PIN analysis for the Analyzer tab's PIN mode
+  const pinAnalysis = useMemo(() => analyzePin(pin), [pin]);
+
+  // Analysis of the generated password
+  const generatedAnalysis = useMemo(() => analyze(generatedPassword), [generatedPassword]);
+
+  // Analyze bulk passwords against the full corpus (the built-in list is used if it fails to load)
+  const analyzeBulkPasswords = useCallback(async () => {
+    await loadPasswordCorpus().catch(() => {});
+    await Promise.all(selectedLanguages.map(loadLanguagePack)).catch(() => {});
+    setBulkResults(audit(bulkPasswords.split('\n'), { userContext, languages: selectedLanguages }));
+    importedPasswords.current = [];
+    setImportStatus(null);
+  }, [bulkPasswords, userContext, selectedLanguages]);
+
+  // Forget the vault key and entries; the encrypted record stays stored. Vault rows in the bulk results and
+  // an entry opened in the Analyzer go too, so no decrypted password outlasts the lock.
+  const lockVault = useCallback(() => {
+    setVaultSession(null);
+    setVaultEntries([]);
+    setVaultForm(EMPTY_VAULT_FORM);
+    setRevealedEntries([]);
+    setVaultMaster('');
+    setBulkResults(results => results.filter(result => result.id === undefined));
+    if (vaultAnalysis.current) {
+      const { password: entryPassword, username, site } = vaultAnalysis.current;
+      setPassword(current => (current === entryPassword ? '' : current));
+      setBreachCheck(check => (check?.password === entryPassword ? null : check));
+      setUserContext(current => ({ ...current, username, site }));
+      vaultAnalysis.current = null;
     }
-    
-    return Math.max(0, rawEntropy);
   }, []);
 
-    // Calculate time to crack
-    const calculateTimeToCrack = useCallback((entropy, isCommon = false, score = 0, pwd = '') => {
-      const guessesPerSecond = {
-        online: 1000,          // Online attack with rate limiting (1,000/sec)
-        offline: 1000000000,   // Offline attack (1 billion/sec) - more realistic value
-        optimized: 50000000000 // High-end cracking rig (50 billion/sec) - more realistic than previous value
-      };
-      
-      // If it's a common password, adjust the time to crack to be much faster
-      if (isCommon) {
-        return {
-          online: 0.001,        // Almost instant for online attacks
-          offline: 0.0001,      // Instant for offline attacks
-          optimized: 0.00001    // Instant for optimized rigs
-        };
-      }
-      
-      // Get charset size for informational purposes only
-      getCharsetSize(pwd);
-      
-      // Start with theoretical entropy but apply realistic adjustments
-      // Cap entropy based on password score to represent practical limitations
-      // Higher scoring passwords retain more of their theoretical entropy
-      const scoreRatio = score / 100;
-      const maxEntropy = 100; // More realistic max entropy cap
-      
-      // Adjust based on password length - extremely long passwords don't give proportional security
-      const lengthFactor = pwd.length <= 20 ? 1 : 0.8; // Diminishing returns for very long passwords
-      
-      // Calculate effective entropy with all factors
-      const effectiveEntropy = Math.min(entropy * (0.7 + (0.3 * scoreRatio)) * lengthFactor, maxEntropy);
-      
-      // Calculate combinations based on effective entropy
-      const combinations = Math.pow(2, effectiveEntropy);
-      
-      // Apply adjustments for detected patterns
-      let adjustmentFactor = 1.0;
-      
-      // Apply pattern detection - patterns make cracking faster but not drastically
-      if (containsKeyboardPattern(pwd)) {
-        adjustmentFactor *= 0.3; // Keyboard patterns reduce security significantly
-      }
-      
-      const seqPattern = containsSequentialPattern(pwd);
-      if (seqPattern.found) {
-        // Scale the adjustment factor based on what percentage of the password is sequential
-        const sequentialRatio = seqPattern.length / pwd.length;
-        const sequentialPenalty = 0.4 + (0.3 * (1 - sequentialRatio)); // Less penalty for smaller ratio
-        adjustmentFactor *= sequentialPenalty;
-      }
-      
-      // Word+number patterns are common attack vectors
-      if (/^[a-zA-Z]+\d+$/.test(pwd)) {
-        // For common words + numbers, apply stronger penalty
-        if (isLikelyCommonPassword(pwd.replace(/\d+$/, ''))) {
-          adjustmentFactor *= 0.15; // Common word+number pattern is much easier to crack
-        } else {
-          adjustmentFactor *= 0.5; // Word+number pattern is easier to crack but not as bad with uncommon words
-        }
-      }
-      
-      // Complex patterns with mixed character types
-      if (hasUpper(pwd) && hasLower(pwd) && hasNumber(pwd) && hasSymbol(pwd)) {
-        // Even with all character types, predictable patterns are vulnerable
-        if (/^[A-Z][a-z]+\d+[\W_]+$/.test(pwd)) { // Capital + lowercase + numbers + symbol pattern
-          adjustmentFactor *= 0.6; // Common formula is easier to crack but still better than simple patterns
-        } else {
-          adjustmentFactor *= 1.2; // Truly mixed patterns are stronger
-        }
-      }
-      
-      // Consider password length as a factor in crack time
-      if (pwd.length >= 16) {
-        adjustmentFactor *= 1.3; // Longer passwords take more time
-      } else if (pwd.length <= 8) {
-        adjustmentFactor *= 0.5; // Short passwords crack faster
-      }
-      
-      // Minimum adjustment - even with patterns, a complex password shouldn't be treated as trivial
-      adjustmentFactor = Math.max(0.05, adjustmentFactor);
-      
-      // Calculate final crack times
-      return {
-        online: combinations / guessesPerSecond.online * adjustmentFactor,
-        offline: combinations / guessesPerSecond.offline * adjustmentFactor,
-        optimized: combinations / guessesPerSecond.optimized * adjustmentFactor
-      };
-    }, []);
-    
-    // Helper functions for pattern detection
-    const getCharsetSize = (pwd) => {
-      let size = 0;
-      if (/[a-z]/.test(pwd)) size += 26;
-      if (/[A-Z]/.test(pwd)) size += 26;
-      if (/[0-9]/.test(pwd)) size += 10;
-      if (/[^a-zA-Z0-9]/.test(pwd)) size += 33;
-      return size || 10; // Minimum charset size
-    };
-    
-    const containsKeyboardPattern = (pwd) => {
-      const lowercasePwd = pwd.toLowerCase();
-      const patterns = ['qwerty', 'asdfgh', 'zxcvbnm', 'qwertz', '12345'];
-      return patterns.some(pattern => lowercasePwd.includes(pattern));
-    };
-    
-    const containsSequentialPattern = (pwd) => {
-      const lowercasePwd = pwd.toLowerCase();
-      const patterns = ['123456', '12345', '1234', 'abcdef', 'abcde', 'abcd', '654321', '54321', '4321'];
-      
-      // Find the longest sequential pattern in the password
-      let longestMatch = '';
-      for (const pattern of patterns) {
-        if (lowercasePwd.includes(pattern) && pattern.length > longestMatch.length) {
-          longestMatch = pattern;
-        }
-      }
-      
-      // If we found a pattern, return true and the pattern length
-      if (longestMatch) {
-        return {
-          found: true,
-          pattern: longestMatch,
-          length: longestMatch.length
-        };
-      }
-      
-      return {
-        found: false,
-        pattern: '',
-        length: 0
-      };
-    };
-    
-    const hasUpper = (pwd) => /[A-Z]/.test(pwd);
-    const hasLower = (pwd) => /[a-z]/.test(pwd);
-    const hasNumber = (pwd) => /[0-9]/.test(pwd);
-    const hasSymbol = (pwd) => /[^a-zA-Z0-9]/.test(pwd);
-
-    // Format time duration
-    const formatTime = useCallback((seconds) => {
-      if (isNaN(seconds) || !isFinite(seconds)) return "Virtually forever";
-      
-      if (seconds < 0.001) return "Instantly";
-      if (seconds < 1) return "Less than a second";
-      if (seconds < 60) return `${Math.round(seconds)} seconds`;
-      if (seconds < 3600) return `${Math.round(seconds / 60)} minutes`;
-      if (seconds < 86400) return `${Math.round(seconds / 3600)} hours`;
-      if (seconds < 604800) return `${Math.round(seconds / 86400)} days`; // 1 week
-      if (seconds < 2629746) return `${Math.round(seconds / 604800)} weeks`; // ~1 month
-      if (seconds < 31556952) return `${Math.round(seconds / 2629746)} months`; // ~1 year
-      
-      const years = seconds / 31556952;
-      
-      if (years < 10) return `${Math.round(years)} years`;
-      if (years < 100) return `${Math.round(years / 10) * 10} years`;
-      if (years < 1000) return `${Math.round(years / 100) * 100} years`;
-      if (years < 10000) return `${Math.round(years / 1000)}K years`;
-      if (years < 1000000) return `${Math.round(years / 10000) * 10}K years`;
-      
-      // Cap at more reasonable values that humans can relate to
-      // Modern computing and encryption methods would likely be different anyway
-      return "1M+ years"; // Cap at 1 million+ years as anything beyond is unrealistic
-    }, []);
-
-    // Advanced password assessment function
-    const assessPasswordStrength = useCallback((pwd) => {
-      if (!pwd) return { score: 0, issues: [], patterns: [] };
-      
-      let score = 0;
-      const issues = [];
-      const patterns = [];
-      
-      // Basic checks
-      const length = pwd.length;
-      const hasUpperCase = hasUpper(pwd);
-      const hasLowerCase = hasLower(pwd);
-      const hasNumbers = hasNumber(pwd);
-      const hasSymbols = hasSymbol(pwd);
-      const entropy = calculateEntropy(pwd);
-      
-      // DIVERSITY CHECK: Calculate the variety of characters used
-      // This is the most important factor per security guidelines
-      const characterTypes = (hasUpperCase ? 1 : 0) + 
-                           (hasLowerCase ? 1 : 0) + 
-                           (hasNumbers ? 1 : 0) + 
-                           (hasSymbols ? 1 : 0);
-      
-      // Start with character diversity scoring (0-40 points)
-      // This aligns with security guide recommendation for character variety
-      switch (characterTypes) {
-        case 4: // All four types
-          score += 40;
-          break;
-        case 3: // Three types
-          score += 30;
-          break;
-        case 2: // Two types
-          score += 20;
-          break;
-        case 1: // One type
-          score += 10;
-          break;
-        default:
-          score += 0;
-          break;
-      }
-      
-      // Modified to prevent extreme jumps in score just by adding a single symbol
-      // Special adjustment for symbols - don't give full credit for just one symbol
-      if (hasSymbols) {
-        const symbolCount = (pwd.match(/[^a-zA-Z0-9]/g) || []).length;
-        const symbolRatio = symbolCount / pwd.length;
-        
-        // Check if the symbol is in a predictable position (first or last character)
-        const symbolsOnlyAtPredictablePositions = 
-          /^[^a-zA-Z0-9]/.test(pwd) || // Symbol at start
-          /[^a-zA-Z0-9]$/.test(pwd);   // Symbol at end
-        
-        // For longer passwords or high scores, don't reduce the score much or at all
-        // Don't reduce score if already high (80+) or if password is very long (16+)
-        if (symbolCount === 1 && symbolsOnlyAtPredictablePositions && pwd.length < 16 && score < 80) {
-          // Apply a smaller penalty based on password length
-          // Longer passwords get a smaller penalty
-          const penaltyAmount = Math.max(3, Math.round(10 - pwd.length/4));
-          score -= penaltyAmount; // Smaller penalty that scales with password length
-          
-          // Add feedback about symbol placement
-          issues.push('Distribute symbols throughout password for better security');
-          patterns.push('Single symbol at predictable position');
-        } 
-        // For very low symbol ratio in very long passwords, give a mild suggestion
-        else if (symbolRatio < 0.05 && pwd.length > 20) {
-          // Just a tiny adjustment to suggest more symbols
-          score -= 2;
-        }
-      }
-      
-      // LENGTH CHECK: Add points for length (0-30 points)
-      // This aligns with "at least 12 characters" recommendation
-      if (length >= 16) score += 30;
-      else if (length >= 12) score += 25; // Recommended minimum
-      else if (length >= 8) score += 15;  // Minimum acceptable
-      else if (length >= 6) score += 10;
-      else {
-        score += 5;
-        issues.push('Too short');
-      }
-      
-      // ENTROPY CHECK: Add points for high entropy (0-20 points)
-      if (entropy > 90) score += 20;
-      else if (entropy > 70) score += 15;
-      else if (entropy > 50) score += 10;
-      else if (entropy > 30) score += 5;
-      
-      // Check if it's likely a common password (major penalty)
-      const isCommon = isLikelyCommonPassword(pwd);
-      if (isCommon) {
-        issues.push('Common password or pattern detected');
-        patterns.push('Common password pattern');
-        score -= 40; // Severe penalty
-      }
-      
-      // Pattern detection - aligned with "what to avoid" section
-      
-      // Check for keyboard patterns (qwerty, asdf, etc.)
-      keyboardPatterns.forEach(pattern => {
-        if (pwd.toLowerCase().includes(pattern)) {
-          patterns.push(`Keyboard pattern: ${pattern}`);
-          
-          // Penalty based on how much of the password is the pattern
-          const patternRatio = pattern.length / pwd.length;
-          score -= Math.round(25 * patternRatio); // Up to -25 points
-        }
+  // Create an empty vault under the master password and store it
+  const createNewVault = useCallback(async () => {
+    setVaultBusy(true);
+    try {
+      const session = await createVault(vaultMaster);
+      const record = await sealVault([], session);
+      await saveVaultRecord(record);
+      setVaultRecord(record);
+      setVaultSession(session);
+      setVaultEntries([]);
+      setVaultMaster('');
+      setVaultMasterConfirm('');
+      setVaultError(null);
+    } catch (error) {
+      setVaultError(`Could not create the vault: ${error.message}`);
+    } finally {
+      setVaultBusy(false);
+    }
+  }, [vaultMaster]);
+
+  const unlockVault = useCallback(() => {
+    setVaultBusy(true);
+    openVault(vaultRecord, vaultMaster)
+      .then(({ session, entries }) => {
+        setVaultSession(session);
+        setVaultEntries(entries);
+        setVaultMaster('');
+        setVaultError(null);
+      })
+      .catch(error => setVaultError(error.message))
+      .finally(() => setVaultBusy(false));
+  }, [vaultRecord, vaultMaster]);
+
+  // Encrypt and store the entries; only a completely sealed record ever replaces the stored one
+  const storeVaultEntries = useCallback(async (entries) => {
+    const record = await sealVault(entries, vaultSession);
+    await saveVaultRecord(record);
+    setVaultRecord(record);
+    setVaultEntries(entries);
+  }, [vaultSession]);
+
+  // Add the entry in the form, or update the one it was loaded from
+  const saveVaultForm = useCallback(() => {
+    if (vaultEntryProblems(vaultForm).length > 0) return;
+    const entry = saveVaultEntry(vaultForm, vaultEntries.find(item => item.id === vaultForm.id));
+    storeVaultEntries([...vaultEntries.filter(item => item.id !== entry.id), entry])
+      .then(() => {
+        setVaultForm(EMPTY_VAULT_FORM);
+        setVaultError(null);
+      })
+      .catch(error => setVaultError(`Could not save the vault: ${error.message}`));
+  }, [vaultForm, vaultEntries, storeVaultEntries]);
+
+  const deleteVaultEntry = useCallback((id) => {
+    storeVaultEntries(vaultEntries.filter(entry => entry.id !== id))
+      .catch(error => setVaultError(`Could not save the vault: ${error.message}`));
+  }, [vaultEntries, storeVaultEntries]);
+
+  // Replace the stored vault with an exported one; it stays locked until opened with its own master password
+  const importVault = useCallback((file) => {
+    file.text()
+      .then(text => {
+        const record = validateVaultRecord(JSON.parse(text));
+        if (vaultRecord && !window.confirm('Replace the vault in this browser with the imported one?')) return;
+        return saveVaultRecord(record).then(() => {
+          lockVault();
+          setVaultRecord(record);
+          setVaultError(null);
+        });
+      })
+      .catch(error => setVaultError(`Could not import the vault: ${error.message}`));
+  }, [vaultRecord, lockVault]);
+
+  const deleteVault = useCallback(() => {
+    if (!window.confirm('Delete the vault and all its entries from this browser? This cannot be undone.')) return;
+    deleteVaultRecord()
+      .then(() => {
+        lockVault();
+        setVaultRecord(null);
+        setVaultError(null);
+      })
+      .catch(error => setVaultError(`Could not delete the vault: ${error.message}`));
+  }, [lockVault]);
+
+  // Open an entry in the Analyzer, with its site and username as personal details to look for in place of
+  // the owner's own, which come back when the vault locks
+  const analyzeVaultEntry = useCallback((entry) => {
+    const { username, site } = vaultAnalysis.current ?? userContext;
+    vaultAnalysis.current = { password: entry.password, username, site };
+    setUserContext(prev => ({ ...prev, username: entry.username, site: entry.site }));
+    setAnalyzerMode('password');
+    setPassword(entry.password);
+    setActiveTab('analyzer');
+  }, [userContext]);
+
+  // Audit every entry in the Bulk Analysis tab, each with its own site and username as personal details,
+  // and flag passwords used for more than one entry. The rows keep the entry id but not the password.
+  const auditVault = useCallback(async () => {
+    await loadPasswordCorpus().catch(() => {});
+    await Promise.all(selectedLanguages.map(loadLanguagePack)).catch(() => {});
+    setBulkResults(auditEntries(searchVault(vaultEntries), { userContext, languages: selectedLanguages })
+      .map(({ password: entryPassword, ...row }) => row));
+    importedPasswords.current = [];
+    setBulkBreachCheck(null);
+    setImportStatus(null);
+    setActiveTab('bulk');
+  }, [vaultEntries, userContext, selectedLanguages]);
+
+  // Audit a password-manager or browser export; the file is read and parsed in the page and never uploaded.
+  // As with the vault, the rows leave the passwords out, so the table and the report export cannot show them.
+  const importPasswordExport = useCallback(async (file) => {
+    try {
+      const { format, entries, skipped } = importPasswords(await file.text(), importFormat);
+      await loadPasswordCorpus().catch(() => {});
+      await Promise.all(selectedLanguages.map(loadLanguagePack)).catch(() => {});
+      const rows = auditEntries(entries, { userContext, languages: selectedLanguages });
+      importedPasswords.current = rows.map(row => row.password);
+      setBulkResults(rows.map(({ password: entryPassword, ...row }, importIndex) => ({ ...row, importIndex })));
+      setBulkBreachCheck(null);
+      setImportStatus({
+        message: `Imported ${entries.length} login${entries.length === 1 ? '' : 's'} from ${IMPORT_FORMATS[format].name}` +
+          (skipped > 0 ? `; ${skipped} item${skipped === 1 ? '' : 's'} without a password skipped` : '')
       });
-      
-      // Check for repeating characters
-      const repeatingChars = pwd.match(/(.)\1{2,}/g);
-      if (repeatingChars) {
-        patterns.push(`Repeating characters: ${repeatingChars.join(', ')}`);
-        score -= 15;
-      }
-      
-      // Check for sequential patterns (123, abc, etc)
-      const sequentialPatterns = [
-        { pattern: '123456', name: 'Sequential pattern: 123456' },
-        { pattern: '12345', name: 'Sequential pattern: 12345' },
-        { pattern: '1234', name: 'Sequential pattern: 1234' },
-        { pattern: 'abcdef', name: 'Sequential pattern: abcdef' },
-        { pattern: 'abcde', name: 'Sequential pattern: abcde' },
-        { pattern: 'abcd', name: 'Sequential pattern: abcd' }
-      ];
-      
-      // Find the longest matching pattern
-      let longestPattern = null;
-      for (const pattern of sequentialPatterns) {
-        if (pwd.toLowerCase().includes(pattern.pattern)) {
-          if (!longestPattern || pattern.pattern.length > longestPattern.pattern.length) {
-            longestPattern = pattern;
-          }
-        }
-      }
-      
-      // Apply penalty for sequential pattern
-      if (longestPattern) {
-        patterns.push(longestPattern.name);
-        // Penalty relative to how much of the password is the pattern
-        const patternRatio = longestPattern.pattern.length / pwd.length;
-        score -= Math.round(20 * patternRatio); // Up to -20 points
-      }
-      
-      // Add new pattern checks
-      
-      // Check for alternating patterns (e.g., a1b2c3)
-      if (/^(?:(?:[a-z][0-9])+|(?:[0-9][a-z])+)$/i.test(pwd)) {
-        patterns.push('Alternating pattern detected');
-        score -= 15;
-      }
-      
-      // Check for l33t speak substitutions
-      if (/[a@][s$][e3][t+]/i.test(pwd) || /[p][a@][s$][s$][w][0o][r][d]/i.test(pwd)) {
-        patterns.push('L33t speak pattern detected');
-        score -= 10;
-      }
-      
-      // Check for word + symbol + number patterns (common password formula)
-      if (/^[a-z]+[\W_]+[0-9]+$/i.test(pwd)) {
-        patterns.push('Word+symbol+number formula detected');
-        score -= 15;
-      }
-      
-      // Check for word + number patterns
-      const wordNumberMatch = pwd.match(/^([a-z]{3,})([0-9]+)$/i);
-      if (wordNumberMatch) {
-        const wordPart = wordNumberMatch[1].toLowerCase();
-        const numberPart = wordNumberMatch[2];
-        
-        const commonWords = ['password', 'admin', 'user', 'login', 'welcome', 'manager', 
-                           'secure', 'security', 'test', 'server', 'database', 'account'];
-        
-        // Penalty for common word+number pattern
-        if (commonWords.some(word => wordPart === word)) {
-          patterns.push('Common word + number pattern');
-          score -= 25;
-        } 
-        // Check for common dictionary categories (food, animals, colors, etc.)
-        else {
-          let wordCategory = null;
-          for (const [category, words] of Object.entries(COMMON_WORDS_CATEGORIES)) {
-            if (words.includes(wordPart)) {
-              wordCategory = category;
-              break;
-            }
-          }
-
-          if (wordCategory) {
-            patterns.push(`${wordCategory.charAt(0).toUpperCase() + wordCategory.slice(1)} word + number pattern`);
-            score -= 25; // Apply strong penalty - these are easily guessable
-          }
-          else {
-            // Use our more sophisticated word commonality detector
-            const commonality = isCommonWord(wordPart);
-            
-            if (commonality === true) {
-              patterns.push('Common word + number pattern');
-              score -= 20;
-            } else if (commonality > 0) {
-              // For words that might be common (partial match)
-              patterns.push('Potentially common word + number pattern');
-              score -= 10 * commonality; // Penalty proportional to likelihood of being common
-            } else {
-              patterns.push('Uncommon word + number pattern');
-              
-              // Actually give a bonus for using an uncommon word, as this is a good practice
-              score += 5; // Give a bonus for using uncommon words
-              
-              // Check for sequential patterns in number portion
-              const isSequential = (/123|234|345|456|567|678|789|987|876|765|654|543|432|321/).test(numberPart);
-              
-              // Apply additional penalty only for sequential patterns, not for the length itself
-              if (isSequential) {
-                patterns.push('Sequential numbers in pattern');
-                
-                // Calculate what percentage of the password is made up of the sequential pattern
-                // This ensures that longer passwords with the same pattern get a lower penalty
-                const sequentialPatterns = ['123', '234', '345', '456', '567', '678', '789', 
-                                           '987', '876', '765', '654', '543', '432', '321'];
-                
-                let longestMatch = '';
-                for (const pattern of sequentialPatterns) {
-                  if (numberPart.includes(pattern) && pattern.length > longestMatch.length) {
-                    longestMatch = pattern;
-                  }
-                }
-                
-                // Calculate the sequential ratio - how much of the password is sequential
-                const sequentialRatio = longestMatch.length / pwd.length;
-                
-                // Base penalty that's proportional to the sequential ratio
-                // This ensures longer passwords with sequential patterns still score better
-                const basePenalty = 10;
-                const adjustedPenalty = Math.round(basePenalty * sequentialRatio * 2);
-                
-                // Apply penalty but ensure we don't penalize too much for small sequential patterns
-                // in longer passwords
-                score -= Math.min(adjustedPenalty, 10);
-                
-                // IMPORTANT: Add bonus for the extra length to ensure longer passwords
-                // always score at least slightly better than shorter ones with the same pattern
-                const lengthBonus = numberPart.length;
-                score += Math.min(lengthBonus, 3); // Small bonus for longer number portions
-              } else {
-                // Bonus for longer non-sequential number portions (more randomness)
-                if (numberPart.length >= 3) {
-                  score += Math.min(5, numberPart.length - 2);
-                }
-              }
-              
-              // Apply additional penalty for simple number sequences (e.g., 123, 321)
-              if (/^(123|321|111|222|333|444|555|666|777|888|999|000)$/.test(numberPart)) {
-                score -= 5;  // Additional penalty for common number sequences
-              }
-            }
-          }
-        }
-      }
-      
-      // Check for date patterns
-      if (/^(19|20)\d{2}$/.test(pwd) || /^\d{1,2}[/-_.]\d{1,2}[/-_.](19|20)?\d{2}$/.test(pwd)) {
-        patterns.push('Date pattern');
-        score -= 20;
-      }
-      
-      // Check for single character type (letters only or numbers only)
-      if (pwd.length > 1) {
-        if (/^[a-z]+$/i.test(pwd)) {
-          issues.push('Only letters');
-          score -= 20;
-        } else if (/^\d+$/.test(pwd)) {
-          issues.push('Only numbers');
-          score -= 30;
-        }
-      }
-      
-      // Add a small base score per character to ensure longer passwords
-      // never score lower than their shorter versions (consistency fix)
-      const consistencyBonus = Math.min(10, length);
-      score += consistencyBonus;
-      
-      // Collect missing character types for feedback
-      if (!hasUpperCase) issues.push('No uppercase');
-      if (!hasLowerCase) issues.push('No lowercase');
-      if (!hasNumbers) issues.push('No numbers');
-      if (!hasSymbols) issues.push('No symbols');
-      
-      // Normalize score - cap at 100, minimum at 1
-      score = Math.max(1, Math.min(100, score));
-      
-      // Special case to maintain consistency: 
-      // If a password has all 4 character types and is 12+ chars with no patterns,
-      // ensure it has a minimum score of 65 (Strong) to match the security guide
-      if (characterTypes === 4 && length >= 12 && patterns.length === 0 && !isCommon) {
-        score = Math.max(score, 65);
-      }
-      
-      // Determine strength level
-      let strength = 'Very Weak';
-      let strengthColor = 'text-red-500';
-      
-      // Make scoring stricter if patterns were detected
-      const patternAdjustment = patterns.length > 0 ? 10 : 0;
-      const commonAdjustment = isCommon ? 10 : 0;
-      const totalAdjustment = patternAdjustment + commonAdjustment;
-      
-      // More accurate strength thresholds aligned with security guide visualization
-      if (score >= (90 + totalAdjustment)) {
-        strength = 'Excellent';
-        strengthColor = 'text-purple-500';
-      } else if (score >= (80 + totalAdjustment)) {
-        strength = 'Very Strong';
-        strengthColor = 'text-green-500';
-      } else if (score >= (70 + totalAdjustment)) {
-        strength = 'Strong';
-        strengthColor = 'text-blue-500';
-      } else if (score >= (50 + totalAdjustment)) {  // Changed from 55 to 50 to match guide
-        strength = 'Moderate';
-        strengthColor = 'text-yellow-500';
-      } else if (score >= (30 + totalAdjustment)) {  // Changed from 35 to 30 to match guide
-        strength = 'Weak';
-        strengthColor = 'text-orange-500';
-      } else {
-        strength = 'Very Weak';
-        strengthColor = 'text-red-500';
-      }
-      
-      // For weak passwords, adjust entropy to better reflect actual security
-      let adjustedEntropy = entropy;
-      if (patterns.length > 0 && score < 25) {
-        adjustedEntropy = Math.min(entropy, 40);
-      }
-      
-      return {
-        score,
-        strength,
-        strengthColor,
-        entropy: adjustedEntropy,
-        patterns,
-        issues,
-        hasUpper: hasUpperCase,
-        hasLower: hasLowerCase,
-        hasNumber: hasNumbers,
-        hasSymbol: hasSymbols,
-        length,
-        isCommon,
-        hasPatterns: patterns.length > 0
-      };
-    }, [calculateEntropy, isLikelyCommonPassword, keyboardPatterns, isCommonWord]);
+    } catch (error) {
+      setImportStatus({ error: `Could not import ${file.name}: ${error.message}` });
+    }
+  }, [importFormat, userContext, selectedLanguages]);
 
-  // Analyze password strength
-  const analyzePassword = useCallback((pwd) => {
-    if (!pwd) {
-      setAnalysis(null);
+  // Select or deselect a language pack, loading it on first use
+  const toggleLanguagePack = useCallback((id) => {
+    if (selectedLanguages.includes(id)) {
+      setSelectedLanguages(selectedLanguages.filter(language => language !== id));
       return;
     }
 
-    const assessment = assessPasswordStrength(pwd);
-    const timeToCrack = calculateTimeToCrack(assessment.entropy, assessment.isCommon, assessment.score, pwd);
-    
-    // Format feedback for display
-    const feedback = [...assessment.issues];
-    if (assessment.patterns.length > 0) {
-      feedback.push(`Avoid patterns: ${assessment.patterns.join(', ')}`);
-    }
-    
-    setAnalysis({
-      ...assessment,
-      timeToCrack,
-      feedback,
-      isCommon: assessment.isCommon
-    });
-  }, [assessPasswordStrength, calculateTimeToCrack]);
+    setSelectedLanguages([...selectedLanguages, id]);
+    setLanguagePackError(null);
+    loadLanguagePack(id)
+      .then(() => setLoadedLanguages(loaded => (loaded.includes(id) ? loaded : [...loaded, id])))
+      .catch(() => {
+        setSelectedLanguages(selected => selected.filter(language => language !== id));
+        setLanguagePackError(`Could not load the ${LANGUAGE_PACKS[id].name} dictionary`);
+      });
+  }, [selectedLanguages]);
 
-  // Generate password
-  const generatePassword = useCallback(() => {
-    const { length, includeUppercase, includeLowercase, includeNumbers, includeSymbols, excludeSimilar, pronounceable } = generatorSettings;
-    
-    if (pronounceable) {
-      // Generate pronounceable password
-      const consonants = 'bcdfghjklmnpqrstvwxz';
-      const vowels = 'aeiou';
-      let result = '';
-      
-      for (let i = 0; i < Math.ceil(length / 2); i++) {
-        if (i % 2 === 0) {
-          result += consonants[Math.floor(Math.random() * consonants.length)];
-        } else {
-          result += vowels[Math.floor(Math.random() * vowels.length)];
-        }
-      }
-      
-      // Add numbers and symbols if requested
-      if (includeNumbers && result.length < length) {
-        result += Math.floor(Math.random() * 10);
-      }
-      if (includeSymbols && result.length < length) {
-        result += '!@#$%'[Math.floor(Math.random() * 5)];
-      }
-      
-      setGeneratedPassword(result.slice(0, length));
-      return;
+  // Range source for the breach check: an internal URL / local stand-in server, or an imported folder
+  const rangeSource = useMemo(() => {
+    if (breachSource.type === 'folder') {
+      return breachSource.files.length ? fileListRangeSource(breachSource.files) : null;
     }
-    
-    let charset = '';
-    if (includeLowercase) charset += 'abcdefghijklmnopqrstuvwxyz';
-    if (includeUppercase) charset += 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-    if (includeNumbers) charset += '0123456789';
-    if (includeSymbols) charset += '!@#$%^&*()_+-=[]{}|;:,.<>?';
-    
-    if (excludeSimilar) {
-      charset = charset.replace(/[il1Lo0O]/g, '');
+    return breachSource.url.trim() ? urlRangeSource(breachSource.url.trim()) : null;
+  }, [breachSource]);
+
+  // Check the analyzed password against the breach data (only the 5-character hash prefix is looked up)
+  const checkPasswordBreach = useCallback(async () => {
+    if (!rangeSource || !password) return;
+
+    setBreachCheck({ password, status: 'checking' });
+    try {
+      const result = await checkBreach(password, rangeSource);
+      setBreachCheck({ password, status: 'done', ...result });
+    } catch (error) {
+      setBreachCheck({ password, status: 'error', error: error.message });
     }
-    
-    if (!charset) return;
-    
-    let result = '';
-    for (let i = 0; i < length; i++) {
-      result += charset[Math.floor(Math.random() * charset.length)];
+  }, [password, rangeSource]);
+
+  // Password of a bulk result; vault rows look theirs up in the unlocked vault, imported rows in the import
+  const bulkResultPassword = useCallback((result) => {
+    if (result.id !== undefined) return vaultEntries.find(entry => entry.id === result.id)?.password ?? '';
+    if (result.importIndex !== undefined) return importedPasswords.current[result.importIndex] ?? '';
+    return result.password;
+  }, [vaultEntries]);
+
+  // Check every bulk result against the breach data
+  const checkBulkBreaches = useCallback(async () => {
+    if (!rangeSource || !bulkResults.length) return;
+
+    setBulkBreachCheck({ status: 'checking' });
+    try {
+      const breaches = await checkBreaches(bulkResults.map(bulkResultPassword), rangeSource);
+      setBulkResults(bulkResults.map((result, index) => ({
+        ...result,
+        breached: breaches[index].breached,
+        breachCount: breaches[index].count
+      })));
+      setBulkBreachCheck({ status: 'done' });
+    } catch (error) {
+      setBulkBreachCheck({ status: 'error', error: error.message });
     }
-    
-    setGeneratedPassword(result);
-  }, [generatorSettings]);
-
-  // Analyze bulk passwords
-  const analyzeBulkPasswords = useCallback(() => {
-    const passwords = bulkPasswords.split('\n').filter(p => p.trim());
-    const results = passwords.map(pwd => {
-      const assessment = assessPasswordStrength(pwd);
-      
-      return {
-        password: pwd,
-        score: assessment.score,
-        strength: assessment.strength,
-        entropy: Math.round(assessment.entropy * 10) / 10,
-        isCommon: assessment.isCommon,
-        patterns: assessment.patterns.length,
-        hasIssues: assessment.patterns.length > 0 || assessment.issues.length > 0
-      };
-    });
-    
-    setBulkResults(results);
-  }, [bulkPasswords, assessPasswordStrength]);
+  }, [bulkResults, rangeSource, bulkResultPassword]);
+
+  // Policy compliance of the analyzed password, including the breach check once it has run
+  const policyResult = useMemo(() => {
+    if (!analysis || !activePolicy) return null;
+    const breached = breachCheck?.password === password ? breachCheck.breached : undefined;
+    return evaluatePolicy(password, activePolicy, { ...analysis, breached });
+  }, [analysis, activePolicy, breachCheck, password]);
 
   // Copy to clipboard
   const copyToClipboard = useCallback((text) => {
@@ -904,15 +610,12 @@ const PasswordSecurityApp = () => {
       generatedPassword
     };
     
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'password-security-report.json';
-    a.click();
-    URL.revokeObjectURL(url);
+    downloadFile('password-security-report.json', JSON.stringify(data, null, 2), 'application/json');
   }, [analysis, bulkResults, generatorSettings, generatedPassword]);
 
+  // Whether the bulk results are saved logins (an import or the vault), with a site and username per row
+  const loginsAudited = bulkResults.some(result => result.site !== undefined);
+
   // Sort bulk results
   const sortedBulkResults = useMemo(() => {
     if (!bulkResults.length) return [];
@@ -937,24 +640,1078 @@ const PasswordSecurityApp = () => {
     setSortConfig({ key, direction });
   };
 
-  // Get sort icon
-  const getSortIcon = (key) => {
-    if (sortConfig.key !== key) {
-      return <ArrowUpDown className="h-4 w-4 opacity-50" />;
-    }
-    return sortConfig.direction === 'asc' ? 
-      <ChevronUp className="h-4 w-4" /> : 
-      <ChevronDown className="h-4 w-4" />;
-  };
+  // Get sort icon
+  const getSortIcon = (key) => {
+    if (sortConfig.key !== key) {
+      return <ArrowUpDown className="h-4 w-4 opacity-50" />;
+    }
+    return sortConfig.direction === 'asc' ? 
+      <ChevronUp className="h-4 w-4" /> : 
+      <ChevronDown className="h-4 w-4" />;
+  };
+
+  // Apply the organization banned terms to the engine and keep them in this browser
+  useEffect(() => {
+    setBannedTerms(bannedTerms);
+    localStorage.setItem(BANNED_TERMS_KEY, bannedTermsText);
+  }, [bannedTerms, bannedTermsText]);
+
+  useEffect(() => {
+    localStorage.setItem(POLICY_KEY, JSON.stringify(policySettings));
+  }, [policySettings]);
+
+  useEffect(() => {
+    localStorage.setItem(GENERATOR_PRESETS_KEY, JSON.stringify(generatorPresets));
+  }, [generatorPresets]);
+
+  useEffect(() => {
+    localStorage.setItem(SITE_RULES_KEY, JSON.stringify(siteRules));
+  }, [siteRules]);
+
+  useEffect(() => {
+    loadVaultRecord()
+      .then(setVaultRecord)
+      .catch(error => {
+        setVaultRecord(null);
+        setVaultError(`The vault storage is unavailable: ${error.message}`);
+      });
+  }, []);
+
+  useEffect(() => {
+    localStorage.setItem(VAULT_AUTO_LOCK_KEY, String(vaultAutoLock));
+  }, [vaultAutoLock]);
+
+  // Lock an unlocked vault after the chosen time without any activity on the page
+  useEffect(() => {
+    if (!vaultSession) return;
+    lastVaultActivity.current = Date.now();
+    const markActivity = () => {
+      lastVaultActivity.current = Date.now();
+    };
+    VAULT_ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, markActivity, { passive: true }));
+    const timer = setInterval(() => {
+      if (Date.now() - lastVaultActivity.current >= vaultAutoLock * 60000) lockVault();
+    }, 10000);
+    return () => {
+      VAULT_ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, markActivity));
+      clearInterval(timer);
+    };
+  }, [vaultSession, vaultAutoLock, lockVault]);
+
+  // Load the breached-password corpus in the background; analyses are refreshed once it is ready
+  useEffect(() => {
+    loadPasswordCorpus().then(() => setCorpusLoaded(true)).catch(() => {});
+  }, []);
+
+  useEffect(() => {
+    if (password.length <= INSTANT_ANALYSIS_LENGTH) {
+      analyzePassword(password);
+      return;
+    }
+    const timer = setTimeout(() => analyzePassword(password), ANALYSIS_DELAY);
+    return () => clearTimeout(timer);
+  }, [password, analyzePassword, corpusLoaded, bannedTerms]);
+
+  useEffect(() => {
+    localStorage.setItem(BREACH_SOURCE_URL_KEY, breachSource.url);
+  }, [breachSource.url]);
+
+  // Policy selection and custom rule editor, shared by the Analyzer and Bulk Analysis tabs
+  const renderPolicySelector = () => {
+    const rules = policySettings.customRules;
+    const setRules = (changes) => setPolicySettings({ ...policySettings, customRules: { ...rules, ...changes } });
+    const inputClass = `w-20 p-1 rounded border ${darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300'}`;
+
+    return (
+      <div className="text-sm">
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="font-medium">Policy:</span>
+          <select
+            value={policySettings.preset}
+            onChange={(e) => setPolicySettings({ ...policySettings, preset: e.target.value })}
+            className={`p-1 rounded border ${darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300'}`}
+          >
+            <option value="none">None</option>
+            {Object.values(POLICY_PRESETS).map(preset => (
+              <option key={preset.id} value={preset.id}>{preset.name}</option>
+            ))}
+            <option value="custom">Custom</option>
+          </select>
+          {POLICY_PRESETS[policySettings.preset] && (
+            <span className={darkMode ? 'text-gray-400' : 'text-gray-500'}>{POLICY_PRESETS[policySettings.preset].description}</span>
+          )}
+        </div>
+        {policySettings.preset === 'custom' && (
+          <div className={`mt-3 p-3 rounded-lg space-y-3 ${darkMode ? 'bg-gray-700/50' : 'bg-gray-50'}`}>
+            <div className="flex flex-wrap gap-4">
+              {[
+                { name: 'minLength', label: 'Min length' },
+                { name: 'maxLength', label: 'Max length' },
+                { name: 'minScore', label: 'Min score' },
+                { name: 'maxRepeats', label: 'Max repeats' }
+              ].map(input => (
+                <label key={input.name} className="flex items-center space-x-2">
+                  <span>{input.label}</span>
+                  <input
+                    type="number"
+                    min="1"
+                    value={rules[input.name] ?? ''}
+                    placeholder="off"
+                    onChange={(e) => setRules({ [input.name]: e.target.value === '' ? null : Number(e.target.value) })}
+                    className={inputClass}
+                  />
+                </label>
+              ))}
+            </div>
+            <div className="flex flex-wrap gap-4">
+              <span>Require:</span>
+              {Object.entries(CHARACTER_CLASSES).map(([name, characterClass]) => (
+                <label key={name} className="flex items-center space-x-1">
+                  <input
+                    type="checkbox"
+                    checked={rules.requiredClasses.includes(name)}
+                    onChange={(e) => setRules({
+                      requiredClasses: e.target.checked
+                        ? [...rules.requiredClasses, name]
+                        : rules.requiredClasses.filter(required => required !== name)
+                    })}
+                  />
+                  <span>{characterClass.label}</span>
+                </label>
+              ))}
+            </div>
+            <label className="flex items-center space-x-1">
+              <input
+                type="checkbox"
+                checked={rules.blocklist}
+                onChange={(e) => setRules({ blocklist: e.target.checked })}
+              />
+              <span>Reject common, breached, banned and personal passwords</span>
+            </label>
+            {policyProblems.map(problem => (
+              <p key={problem} className="text-xs text-red-500">{problem}</p>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // Passphrase settings, shown in the Generator tab's passphrase mode
+  const renderPassphraseSettings = () => {
+    const inputClass = `p-2 rounded border ${darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300'}`;
+    const setSetting = (changes) => setPassphraseSettings(prev => ({ ...prev, ...changes }));
+
+    return (
+      <div className="space-y-5 text-sm">
+        <div>
+          <label className="block font-medium mb-2">Word list</label>
+          <select
+            value={passphraseSettings.wordlist}
+            onChange={(e) => setSetting({ wordlist: e.target.value })}
+            className={inputClass}
+          >
+            {Object.entries(PASSPHRASE_WORDLISTS).map(([id, list]) => (
+              <option key={id} value={id}>{list.name}</option>
+            ))}
+            <option value="custom">Custom list (file)</option>
+          </select>
+          <p className={`mt-1 text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+            {passphraseSettings.wordlist === 'custom'
+              ? 'One word per line; Diceware dice numbers in front are ignored. Use this for the EFF short lists or your own list.'
+              : PASSPHRASE_WORDLISTS[passphraseSettings.wordlist].description}
+          </p>
+          {passphraseSettings.wordlist === 'custom' && (
+            <div className="mt-2">
+              <input
+                type="file"
+                accept=".txt"
+                onChange={(e) => e.target.files[0] && e.target.files[0].text()
+                  .then(text => setCustomWordlist({ name: e.target.files[0].name, words: parseWordlist(text) }))}
+                className="text-sm"
+              />
+              {customWordlist && (
+                <p className={`text-xs mt-1 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                  {customWordlist.words.length.toLocaleString()} words from {customWordlist.name}
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+        
+        <div>
+          <label className="block font-medium mb-2">Words: {passphraseSettings.wordCount}</label>
+          <input
+            type="range"
+            min="3"
+            max="12"
+            value={passphraseSettings.wordCount}
+            onChange={(e) => setSetting({ wordCount: parseInt(e.target.value) })}
+            className="w-full"
+          />
+        </div>
+        
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <label className="block">
+            <span className="block font-medium mb-2">Separator</span>
+            <select
+              value={passphraseSettings.separator}
+              onChange={(e) => setSetting({ separator: e.target.value })}
+              className={inputClass}
+            >
+              <option value="-">Hyphen (-)</option>
+              <option value=" ">Space</option>
+              <option value=".">Period (.)</option>
+              <option value="_">Underscore (_)</option>
+              <option value="">None</option>
+            </select>
+          </label>
+          <label className="block">
+            <span className="block font-medium mb-2">Capitalization</span>
+            <select
+              value={passphraseSettings.capitalization}
+              onChange={(e) => setSetting({ capitalization: e.target.value })}
+              className={inputClass}
+            >
+              {Object.entries(CAPITALIZATION_MODES).map(([mode, label]) => (
+                <option key={mode} value={mode}>{label}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+        
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          {[
+            { key: 'addDigit', label: 'Add a digit to a random word' },
+            { key: 'addSymbol', label: 'Add a symbol to a random word' }
+          ].map(option => (
+            <label key={option.key} className="flex items-start space-x-3 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={passphraseSettings[option.key]}
+                onChange={(e) => setSetting({ [option.key]: e.target.checked })}
+                className="mt-0.5 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              <span>{option.label}</span>
+            </label>
+          ))}
+        </div>
+        {passphraseSettings.separator === '' && passphraseSettings.capitalization === 'none' && (
+          <p className="text-xs text-yellow-500">
+            Without a separator or capitals, different words can run together into the same passphrase, so the entropy shown is an upper bound.
+          </p>
+        )}
+      </div>
+    );
+  };
+
+  const renderMaskSettings = () => {
+    const inputClass = `p-2 rounded border ${darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300'}`;
+    const hintClass = `text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`;
+
+    return (
+      <div className="space-y-5 text-sm">
+        <div>
+          <label className="block font-medium mb-2">Template</label>
+          <input
+            type="text"
+            value={maskText}
+            onChange={(e) => setMaskText(e.target.value)}
+            spellCheck={false}
+            className={`w-full font-mono ${inputClass}`}
+          />
+          <div className="flex flex-wrap gap-2 mt-2">
+            {MASK_EXAMPLES.map(example => (
+              <button
+                key={example.mask}
+                onClick={() => setMaskText(example.mask)}
+                title={example.description}
+                className={`px-2 py-1 rounded font-mono text-xs ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-100 hover:bg-gray-200'} transition-colors`}
+              >
+                {example.mask}
+              </button>
+            ))}
+          </div>
+        </div>
+        
+        <div className={hintClass}>
+          <p className="mb-1">
+            {Object.entries(MASK_PLACEHOLDERS).map(([key, placeholder]) => `?${key} ${placeholder.label}`).join(', ')}.
+          </p>
+          <p>
+            [abc] or [a-f0-9?s] is a custom class, {'{n}'} repeats the element before it, \ makes the next character
+            literal, and anything else appears as written.
+          </p>
+        </div>
+        
+        {generatorReport && (
+          <div className={`p-3 rounded-lg ${darkMode ? 'bg-gray-700' : 'bg-gray-100'}`}>
+            <div className="flex justify-between"><span>Keyspace</span><span className="font-mono">{generatorReport.combinations.toLocaleString('en-US')}</span></div>
+            <div className="flex justify-between"><span>Entropy</span><span className="font-mono">{generatorReport.entropy.toFixed(1)} bits</span></div>
+            <div className="flex justify-between"><span>Strength</span><span>{maskStrength}</span></div>
+          </div>
+        )}
+        
+        <div>
+          <label className="block font-medium mb-2">Strength target</label>
+          <select value={strengthTarget} onChange={(e) => setStrengthTarget(e.target.value)} className={inputClass}>
+            {STRENGTH_LEVELS.map(level => (
+              <option key={level} value={level}>{level}</option>
+            ))}
+          </select>
+          {maskStrength && STRENGTH_LEVELS.indexOf(maskStrength) < STRENGTH_LEVELS.indexOf(strengthTarget) && (
+            <p className="mt-2 text-xs text-yellow-500">
+              This template only reaches {maskStrength} against an attacker who knows it, below the {strengthTarget} target.
+              Add positions or use broader classes.
+            </p>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  // Site rules in the passwordrules syntax, typed, pasted or picked from the local site database
+  const renderPasswordRules = () => {
+    const inputClass = `p-2 rounded border ${darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300'}`;
+    const hintClass = `text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`;
+    const buttonClass = `py-2 px-3 rounded-lg ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'} transition-colors disabled:opacity-50`;
+    const setRules = (rules) => setGeneratorSettings(prev => ({ ...prev, passwordRules: rules || null }));
+    const { rules } = parsePasswordRules(generatorSettings.passwordRules);
+    const siteEntry = findSiteRules(siteRules, siteAddress);
+    const domain = siteAddress.trim().toLowerCase();
+
+    const saveSiteRules = () => setSiteRules(prev => [
+      ...prev.filter(entry => entry.domain !== domain),
+      { domain, rules: generatorSettings.passwordRules }
+    ].sort((a, b) => a.domain.localeCompare(b.domain)));
+    const importSiteRules = (file) => file.text()
+      .then(text => {
+        const imported = parseSiteRules(text);
+        setSiteRules(prev => [
+          ...prev.filter(entry => !imported.some(item => item.domain === entry.domain)),
+          ...imported
+        ].sort((a, b) => a.domain.localeCompare(b.domain)));
+        setSiteRulesError(null);
+      })
+      .catch(error => setSiteRulesError(`Could not import site rules: ${error.message}`));
+
+    return (
+      <div className="text-sm space-y-3">
+        <div>
+          <label className="block font-medium mb-2">Site rules (passwordrules syntax)</label>
+          <textarea
+            value={generatorSettings.passwordRules || ''}
+            onChange={(e) => setRules(e.target.value)}
+            placeholder="minlength: 8; maxlength: 20; required: lower; required: upper; required: digit; allowed: [!@#];"
+            rows={2}
+            spellCheck={false}
+            className={`w-full font-mono text-xs ${inputClass}`}
+          />
+          <div className="flex flex-wrap gap-2 mt-1">
+            {PASSWORD_RULE_EXAMPLES.map(example => (
+              <button
+                key={example.rules}
+                onClick={() => setRules(example.rules)}
+                title={example.rules}
+                className={`px-2 py-1 rounded text-xs ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-100 hover:bg-gray-200'} transition-colors`}
+              >
+                {example.description}
+              </button>
+            ))}
+            {generatorSettings.passwordRules && (
+              <button onClick={() => setRules(null)} className="px-2 py-1 text-xs text-red-500 hover:underline">Clear</button>
+            )}
+          </div>
+          {generatorSettings.passwordRules ? (
+            <p className={`mt-2 ${hintClass}`}>
+              {rules.allowed.length} allowed characters
+              {rules.required.length > 0 && `, ${rules.required.length} required class${rules.required.length === 1 ? '' : 'es'}`}
+              {rules.minLength !== null && `, at least ${rules.minLength}`}
+              {rules.maxLength !== null && `, at most ${rules.maxLength} characters`}
+              {rules.maxConsecutive !== null && `, no character more than ${rules.maxConsecutive} times in a row`}.
+              These rules replace the character sets, minimums and target policy above.
+            </p>
+          ) : (
+            <p className={`mt-1 ${hintClass}`}>
+              Properties: required, allowed, max-consecutive, minlength, maxlength. Classes: upper, lower, digit, special,
+              ascii-printable, or custom ones such as [!@#].
+            </p>
+          )}
+        </div>
+        
+        <div>
+          <label className="block font-medium mb-2">Site database</label>
+          <div className="flex flex-wrap gap-2">
+            <input
+              type="text"
+              list="site-rules-domains"
+              value={siteAddress}
+              onChange={(e) => setSiteAddress(e.target.value)}
+              placeholder="example.com"
+              className={`flex-grow ${inputClass}`}
+            />
+            <datalist id="site-rules-domains">
+              {siteRules.map(entry => <option key={entry.domain} value={entry.domain} />)}
+            </datalist>
+            <button
+              onClick={saveSiteRules}
+              disabled={!domain || !generatorSettings.passwordRules}
+              className={buttonClass}
+            >
+              Save Rules for Site
+            </button>
+          </div>
+          {siteEntry && (
+            <div className="flex items-center justify-between gap-2 mt-2">
+              <span className="font-mono text-xs truncate" title={siteEntry.rules}>{siteEntry.domain}: {siteEntry.rules}</span>
+              <span className="flex gap-3 text-xs">
+                <button onClick={() => setRules(siteEntry.rules)} className="text-blue-500 hover:underline">Use</button>
+                <button
+                  onClick={() => setSiteRules(prev => prev.filter(entry => entry.domain !== siteEntry.domain))}
+                  className="text-red-500 hover:underline"
+                >
+                  Delete
+                </button>
+              </span>
+            </div>
+          )}
+          <div className="flex flex-wrap items-center gap-3 mt-2">
+            <label className={`cursor-pointer text-blue-500 hover:underline text-xs`}>
+              Import JSON
+              <input
+                type="file"
+                accept=".json"
+                onChange={(e) => e.target.files[0] && importSiteRules(e.target.files[0])}
+                className="hidden"
+              />
+            </label>
+            {siteRules.length > 0 && (
+              <button
+                onClick={() => downloadFile('site-rules.json', formatSiteRules(siteRules), 'application/json')}
+                className="text-blue-500 hover:underline text-xs"
+              >
+                Export JSON
+              </button>
+            )}
+            <span className={hintClass}>{siteRules.length} site{siteRules.length === 1 ? '' : 's'} saved in this browser</span>
+          </div>
+          {siteRulesError && <p className="mt-1 text-xs text-red-500">{siteRulesError}</p>}
+          <p className={`mt-1 ${hintClass}`}>
+            Imports read {'{ "example.com": "rules" }'} or the password-rules.json file of Apple's password-manager-resources.
+          </p>
+        </div>
+      </div>
+    );
+  };
+
+  // Stateless site passwords: the master password, site, login and counter decide the password, with the
+  // character and length settings above
+  const renderDerivationSettings = () => {
+    const inputClass = `p-2 rounded border ${darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300'}`;
+    const hintClass = `text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`;
+    const setField = (field, value) => setDerivation(prev => ({ ...prev, [field]: value }));
+    const checkTestVectors = () => {
+      setDeriveSelfTest({ status: 'running' });
+      runDeriveSelfTest()
+        .then(results => setDeriveSelfTest({ status: 'done', results }))
+        .catch(error => setDeriveSelfTest({ status: 'error', message: error.message }));
+    };
+    const failed = deriveSelfTest?.status === 'done' ? deriveSelfTest.results.filter(result => !result.passed) : [];
+
+    return (
+      <div className="text-sm space-y-3">
+        <label className="flex items-start space-x-3 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={derivation.enabled}
+            onChange={(e) => setField('enabled', e.target.checked)}
+            className="mt-0.5 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+          />
+          <span className="font-medium">Derive from a master password instead of generating</span>
+        </label>
+        {derivation.enabled && (
+          <>
+            <input
+              type="password"
+              value={masterPassword}
+              onChange={(e) => setMasterPassword(e.target.value)}
+              placeholder="Master password"
+              autoComplete="off"
+              className={`w-full ${inputClass}`}
+            />
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+              <input
+                type="text"
+                value={derivation.site}
+                onChange={(e) => setField('site', e.target.value)}
+                placeholder="Site (example.com)"
+                className={`sm:col-span-2 ${inputClass}`}
+              />
+              <label className="flex items-center space-x-2">
+                <span>Counter</span>
+                <input
+                  type="number"
+                  min="1"
+                  value={derivation.counter}
+                  onChange={(e) => setField('counter', Number(e.target.value))}
+                  className={`w-20 ${inputClass}`}
+                />
+              </label>
+            </div>
+            <input
+              type="text"
+              value={derivation.login}
+              onChange={(e) => setField('login', e.target.value)}
+              placeholder="Login (optional)"
+              className={`w-full ${inputClass}`}
+            />
+            <p className={hintClass}>
+              The same master password, site, login, counter and settings always give the same password, so nothing is
+              stored; raise the counter to change a site's password. The master password is stretched with{' '}
+              {DERIVATION_ITERATIONS.toLocaleString('en-US')} rounds of PBKDF2, but anyone who learns it can derive every
+              password, so it must be strong and used nowhere else. Target policies are not available here; use site rules.
+            </p>
+            <div className="flex flex-wrap items-center gap-3">
+              <button
+                onClick={checkTestVectors}
+                disabled={deriveSelfTest?.status === 'running'}
+                className={`py-2 px-3 rounded-lg ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'} transition-colors disabled:opacity-50`}
+              >
+                {deriveSelfTest?.status === 'running' ? 'Checking...' : 'Check Test Vectors'}
+              </button>
+              {deriveSelfTest?.status === 'done' && (
+                <span className={failed.length === 0 ? 'text-green-500' : 'text-red-500'}>
+                  {deriveSelfTest.results.length - failed.length} of {deriveSelfTest.results.length} test vectors match
+                  {failed.length > 0 && `; derived passwords differ from earlier releases (${failed.map(result => result.site).join(', ')})`}
+                </span>
+              )}
+              {deriveSelfTest?.status === 'error' && <span className="text-red-500">{deriveSelfTest.message}</span>}
+            </div>
+          </>
+        )}
+      </div>
+    );
+  };
+
+  // Vault tab: create, unlock, edit and audit the encrypted vault
+  const renderVault = () => {
+    const cardClass = `${darkMode ? 'bg-gray-800/90' : 'bg-white/90'} backdrop-blur-sm rounded-xl p-6 border ${darkMode ? 'border-gray-700' : 'border-gray-200'}`;
+    const inputClass = `p-2 rounded border ${darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300'}`;
+    const hintClass = `text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`;
+    const buttonClass = `py-2 px-3 rounded-lg ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'} transition-colors disabled:opacity-50`;
+    const primaryClass = `py-2 px-4 rounded-lg ${darkMode ? 'bg-blue-600 hover:bg-blue-700' : 'bg-blue-500 hover:bg-blue-600'} text-white font-medium transition-colors disabled:opacity-50`;
+    const importButton = (
+      <label className="cursor-pointer text-blue-500 hover:underline text-xs">
+        Import Encrypted Backup
+        <input
+          type="file"
+          accept=".json"
+          onChange={(e) => {
+            if (e.target.files[0]) importVault(e.target.files[0]);
+            e.target.value = '';
+          }}
+          className="hidden"
+        />
+      </label>
+    );
+
+    if (vaultRecord === undefined) {
+      return <div className={cardClass}><p className="text-gray-500">Opening the vault storage...</p></div>;
+    }
+
+    if (!vaultSession) {
+      const creating = vaultRecord === null;
+      const problems = creating && vaultMaster ? masterPasswordProblems(vaultMaster) : [];
+      const mismatch = creating && vaultMasterConfirm && vaultMasterConfirm !== vaultMaster;
+      const ready = vaultMaster && (!creating || (problems.length === 0 && vaultMasterConfirm === vaultMaster));
+      const submit = () => {
+        if (ready && !vaultBusy) (creating ? createNewVault : unlockVault)();
+      };
+      return (
+        <div className={cardClass}>
+          <h2 className="text-2xl font-bold mb-4 flex items-center">
+            <Lock className="h-6 w-6 mr-2 text-blue-500" />
+            {creating ? 'Create Your Vault' : 'Unlock Vault'}
+          </h2>
+          <div className="max-w-md space-y-3 text-sm">
+            <input
+              type="password"
+              value={vaultMaster}
+              onChange={(e) => setVaultMaster(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && submit()}
+              placeholder="Master password"
+              autoComplete={creating ? 'new-password' : 'current-password'}
+              className={`w-full ${inputClass}`}
+            />
+            {creating && (
+              <input
+                type="password"
+                value={vaultMasterConfirm}
+                onChange={(e) => setVaultMasterConfirm(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && submit()}
+                placeholder="Repeat the master password"
+                autoComplete="new-password"
+                className={`w-full ${inputClass}`}
+              />
+            )}
+            {[...problems, ...(mismatch ? ['The passwords do not match'] : [])].map(problem => (
+              <p key={problem} className="text-red-500">{problem}</p>
+            ))}
+            {vaultError && <p className="text-red-500">{vaultError}</p>}
+            <button onClick={submit} disabled={!ready || vaultBusy} className={primaryClass}>
+              {vaultBusy ? 'Deriving key...' : creating ? 'Create Vault' : 'Unlock'}
+            </button>
+            <p className={hintClass}>
+              Entries are encrypted with AES-256-GCM under a key derived from the master password with{' '}
+              {(vaultRecord?.kdf.iterations ?? VAULT_ITERATIONS).toLocaleString('en-US')} rounds of PBKDF2, and stored in this
+              browser only. Nothing is sent anywhere, and a forgotten master password cannot be recovered.
+            </p>
+            <div className="flex flex-wrap gap-4">
+              {importButton}
+              {!creating && <button onClick={deleteVault} className="text-red-500 hover:underline text-xs">Delete Vault</button>}
+            </div>
+          </div>
+        </div>
+      );
+    }
+
+    const entries = searchVault(vaultEntries, vaultQuery);
+    const formProblems = vaultEntryProblems(vaultForm);
+    const setFormField = (field, value) => setVaultForm(prev => ({ ...prev, [field]: value }));
+    const toggleReveal = (id) => setRevealedEntries(prev => (prev.includes(id) ? prev.filter(item => item !== id) : [...prev, id]));
+
+    return (
+      <div className="space-y-8">
+        <div className={cardClass}>
+          <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+            <h2 className="text-2xl font-bold flex items-center">
+              <Lock className="h-6 w-6 mr-2 text-blue-500" />
+              Vault
+            </h2>
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <label className="flex items-center space-x-2">
+                <span>Auto-lock after</span>
+                <select
+                  value={vaultAutoLock}
+                  onChange={(e) => setVaultAutoLock(Number(e.target.value))}
+                  className={inputClass}
+                >
+                  {VAULT_AUTO_LOCK_OPTIONS.map(minutes => (
+                    <option key={minutes} value={minutes}>{minutes} min</option>
+                  ))}
+                </select>
+              </label>
+              <button onClick={lockVault} className={primaryClass}>Lock Now</button>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+            <div className="space-y-3 text-sm">
+              <label className="block font-medium">{vaultForm.id ? 'Edit Entry' : 'New Entry'}</label>
+              <input
+                type="text"
+                value={vaultForm.site}
+                onChange={(e) => setFormField('site', e.target.value)}
+                placeholder="Site or service"
+                className={`w-full ${inputClass}`}
+              />
+              <input
+                type="text"
+                value={vaultForm.username}
+                onChange={(e) => setFormField('username', e.target.value)}
+                placeholder="Username or email"
+                autoComplete="off"
+                className={`w-full ${inputClass}`}
+              />
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  value={vaultForm.password}
+                  onChange={(e) => setFormField('password', e.target.value)}
+                  placeholder="Password"
+                  autoComplete="off"
+                  spellCheck={false}
+                  className={`flex-grow font-mono ${inputClass}`}
+                />
+                <button
+                  onClick={() => setFormField('password', generatedPassword)}
+                  disabled={!generatedPassword}
+                  title={generatedPassword ? 'Use the password from the Generator tab' : 'Generate a password in the Generator tab first'}
+                  className={buttonClass}
+                >
+                  Use Generated
+                </button>
+              </div>
+              <textarea
+                value={vaultForm.notes}
+                onChange={(e) => setFormField('notes', e.target.value)}
+                placeholder="Notes"
+                rows={2}
+                className={`w-full ${inputClass}`}
+              />
+              <input
+                type="text"
+                value={vaultForm.tags}
+                onChange={(e) => setFormField('tags', e.target.value)}
+                placeholder="Tags, separated by commas"
+                className={`w-full ${inputClass}`}
+              />
+              <div className="flex gap-2">
+                <button onClick={saveVaultForm} disabled={formProblems.length > 0} className={primaryClass}>
+                  {vaultForm.id ? 'Save Changes' : 'Add Entry'}
+                </button>
+                {(vaultForm.id || vaultForm.site || vaultForm.password) && (
+                  <button onClick={() => setVaultForm(EMPTY_VAULT_FORM)} className={buttonClass}>Cancel</button>
+                )}
+              </div>
+              {vaultError && <p className="text-red-500">{vaultError}</p>}
+            </div>
+
+            <div className="space-y-3 text-sm">
+              <label className="block font-medium">Your Vault</label>
+              <p className={hintClass}>
+                {vaultEntries.length} entr{vaultEntries.length === 1 ? 'y' : 'ies'}, encrypted in this browser. Unlocked entries
+                stay in memory until the vault locks, after {vaultAutoLock} minute{vaultAutoLock === 1 ? '' : 's'} without
+                activity.
+              </p>
+              <div className="flex flex-wrap gap-2">
+                <button onClick={auditVault} disabled={vaultEntries.length === 0} className={buttonClass}>
+                  Audit All in Bulk Analysis
+                </button>
+                <button
+                  onClick={() => downloadFile('hardlock-vault.json', JSON.stringify(vaultRecord, null, 2), 'application/json')}
+                  className={buttonClass}
+                >
+                  Export Encrypted Backup
+                </button>
+              </div>
+              <div className="flex flex-wrap gap-4">
+                {importButton}
+                <button onClick={deleteVault} className="text-red-500 hover:underline text-xs">Delete Vault</button>
+              </div>
+              <p className={hintClass}>
+                Backups stay encrypted and open with the master password they were made under.
+              </p>
+            </div>
+          </div>
+        </div>
+
+        <div className={cardClass}>
+          <input
+            type="text"
+            value={vaultQuery}
+            onChange={(e) => setVaultQuery(e.target.value)}
+            placeholder="Search sites, usernames, notes and tags"
+            className={`w-full mb-4 text-sm ${inputClass}`}
+          />
+          {entries.length === 0 ? (
+            <p className="text-gray-500 text-sm">{vaultEntries.length === 0 ? 'The vault is empty.' : 'No entries match.'}</p>
+          ) : (
+            <ul className={`divide-y ${darkMode ? 'divide-gray-700' : 'divide-gray-200'}`}>
+              {entries.map(entry => (
+                <li key={entry.id} className="py-3 text-sm">
+                  <div className="flex flex-wrap items-start justify-between gap-3">
+                    <div className="min-w-0">
+                      <div className="font-medium truncate">{entry.site}</div>
+                      {entry.username && <div className={hintClass}>{entry.username}</div>}
+                      <div className="font-mono mt-1 break-all">
+                        {revealedEntries.includes(entry.id) ? entry.password : '••••••••••••'}
+                      </div>
+                      {entry.notes && <p className={`mt-1 whitespace-pre-wrap ${hintClass}`}>{entry.notes}</p>}
+                      {entry.tags.length > 0 && (
+                        <div className="flex flex-wrap gap-1 mt-1">
+                          {entry.tags.map(tag => (
+                            <button
+                              key={tag}
+                              onClick={() => setVaultQuery(tag)}
+                              className={`px-2 py-0.5 rounded-full text-xs ${darkMode ? 'bg-gray-700' : 'bg-gray-100'}`}
+                            >
+                              {tag}
+                            </button>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                    <div className="flex items-center gap-3 text-xs">
+                      <button
+                        onClick={() => toggleReveal(entry.id)}
+                        title={revealedEntries.includes(entry.id) ? 'Hide password' : 'Show password'}
+                        className="text-gray-500 hover:text-gray-400"
+                      >
+                        {revealedEntries.includes(entry.id) ? <EyeOff className="h-4 w-4" /> : <Eye className="h-4 w-4" />}
+                      </button>
+                      <button onClick={() => copyToClipboard(entry.password)} title="Copy password" className="text-gray-500 hover:text-gray-400">
+                        <Copy className="h-4 w-4" />
+                      </button>
+                      <button onClick={() => analyzeVaultEntry(entry)} className="text-blue-500 hover:underline">Analyze</button>
+                      <button
+                        onClick={() => setVaultForm({ ...entry, tags: entry.tags.join(', ') })}
+                        className="text-blue-500 hover:underline"
+                      >
+                        Edit
+                      </button>
+                      <button onClick={() => deleteVaultEntry(entry.id)} className="text-red-500 hover:underline">Delete</button>
+                    </div>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  const renderPinSettings = () => (
+    <div className="space-y-5 text-sm">
+      <div>
+        <label className="block font-medium mb-2">Digits: {pinLength}</label>
+        <input
+          type="range"
+          min={MIN_PIN_LENGTH}
+          max={MAX_PIN_LENGTH}
+          value={pinLength}
+          onChange={(e) => setPinLength(parseInt(e.target.value))}
+          className="w-full"
+        />
+      </div>
+      <p className={darkMode ? 'text-gray-400' : 'text-gray-500'}>
+        PINs are drawn uniformly from every PIN of this length that is not on a list of the most common PINs and
+        not a repeated digit, sequence, repeated block, keypad shape, mirrored PIN, year or date.
+      </p>
+    </div>
+  );
+
+  // PIN analysis card for the Analyzer tab
+  const renderPinAnalysis = () => {
+    if (!pinAnalysis) {
+      return (
+        <div className={`${darkMode ? 'bg-gray-800/90' : 'bg-white/90'} backdrop-blur-sm rounded-xl p-6 border ${darkMode ? 'border-gray-700' : 'border-gray-200'} flex items-center justify-center`}>
+          <p className="text-gray-500">{pin ? pinProblem(pin) : 'Enter a PIN to see analysis results'}</p>
+        </div>
+      );
+    }
+
+    const { percentile } = pinAnalysis;
+    const [textColor, barColor] = percentile < 10 ? ['text-red-500', 'bg-red-500']
+      : percentile < 40 ? ['text-yellow-500', 'bg-yellow-500'] : ['text-green-500', 'bg-green-500'];
+    return (
+      <div className={`${darkMode ? 'bg-gray-800/90' : 'bg-white/90'} backdrop-blur-sm rounded-xl p-6 border ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+        <h3 className="text-xl font-semibold mb-4">PIN Analysis</h3>
+        <div className="space-y-4">
+          <div>
+            <div className="flex justify-between items-center mb-2">
+              <span className="font-medium">Rarer than</span>
+              <span className={`font-bold ${textColor}`}>{percentile}% of PINs</span>
+            </div>
+            <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-3">
+              <div className={`h-3 rounded-full transition-all duration-500 ${barColor}`} style={{ width: `${Math.max(percentile, 1)}%` }}></div>
+            </div>
+            <p className={`text-sm mt-1 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+              An attacker trying the most likely PINs first gets through {percentile}% of
+              all {pinAnalysis.total.toLocaleString()} {pinAnalysis.length}-digit PINs before reaching this one
+              {pinAnalysis.predictable
+                ? ` (guess ${Math.round(pinAnalysis.guessRank).toLocaleString()}).`
+                : ', on average.'}
+            </p>
+          </div>
+          <ul className="space-y-2">
+            {pinAnalysis.feedback.map(item => (
+              <li key={item} className="flex items-start space-x-2 text-sm">
+                {pinAnalysis.predictable ? (
+                  <AlertTriangle className="h-4 w-4 text-red-500 mt-0.5 flex-shrink-0" />
+                ) : (
+                  <CheckCircle className="h-4 w-4 text-green-500 mt-0.5 flex-shrink-0" />
+                )}
+                <span>{item}</span>
+              </li>
+            ))}
+          </ul>
+          {pinAnalysis.predictable && (
+            <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+              The Generator tab's PIN mode picks PINs outside all of these classes.
+            </p>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  // Language pack selection, shared by the Analyzer and Bulk Analysis tabs
+  const renderLanguagePackOptions = () => (
+    <div>
+      <div className="flex flex-wrap items-center gap-x-4 gap-y-2 text-sm">
+        <span className="font-medium">Dictionaries:</span>
+        <span className={darkMode ? 'text-gray-400' : 'text-gray-500'}>English</span>
+        {Object.entries(LANGUAGE_PACKS).map(([id, pack]) => (
+          <label key={id} className="flex items-center space-x-1 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={selectedLanguages.includes(id)}
+              onChange={() => toggleLanguagePack(id)}
+            />
+            <span>{pack.name}</span>
+            {selectedLanguages.includes(id) && !loadedLanguages.includes(id) && (
+              <span className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>(loading...)</span>
+            )}
+          </label>
+        ))}
+      </div>
+      {languagePackError && <p className="text-xs mt-1 text-red-500">{languagePackError}</p>}
+    </div>
+  );
+
+  // Organization banned-terms editor, shared by the Analyzer and Bulk Analysis tabs
+  const renderBannedTermsEditor = () => (
+    <div>
+      <button
+        onClick={() => setShowBannedTerms(!showBannedTerms)}
+        className={`flex items-center space-x-1 text-sm font-medium ${darkMode ? 'text-gray-300 hover:text-white' : 'text-gray-600 hover:text-gray-900'}`}
+      >
+        {showBannedTerms ? <ChevronUp className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+        <span>Organization banned terms ({bannedTerms.length})</span>
+      </button>
+      {showBannedTerms && (
+        <div className="mt-3 space-y-2">
+          <textarea
+            value={bannedTermsText}
+            onChange={(e) => setBannedTermsText(e.target.value)}
+            placeholder="Company, product, office and project names - one per line or comma-separated"
+            rows={4}
+            className={`w-full p-2 text-sm rounded-lg border ${darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300'} focus:ring-2 focus:ring-blue-500 focus:border-transparent`}
+          />
+          <div className="flex items-center justify-between text-sm">
+            <input
+              type="file"
+              accept=".txt,.csv"
+              onChange={(e) => e.target.files[0] && e.target.files[0].text().then(setBannedTermsText)}
+              className="text-sm"
+            />
+            {bannedTermsText && (
+              <button
+                onClick={() => setBannedTermsText('')}
+                className={`${darkMode ? 'text-gray-400 hover:text-white' : 'text-gray-500 hover:text-gray-900'}`}
+              >
+                Clear
+              </button>
+            )}
+          </div>
+          <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+            Passwords containing these terms, in any case, in l33t speak, reversed or with extra characters around them, are treated as common. The list is stored in this browser only.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+
+  // Owner details form, shared by the Analyzer and Bulk Analysis tabs
+  const renderUserContextFields = () => (
+    <div>
+      <button
+        onClick={() => setShowUserContext(!showUserContext)}
+        className={`flex items-center space-x-1 text-sm font-medium ${darkMode ? 'text-gray-300 hover:text-white' : 'text-gray-600 hover:text-gray-900'}`}
+      >
+        {showUserContext ? <ChevronUp className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+        <span>Personal details (optional)</span>
+      </button>
+      {showUserContext && (
+        <div className="mt-3">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            {[
+              { field: 'name', label: 'Name', placeholder: 'Jane Doe' },
+              { field: 'username', label: 'Username', placeholder: 'jdoe' },
+              { field: 'email', label: 'Email', placeholder: 'jane@example.com' },
+              { field: 'company', label: 'Company', placeholder: 'Example Corp' },
+              { field: 'birthDate', label: 'Birth date', type: 'date' },
+              { field: 'site', label: 'Site name', placeholder: 'example.com' }
+            ].map(input => (
+              <label key={input.field} className="block text-sm">
+                <span className="block mb-1">{input.label}</span>
+                <input
+                  type={input.type || 'text'}
+                  value={userContext[input.field]}
+                  onChange={(e) => setUserContext({ ...userContext, [input.field]: e.target.value })}
+                  placeholder={input.placeholder}
+                  className={`w-full p-2 rounded-lg border ${darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300'} focus:ring-2 focus:ring-blue-500 focus:border-transparent`}
+                />
+              </label>
+            ))}
+          </div>
+          <p className={`text-xs mt-2 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+            Passwords containing these details, even reversed, in l33t speak or in part, are scored like the most common words. They are kept in memory only.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+
+  // Breach data source settings, shared by the Analyzer and Bulk Analysis tabs
+  const renderBreachSourceSettings = () => (
+    <div className="space-y-2">
+      <div className="flex items-center space-x-4 text-sm">
+        {[
+          { type: 'url', label: 'Internal URL / local server' },
+          { type: 'folder', label: 'Local folder' }
+        ].map(option => (
+          <label key={option.type} className="flex items-center space-x-1 cursor-pointer">
+            <input
+              type="radio"
+              checked={breachSource.type === option.type}
+              onChange={() => setBreachSource({ ...breachSource, type: option.type })}
+            />
+            <span>{option.label}</span>
+          </label>
+        ))}
+      </div>
+      {breachSource.type === 'url' ? (
+        <input
+          type="text"
+          value={breachSource.url}
+          onChange={(e) => setBreachSource({ ...breachSource, url: e.target.value })}
+          placeholder="http://127.0.0.1:8787/range/{prefix}"
+          className={`w-full p-2 text-sm rounded-lg border ${darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300'} focus:ring-2 focus:ring-blue-500 focus:border-transparent`}
+        />
+      ) : (
+        <div className="text-sm">
+          <input
+            type="file"
+            webkitdirectory=""
+            multiple
+            onChange={(e) => setBreachSource({ ...breachSource, files: Array.from(e.target.files) })}
+            className="text-sm"
+          />
+          {rangeSource && (
+            <p className={`text-xs mt-1 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+              {rangeSource.size.toLocaleString()} range files imported
+            </p>
+          )}
+        </div>
+      )}
+      <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+        Passwords are hashed with SHA-1 in the browser and only the first 5 characters of the hash are looked up.
+      </p>
+    </div>
+  );
 
+  // Load the selected built-in word list when passphrase mode needs it
   useEffect(() => {
-    analyzePassword(password);
-  }, [password, analyzePassword]);
+    const { wordlist } = passphraseSettings;
+    if (generatorMode !== 'passphrase' || wordlist === 'custom') return;
+    
+    loadPassphraseWordlist(wordlist)
+      .then(words => setLoadedWordlist({ id: wordlist, words }))
+      .catch(error => setGeneratorError(`Could not load the word list: ${error.message}`));
+  }, [generatorMode, passphraseSettings]);
 
   useEffect(() => {
     generatePassword();
   }, [generatorSettings, generatePassword]);
 
+  // A derived password belongs to the master password, site, login and counter it was derived from
+  useEffect(() => {
+    if (derivation.enabled) setGeneratedPassword('');
+  }, [masterPassword, derivation]);
+
   return (
     <div className={`min-h-screen transition-colors duration-300 ${darkMode ? 'bg-gray-900 text-white' : 'bg-gray-50 text-gray-900'} relative overflow-hidden flex flex-col`} style={{ fontFamily: 'system-ui, -apple-system, sans-serif' }}>
       
@@ -997,6 +1754,7 @@ const PasswordSecurityApp = () => {
             {[
               { id: 'analyzer', label: 'Password Analyzer', icon: BarChart3 },
               { id: 'generator', label: 'Generator', icon: Zap },
+              { id: 'vault', label: 'Vault', icon: Lock },
               { id: 'bulk', label: 'Bulk Analysis', icon: Database },
               { id: 'education', label: 'Security Guide', icon: Book },
               { id: 'documentation', label: 'Documentation', icon: Info }
@@ -1026,29 +1784,91 @@ const PasswordSecurityApp = () => {
             <div className={`${darkMode ? 'bg-gray-800/90' : 'bg-white/90'} backdrop-blur-sm rounded-xl p-6 border ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
               <h2 className="text-2xl font-bold mb-4 flex items-center">
                 <Target className="h-6 w-6 mr-2 text-blue-500" />
-                Password Strength Analyzer
+                {analyzerMode === 'pin' ? 'PIN Analyzer' : 'Password Strength Analyzer'}
               </h2>
               
-              <div className="relative">
-                <input
-                  type={showPassword ? 'text' : 'password'}
-                  value={password}
-                  onChange={(e) => setPassword(e.target.value)}
-                  placeholder="Enter password to analyze..."
-                  className={`w-full p-4 pr-12 rounded-lg border ${darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300'} focus:ring-2 focus:ring-blue-500 focus:border-transparent`}
-                />
-                <button
-                  onClick={() => setShowPassword(!showPassword)}
-                  className={`absolute right-3 top-1/2 transform -translate-y-1/2 ${darkMode ? 'text-gray-400 hover:text-gray-300' : 'text-gray-500 hover:text-gray-700'}`}
-                >
-                  {showPassword ? <EyeOff className="h-5 w-5" /> : <Eye className="h-5 w-5" />}
-                </button>
+              <div className="flex space-x-2 mb-4">
+                {[
+                  { id: 'password', label: 'Password' },
+                  { id: 'pin', label: 'PIN' }
+                ].map(mode => (
+                  <button
+                    key={mode.id}
+                    onClick={() => setAnalyzerMode(mode.id)}
+                    className={`py-2 px-4 rounded-lg text-sm font-medium transition-colors ${
+                      analyzerMode === mode.id
+                        ? 'bg-blue-500 text-white'
+                        : darkMode ? 'bg-gray-700 text-gray-300 hover:bg-gray-600' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                    }`}
+                  >
+                    {mode.label}
+                  </button>
+                ))}
               </div>
+              
+              {analyzerMode === 'pin' ? (
+                <div className="relative">
+                  <input
+                    type={showPassword ? 'text' : 'password'}
+                    inputMode="numeric"
+                    value={pin}
+                    onChange={(e) => setPin(e.target.value.trim())}
+                    placeholder={`Enter a ${MIN_PIN_LENGTH} to ${MAX_PIN_LENGTH} digit PIN...`}
+                    className={`w-full p-4 pr-12 rounded-lg border font-mono ${darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300'} focus:ring-2 focus:ring-blue-500 focus:border-transparent`}
+                  />
+                  <button
+                    onClick={() => setShowPassword(!showPassword)}
+                    className={`absolute right-3 top-1/2 transform -translate-y-1/2 ${darkMode ? 'text-gray-400 hover:text-gray-300' : 'text-gray-500 hover:text-gray-700'}`}
+                  >
+                    {showPassword ? <EyeOff className="h-5 w-5" /> : <Eye className="h-5 w-5" />}
+                  </button>
+                </div>
+              ) : (
+                <>
+                  <div className="relative">
+                    <input
+                      type={showPassword ? 'text' : 'password'}
+                      value={password}
+                      onChange={(e) => setPassword(e.target.value)}
+                      placeholder="Enter password to analyze..."
+                      className={`w-full p-4 pr-12 rounded-lg border ${darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300'} focus:ring-2 focus:ring-blue-500 focus:border-transparent`}
+                    />
+                    <button
+                      onClick={() => setShowPassword(!showPassword)}
+                      className={`absolute right-3 top-1/2 transform -translate-y-1/2 ${darkMode ? 'text-gray-400 hover:text-gray-300' : 'text-gray-500 hover:text-gray-700'}`}
+                    >
+                      {showPassword ? <EyeOff className="h-5 w-5" /> : <Eye className="h-5 w-5" />}
+                    </button>
+                  </div>
+              
+                  {!pinProblem(password) && (
+                    <p className={`mt-2 text-sm ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                      This looks like a PIN.{' '}
+                      <button
+                        onClick={() => {
+                          setPin(password);
+                          setAnalyzerMode('pin');
+                        }}
+                        className="text-blue-500 hover:underline"
+                      >
+                        Analyze it as a PIN
+                      </button>
+                    </p>
+                  )}
+                
+                  <div className="mt-4 space-y-3">
+                    {renderPolicySelector()}
+                    {renderLanguagePackOptions()}
+                    {renderBannedTermsEditor()}
+                    {renderUserContextFields()}
+                  </div>
+                </>
+              )}
             </div>
 
             {/* Analysis Results */}
             <div className="grid grid-cols-1 gap-8 min-h-[400px]">
-              {analysis ? (
+              {analyzerMode === 'pin' ? renderPinAnalysis() : analysis ? (
                 <>
                   <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
                     {/* Strength Overview */}
@@ -1075,6 +1895,27 @@ const PasswordSecurityApp = () => {
                           <p className={`text-sm mt-1 ${analysis.strengthColor}`}>{analysis.strength}</p>
                         </div>
                         
+                        {/* Policy Compliance */}
+                        {policyResult && (
+                          <div className={`p-3 rounded-lg border ${policyResult.passed ? 'bg-green-500/20 border-green-500/30' : 'bg-red-500/20 border-red-500/30'}`}>
+                            <p className="font-medium mb-2">
+                              {policyResult.name}: {policyResult.passed ? 'Compliant' : 'Not compliant'}
+                            </p>
+                            <ul className="text-sm space-y-1">
+                              {policyResult.results.map(result => (
+                                <li key={result.rule} className="flex items-center space-x-2">
+                                  {result.passed ? (
+                                    <CheckCircle className="h-4 w-4 text-green-500" />
+                                  ) : (
+                                    <AlertTriangle className="h-4 w-4 text-red-500" />
+                                  )}
+                                  <span>{result.label}</span>
+                                </li>
+                              ))}
+                            </ul>
+                          </div>
+                        )}
+                        
                         <div className="grid grid-cols-2 gap-4">
                           <div className={`p-3 rounded-lg ${darkMode ? 'bg-gray-700' : 'bg-gray-100'}`}>
                             <div className="flex items-center justify-between">
@@ -1127,6 +1968,77 @@ const PasswordSecurityApp = () => {
                               {analysis.isCommon ? 'Common Password Detected' : 'Not a Common Password'}
                             </span>
                           </div>
+                          {analysis.commonRank && (
+                            <p className="text-sm mt-1 text-red-600 dark:text-red-400">
+                              This is the {formatRank(analysis.commonRank)} most common password in breach data
+                            </p>
+                          )}
+                          {!corpusLoaded && (
+                            <p className={`text-xs mt-1 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                              Loading the breached-password list...
+                            </p>
+                          )}
+                        </div>
+
+                        {/* Organization Terms */}
+                        {analysis.organizationTerms.length > 0 && (
+                          <div className="p-4 rounded-lg bg-red-500/20 border border-red-500/30">
+                            <div className="flex items-center space-x-2">
+                              <AlertTriangle className="h-5 w-5 text-red-500" />
+                              <span className="font-medium">
+                                Organization term: {analysis.organizationTerms.join(', ')}
+                              </span>
+                            </div>
+                          </div>
+                        )}
+
+                        {/* Personal Information */}
+                        {analysis.personalDetails.length > 0 && (
+                          <div className="p-4 rounded-lg bg-red-500/20 border border-red-500/30">
+                            <div className="flex items-start space-x-2">
+                              <AlertTriangle className="h-5 w-5 text-red-500 mt-0.5" />
+                              <div>
+                                <p className="font-medium">Personal Information Found</p>
+                                <ul className="text-sm mt-1 space-y-1">
+                                  {analysis.personalDetails.map((detail, index) => (
+                                    <li key={index} className="text-red-600 dark:text-red-400">• Your {detail.label}: {detail.token}</li>
+                                  ))}
+                                </ul>
+                              </div>
+                            </div>
+                          </div>
+                        )}
+
+                        {/* Breach Check */}
+                        <div className={`p-4 rounded-lg border ${darkMode ? 'bg-gray-700/50 border-gray-600' : 'bg-gray-50 border-gray-200'}`}>
+                          <div className="flex items-center justify-between mb-3">
+                            <div className="flex items-center space-x-2">
+                              <ShieldAlert className="h-5 w-5 text-blue-500" />
+                              <span className="font-medium">Has this been breached?</span>
+                            </div>
+                            <button
+                              onClick={checkPasswordBreach}
+                              disabled={!rangeSource || breachCheck?.status === 'checking'}
+                              className={`px-3 py-1 rounded-lg text-sm font-medium transition-colors ${
+                                rangeSource
+                                  ? `${darkMode ? 'bg-blue-600 hover:bg-blue-700' : 'bg-blue-500 hover:bg-blue-600'} text-white`
+                                  : `${darkMode ? 'bg-gray-700 text-gray-400' : 'bg-gray-300 text-gray-500'} cursor-not-allowed`
+                              }`}
+                            >
+                              {breachCheck?.password === password && breachCheck.status === 'checking' ? 'Checking...' : 'Check'}
+                            </button>
+                          </div>
+                          {breachCheck?.password === password && breachCheck.status !== 'checking' && (
+                            <p className={`text-sm mb-3 font-medium ${
+                              breachCheck.breached ? 'text-red-500' : breachCheck.breached === false ? 'text-green-500' : 'text-yellow-500'
+                            }`}>
+                              {breachCheck.status === 'error' ? `Breach check failed: ${breachCheck.error}` :
+                                breachCheck.breached ? `Found in breach data ${breachCheck.count.toLocaleString()} times` :
+                                breachCheck.breached === false ? 'Not found in breach data' :
+                                'No range file for this password\'s hash prefix'}
+                            </p>
+                          )}
+                          {renderBreachSourceSettings()}
                         </div>
 
                         {/* Pattern Detection */}
@@ -1141,6 +2053,11 @@ const PasswordSecurityApp = () => {
                                     <li key={index} className="text-yellow-600 dark:text-yellow-400">• {pattern}</li>
                                   ))}
                                 </ul>
+                                {analysis.languages.length > 0 && (
+                                  <p className="text-sm mt-2 text-yellow-700 dark:text-yellow-300">
+                                    Words found in: {analysis.languages.join(', ')}
+                                  </p>
+                                )}
                               </div>
                             </div>
                           </div>
@@ -1165,6 +2082,10 @@ const PasswordSecurityApp = () => {
                               <span className="text-gray-400 w-32">Optimized Rig:</span>
                               <span className="font-mono">{formatTime(analysis.timeToCrack.optimized)}</span>
                             </div>
+                            <div className="flex items-center">
+                              <span className="text-gray-400 w-32">Est. Guesses:</span>
+                              <span className="font-mono">10^{Math.round(analysis.guessesLog10 * 10) / 10}</span>
+                            </div>
                           </div>
                         </div>
                       </div>
@@ -1207,50 +2128,168 @@ const PasswordSecurityApp = () => {
                 Password Generator
               </h2>
               
+              <div className="flex space-x-2 mb-6">
+                {[
+                  { id: 'password', label: 'Password' },
+                  { id: 'passphrase', label: 'Passphrase' },
+                  { id: 'template', label: 'Template' },
+                  { id: 'pin', label: 'PIN' }
+                ].map(mode => (
+                  <button
+                    key={mode.id}
+                    onClick={() => setGeneratorMode(mode.id)}
+                    className={`py-2 px-4 rounded-lg text-sm font-medium transition-colors ${
+                      generatorMode === mode.id
+                        ? 'bg-blue-500 text-white'
+                        : darkMode ? 'bg-gray-700 text-gray-300 hover:bg-gray-600' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                    }`}
+                  >
+                    {mode.label}
+                  </button>
+                ))}
+              </div>
+              
               <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
-                <div className="space-y-6">
-                  <div>
-                    <label className="block text-sm font-medium mb-2">
-                      Length: {generatorSettings.length}
-                    </label>
-                    <div className="flex items-center gap-4">
-                      <input
-                        type="range"
-                        min="4"
-                        max="128"
-                        value={generatorSettings.length}
-                        onChange={(e) => setGeneratorSettings(prev => ({ ...prev, length: parseInt(e.target.value) }))}
-                        className="flex-grow"
-                      />
-                      <span className="text-sm font-mono w-8 text-center">{generatorSettings.length}</span>
+                {generatorMode === 'passphrase' && renderPassphraseSettings()}
+                {generatorMode === 'template' && renderMaskSettings()}
+                {generatorMode === 'pin' && renderPinSettings()}
+                {generatorMode === 'password' && (
+                  <div className="space-y-6">
+                    <div>
+                      <label className="block text-sm font-medium mb-2">
+                        Length: {generatorSettings.length}
+                      </label>
+                      <div className="flex items-center gap-4">
+                        <input
+                          type="range"
+                          min="4"
+                          max="128"
+                          value={generatorSettings.length}
+                          onChange={(e) => setGeneratorSettings(prev => ({ ...prev, length: parseInt(e.target.value) }))}
+                          className="flex-grow"
+                        />
+                        <span className="text-sm font-mono w-8 text-center">{generatorSettings.length}</span>
+                      </div>
                     </div>
-                  </div>
-                  
-                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
-                    {[
-                      { key: 'includeUppercase', label: 'Uppercase Letters (A-Z)' },
-                      { key: 'includeLowercase', label: 'Lowercase Letters (a-z)' },
-                      { key: 'includeNumbers', label: 'Numbers (0-9)' },
-                      { key: 'includeSymbols', label: 'Symbols (!@#$...)' },
-                      { key: 'excludeSimilar', label: 'Exclude Similar Characters (il1Lo0O)' },
-                      { key: 'pronounceable', label: 'Generate Pronounceable Password' }
-                    ].map(option => (
-                      <label key={option.key} className="flex items-start space-x-3 cursor-pointer">
+                    
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                      {[
+                        { key: 'includeUppercase', label: 'Uppercase Letters (A-Z)' },
+                        { key: 'includeLowercase', label: 'Lowercase Letters (a-z)' },
+                        { key: 'includeNumbers', label: 'Numbers (0-9)' },
+                        { key: 'includeSymbols', label: 'Symbols (!@#$...)' },
+                        { key: 'excludeSimilar', label: 'Exclude Similar Characters (il1Lo0O)' },
+                        { key: 'noEdgeSymbols', label: 'No Symbol at Start or End' },
+                        { key: 'pronounceable', label: 'Generate Pronounceable Password' }
+                      ].map(option => (
+                        <label key={option.key} className="flex items-start space-x-3 cursor-pointer">
+                          <input
+                            type="checkbox"
+                            checked={generatorSettings[option.key]}
+                            disabled={Boolean(generatorSettings.passwordRules) && option.key !== 'excludeSimilar'}
+                            onChange={(e) => setGeneratorSettings(prev => ({ ...prev, [option.key]: e.target.checked }))}
+                            className="mt-0.5 rounded border-gray-300 text-blue-600 focus:ring-blue-500 disabled:opacity-50"
+                          />
+                          <span className="text-sm">{option.label}</span>
+                        </label>
+                      ))}
+                    </div>
+                    {generatorSettings.pronounceable && (
+                      <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                        Pronounceable passwords are built from consonant-vowel syllables. Uppercase capitalizes whole syllables,
+                        and digits and symbols go between syllables.
+                      </p>
+                    )}
+                    
+                    <div>
+                      <label className="block text-sm font-medium mb-2">At least this many of each</label>
+                      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+                        {[
+                          { key: 'minUppercase', include: 'includeUppercase', label: 'A-Z' },
+                          { key: 'minLowercase', include: 'includeLowercase', label: 'a-z' },
+                          { key: 'minNumbers', include: 'includeNumbers', label: '0-9' },
+                          { key: 'minSymbols', include: 'includeSymbols', label: '!@#' }
+                        ].map(minimum => (
+                          <label key={minimum.key} className="flex items-center space-x-2 text-sm">
+                            <span className="font-mono w-8">{minimum.label}</span>
+                            <input
+                              type="number"
+                              min="0"
+                              max={MAX_CLASS_MINIMUM}
+                              value={generatorSettings[minimum.key]}
+                              disabled={Boolean(generatorSettings.passwordRules) || !generatorSettings[minimum.include] ||
+                                (generatorSettings.pronounceable && minimum.key === 'minLowercase')}
+                              onChange={(e) => setGeneratorSettings(prev => ({ ...prev, [minimum.key]: Number(e.target.value) }))}
+                              className={`w-16 p-1 rounded border disabled:opacity-50 ${darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300'}`}
+                            />
+                          </label>
+                        ))}
+                      </div>
+                    </div>
+                    
+                    <div className="text-sm">
+                      <label className="block font-medium mb-2">Target policy</label>
+                      <select
+                        value={generatorPolicyId}
+                        disabled={Boolean(generatorSettings.passwordRules) || derivation.enabled}
+                        onChange={(e) => setGeneratorPolicyId(e.target.value)}
+                        className={`p-2 rounded border disabled:opacity-50 ${darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300'}`}
+                      >
+                        <option value="none">None</option>
+                        {Object.values(POLICY_PRESETS).map(preset => (
+                          <option key={preset.id} value={preset.id}>{preset.name}</option>
+                        ))}
+                        <option value="custom" disabled={policyProblems.length > 0}>Custom policy</option>
+                      </select>
+                      <p className={`mt-1 text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                        The policy's length limits and required classes override the settings above.
+                      </p>
+                    </div>
+                    
+                    {renderPasswordRules()}
+                    
+                    {renderDerivationSettings()}
+                    
+                    <div className="text-sm">
+                      <label className="block font-medium mb-2">Presets</label>
+                      <div className="flex flex-wrap gap-2">
                         <input
-                          type="checkbox"
-                          checked={generatorSettings[option.key]}
-                          onChange={(e) => setGeneratorSettings(prev => ({ ...prev, [option.key]: e.target.checked }))}
-                          className="mt-0.5 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                          type="text"
+                          value={presetName}
+                          onChange={(e) => setPresetName(e.target.value)}
+                          placeholder="Preset name"
+                          className={`flex-grow p-2 rounded border ${darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300'}`}
                         />
-                        <span className="text-sm">{option.label}</span>
-                      </label>
-                    ))}
+                        <button
+                          onClick={saveGeneratorPreset}
+                          disabled={!presetName.trim()}
+                          className={`py-2 px-4 rounded-lg ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'} transition-colors disabled:opacity-50`}
+                        >
+                          Save Settings
+                        </button>
+                      </div>
+                      {generatorPresets.length > 0 && (
+                        <ul className="mt-2 space-y-1">
+                          {generatorPresets.map(preset => (
+                            <li key={preset.name} className="flex items-center justify-between gap-2">
+                              <span className="truncate">{preset.name}</span>
+                              <span className="flex gap-3 text-xs">
+                                <button onClick={() => applyGeneratorPreset(preset.name)} className="text-blue-500 hover:underline">Load</button>
+                                <button onClick={() => deleteGeneratorPreset(preset.name)} className="text-red-500 hover:underline">Delete</button>
+                              </span>
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
                   </div>
-                </div>
+                )}
                 
                 <div className="space-y-5">
                   <div>
-                    <label className="block text-sm font-medium mb-2">Generated Password</label>
+                    <label className="block text-sm font-medium mb-2">
+                      {generatorMode === 'passphrase' ? 'Generated Passphrase' : derivingSitePassword ? 'Derived Password' : 'Generated Password'}
+                    </label>
                     <div className="relative">
                       <input
                         type="text"
@@ -1267,9 +2306,10 @@ const PasswordSecurityApp = () => {
                           <Copy className="h-4 w-4" />
                         </button>
                         <button
-                          onClick={generatePassword}
+                          onClick={derivingSitePassword ? deriveSitePassword : generatePassword}
+                          disabled={deriving}
                           className={`p-1.5 rounded ${darkMode ? 'hover:bg-gray-600' : 'hover:bg-gray-200'} transition-colors`}
-                          title="Generate new password"
+                          title={derivingSitePassword ? 'Derive password' : 'Generate new password'}
                         >
                           <RefreshCw className="h-4 w-4" />
                         </button>
@@ -1278,15 +2318,21 @@ const PasswordSecurityApp = () => {
                     {copied && (
                       <p className="text-green-500 text-sm mt-1">Copied to clipboard!</p>
                     )}
+                    {(generatorIssues.length > 0 ? generatorIssues : generatorError ? [generatorError] : []).map(issue => (
+                      <p key={issue} className="text-red-500 text-sm mt-1">{issue}</p>
+                    ))}
                   </div>
                   
                   <div className="flex justify-center">
                     <button
-                      onClick={generatePassword}
-                      className={`py-3 px-6 rounded-lg ${darkMode ? 'bg-blue-600 hover:bg-blue-700' : 'bg-blue-500 hover:bg-blue-600'} text-white font-medium transition-colors flex items-center justify-center space-x-2 min-w-[200px]`}
+                      onClick={derivingSitePassword ? deriveSitePassword : generatePassword}
+                      disabled={deriving}
+                      className={`py-3 px-6 rounded-lg ${darkMode ? 'bg-blue-600 hover:bg-blue-700' : 'bg-blue-500 hover:bg-blue-600'} text-white font-medium transition-colors flex items-center justify-center space-x-2 min-w-[200px] disabled:opacity-50`}
                     >
                       <RefreshCw className="h-4 w-4" />
-                      <span>Generate New Password</span>
+                      <span>
+                        {!derivingSitePassword ? 'Generate New Password' : deriving ? 'Deriving...' : 'Derive Password'}
+                      </span>
                     </button>
                   </div>
                 </div>
@@ -1294,10 +2340,10 @@ const PasswordSecurityApp = () => {
             </div>
 
             {/* Generated Password Analysis */}
-            {generatedPassword && (
+            {generatedAnalysis && (
               <div className={`${darkMode ? 'bg-gray-800/90' : 'bg-white/90'} backdrop-blur-sm rounded-xl p-6 border ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
                 <h3 className="text-xl font-semibold mb-4">Generated Password Analysis</h3>
-                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
                   <div className={`p-4 rounded-lg ${darkMode ? 'bg-gray-700' : 'bg-gray-100'}`}>
                     <div className="text-center">
                       <div className="text-2xl font-bold text-blue-500">{generatedPassword.length}</div>
@@ -1307,25 +2353,223 @@ const PasswordSecurityApp = () => {
                   <div className={`p-4 rounded-lg ${darkMode ? 'bg-gray-700' : 'bg-gray-100'}`}>
                     <div className="text-center">
                       <div className="text-2xl font-bold text-green-500">
-                        {Math.round(calculateEntropy(generatedPassword) * 10) / 10}
+                        {generatorReport ? generatorReport.entropy.toFixed(1) : '–'}
+                      </div>
+                      <div className="text-sm text-gray-500">Generation Entropy (bits, exact)</div>
+                    </div>
+                  </div>
+                  <div className={`p-4 rounded-lg ${darkMode ? 'bg-gray-700' : 'bg-gray-100'}`}>
+                    <div className="text-center">
+                      <div className="text-2xl font-bold text-yellow-500">
+                        {Math.round(generatedAnalysis.entropy * 10) / 10}
                       </div>
-                      <div className="text-sm text-gray-500">Entropy (bits)</div>
+                      <div className="text-sm text-gray-500">Analyzer Estimate (bits)</div>
                     </div>
                   </div>
                   <div className={`p-4 rounded-lg ${darkMode ? 'bg-gray-700' : 'bg-gray-100'}`}>
                     <div className="text-center">
                       <div className="text-2xl font-bold text-purple-500 break-words">
-                        {formatTime(calculateTimeToCrack(calculateEntropy(generatedPassword), false, 80).optimized)}
+                        {formatTime(generatorReport
+                          ? calculateTimeToCrack(generatorReport.averageGuesses).optimized
+                          : generatedAnalysis.timeToCrack.optimized)}
                       </div>
                       <div className="text-sm text-gray-500">Time to Crack</div>
                     </div>
                   </div>
                 </div>
+                {generatorReport && (
+                  <div className={`mt-4 text-sm ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                    <p className="mb-2">
+                      Generation entropy counts every {generatorMode === 'passphrase' ? 'passphrase' : 'password'} these
+                      settings can produce ({generatorReport.combinations.toLocaleString('en-US')}), each equally likely,
+                      so it holds even for an attacker who knows the settings. The analyzer estimate only sees the
+                      result and can be higher or lower. Time to crack assumes the attacker knows the settings and
+                      finds the secret halfway through the search.
+                    </p>
+                    <ul className="space-y-1">
+                      {generatorReport.details.map(detail => (
+                        <li key={detail.label} className="flex justify-between gap-4">
+                          <span>{detail.label}</span>
+                          <span className="font-mono">{detail.bits >= 0 ? '+' : ''}{detail.bits.toFixed(2)} bits</span>
+                        </li>
+                      ))}
+                    </ul>
+                    {generatorReport.mode === 'pronounceable' && (
+                      <p className="mt-2">
+                        A random password of the same length and character sets has {generatorReport.randomEntropy.toFixed(1)} bits,
+                        so pronounceability costs {(generatorReport.randomEntropy - generatorReport.entropy).toFixed(1)} bits.
+                      </p>
+                    )}
+                  </div>
+                )}
               </div>
             )}
+            
+            {/* Batch Generation */}
+            <div className={`${darkMode ? 'bg-gray-800/90' : 'bg-white/90'} backdrop-blur-sm rounded-xl p-6 border ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+              <h3 className="text-xl font-semibold mb-4">Batch Generation</h3>
+              <p className={`text-sm mb-4 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                Generate many passwords at once, for example initial passwords for new accounts. No password appears twice
+                in a batch. Batches are kept in this page only and are gone once it is closed, so export them first.
+              </p>
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-4">
+                <div className="space-y-4 text-sm">
+                  <div>
+                    <label className="block font-medium mb-2">Settings</label>
+                    <select
+                      value={batchSettings.source}
+                      onChange={(e) => setBatchSettings(prev => ({ ...prev, source: e.target.value }))}
+                      className={`w-full p-2 rounded border ${darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300'}`}
+                    >
+                      <option value="current">Current password settings</option>
+                      {generatorPresets.map(preset => (
+                        <option key={preset.name} value={preset.name}>Preset: {preset.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block font-medium mb-2">Number of passwords</label>
+                    <input
+                      type="number"
+                      min="1"
+                      max={MAX_BATCH_SIZE}
+                      value={batchIdentifiers.length > 0 ? batchIdentifiers.length : batchSettings.count}
+                      disabled={batchIdentifiers.length > 0}
+                      onChange={(e) => setBatchSettings(prev => ({ ...prev, count: Number(e.target.value) }))}
+                      className={`w-32 p-2 rounded border disabled:opacity-50 ${darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300'}`}
+                    />
+                  </div>
+                </div>
+                <div className="text-sm">
+                  <label className="block font-medium mb-2">Identifiers (optional, one per line)</label>
+                  <textarea
+                    value={batchSettings.identifiers}
+                    onChange={(e) => setBatchSettings(prev => ({ ...prev, identifiers: e.target.value }))}
+                    placeholder={'jsmith\nadoe\n...'}
+                    rows={4}
+                    className={`w-full p-2 rounded border font-mono ${darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300'}`}
+                  />
+                  <p className={`mt-1 text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                    With identifiers, the batch has one password per identifier.
+                  </p>
+                </div>
+              </div>
+              {batchIssues.map(issue => (
+                <p key={issue} className="text-red-500 text-sm mb-2">{issue}</p>
+              ))}
+              {batch?.status === 'error' && <p className="text-red-500 text-sm mb-2">{batch.error}</p>}
+              <div className="flex flex-wrap gap-2 mb-4">
+                <button
+                  onClick={runBatch}
+                  disabled={batchIssues.length > 0 || batch?.status === 'running'}
+                  className={`py-2 px-4 rounded-lg ${darkMode ? 'bg-blue-600 hover:bg-blue-700' : 'bg-blue-500 hover:bg-blue-600'} text-white text-sm font-medium transition-colors disabled:opacity-50`}
+                >
+                  {batch?.status === 'running' ? 'Generating...' : 'Generate Batch'}
+                </button>
+                {batch?.status === 'done' && (
+                  <>
+                    <button
+                      onClick={() => exportBatch('csv')}
+                      className={`flex items-center space-x-2 py-2 px-4 rounded-lg text-sm ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'} transition-colors`}
+                    >
+                      <Download className="h-4 w-4" />
+                      <span>CSV</span>
+                    </button>
+                    <button
+                      onClick={() => exportBatch('json')}
+                      className={`flex items-center space-x-2 py-2 px-4 rounded-lg text-sm ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'} transition-colors`}
+                    >
+                      <Download className="h-4 w-4" />
+                      <span>JSON</span>
+                    </button>
+                    <button
+                      onClick={() => setBatch(null)}
+                      className={`py-2 px-4 rounded-lg text-sm ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'} transition-colors`}
+                    >
+                      Clear
+                    </button>
+                  </>
+                )}
+              </div>
+              {batch?.status === 'done' && (
+                <div className="overflow-x-auto max-h-96 overflow-y-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className={`border-b ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+                        <th className="text-left py-2 px-3">#</th>
+                        {batch.rows[0].id !== undefined && <th className="text-left py-2 px-3">Identifier</th>}
+                        <th className="text-left py-2 px-3">Password</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {batch.rows.map((row, i) => (
+                        <tr key={row.password} className={`border-b ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+                          <td className="py-2 px-3">{i + 1}</td>
+                          {row.id !== undefined && <td className="py-2 px-3">{row.id}</td>}
+                          <td className="py-2 px-3 font-mono break-all">{row.password}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+            
+            {/* Randomness Self-Test */}
+            <div className={`${darkMode ? 'bg-gray-800/90' : 'bg-white/90'} backdrop-blur-sm rounded-xl p-6 border ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+              <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+                <h3 className="text-xl font-semibold">Randomness Self-Test</h3>
+                <button
+                  onClick={runSelfTest}
+                  disabled={selfTest?.status === 'running'}
+                  className={`py-2 px-4 rounded-lg ${darkMode ? 'bg-blue-600 hover:bg-blue-700' : 'bg-blue-500 hover:bg-blue-600'} text-white text-sm font-medium transition-colors disabled:opacity-50`}
+                >
+                  {selfTest?.status === 'running' ? 'Running...' : 'Run Self-Test'}
+                </button>
+              </div>
+              <p className={`text-sm mb-4 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                Passwords are drawn with crypto.getRandomValues and rejection sampling, so no character is favoured.
+                The self-test generates 200 single characters per possible character for each set and runs a chi-square
+                test of uniformity; a set fails when p is below {SELF_TEST_ALPHA}, which a sound generator does about once in a thousand runs.
+              </p>
+              {selfTest?.status === 'done' && (
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className={`border-b ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+                        <th className="text-left py-2 px-3">Set</th>
+                        <th className="text-left py-2 px-3">Characters</th>
+                        <th className="text-left py-2 px-3">Samples</th>
+                        <th className="text-left py-2 px-3">Chi-square</th>
+                        <th className="text-left py-2 px-3">p-value</th>
+                        <th className="text-left py-2 px-3">Result</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {selfTest.results.map(result => (
+                        <tr key={result.name} className={`border-b ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+                          <td className="py-2 px-3 capitalize">{result.name === 'all' ? 'All sets' : result.name}</td>
+                          <td className="py-2 px-3">{result.characters}</td>
+                          <td className="py-2 px-3">{result.samples.toLocaleString()}</td>
+                          <td className="py-2 px-3">{result.statistic.toFixed(1)} (df {result.degreesOfFreedom})</td>
+                          <td className="py-2 px-3">{result.pValue.toFixed(3)}</td>
+                          <td className="py-2 px-3">
+                            <span className={`px-2 py-1 text-xs rounded-full ${result.passed ? 'bg-green-500/20 text-green-500' : 'bg-red-500/20 text-red-500'}`}>
+                              {result.passed ? 'Uniform' : 'Not uniform'}
+                            </span>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
           </div>
         )}
 
+        {activeTab === 'vault' && renderVault()}
+
         {activeTab === 'bulk' && (
           <div className="space-y-8">
             {/* Bulk Analysis Input */}
@@ -1349,6 +2593,11 @@ const PasswordSecurityApp = () => {
                   />
                 </div>
                 
+                {renderPolicySelector()}
+                {renderLanguagePackOptions()}
+                {renderBannedTermsEditor()}
+                {renderUserContextFields()}
+                
                 <div className="flex justify-center">
                   <button
                     onClick={analyzeBulkPasswords}
@@ -1363,6 +2612,66 @@ const PasswordSecurityApp = () => {
                     <span>Analyze Passwords</span>
                   </button>
                 </div>
+
+                <div className={`p-4 rounded-lg border text-sm ${darkMode ? 'bg-gray-700/50 border-gray-600' : 'bg-gray-50 border-gray-200'}`}>
+                  <label className="block font-medium mb-2">Or import a password-manager export</label>
+                  <div className="flex flex-wrap items-center gap-3">
+                    <select
+                      value={importFormat}
+                      onChange={(e) => setImportFormat(e.target.value)}
+                      className={`p-2 rounded border ${darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300'}`}
+                    >
+                      <option value="auto">Detect format</option>
+                      {Object.entries(IMPORT_FORMATS).map(([id, format]) => (
+                        <option key={id} value={id}>{format.name}</option>
+                      ))}
+                    </select>
+                    <label className={`cursor-pointer py-2 px-4 rounded-lg ${darkMode ? 'bg-gray-600 hover:bg-gray-500' : 'bg-gray-200 hover:bg-gray-300'} transition-colors`}>
+                      Choose Export File
+                      <input
+                        type="file"
+                        accept=".csv,.json,.xml"
+                        onChange={(e) => {
+                          if (e.target.files[0]) importPasswordExport(e.target.files[0]);
+                          e.target.value = '';
+                        }}
+                        className="hidden"
+                      />
+                    </label>
+                  </div>
+                  {importStatus?.message && <p className="mt-2 text-green-500">{importStatus.message}</p>}
+                  {importStatus?.error && <p className="mt-2 text-red-500">{importStatus.error}</p>}
+                  <p className={`mt-2 text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                    Bitwarden JSON or CSV, 1Password CSV, LastPass CSV, KeePass XML or CSV, KeePassXC CSV, and Chrome or
+                    Firefox CSV. The file is read in this page and never uploaded. Each login is checked against its own site
+                    and username, and passwords used for more than one login are flagged. Exports hold every password in plain
+                    text, so delete the file once the audit is done.
+                  </p>
+                </div>
+
+                <div className={`p-4 rounded-lg border ${darkMode ? 'bg-gray-700/50 border-gray-600' : 'bg-gray-50 border-gray-200'}`}>
+                  <div className="flex items-center justify-between mb-3">
+                    <div className="flex items-center space-x-2">
+                      <ShieldAlert className="h-5 w-5 text-blue-500" />
+                      <span className="font-medium">Breach check</span>
+                    </div>
+                    <button
+                      onClick={checkBulkBreaches}
+                      disabled={!rangeSource || !bulkResults.length || bulkBreachCheck?.status === 'checking'}
+                      className={`px-3 py-1 rounded-lg text-sm font-medium transition-colors ${
+                        rangeSource && bulkResults.length
+                          ? `${darkMode ? 'bg-blue-600 hover:bg-blue-700' : 'bg-blue-500 hover:bg-blue-600'} text-white`
+                          : `${darkMode ? 'bg-gray-700 text-gray-400' : 'bg-gray-300 text-gray-500'} cursor-not-allowed`
+                      }`}
+                    >
+                      {bulkBreachCheck?.status === 'checking' ? 'Checking...' : 'Check Results'}
+                    </button>
+                  </div>
+                  {bulkBreachCheck?.status === 'error' && (
+                    <p className="text-sm mb-3 font-medium text-red-500">Breach check failed: {bulkBreachCheck.error}</p>
+                  )}
+                  {renderBreachSourceSettings()}
+                </div>
               </div>
             </div>
 
@@ -1464,6 +2773,17 @@ const PasswordSecurityApp = () => {
                   <table className="w-full">
                     <thead>
                       <tr className={`border-b ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+                        {loginsAudited && ['site', 'username'].map(key => (
+                          <th key={key} className="text-left py-3 px-4">
+                            <button 
+                              className="flex items-center space-x-1 font-medium"
+                              onClick={() => requestSort(key)}
+                            >
+                              <span>{key === 'site' ? 'Site' : 'Username'}</span>
+                              {getSortIcon(key)}
+                            </button>
+                          </th>
+                        ))}
                         <th className="text-left py-3 px-4">
                           <button 
                             className="flex items-center space-x-1 font-medium"
@@ -1482,6 +2802,7 @@ const PasswordSecurityApp = () => {
                             {getSortIcon('score')}
                           </button>
                         </th>
+                        {activePolicy && <th className="text-left py-3 px-4">Policy</th>}
                         <th className="text-left py-3 px-4">
                           <button 
                             className="flex items-center space-x-1 font-medium"
@@ -1506,7 +2827,17 @@ const PasswordSecurityApp = () => {
                     <tbody>
                       {sortedBulkResults.map((result, index) => (
                         <tr key={index} className={`border-b ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
-                          <td className="py-3 px-4 font-mono text-sm">{result.password}</td>
+                          {loginsAudited && (
+                            <>
+                              <td className="py-3 px-4 text-sm">{result.site}</td>
+                              <td className="py-3 px-4 text-sm">{result.username}</td>
+                            </>
+                          )}
+                          <td className="py-3 px-4 font-mono text-sm">
+                            {result.password !== undefined ? result.password : (
+                              <span title={result.id !== undefined ? 'Kept in the vault' : 'Kept out of the results and the export'}>••••••••••••</span>
+                            )}
+                          </td>
                           <td className="py-3 px-4">
                             <div className="flex items-center space-x-2">
                               <span className="font-bold">{result.score}</span>
@@ -1523,6 +2854,20 @@ const PasswordSecurityApp = () => {
                               </div>
                             </div>
                           </td>
+                          {activePolicy && (() => {
+                            const compliance = evaluatePolicy(bulkResultPassword(result), activePolicy, result);
+                            const failed = compliance.results.filter(rule => !rule.passed).map(rule => rule.label);
+                            return (
+                              <td className="py-3 px-4">
+                                <span
+                                  title={failed.join('\n')}
+                                  className={`px-2 py-1 text-xs rounded-full ${compliance.passed ? 'bg-green-500/20 text-green-500' : 'bg-red-500/20 text-red-500'}`}
+                                >
+                                  {compliance.passed ? 'Pass' : `Fail (${failed.length})`}
+                                </span>
+                              </td>
+                            );
+                          })()}
                           <td className={`py-3 px-4 font-medium ${
                             result.score >= 80 ? 'text-green-500' :
                             result.score >= 60 ? 'text-blue-500' :
@@ -1540,7 +2885,37 @@ const PasswordSecurityApp = () => {
                             <div className="flex flex-wrap gap-1">
                               {result.isCommon && (
                                 <span className="inline-flex items-center px-2 py-1 rounded-full text-xs bg-red-100 text-red-800 dark:bg-red-900/20 dark:text-red-400">
-                                  Common
+                                  {result.commonRank ? `Common #${result.commonRank.toLocaleString()}` : 'Common'}
+                                </span>
+                              )}
+                              {result.languages.length > 0 && (
+                                <span className="inline-flex items-center px-2 py-1 rounded-full text-xs bg-blue-100 text-blue-800 dark:bg-blue-900/20 dark:text-blue-400">
+                                  {result.languages.join(', ')}
+                                </span>
+                              )}
+                              {result.organizationTerms.length > 0 && (
+                                <span className="inline-flex items-center px-2 py-1 rounded-full text-xs bg-red-100 text-red-800 dark:bg-red-900/20 dark:text-red-400">
+                                  Organization term: {result.organizationTerms.join(', ')}
+                                </span>
+                              )}
+                              {result.personalDetails.length > 0 && (
+                                <span className="inline-flex items-center px-2 py-1 rounded-full text-xs bg-red-100 text-red-800 dark:bg-red-900/20 dark:text-red-400">
+                                  Personal: {[...new Set(result.personalDetails.map(detail => detail.label))].join(', ')}
+                                </span>
+                              )}
+                              {result.reusedIn > 1 && (
+                                <span className="inline-flex items-center px-2 py-1 rounded-full text-xs bg-red-100 text-red-800 dark:bg-red-900/20 dark:text-red-400">
+                                  Reused in {result.reusedIn} logins
+                                </span>
+                              )}
+                              {result.breached && (
+                                <span className="inline-flex items-center px-2 py-1 rounded-full text-xs bg-red-100 text-red-800 dark:bg-red-900/20 dark:text-red-400">
+                                  Breached: {result.breachCount.toLocaleString()}
+                                </span>
+                              )}
+                              {result.breached === null && (
+                                <span className="inline-flex items-center px-2 py-1 rounded-full text-xs bg-gray-100 text-gray-800 dark:bg-gray-900/20 dark:text-gray-400">
+                                  Breach unknown
                                 </span>
                               )}
                               {result.patterns > 0 && (
@@ -1803,13 +3178,25 @@ const PasswordSecurityApp = () => {
                 <div>
                   <h3 className="text-xl font-semibold mb-3 text-blue-500">Time to Crack Estimates</h3>
                   <p className="text-gray-600 dark:text-gray-400 mb-4">
-                    Time to crack estimates are based on the password's entropy and adjusted to reflect realistic attack scenarios.
+                    Time to crack estimates are based on the number of guesses a smart attacker needs, given the patterns found in the password.
+                  </p>
+                  
+                  <h4 className="text-lg font-medium mb-2">How Guesses are Estimated</h4>
+                  <p className="text-gray-600 dark:text-gray-400 mb-4">
+                    The password is split into matched segments - dictionary words, keyboard runs, repeats, sequences, dates and
+                    brute-forced characters - and each segment gets its own guess count. Of all ways to split the password,
+                    the one needing the fewest total guesses is used:
                   </p>
+                  <div className={`p-4 rounded-lg ${darkMode ? 'bg-gray-700' : 'bg-gray-100'} mb-4`}>
+                    <code className="block text-sm">
+                      Guesses = SegmentCount! × (Guesses₁ × Guesses₂ × ...) + 10000^(SegmentCount-1)
+                    </code>
+                  </div>
                   
                   <h4 className="text-lg font-medium mb-2">How Time to Crack is Calculated</h4>
                   <div className={`p-4 rounded-lg ${darkMode ? 'bg-gray-700' : 'bg-gray-100'} mb-4`}>
                     <code className="block text-sm">
-                      TimeToCrack = (2^(EffectiveEntropy-1)) / GuessesPerSecond * AdjustmentFactor
+                      TimeToCrack = Guesses / GuessesPerSecond
                     </code>
                   </div>
                   
@@ -1817,25 +3204,11 @@ const PasswordSecurityApp = () => {
                     Where:
                   </p>
                   <ul className="list-disc pl-5 space-y-2 text-gray-600 dark:text-gray-400 mb-4">
-                    <li><strong>EffectiveEntropy</strong>: The adjusted entropy of the password in bits, considering patterns</li>
+                    <li><strong>Guesses</strong>: The estimated number of guesses for the cheapest decomposition of the password</li>
                     <li><strong>GuessesPerSecond</strong>: The number of password guesses per second</li>
                     <li>Online Attack: 1,000 guesses/second (rate-limited)</li>
                     <li>Offline Attack: 1 billion guesses/second (standard hardware)</li>
-                    <li>Optimized Rig: 100 billion guesses/second (specialized hardware)</li>
-                    <li><strong>AdjustmentFactor</strong>: Realistic adjustment for common patterns and attack optimizations</li>
-                  </ul>
-                  
-                  <h4 className="text-lg font-medium mb-2">Realistic Estimates</h4>
-                  <p className="text-gray-600 dark:text-gray-400 mb-4">
-                    While theoretical entropy calculations suggest astronomical crack times for strong passwords, 
-                    our tool uses adjustment factors to provide more realistic estimates:
-                  </p>
-                  
-                  <ul className="list-disc pl-5 space-y-2 text-gray-600 dark:text-gray-400">
-                    <li><strong>Pattern Recognition</strong>: Attackers use smart pattern detection to reduce the search space</li>
-                    <li><strong>Hardware Advances</strong>: Future computing improvements make currently "uncrackable" passwords vulnerable</li>
-                    <li><strong>Score-Based Adjustment</strong>: Higher scoring passwords get more realistic (longer) crack time estimates</li>
-                    <li><strong>Context-Based Scaling</strong>: For extremely strong passwords ({'>'}128 bits entropy), times are shown in more realistic terms</li>
+                    <li>Optimized Rig: 50 billion guesses/second (specialized hardware)</li>
                   </ul>
                 </div>
                 
@@ -1847,12 +3220,16 @@ const PasswordSecurityApp = () => {
                   </p>
                   
                   <ul className="list-disc pl-5 space-y-2 text-gray-600 dark:text-gray-400">
-                    <li><strong>Common Passwords</strong>: Matches against a database of frequently used passwords</li>
-                    <li><strong>Keyboard Patterns</strong>: Sequences like "qwerty" or "asdfgh"</li>
-                    <li><strong>Sequential Patterns</strong>: Simple sequences like "12345" or "abcde"</li>
-                    <li><strong>Word + Number Patterns</strong>: Common combinations like "password123"</li>
-                    <li><strong>Date Patterns</strong>: Years or date formats</li>
-                    <li><strong>Non-English Patterns</strong>: Similar patterns in non-Latin scripts</li>
+                    <li><strong>Common Passwords</strong>: Ranked against the 49,233 most frequent passwords from public breach data, bundled with the app and loaded in the background - a password's rank sets its guess count</li>
+                    <li><strong>Dictionary Words</strong>: Common words anywhere in the password, including reversed and capitalised forms</li>
+                    <li><strong>Language Packs</strong>: Optional Indonesian, Spanish, German and Dutch dictionaries of common words, first names, places and sports teams, loaded when selected - matches report their language</li>
+                    <li><strong>Organization Terms</strong>: Your own banned list of company, product, office and project names, matched in any case, in l33t speak, reversed or with extra characters around them</li>
+                    <li><strong>L33t Speak</strong>: Dictionary words with substitutions like 4/@ for a, 3 for e, 1/!/| for i or l, 0 for o, $/5 for s and 7/+ for t - e.g. "P4$$w0rd" or "dr@g0n"</li>
+                    <li><strong>Keyboard Patterns</strong>: Walks across adjacent keys like "qwerty", "zaq1xsw2" or "!QAZ" on QWERTY, QWERTZ, AZERTY, Dvorak and the numeric keypad, including turns and shifted keys</li>
+                    <li><strong>Repeats</strong>: Repeated characters or blocks like "aaa" or "abcabc"</li>
+                    <li><strong>Sequential Patterns</strong>: Runs of three or more characters with a constant step, ascending or descending, like "12345", "2468", "aceg" or "zyxw" - in any alphabet</li>
+                    <li><strong>Date Patterns</strong>: Years and real calendar dates anywhere in the password, with or without separators, in day-month-year, month-day-year or year-month-day order</li>
+                    <li><strong>Personal Information</strong>: Your name, username, email, company, birth date or site name when you provide them, including reversed, l33t and partial forms</li>
                   </ul>
                 </div>
                 
@@ -1860,21 +3237,32 @@ const PasswordSecurityApp = () => {
                 <div>
                   <h3 className="text-xl font-semibold mb-3 text-blue-500">Strength Score Calculation</h3>
                   <p className="text-gray-600 dark:text-gray-400 mb-4">
-                    The password strength score (0-100) is calculated based on multiple factors:
+                    The password strength score (1-100) is five points per order of magnitude of the estimated guesses,
+                    so 10^20 guesses or more scores 100. The strength label follows from the score:
                   </p>
                   
-                  <h4 className="text-lg font-medium mb-2">Positive Factors</h4>
                   <ul className="list-disc pl-5 space-y-2 text-gray-600 dark:text-gray-400 mb-4">
-                    <li><strong>Length</strong>: Longer passwords receive higher scores</li>
-                    <li><strong>Character Variety</strong>: Using a mix of character types improves the score</li>
-                    <li><strong>Entropy</strong>: Higher entropy contributes to a better score</li>
+                    <li><strong>Very Weak</strong>: fewer than 10^6 guesses (score below 30)</li>
+                    <li><strong>Weak</strong>: fewer than 10^10 guesses (score below 50)</li>
+                    <li><strong>Moderate</strong>: fewer than 10^14 guesses (score below 70)</li>
+                    <li><strong>Strong</strong>: fewer than 10^16 guesses (score below 80)</li>
+                    <li><strong>Very Strong</strong>: fewer than 10^18 guesses (score below 90)</li>
+                    <li><strong>Excellent</strong>: 10^18 guesses or more</li>
                   </ul>
+                </div>
+                
+                {/* Password Policies */}
+                <div>
+                  <h3 className="text-xl font-semibold mb-3 text-blue-500">Password Policies</h3>
+                  <p className="text-gray-600 dark:text-gray-400 mb-4">
+                    Pick a policy on the Analyzer or Bulk Analysis tab to see rule-by-rule compliance next to the score:
+                  </p>
                   
-                  <h4 className="text-lg font-medium mb-2">Negative Factors</h4>
-                  <ul className="list-disc pl-5 space-y-2 text-gray-600 dark:text-gray-400 mb-4">
-                    <li><strong>Common Passwords</strong>: Severely penalizes the score (-40 points)</li>
-                    <li><strong>Detected Patterns</strong>: Each detected pattern reduces the score</li>
-                    <li><strong>Missing Character Types</strong>: Not using uppercase, lowercase, numbers, or symbols</li>
+                  <ul className="list-disc pl-5 space-y-2 text-gray-600 dark:text-gray-400">
+                    {Object.values(POLICY_PRESETS).map(preset => (
+                      <li key={preset.id}><strong>{preset.name}</strong>: {preset.description}</li>
+                    ))}
+                    <li><strong>Custom</strong>: Your own length limits, required character classes, minimum score, repeat limit and blocklist screening</li>
                   </ul>
                 </div>
                 
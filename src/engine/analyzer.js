@@ -0,0 +1,532 @@
+/**
+ * @file analyzer.js
+ * @description Framework-free password analysis: entropy, pattern detection, scoring and time-to-crack estimates
+ * @author Hardin Irfan <hardinmail05@gmail.com>
+ * @copyright Copyright (c) 2025 Hardin Irfan
+ * @license MIT
+ */
+
+import {
+  COMMON_PREFIXES, COMMON_SUFFIXES, COMMON_WORDS_CATEGORIES, OTHER_COMMON_WORDS,
+  ALL_COMMON_WORDS
+} from './dictionaries.js';
+import { KEYBOARD_GRAPHS } from './keyboards.js';
+import { spatialMatch, sequenceMatch, dateMatch, getRankedDictionary } from './matching.js';
+import { formatRank, getPasswordRank } from './corpus.js';
+import { buildUserInputs, USER_CONTEXT_FIELDS } from './context.js';
+import { describeLanguageDictionary, getLanguageDictionaries } from './languagePacks.js';
+import { findBannedTerm } from './bannedTerms.js';
+import { evaluatePolicy } from './policy.js';
+import { describeL33tSub, l33tVariants } from './l33t.js';
+import { estimateGuesses } from './scoring.js';
+
+// Attack scenarios used for time-to-crack estimates (guesses per second)
+export const GUESSES_PER_SECOND = {
+  online: 1000,          // Online attack with rate limiting (1,000/sec)
+  offline: 1000000000,   // Offline attack (1 billion/sec) - more realistic value
+  optimized: 50000000000 // High-end cracking rig (50 billion/sec) - more realistic than previous value
+};
+
+// Strength labels from weakest to strongest
+export const STRENGTH_LEVELS = ['Very Weak', 'Weak', 'Moderate', 'Strong', 'Very Strong', 'Excellent'];
+
+// Score points per factor of ten in the guess count (10^20 guesses scores 100)
+const SCORE_PER_GUESS_DECADE = 5;
+
+// Minimum score for each strength label, strongest first
+const STRENGTH_THRESHOLDS = [
+  { minScore: 90, strength: 'Excellent', strengthColor: 'text-purple-500' },
+  { minScore: 80, strength: 'Very Strong', strengthColor: 'text-green-500' },
+  { minScore: 70, strength: 'Strong', strengthColor: 'text-blue-500' },
+  { minScore: 50, strength: 'Moderate', strengthColor: 'text-yellow-500' },
+  { minScore: 30, strength: 'Weak', strengthColor: 'text-orange-500' },
+  { minScore: 0, strength: 'Very Weak', strengthColor: 'text-red-500' }
+];
+
+// Pattern labels for dictionaries that are not word categories
+const DICTIONARY_LABELS = {
+  passwords: 'Common password',
+  words: 'Common word',
+  organization: 'Organization term'
+};
+
+// Helper functions for pattern detection
+// Keyboard walks of four or more keys on any supported layout
+const keyboardWalks = (pwd) => spatialMatch(pwd).filter(match => match.token.length >= 4);
+
+const containsKeyboardPattern = (pwd) => keyboardWalks(pwd).length > 0;
+
+// Find the longest sequential run in the password
+const containsSequentialPattern = (pwd) => {
+  const longestMatch = sequenceMatch(pwd).reduce(
+    (longest, match) => (!longest || match.token.length > longest.token.length ? match : longest),
+    null
+  );
+  
+  // If we found a pattern, return true and the pattern length
+  if (longestMatch) {
+    return {
+      found: true,
+      pattern: longestMatch.token,
+      length: longestMatch.token.length
+    };
+  }
+  
+  return {
+    found: false,
+    pattern: '',
+    length: 0
+  };
+};
+
+const hasUpper = (pwd) => /[A-Z]/.test(pwd);
+const hasLower = (pwd) => /[a-z]/.test(pwd);
+const hasNumber = (pwd) => /[0-9]/.test(pwd);
+const hasSymbol = (pwd) => /[^a-zA-Z0-9]/.test(pwd);
+
+// Check if a word is common based on various criteria
+export const isCommonWord = (word) => {
+  if (!word || word.length < 3) return false;
+  
+  // Check if it's in our category lists
+  const lowercaseWord = word.toLowerCase();
+  
+  // Check the word as typed and its l33t de-substitutions (dr@g0n, 5umm3r)
+  const candidates = [lowercaseWord, ...l33tVariants(lowercaseWord)];
+  
+  // Organization banned terms count as top words, with or without affixes
+  if (candidates.some(findBannedTerm)) return true;
+  
+  // Check for direct match in our category lists
+  for (const category of Object.values(COMMON_WORDS_CATEGORIES)) {
+    if (candidates.some(candidate => category.includes(candidate))) {
+      return true;
+    }
+  }
+  
+  // Check against common prefixes (many common words start with these)
+  if (COMMON_PREFIXES.some(prefix => candidates.some(candidate => candidate.startsWith(prefix)))) {
+    return true;
+  }
+  
+  // Check against other common words list
+  if (candidates.some(candidate => OTHER_COMMON_WORDS.includes(candidate))) {
+    return true;
+  }
+  
+  // Consider short words (3-5 chars) to be potentially common even if not in our lists
+  if (lowercaseWord.length <= 5) {
+    return 0.7; // 70% chance it's common if short
+  }
+  
+  // Words with length > 8 that aren't in our lists are more likely to be uncommon
+  if (lowercaseWord.length >= 8) {
+    return false;
+  }
+  
+  // For medium length words (6-7 chars), use a heuristic
+  // Consider them 40% likely to be common if not in our lists
+  return 0.4; 
+};
+
+// Check a lowercased password against the common password, word and affix lists (exact matches only)
+const matchesCommonDictionaries = (lowercasePwd) => {
+  const commonPasswords = getRankedDictionary('passwords');
+  
+  // Direct match in common password list
+  if (commonPasswords.has(lowercasePwd)) return true;
+  
+  // Check for common prefixes and suffixes combinations (exact matches only)
+  for (const prefix of COMMON_PREFIXES) {
+    for (const suffix of COMMON_SUFFIXES) {
+      if (lowercasePwd === prefix + suffix) return true;
+    }
+  }
+  
+  // Check for food name patterns (food + simple numbers)
+  for (const food of ALL_COMMON_WORDS) {
+    for (const suffix of COMMON_SUFFIXES) {
+      if (lowercasePwd === food + suffix) return true;
+    }
+  }
+  
+  // Check for simple variations (common password followed by an exclamation mark)
+  const withoutBang = lowercasePwd.slice(0, -1);
+  if (lowercasePwd.endsWith('!') && withoutBang.length > 4 && commonPasswords.has(withoutBang)) {
+    return true;
+  }
+  
+  // Check for common words with numbers (exact matches only)
+  const commonWords = ['password', 'admin', 'user', 'login', 'welcome', 'manager', 'secure', 'security', 
+                     'test', 'server', 'database', 'account', 'system', 'network', 'default', 'guest'];
+  
+  if (/^[a-z]+[0-9]{1,4}$/i.test(lowercasePwd)) {
+    const wordPart = lowercasePwd.replace(/[0-9]+$/, '');
+    if (commonWords.some(word => wordPart === word)) {
+      return true;
+    }
+  }
+  
+  return false;
+};
+
+// Check if a password is likely to be common
+export const isLikelyCommonPassword = (pwd) => {
+  if (!pwd) return false;
+  
+  const lowercasePwd = pwd.toLowerCase();
+  
+  // Check the password as typed and every l33t de-substitution of it (P4$$w0rd, dr@g0n123)
+  const candidates = [lowercasePwd, ...l33tVariants(lowercasePwd, { allowUnchanged: true })];
+  if (candidates.some(matchesCommonDictionaries)) return true;
+  
+  // Check for organization banned terms anywhere in the password (Acme2024!, 4cm3)
+  if (candidates.some(findBannedTerm)) return true;
+  
+  // Check for keyboard walks (only if they make up a significant portion of the password)
+  if (keyboardWalks(pwd).some(walk => walk.token.length >= pwd.length / 2)) {
+    return true;
+  }
+  
+  // Check for sequential runs of four or more (only if they make up a significant portion of the password)
+  if (sequenceMatch(pwd).some(run => run.token.length >= 4 && run.token.length >= pwd.length / 2)) {
+    return true;
+  }
+  
+  // Check for repeated characters (3 or more) that make up most of the password
+  const repeatingMatch = lowercasePwd.match(/(.)\1{2,}/g);
+  if (repeatingMatch && repeatingMatch[0].length >= lowercasePwd.length / 2) {
+    return true;
+  }
+  
+  // Check for years and dates as passwords
+  if (dateMatch(pwd).some(date => date.token.length === pwd.length)) return true;
+  
+  // Check for single character type (but only for shorter passwords)
+  if (pwd.length < 8) {
+    if (/^[a-z]+$/i.test(pwd) || /^\d+$/.test(pwd)) return true;
+  }
+  
+  return false;
+};
+
+// Calculate password entropy
+export const calculateEntropy = (pwd) => {
+  if (!pwd) return 0;
+  
+  // Calculate character diversity
+  let charset = 0;
+  if (/[a-z]/.test(pwd)) charset += 26;
+  if (/[A-Z]/.test(pwd)) charset += 26;
+  if (/[0-9]/.test(pwd)) charset += 10;
+  if (/[^a-zA-Z0-9]/.test(pwd)) charset += 33;
+  
+  // Base entropy calculation
+  let rawEntropy = Math.log2(Math.pow(charset || 1, pwd.length));
+  
+  // Apply pattern-based entropy reduction
+  // Repeating characters reduce effective entropy
+  const repeats = pwd.match(/(.)\1+/g);
+  if (repeats) {
+    const repeatLength = repeats.reduce((sum, repeat) => sum + repeat.length, 0);
+    // Adjust entropy for repetition patterns
+    const repetitionPenalty = (repeatLength / pwd.length) * 0.25;
+    rawEntropy *= (1 - repetitionPenalty);
+  }
+  
+  // Sequential or keyboard patterns reduce effective entropy
+  const seqResult = containsSequentialPattern(pwd);
+  const hasKeyboardPattern = containsKeyboardPattern(pwd);
+  
+  if (seqResult.found || hasKeyboardPattern) {
+    // Penalty depends on how much of the password is made up of patterns
+    let patternRatio = 0;
+    
+    if (seqResult.found) {
+      patternRatio = Math.max(patternRatio, seqResult.length / pwd.length);
+    }
+    
+    // Apply proportional penalty
+    const entropyReduction = 0.2 + (patternRatio * 0.1); // 20-30% reduction
+    rawEntropy *= (1 - entropyReduction);
+  }
+  
+  // Word + number patterns are weaker than random characters
+  if (/^[a-z]+[0-9]+$/i.test(pwd)) {
+    rawEntropy *= 0.9; // 10% entropy reduction for word+number pattern
+  }
+  
+  return Math.max(0, rawEntropy);
+};
+
+// Calculate time to crack from the estimated number of guesses
+export const calculateTimeToCrack = (guesses, guessesPerSecond = GUESSES_PER_SECOND) => {
+  return {
+    online: guesses / guessesPerSecond.online,
+    offline: guesses / guessesPerSecond.offline,
+    optimized: guesses / guessesPerSecond.optimized
+  };
+};
+
+// Format time duration
+export const formatTime = (seconds) => {
+  if (isNaN(seconds) || !isFinite(seconds)) return "Virtually forever";
+  
+  if (seconds < 0.001) return "Instantly";
+  if (seconds < 1) return "Less than a second";
+  if (seconds < 60) return `${Math.round(seconds)} seconds`;
+  if (seconds < 3600) return `${Math.round(seconds / 60)} minutes`;
+  if (seconds < 86400) return `${Math.round(seconds / 3600)} hours`;
+  if (seconds < 604800) return `${Math.round(seconds / 86400)} days`; // 1 week
+  if (seconds < 2629746) return `${Math.round(seconds / 604800)} weeks`; // ~1 month
+  if (seconds < 31556952) return `${Math.round(seconds / 2629746)} months`; // ~1 year
+  
+  const years = seconds / 31556952;
+  
+  if (years < 10) return `${Math.round(years)} years`;
+  if (years < 100) return `${Math.round(years / 10) * 10} years`;
+  if (years < 1000) return `${Math.round(years / 100) * 100} years`;
+  if (years < 10000) return `${Math.round(years / 1000)}K years`;
+  if (years < 1000000) return `${Math.round(years / 10000) * 10}K years`;
+  
+  // Cap at more reasonable values that humans can relate to
+  // Modern computing and encryption methods would likely be different anyway
+  return "1M+ years"; // Cap at 1 million+ years as anything beyond is unrealistic
+};
+
+// Describe a matched segment for the Patterns Detected list (brute-force segments are not patterns)
+const describeMatch = (match) => {
+  switch (match.pattern) {
+    case 'dictionary': {
+      if (match.dictionaryName === 'userInputs') {
+        const details = [match.reversed && 'reversed', match.l33t && `l33t ${match.token}`].filter(Boolean);
+        return `Your ${USER_CONTEXT_FIELDS[match.field]}: ${match.matchedWord}${details.length ? ` (${details.join(', ')})` : ''}`;
+      }
+      const pack = describeLanguageDictionary(match.dictionaryName);
+      const label = (pack && pack.label) || DICTIONARY_LABELS[match.dictionaryName] ||
+        `${match.dictionaryName.charAt(0).toUpperCase() + match.dictionaryName.slice(1)} word`;
+      const details = [
+        match.dictionaryName === 'passwords' && `${formatRank(match.rank)} most common`,
+        match.reversed && 'reversed',
+        match.l33t && `l33t ${match.token} with ${describeL33tSub(match.sub)}`
+      ].filter(Boolean);
+      return `${label}: ${match.matchedWord}${details.length ? ` (${details.join(', ')})` : ''}`;
+    }
+    case 'spatial':
+      return `Keyboard pattern: ${match.token} (${KEYBOARD_GRAPHS[match.graph].name}, ${match.turns} ${match.turns === 1 ? 'turn' : 'turns'})`;
+    case 'repeat':
+      return `Repeating characters: ${match.token}`;
+    case 'sequence':
+      return `Sequential pattern: ${match.token} (${match.ascending ? 'ascending' : 'descending'}, step ${match.step}, ` +
+        `characters ${match.i + 1}-${match.j + 1})`;
+    case 'date': {
+      if (!match.hasDayMonth) return `Date pattern: ${match.token} (year)`;
+      const pad = (number) => String(number).padStart(2, '0');
+      const year = match.year === undefined ? '' : `${match.year}-`;
+      return `Date pattern: ${match.token} (${year}${pad(match.month)}-${pad(match.day)}, ${match.order})`;
+    }
+    default:
+      return null;
+  }
+};
+
+// Map a guess count onto the 1-100 score
+export const guessesToScore = (guesses) => {
+  const score = Math.round(Math.log10(guesses) * SCORE_PER_GUESS_DECADE);
+  return Math.max(1, Math.min(100, score));
+};
+
+// Strength label and its color for a 1-100 score
+export const scoreToStrength = (score) => {
+  const { strength, strengthColor } = STRENGTH_THRESHOLDS.find(level => score >= level.minScore);
+  return { strength, strengthColor };
+};
+
+// Advanced password assessment function.
+// options.userContext ({ name, username, email, company, birthDate, site }) makes the owner's own details
+// count as top dictionary words; options.userInputs takes a prebuilt buildUserInputs result instead.
+// options.languages lists loaded language packs to match against (['id', 'de']).
+export const assessPasswordStrength = (pwd, options = {}) => {
+  if (!pwd) return { score: 0, issues: [], patterns: [] };
+  
+  const issues = [];
+  
+  // Basic checks
+  const length = pwd.length;
+  const hasUpperCase = hasUpper(pwd);
+  const hasLowerCase = hasLower(pwd);
+  const hasNumbers = hasNumber(pwd);
+  const hasSymbols = hasSymbol(pwd);
+  const entropy = calculateEntropy(pwd);
+  
+  // The score, strength label and crack times all derive from the cheapest decomposition
+  // of the password into matched segments
+  const userInputs = options.userInputs !== undefined ? options.userInputs : buildUserInputs(options.userContext);
+  const dictionaries = getLanguageDictionaries(options.languages);
+  const { guesses, guessesLog10, sequence } = estimateGuesses(pwd, { userInputs, dictionaries });
+  const score = guessesToScore(guesses);
+  const patterns = sequence.map(describeMatch).filter(Boolean);
+  
+  // Personal details found in the password
+  const personalDetails = sequence
+    .filter(match => match.dictionaryName === 'userInputs')
+    .map(match => ({ field: match.field, label: USER_CONTEXT_FIELDS[match.field], token: match.token }));
+  
+  // Organization banned terms, as typed or in l33t speak
+  const lowercasePwd = pwd.toLowerCase();
+  const organizationTerms = [...new Set(
+    [lowercasePwd, ...l33tVariants(lowercasePwd, { allowUnchanged: true })].map(findBannedTerm).filter(Boolean)
+  )];
+  
+  // Languages of the language pack words found in the password
+  const languages = [...new Set(sequence
+    .filter(match => match.pattern === 'dictionary')
+    .map(match => describeLanguageDictionary(match.dictionaryName))
+    .filter(Boolean)
+    .map(pack => pack.language))];
+  
+  if (length < 6) issues.push('Too short');
+  
+  // Check if it's likely a common password
+  const isCommon = isLikelyCommonPassword(pwd);
+  const commonRank = getPasswordRank(pwd);
+  if (isCommon) {
+    issues.push('Common password or pattern detected');
+  }
+  
+  if (organizationTerms.length > 0) {
+    issues.push('Contains an organization term');
+  }
+  
+  if (personalDetails.length > 0) {
+    issues.push(`Contains your ${[...new Set(personalDetails.map(detail => detail.label))].join(', ')}`);
+  }
+  
+  // Check for single character type (letters only or numbers only)
+  if (pwd.length > 1) {
+    if (/^[a-z]+$/i.test(pwd)) {
+      issues.push('Only letters');
+    } else if (/^\d+$/.test(pwd)) {
+      issues.push('Only numbers');
+    }
+  }
+  
+  // Collect missing character types for feedback
+  if (!hasUpperCase) issues.push('No uppercase');
+  if (!hasLowerCase) issues.push('No lowercase');
+  if (!hasNumbers) issues.push('No numbers');
+  if (!hasSymbols) issues.push('No symbols');
+  
+  // Determine strength level
+  const { strength, strengthColor } = scoreToStrength(score);
+  
+  // For weak passwords, adjust entropy to better reflect actual security
+  let adjustedEntropy = entropy;
+  if (patterns.length > 0 && score < 25) {
+    adjustedEntropy = Math.min(entropy, 40);
+  }
+  
+  return {
+    score,
+    strength,
+    strengthColor,
+    entropy: adjustedEntropy,
+    guesses,
+    guessesLog10,
+    sequence,
+    patterns,
+    issues,
+    hasUpper: hasUpperCase,
+    hasLower: hasLowerCase,
+    hasNumber: hasNumbers,
+    hasSymbol: hasSymbols,
+    length,
+    isCommon,
+    commonRank,
+    personalDetails,
+    organizationTerms,
+    languages,
+    hasPatterns: patterns.length > 0
+  };
+};
+
+// Full analysis of a single password, in the shape the Analyzer tab renders.
+// options.policy (a preset from POLICY_PRESETS or a custom { rules }) adds per-rule compliance as `policy`.
+export const analyze = (pwd, options = {}) => {
+  if (!pwd) return null;
+  
+  const { guessesPerSecond = GUESSES_PER_SECOND } = options;
+  
+  const assessment = assessPasswordStrength(pwd, options);
+  const timeToCrack = calculateTimeToCrack(assessment.guesses, guessesPerSecond);
+  
+  // Format feedback for display
+  const feedback = [...assessment.issues];
+  if (assessment.commonRank) {
+    feedback.unshift(`This is the ${formatRank(assessment.commonRank)} most common password`);
+  }
+  if (assessment.patterns.length > 0) {
+    feedback.push(`Avoid patterns: ${assessment.patterns.join(', ')}`);
+  }
+  
+  return {
+    ...assessment,
+    timeToCrack,
+    feedback,
+    isCommon: assessment.isCommon,
+    policy: options.policy ? evaluatePolicy(pwd, options.policy, assessment) : null
+  };
+};
+
+// Analyze a list of passwords, one row per password as shown in the Bulk Analysis table.
+// options.userContext applies the same owner details to every password, options.languages the same language packs
+// and options.policy the same policy.
+export const audit = (passwords, options = {}) => {
+  const userInputs = buildUserInputs(options.userContext);
+  
+  return passwords.filter(p => p.trim()).map(pwd => {
+    const assessment = assessPasswordStrength(pwd, { userInputs, languages: options.languages });
+    
+    return {
+      password: pwd,
+      score: assessment.score,
+      strength: assessment.strength,
+      entropy: Math.round(assessment.entropy * 10) / 10,
+      isCommon: assessment.isCommon,
+      commonRank: assessment.commonRank,
+      personalDetails: assessment.personalDetails,
+      organizationTerms: assessment.organizationTerms,
+      languages: assessment.languages,
+      policy: options.policy ? evaluatePolicy(pwd, options.policy, assessment) : null,
+      patterns: assessment.patterns.length,
+      hasIssues: assessment.patterns.length > 0 || assessment.issues.length > 0
+    };
+  });
+};
+
+// Audit saved logins of { site, username, password } (an imported export or the vault), keeping site and
+// username on each row, and the id of entries that have one. Each password is checked against its own site and
+// username as personal details, in place of those in options.userContext, and reusedIn counts the logins that
+// share it.
+export const auditEntries = (entries, options = {}) => {
+  const logins = entries.filter(entry => entry.password.trim());
+  const uses = new Map();
+  logins.forEach(entry => uses.set(entry.password, (uses.get(entry.password) || 0) + 1));
+
+  return logins.map(entry => {
+    const { username, site } = { ...options.userContext };
+    const [result] = audit([entry.password], {
+      ...options,
+      userContext: { ...options.userContext, username: entry.username || username, site: entry.site || site }
+    });
+    const reusedIn = uses.get(entry.password);
+    return {
+      ...(entry.id !== undefined ? { id: entry.id } : {}),
+      site: entry.site,
+      username: entry.username,
+      ...result,
+      reusedIn,
+      hasIssues: result.hasIssues || reusedIn > 1
+    };
+  });
+};
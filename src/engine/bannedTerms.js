@@ -0,0 +1,47 @@
+/**
+ * @file bannedTerms.js
+ * @description Organization banned-terms list (company, product, office and project names) matched like top dictionary words
+ * @author Hardin Irfan <hardinmail05@gmail.com>
+ * @copyright Copyright (c) 2025 Hardin Irfan
+ * @license MIT
+ */
+
+import { getRankedDictionary, setRankedDictionary } from './matching.js';
+
+// Name of the ranked dictionary holding the terms
+export const BANNED_TERMS_DICTIONARY = 'organization';
+
+// Shortest term kept; shorter entries would match inside almost any password
+const MIN_TERM_LENGTH = 3;
+
+// Parse a pasted or uploaded list: one term per line or comma-separated, '#' starts a comment.
+// Terms are lowercased and spaces removed (New York -> newyork), since passwords rarely contain spaces.
+export const parseBannedTerms = (text) => {
+  const terms = text
+    .split(/\r?\n/)
+    .map(line => line.replace(/#.*/, ''))
+    .flatMap(line => line.split(','))
+    .map(term => term.trim().toLowerCase().replace(/\s+/g, ''))
+    .filter(term => term.length >= MIN_TERM_LENGTH);
+  return [...new Set(terms)];
+};
+
+// Replace the active list; an empty list turns the check off
+export const setBannedTerms = (terms) => {
+  setRankedDictionary(BANNED_TERMS_DICTIONARY, terms.map(term => term.toLowerCase()));
+};
+
+export const getBannedTerms = () => [...(getRankedDictionary(BANNED_TERMS_DICTIONARY) || new Map()).keys()];
+
+// Banned term contained in a lowercased candidate, forwards or reversed and with any prefix or suffix
+// around it (acme2024, myacme!, emca), or null
+export const findBannedTerm = (candidate) => {
+  const terms = getRankedDictionary(BANNED_TERMS_DICTIONARY);
+  if (!terms) return null;
+
+  const reversed = [...candidate].reverse().join('');
+  for (const term of terms.keys()) {
+    if (candidate.includes(term) || reversed.includes(term)) return term;
+  }
+  return null;
+};
@@ -0,0 +1,41 @@
+import { findBannedTerm, getBannedTerms, parseBannedTerms, setBannedTerms } from './bannedTerms.js';
+import { assessPasswordStrength } from './analyzer.js';
+
+afterEach(() => setBannedTerms([]));
+
+describe('parseBannedTerms', () => {
+  test('reads lines and commas, lowercases, removes spaces and repeats', () => {
+    expect(parseBannedTerms('Acme, acme\nNew York\r\nWidgetCo # product line\n\n')).toEqual(['acme', 'newyork', 'widgetco']);
+  });
+
+  test('drops comments and terms that are too short', () => {
+    expect(parseBannedTerms('# header\nab, xyz')).toEqual(['xyz']);
+  });
+});
+
+describe('findBannedTerm', () => {
+  test('finds terms with affixes and reversed', () => {
+    setBannedTerms(['acme']);
+    expect(getBannedTerms()).toEqual(['acme']);
+    expect(findBannedTerm('acme2024')).toBe('acme');
+    expect(findBannedTerm('myacme!')).toBe('acme');
+    expect(findBannedTerm('emca')).toBe('acme');
+    expect(findBannedTerm('summer')).toBeNull();
+  });
+
+  test('is off with an empty list', () => {
+    expect(findBannedTerm('acme2024')).toBeNull();
+  });
+});
+
+describe('analysis with banned terms', () => {
+  test('flags terms as typed and in l33t speak, and scores them like top words', () => {
+    const before = assessPasswordStrength('Acme2024!').score;
+    setBannedTerms(parseBannedTerms('Acme'));
+    const assessment = assessPasswordStrength('Acme2024!');
+    expect(assessment.organizationTerms).toEqual(['acme']);
+    expect(assessment.issues).toContain('Contains an organization term');
+    expect(assessment.score).toBeLessThan(before);
+    expect(assessPasswordStrength('@cm3rocks').organizationTerms).toEqual(['acme']);
+  });
+});
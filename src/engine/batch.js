@@ -0,0 +1,77 @@
+/**
+ * @file batch.js
+ * @description Batches of distinct generated passwords with optional row identifiers, and CSV/JSON export
+ * @author Hardin Irfan <hardinmail05@gmail.com>
+ * @copyright Copyright (c) 2025 Hardin Irfan
+ * @license MIT
+ */
+
+// Largest batch generated at once
+export const MAX_BATCH_SIZE = 10000;
+
+// Draws allowed per password before giving up on finding enough distinct ones; far more than
+// collecting every password of a space only just larger than the batch needs
+const DRAWS_PER_PASSWORD = 50;
+
+// Parse row identifiers (user names, employee numbers, ...): one per line, surrounding spaces ignored
+export const parseIdentifiers = (text) => text
+  .split(/\r?\n/)
+  .map(line => line.trim())
+  .filter(Boolean);
+
+// Problems that make a batch impossible (empty when it can be generated). With identifiers the batch has one
+// row per identifier; combinations is the number of distinct passwords the settings can produce, when known.
+export const batchProblems = ({ count, identifiers = [], combinations = null }) => {
+  const problems = [];
+  const size = identifiers.length > 0 ? identifiers.length : count;
+  if (!Number.isInteger(size) || size < 1 || size > MAX_BATCH_SIZE) {
+    problems.push(`A batch must have from 1 to ${MAX_BATCH_SIZE.toLocaleString('en-US')} passwords`);
+  }
+  const duplicates = [...new Set(identifiers.filter((id, i) => identifiers.indexOf(id) !== i))];
+  if (duplicates.length > 0) {
+    problems.push(`Identifiers must be unique: ${duplicates.slice(0, 5).join(', ')}${duplicates.length > 5 ? ', ...' : ''}`);
+  }
+  if (combinations !== null && Number.isInteger(size) && BigInt(size) > combinations) {
+    problems.push(`These settings only allow ${combinations.toLocaleString('en-US')} different passwords`);
+  }
+  return problems;
+};
+
+// Generate a batch with next(), redrawing any repeat so that no two rows share a password. Every set of
+// distinct passwords is then equally likely, just as each single draw is.
+// Returns [{ id, password }] in identifier order, or [{ password }] without identifiers.
+export const generateBatch = (next, { count, identifiers = [], combinations = null }) => {
+  const problems = batchProblems({ count, identifiers, combinations });
+  if (problems.length > 0) throw new Error(problems.join('; '));
+
+  const size = identifiers.length > 0 ? identifiers.length : count;
+  const seen = new Set();
+  for (let draws = 0; seen.size < size; draws++) {
+    if (draws >= size * DRAWS_PER_PASSWORD) {
+      throw new Error(`Could not find ${size} different passwords with these settings`);
+    }
+    seen.add(next());
+  }
+
+  const passwords = [...seen];
+  return passwords.map((password, i) => (identifiers.length > 0 ? { id: identifiers[i], password } : { password }));
+};
+
+// A CSV field, quoted when it contains a separator, quote or line break. A field starting with = + - @, a tab
+// or a carriage return would run as a formula in a spreadsheet, so it is always quoted behind a ' (the OWASP
+// rule for CSV injection).
+export const csvField = (value) => {
+  const text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) return `"'${text.replace(/"/g, '""')}"`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Batch rows as CSV with a header row; the id column is left out when the rows have no identifiers
+export const batchToCsv = (rows) => {
+  const columns = rows.some(row => row.id !== undefined) ? ['id', 'password'] : ['password'];
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(fields => fields.map(csvField).join(','))
+    .join('\r\n') + '\r\n';
+};
+
+export const batchToJson = (rows) => JSON.stringify(rows, null, 2);
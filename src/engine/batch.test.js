@@ -0,0 +1,64 @@
+import { batchProblems, batchToCsv, batchToJson, csvField, generateBatch, parseIdentifiers, MAX_BATCH_SIZE } from './batch.js';
+
+// next() for a batch: hands out the values in order
+const sequence = (values) => {
+  let i = 0;
+  return () => values[i++ % values.length];
+};
+
+describe('generateBatch', () => {
+  test('redraws repeats so every row is different', () => {
+    expect(generateBatch(sequence(['a', 'a', 'b', 'a', 'c']), { count: 3 })).toEqual([
+      { password: 'a' }, { password: 'b' }, { password: 'c' }
+    ]);
+  });
+
+  test('gives one row per identifier, in order', () => {
+    expect(generateBatch(sequence(['x', 'y']), { identifiers: ['jsmith', 'adoe'] })).toEqual([
+      { id: 'jsmith', password: 'x' }, { id: 'adoe', password: 'y' }
+    ]);
+  });
+
+  test('throws for impossible batches', () => {
+    expect(() => generateBatch(sequence(['a']), { count: 2 })).toThrow('Could not find 2 different passwords');
+    expect(() => generateBatch(sequence(['a']), { count: 2, combinations: 1n })).toThrow('only allow 1 different passwords');
+  });
+});
+
+describe('batchProblems', () => {
+  test('checks the size, identifiers and combinations', () => {
+    expect(batchProblems({ count: 10, combinations: 100n })).toEqual([]);
+    expect(batchProblems({ count: MAX_BATCH_SIZE + 1 })).toEqual(['A batch must have from 1 to 10,000 passwords']);
+    expect(batchProblems({ count: 1, identifiers: ['a', 'b', 'a'] })).toEqual(['Identifiers must be unique: a']);
+  });
+});
+
+describe('parseIdentifiers', () => {
+  test('reads one identifier per line', () => {
+    expect(parseIdentifiers(' jsmith \r\n\nadoe\n')).toEqual(['jsmith', 'adoe']);
+  });
+});
+
+describe('csvField', () => {
+  test('quotes separators, quotes and line breaks', () => {
+    expect(csvField('plain')).toBe('plain');
+    expect(csvField('a,"b"')).toBe('"a,""b"""');
+    expect(csvField('two\nlines')).toBe('"two\nlines"');
+  });
+
+  test('keeps spreadsheets from running a field as a formula', () => {
+    ['=1+1', '+cmd', '-2', '@SUM(A1)', '\tx', '\rx'].forEach(value => {
+      expect(csvField(value)).toBe(`"'${value}"`);
+    });
+    expect(csvField('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+  });
+});
+
+describe('batchToCsv and batchToJson', () => {
+  test('export the rows with a header', () => {
+    const rows = [{ id: 'jsmith', password: '=x,y' }, { id: 'adoe', password: 'Plain9' }];
+    expect(batchToCsv(rows)).toBe('id,password\r\njsmith,"\'=x,y"\r\nadoe,Plain9\r\n');
+    expect(batchToCsv([{ password: 'abc' }])).toBe('password\r\nabc\r\n');
+    expect(JSON.parse(batchToJson(rows))).toEqual(rows);
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * @file breach.js
+ * @description k-anonymity breach lookup against Pwned Passwords style range files from a configurable source
+ * @author Hardin Irfan <hardinmail05@gmail.com>
+ * @copyright Copyright (c) 2025 Hardin Irfan
+ * @license MIT
+ */
+
+// Length of the hash prefix sent to (or looked up in) the range source
+export const RANGE_PREFIX_LENGTH = 5;
+
+// Upper-case hex SHA-1 of a string, computed locally with WebCrypto
+export const sha1Hex = async (text) => {
+  const digest = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('').toUpperCase();
+};
+
+// Parse a range file ("SUFFIX:COUNT" per line) into a suffix -> count map.
+// Padding entries with a count of 0 are skipped.
+export const parseRange = (text) => {
+  const range = new Map();
+  for (const line of text.split(/\r?\n/)) {
+    const [suffix, count] = line.trim().split(':');
+    if (suffix && Number(count) > 0) range.set(suffix.toUpperCase(), Number(count));
+  }
+  return range;
+};
+
+// Range source for an internal mirror or a local stand-in server.
+// The URL may contain {prefix} (https://hibp.corp.example/range/{prefix}.txt); otherwise the prefix is appended as a path segment.
+export const urlRangeSource = (url, fetchImpl = fetch) => async (prefix) => {
+  const target = url.includes('{prefix}') ? url.replace('{prefix}', prefix) : `${url.replace(/\/+$/, '')}/${prefix}`;
+  const response = await fetchImpl(target);
+  if (response.status === 404) return null;
+  if (!response.ok) throw new Error(`Range request for ${prefix} failed with HTTP ${response.status}`);
+  return response.text();
+};
+
+// Range source for a folder of range files imported into the browser (ABCDE or ABCDE.txt per prefix)
+export const fileListRangeSource = (files) => {
+  const byPrefix = new Map();
+  for (const file of files) {
+    const prefix = file.name.replace(/\.txt$/i, '').toUpperCase();
+    if (/^[0-9A-F]{5}$/.test(prefix)) byPrefix.set(prefix, file);
+  }
+  const source = async (prefix) => (byPrefix.has(prefix) ? byPrefix.get(prefix).text() : null);
+  source.size = byPrefix.size;
+  return source;
+};
+
+// Look up passwords in a range source. Only the first five hex characters of each hash are handed
+// to the source; the full hash and the password never leave this function.
+// Returns one { breached, count } per password, in input order. Both are null when the source
+// has no range file for the prefix (an incomplete local copy), since that is not proof of safety.
+export const checkBreaches = async (passwords, source) => {
+  const hashes = await Promise.all(passwords.map(sha1Hex));
+
+  // Fetch each prefix once, even when several passwords share it
+  const ranges = new Map();
+  for (const hash of hashes) {
+    const prefix = hash.slice(0, RANGE_PREFIX_LENGTH);
+    if (!ranges.has(prefix)) ranges.set(prefix, null);
+  }
+  for (const prefix of ranges.keys()) {
+    const text = await source(prefix);
+    ranges.set(prefix, text === null ? null : parseRange(text));
+  }
+
+  return hashes.map(hash => {
+    const range = ranges.get(hash.slice(0, RANGE_PREFIX_LENGTH));
+    if (!range) return { breached: null, count: null };
+    const count = range.get(hash.slice(RANGE_PREFIX_LENGTH)) || 0;
+    return { breached: count > 0, count };
+  });
+};
+
+// Look up a single password
+export const checkBreach = async (password, source) => (await checkBreaches([password], source))[0];
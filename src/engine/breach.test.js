@@ -0,0 +1,79 @@
+import { checkBreach, checkBreaches, fileListRangeSource, parseRange, sha1Hex, urlRangeSource } from './breach.js';
+
+// SHA-1 of "password" is 5BAA61E4C9B93F3F0682250B6CF8331B7EE68FD8
+const PASSWORD_SUFFIX = '1E4C9B93F3F0682250B6CF8331B7EE68FD8';
+
+// Range source backed by an object of prefix -> range text, recording the prefixes asked for
+const memorySource = (ranges) => {
+  const source = async (prefix) => {
+    source.requests.push(prefix);
+    return ranges[prefix] ?? null;
+  };
+  source.requests = [];
+  return source;
+};
+
+describe('parseRange', () => {
+  test('maps suffixes to counts, skipping padding and blank lines', () => {
+    const range = parseRange(`${PASSWORD_SUFFIX}:9659365\r\n0018A45C4D1DEF81644B54AB7F969B88D65:0\nabc:3\n\n`);
+    expect([...range]).toEqual([[PASSWORD_SUFFIX, 9659365], ['ABC', 3]]);
+  });
+});
+
+describe('checkBreaches', () => {
+  test('hashes locally and hands the source only the prefix', async () => {
+    await expect(sha1Hex('password')).resolves.toBe(`5BAA6${PASSWORD_SUFFIX}`);
+    const source = memorySource({ '5BAA6': `${PASSWORD_SUFFIX}:42` });
+    await expect(checkBreach('password', source)).resolves.toEqual({ breached: true, count: 42 });
+    expect(source.requests).toEqual(['5BAA6']);
+  });
+
+  test('looks each shared prefix up once and keeps input order', async () => {
+    const source = memorySource({ '5BAA6': `${PASSWORD_SUFFIX}:42` });
+    const passwords = ['password', 'xq7#Lw2!vB', 'password'];
+    const prefixes = new Set((await Promise.all(passwords.map(sha1Hex))).map(hash => hash.slice(0, 5)));
+    const results = await checkBreaches(passwords, source);
+    expect(source.requests.sort()).toEqual([...prefixes].sort());
+    expect(results[0]).toEqual({ breached: true, count: 42 });
+    expect(results[2]).toEqual(results[0]);
+  });
+
+  test('reports a password whose range is missing as unknown, and one absent from its range as clean', async () => {
+    const hash = await sha1Hex('xq7#Lw2!vB');
+    const missing = await checkBreaches(['xq7#Lw2!vB'], memorySource({}));
+    expect(missing).toEqual([{ breached: null, count: null }]);
+    const clean = await checkBreaches(['xq7#Lw2!vB'], memorySource({ [hash.slice(0, 5)]: `${PASSWORD_SUFFIX}:1` }));
+    expect(clean).toEqual([{ breached: false, count: 0 }]);
+  });
+});
+
+describe('urlRangeSource', () => {
+  const response = (status, text = '') => ({ status, ok: status < 400, text: async () => text });
+
+  test('fills in {prefix} or appends it, and treats 404 as a missing range', async () => {
+    const urls = [];
+    const fetchImpl = async (url) => {
+      urls.push(url);
+      return url.includes('00000') ? response(404) : response(200, 'ABC:1');
+    };
+    await expect(urlRangeSource('https://hibp.example/range/{prefix}.txt', fetchImpl)('5BAA6')).resolves.toBe('ABC:1');
+    await expect(urlRangeSource('http://127.0.0.1:8787/range/', fetchImpl)('00000')).resolves.toBeNull();
+    expect(urls).toEqual(['https://hibp.example/range/5BAA6.txt', 'http://127.0.0.1:8787/range/00000']);
+  });
+
+  test('fails on other HTTP errors', async () => {
+    await expect(urlRangeSource('https://hibp.example', async () => response(500))('5BAA6')).rejects.toThrow('HTTP 500');
+  });
+});
+
+describe('fileListRangeSource', () => {
+  const file = (name, text) => ({ name, text: async () => text });
+
+  test('indexes range files by prefix with or without .txt and ignores other files', async () => {
+    const source = fileListRangeSource([file('5baa6.txt', `${PASSWORD_SUFFIX}:7`), file('00000', 'ABC:1'), file('notes.txt', '')]);
+    expect(source.size).toBe(2);
+    await expect(source('00000')).resolves.toBe('ABC:1');
+    await expect(source('FFFFF')).resolves.toBeNull();
+    await expect(checkBreach('password', source)).resolves.toEqual({ breached: true, count: 7 });
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * @file context.js
+ * @description Turns details about the password's owner (name, email, birth date...) into a ranked dictionary for matching
+ * @author Hardin Irfan <hardinmail05@gmail.com>
+ * @copyright Copyright (c) 2025 Hardin Irfan
+ * @license MIT
+ */
+
+import { buildRankedDictionary } from './matching.js';
+
+// Supported context fields and how they are named in feedback
+export const USER_CONTEXT_FIELDS = {
+  name: 'name',
+  username: 'username',
+  email: 'email address',
+  company: 'company',
+  birthDate: 'birth date',
+  site: 'site name'
+};
+
+// Shortest detail worth matching, and shortest prefix/suffix kept as a partial form
+const MIN_INPUT_LENGTH = 3;
+const MIN_PARTIAL_LENGTH = 4;
+
+// Parts of emails and URLs that say nothing about the user
+const IGNORED_PARTS = new Set([
+  'www', 'http', 'https', 'com', 'net', 'org', 'edu', 'gov', 'co', 'io',
+  'mail', 'email', 'gmail', 'googlemail', 'yahoo', 'hotmail', 'outlook', 'live', 'icloud', 'proton', 'protonmail'
+]);
+
+// Whole value, each word, and the letter and digit runs inside words (hardinmail05 -> hardinmail)
+const textForms = (value) => {
+  const words = value.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(word => word && !IGNORED_PARTS.has(word));
+  const runs = words.flatMap(word => word.match(/\p{L}+|\p{N}+/gu) || []);
+  return [words.join(''), ...words, ...runs];
+};
+
+// Ways a birth date is typed into passwords (19850612, 12061985, 061285, 1985, 1206)
+const birthDateForms = (value) => {
+  const parts = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(String(value).trim());
+  if (!parts) return textForms(String(value));
+
+  const year = parts[1];
+  const shortYear = year.slice(2);
+  const month = parts[2].padStart(2, '0');
+  const day = parts[3].padStart(2, '0');
+  return [
+    `${year}${month}${day}`, `${day}${month}${year}`, `${month}${day}${year}`,
+    `${day}${month}${shortYear}`, `${month}${day}${shortYear}`, `${shortYear}${month}${day}`,
+    year, `${day}${month}`, `${month}${day}`
+  ];
+};
+
+// Site names without protocol, path or top-level domain (https://www.github.com/login -> github)
+const siteForms = (value) => {
+  const host = value.toLowerCase().replace(/^[a-z]+:\/\//, '').split(/[/?#]/)[0];
+  const labels = host.split('.');
+  return textForms(labels.length > 1 ? labels.slice(0, -1).join('.') : host);
+};
+
+const FIELD_FORMS = {
+  email: (value) => value.split('@').flatMap(textForms),
+  birthDate: birthDateForms,
+  site: siteForms
+};
+
+// Build the user-input dictionary for a context object ({ name, username, email, company, birthDate, site }).
+// Full forms rank first and partial forms (prefixes and suffixes) after them, so every entry ranks
+// like the top of a common-word list. Returns null when the context is missing or has nothing to match.
+export const buildUserInputs = (context) => {
+  const fields = new Map();
+  const add = (word, field) => {
+    if (word.length >= MIN_INPUT_LENGTH && !fields.has(word)) fields.set(word, field);
+  };
+
+  const fullForms = Object.keys(USER_CONTEXT_FIELDS)
+    .filter(field => context?.[field] && String(context[field]).trim())
+    .flatMap(field => (FIELD_FORMS[field] || textForms)(String(context[field])).map(word => [word, field]));
+  fullForms.forEach(([word, field]) => add(word, field));
+
+  // Partial forms of names and words (Hardin -> hard, ardin)
+  fullForms.forEach(([word, field]) => {
+    if (!/^\p{L}+$/u.test(word)) return;
+    for (let length = word.length - 1; length >= MIN_PARTIAL_LENGTH; length--) {
+      add(word.slice(0, length), field);
+      add(word.slice(word.length - length), field);
+    }
+  });
+
+  if (fields.size === 0) return null;
+  return {
+    ranked: buildRankedDictionary([...fields.keys()]),
+    fields
+  };
+};
@@ -0,0 +1,59 @@
+import { buildUserInputs } from './context.js';
+import { analyze, audit, auditEntries } from './index.js';
+
+const words = (context) => [...buildUserInputs(context).fields.keys()];
+
+describe('buildUserInputs', () => {
+  test('types a birth date the common ways', () => {
+    expect(words({ birthDate: '1985-6-12' })).toEqual([
+      '19850612', '12061985', '06121985', '120685', '061285', '850612', '1985', '1206', '0612'
+    ]);
+  });
+
+  test('splits the email local part into words and drops the mail provider', () => {
+    const { fields } = buildUserInputs({ email: 'hardin.irfan05@gmail.com' });
+    expect([...fields.keys()]).toEqual(expect.arrayContaining(['hardinirfan05', 'hardin', 'irfan05', 'irfan']));
+    expect(fields.has('gmail')).toBe(false);
+    expect(fields.get('irfan')).toBe('email');
+  });
+
+  test('adds prefixes and suffixes of names after the full forms', () => {
+    const { fields, ranked } = buildUserInputs({ name: 'Hardin' });
+    expect([...fields.keys()]).toEqual(['hardin', 'hardi', 'ardin', 'hard', 'rdin']);
+    expect(ranked.get('hardin')).toBe(1);
+    expect(ranked.get('rdin')).toBe(5);
+  });
+
+  test('names each word after the field it came from', () => {
+    const { fields } = buildUserInputs({ name: 'Hardin', site: 'https://www.github.com/login', company: 'Acme Corp' });
+    expect(fields.get('hardin')).toBe('name');
+    expect(fields.get('github')).toBe('site');
+    expect(fields.get('acmecorp')).toBe('company');
+  });
+
+  test('returns null when there is nothing to match', () => {
+    expect(buildUserInputs()).toBeNull();
+    expect(buildUserInputs(null)).toBeNull();
+    expect(buildUserInputs({ name: '  ', email: 'ab@gmail.com' })).toBeNull();
+  });
+});
+
+describe('analyze with owner details', () => {
+  const userContext = { name: 'Hardin Irfan', birthDate: '1985-06-12' };
+
+  test.each(['Hardin1985!', 'ardin120685', 'irfan0612!x'])('scores %s lower when it contains them', (pwd) => {
+    const result = analyze(pwd, { userContext });
+    expect(result.score).toBeLessThan(analyze(pwd).score);
+    expect(result.personalDetails.map(detail => detail.field)).toEqual(['name', 'birthDate']);
+  });
+
+  test('leaves unrelated passwords alone', () => {
+    expect(analyze('xq7#Lw2!vB', { userContext }).score).toBe(analyze('xq7#Lw2!vB').score);
+  });
+
+  test('treats a null userContext as no owner details', () => {
+    expect(analyze('Hardin1985!', { userContext: null }).score).toBe(analyze('Hardin1985!').score);
+    expect(audit(['Hardin1985!'], { userContext: null })[0].personalDetails).toEqual([]);
+    expect(auditEntries([{ password: 'Hardin1985!' }], { userContext: null })[0].personalDetails).toEqual([]);
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * @file corpus.js
+ * @description Frequency-ranked breached-password corpus, loaded on demand and used as the common password dictionary
+ * @author Hardin Irfan <hardinmail05@gmail.com>
+ * @copyright Copyright (c) 2025 Hardin Irfan
+ * @license MIT
+ */
+
+import { COMMON_PASSWORDS } from './dictionaries.js';
+import { getRankedDictionary, setRankedDictionary } from './matching.js';
+
+let corpusPromise = null;
+
+// Load the ranked corpus (the 49,233 leaked passwords of @zxcvbn-ts/language-common, most common first) once.
+// It ships with the app as a separate compressed chunk, so nothing is fetched from third parties
+// and the first page load stays small. Until it resolves, the short built-in list is used.
+export const loadPasswordCorpus = () => {
+  if (!corpusPromise) {
+    corpusPromise = import('@zxcvbn-ts/language-common')
+      .then(({ dictionary }) => {
+        const passwords = dictionary['passwords-common'];
+        // Built-in entries missing from the corpus rank after it
+        setRankedDictionary('passwords', [...passwords, ...COMMON_PASSWORDS]);
+        return passwords.length;
+      })
+      .catch(error => {
+        // Allow a later retry
+        corpusPromise = null;
+        throw error;
+      });
+  }
+  return corpusPromise;
+};
+
+// Rank of the whole password in the common password dictionary (1 = most common), or null
+export const getPasswordRank = (pwd) => {
+  if (!pwd) return null;
+  return getRankedDictionary('passwords').get(pwd.toLowerCase()) || null;
+};
+
+// English ordinal for a rank (1st, 2nd, 3rd, 11th, 42nd)
+export const formatRank = (rank) => {
+  const lastTwo = rank % 100;
+  const suffix = lastTwo >= 11 && lastTwo <= 13 ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[rank % 10] || 'th');
+  return `${rank.toLocaleString('en-US')}${suffix}`;
+};
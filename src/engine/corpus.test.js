@@ -0,0 +1,44 @@
+import { formatRank, getPasswordRank, loadPasswordCorpus } from './corpus.js';
+import { assessPasswordStrength } from './analyzer.js';
+
+describe('loadPasswordCorpus', () => {
+  test('ranks passwords beyond the built-in list once loaded', async () => {
+    expect(getPasswordRank('iloveyou')).toBeNull();
+    // The size the README and the Analyzer tab state
+    await expect(loadPasswordCorpus()).resolves.toBe(49233);
+    expect(getPasswordRank('password')).toBe(2);
+    expect(getPasswordRank('iloveyou')).toBe(51);
+  });
+
+  test('loads only once', () => {
+    expect(loadPasswordCorpus()).toBe(loadPasswordCorpus());
+  });
+
+  test('makes corpus passwords common in the analyzer', async () => {
+    await loadPasswordCorpus();
+    const assessment = assessPasswordStrength('1qaz2wsx');
+    expect(assessment.isCommon).toBe(true);
+    expect(assessment.commonRank).toBe(getPasswordRank('1qaz2wsx'));
+  });
+
+  test('labels a common password as one even where a word list ranks it higher', async () => {
+    await loadPasswordCorpus();
+    expect(assessPasswordStrength('password').patterns).toEqual(['Common password: password (2nd most common)']);
+  });
+});
+
+describe('getPasswordRank', () => {
+  test('ignores case and returns null for unknown passwords', async () => {
+    await loadPasswordCorpus();
+    expect(getPasswordRank('PASSWORD')).toBe(2);
+    expect(getPasswordRank('xq7#Lw2!vB')).toBeNull();
+    expect(getPasswordRank('')).toBeNull();
+  });
+});
+
+describe('formatRank', () => {
+  test('adds English ordinal suffixes', () => {
+    expect([1, 2, 3, 4, 11, 12, 13, 22, 101, 1003].map(formatRank))
+      .toEqual(['1st', '2nd', '3rd', '4th', '11th', '12th', '13th', '22nd', '101st', '1,003rd']);
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * @file derive.js
+ * @description Stateless site passwords derived from a master password, site and counter with PBKDF2, and test vectors
+ * @author Hardin Irfan <hardinmail05@gmail.com>
+ * @copyright Copyright (c) 2025 Hardin Irfan
+ * @license MIT
+ */
+
+import { generate, generatorProblems } from './generator.js';
+import { siteHost } from './passwordRules.js';
+
+// Name of this derivation scheme, included in the salt. Any change to the scheme that alters output needs a
+// new name, so a password derived today can always be derived again.
+const DERIVATION_VERSION = 'hardlock-derive-v1';
+
+// PBKDF2-HMAC-SHA256 iterations (the OWASP recommendation); each guess at the master password costs this many
+export const DERIVATION_ITERATIONS = 600000;
+
+// Bytes of key stream expanded from the PBKDF2 key with HKDF-SHA256, the most it can produce. A password
+// draw takes at most a few hundred, so running out is practically impossible.
+const STREAM_BYTES = 255 * 32;
+
+// Problems that keep a password from being derived (empty when it can be). Settings are generator settings;
+// a target policy is refused because its blocklist and minimum-score rules depend on analyzer data that
+// changes between releases, which would change the password. Site rules (passwordRules) are fine.
+export const deriveProblems = (master, { site, counter = 1 } = {}, settings = {}) => {
+  const problems = [];
+  if (!master) problems.push('Enter a master password');
+  if (!siteHost(site)) problems.push('Enter the site as a host name or address');
+  if (!Number.isInteger(counter) || counter < 1) problems.push('The counter must be a whole number of at least 1');
+  if (settings.policy) problems.push('Derived passwords cannot use a target policy; use site rules instead');
+  return [...problems, ...generatorProblems(settings)];
+};
+
+// Key stream for one master password, site, login and counter: PBKDF2 stretches the master password with
+// a salt naming all of them, HKDF expands the result
+const keyStream = async (master, host, login, counter) => {
+  const encoder = new TextEncoder();
+  const password = await crypto.subtle.importKey('raw', encoder.encode(master.normalize('NFC')), 'PBKDF2', false, ['deriveBits']);
+  const salt = encoder.encode(JSON.stringify([DERIVATION_VERSION, host, login, counter]));
+  const key = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations: DERIVATION_ITERATIONS }, password, 256);
+
+  const hkdfKey = await crypto.subtle.importKey('raw', key, 'HKDF', false, ['deriveBits']);
+  const info = encoder.encode(`${DERIVATION_VERSION} stream`);
+  const stream = await crypto.subtle.deriveBits({ name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info }, hkdfKey, STREAM_BYTES * 8);
+  return new Uint8Array(stream);
+};
+
+// Deterministic counterpart of randomBigInt: uniform BigInts in [0, limit) read from the key stream, with
+// values at or above limit rejected the same way
+const streamIndex = (bytes) => {
+  let offset = 0;
+  return (limit) => {
+    const bits = limit.toString(2).length;
+    const length = Math.ceil(bits / 8);
+    const excess = BigInt(length * 8 - bits);
+    for (;;) {
+      if (offset + length > bytes.length) throw new Error('The derivation key stream ran out');
+      let value = 0n;
+      for (let i = 0; i < length; i++) value = (value << 8n) | BigInt(bytes[offset++]);
+      value >>= excess;
+      if (value < limit) return value;
+    }
+  };
+};
+
+// Derive the password for a site from a master password. The same master password, site, login, counter and
+// generator settings always give the same password, so nothing needs to be stored; raising the counter
+// rotates it. The site is reduced to its host name without www. (https://www.example.com/login and
+// example.com give the same password). Within the settings, every password is as likely as with generate().
+export const derivePassword = async (master, { site, login = '', counter = 1 } = {}, settings = {}) => {
+  const problems = deriveProblems(master, { site, counter }, settings);
+  if (problems.length > 0) throw new Error(problems.join('; '));
+  const bytes = await keyStream(master, siteHost(site), login.trim(), counter);
+  return generate(settings, streamIndex(bytes));
+};
+
+// Known answers that pin the derivation down, so output stays the same across releases. Settings are given in
+// full, since a change to DEFAULT_GENERATOR_SETTINGS must not change them.
+const BASE_SETTINGS = {
+  length: 16,
+  includeUppercase: true,
+  includeLowercase: true,
+  includeNumbers: true,
+  includeSymbols: true,
+  excludeSimilar: false,
+  pronounceable: false,
+  minUppercase: 1,
+  minLowercase: 1,
+  minNumbers: 1,
+  minSymbols: 1,
+  noEdgeSymbols: false,
+  policy: null,
+  passwordRules: null
+};
+
+export const DERIVE_TEST_VECTORS = [
+  {
+    master: 'correct horse battery staple',
+    site: 'example.com',
+    login: '',
+    counter: 1,
+    settings: BASE_SETTINGS,
+    password: '+3lU]AddtSCY]w.I'
+  },
+  {
+    master: 'correct horse battery staple',
+    site: 'https://www.example.com/login',
+    login: '',
+    counter: 2,
+    settings: BASE_SETTINGS,
+    password: 'vH*_I3bWKq4Cs,)M'
+  },
+  {
+    master: 'correct horse battery staple',
+    site: 'mail.example.org',
+    login: 'alice@example.org',
+    counter: 1,
+    settings: { ...BASE_SETTINGS, length: 24, includeSymbols: false, minSymbols: 0, excludeSimilar: true },
+    password: 'nmR9b2fxy6GBfVAYX9m55JpY'
+  },
+  {
+    master: 'Tr0ub4dor&3 ünïcödé',
+    site: 'bank.example',
+    login: 'alice',
+    counter: 3,
+    settings: { ...BASE_SETTINGS, passwordRules: 'minlength: 8; maxlength: 12; required: lower; required: upper; required: digit; allowed: [-_]; max-consecutive: 2' },
+    password: '_6WAMHooWdyo'
+  },
+  {
+    master: 'correct horse battery staple',
+    site: 'example.com',
+    login: '',
+    counter: 1,
+    settings: { ...BASE_SETTINGS, length: 20, pronounceable: true },
+    password: 'popJe.paj_sap9vulot['
+  }
+];
+
+// Derive every test vector and compare; returns one { site, counter, expected, actual, passed } per vector
+export const runDeriveSelfTest = async () => {
+  const results = [];
+  for (const vector of DERIVE_TEST_VECTORS) {
+    const actual = await derivePassword(vector.master, vector, vector.settings);
+    results.push({ site: vector.site, counter: vector.counter, expected: vector.password, actual, passed: actual === vector.password });
+  }
+  return results;
+};
@@ -0,0 +1,53 @@
+import { derivePassword, deriveProblems, runDeriveSelfTest, DERIVE_TEST_VECTORS } from './derive.js';
+import { POLICY_PRESETS } from './policy.js';
+
+// Each derivation runs 600,000 PBKDF2 iterations
+const DERIVE_TIMEOUT = 60000;
+
+describe('derivePassword', () => {
+  // The recorded answers, repeated here so that a change to derive.js cannot update them unnoticed
+  test('the recorded vectors are unchanged', () => {
+    expect(DERIVE_TEST_VECTORS.map(vector => vector.password)).toEqual([
+      '+3lU]AddtSCY]w.I',
+      'vH*_I3bWKq4Cs,)M',
+      'nmR9b2fxy6GBfVAYX9m55JpY',
+      '_6WAMHooWdyo',
+      'popJe.paj_sap9vulot['
+    ]);
+  });
+
+  test.each(DERIVE_TEST_VECTORS.map((vector, i) => [i + 1, vector.site, vector]))(
+    'vector %i (%s) derives its recorded password',
+    async (number, site, vector) => {
+      await expect(derivePassword(vector.master, vector, vector.settings)).resolves.toBe(vector.password);
+    },
+    DERIVE_TIMEOUT
+  );
+
+  test('a site address and its host name give the same password', async () => {
+    const master = 'correct horse battery staple';
+    const fromUrl = await derivePassword(master, { site: 'https://www.example.com/login' });
+    await expect(derivePassword(master, { site: 'example.com' })).resolves.toBe(fromUrl);
+  }, DERIVE_TIMEOUT * 2);
+
+  test('raising the counter changes the password', async () => {
+    const master = 'correct horse battery staple';
+    const first = await derivePassword(master, { site: 'example.com', counter: 1 });
+    await expect(derivePassword(master, { site: 'example.com', counter: 2 })).resolves.not.toBe(first);
+  }, DERIVE_TIMEOUT * 2);
+
+  test('invalid input is rejected', async () => {
+    await expect(derivePassword('', { site: 'example.com' })).rejects.toThrow('Enter a master password');
+    expect(deriveProblems('master', { site: 'example.com', counter: 0 })).toContain('The counter must be a whole number of at least 1');
+    expect(deriveProblems('master', { site: 'example.com' }, { policy: POLICY_PRESETS.nist }))
+      .toContain('Derived passwords cannot use a target policy; use site rules instead');
+  });
+});
+
+describe('runDeriveSelfTest', () => {
+  test('passes every vector', async () => {
+    const results = await runDeriveSelfTest();
+    expect(results).toHaveLength(DERIVE_TEST_VECTORS.length);
+    expect(results.every(result => result.passed)).toBe(true);
+  }, DERIVE_TIMEOUT * DERIVE_TEST_VECTORS.length);
+});
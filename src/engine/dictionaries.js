@@ -0,0 +1,66 @@
+/**
+ * @file dictionaries.js
+ * @description Word lists, common passwords and keyboard patterns used by the analysis engine
+ * @author Hardin Irfan <hardinmail05@gmail.com>
+ * @copyright Copyright (c) 2025 Hardin Irfan
+ * @license MIT
+ */
+
+// Common password prefixes and suffixes
+export const COMMON_PREFIXES = ['admin', 'user', 'test', 'password', 'pass', 'welcome', 'abc', 'qwerty', 'letme', 'hello', 'temp', 'demo', 'login', 'secure', 'dev', 'guest', 'acc'];
+export const COMMON_SUFFIXES = ['123', '1234', '12345', '123456', '2023', '2024', '2022', '2021', '!', '!!', '@', '#', '1', '01', '0'];
+
+// Dictionary of common word categories people use in passwords
+export const COMMON_WORDS_CATEGORIES = {
+  food: ['pizza', 'burger', 'pasta', 'sushi', 'rice', 'bread', 'cheese',
+        'chocolate', 'cookie', 'cake', 'coffee', 'tea', 'banana', 'apple', 'orange', 'chicken', 'beef', 'fish',
+        'candy', 'sugar', 'salt', 'cream', 'milk', 'water', 'juice', 'soda', 'wine', 'beer'],
+  animals: ['cat', 'dog', 'lion', 'tiger', 'bear', 'monkey', 'horse', 'bird', 'fish', 'dragon', 'eagle', 'wolf', 'fox',
+          'rabbit', 'mouse', 'rat', 'deer', 'cow', 'goat', 'sheep', 'pig', 'duck', 'chicken', 'snake', 'lizard',
+          'turtle', 'elephant', 'panda', 'koala', 'dolphin', 'whale', 'shark', 'zebra', 'giraffe', 'frog'],
+  colors: ['red', 'blue', 'green', 'black', 'white', 'orange', 'purple', 'yellow', 'pink', 'brown', 'gold', 'silver',
+         'gray', 'violet', 'indigo', 'magenta', 'cyan', 'teal', 'maroon', 'navy', 'lime', 'olive', 'aqua', 'coral'],
+  sports: ['soccer', 'football', 'basketball', 'tennis', 'golf', 'hockey', 'baseball', 'rugby', 'cricket',
+         'volleyball', 'badminton', 'swimming', 'boxing', 'racing', 'running', 'cycling', 'skating', 'skiing',
+         'surfing', 'bowling', 'billiards', 'archery', 'fishing', 'hunting', 'karate', 'judo', 'taekwondo'],
+  tech: ['computer', 'laptop', 'windows', 'apple', 'android', 'github', 'code', 'tech', 'cyber', 'crypto', 'bitcoin',
+       'google', 'microsoft', 'facebook', 'twitter', 'instagram', 'youtube', 'tiktok', 'snapchat', 'linkedin',
+       'wifi', 'internet', 'router', 'server', 'cloud', 'linux', 'ubuntu', 'python', 'java', 'javascript', 
+       'html', 'css', 'php', 'ruby', 'swift', 'data', 'cyber', 'hack', 'secure', 'virus', 'trojan'],
+  emotions: ['happy', 'love', 'smile', 'cool', 'angry', 'sad', 'peace', 'hope', 'dream', 'joy',
+           'excited', 'calm', 'relax', 'stress', 'worry', 'fear', 'brave', 'proud', 'shame', 'guilt',
+           'trust', 'doubt', 'surprise', 'disgust', 'pleasure', 'pain', 'faith', 'believe'],
+  names: ['john', 'mike', 'david', 'james', 'alex', 'sarah', 'emma', 'lisa', 'anna', 'maria', 'chris', 'robert', 'michael',
+        'william', 'mary', 'patricia', 'linda', 'barbara', 'elizabeth', 'jennifer', 'susan', 'jessica', 'thomas',
+        'charles', 'daniel', 'matthew', 'mark', 'donald', 'steven', 'paul', 'andrew', 'josh', 'george', 'kevin'],
+  places: ['paris', 'london', 'tokyo', 'berlin', 'rome', 'madrid', 'moscow', 'dubai', 'sydney', 'beijing',
+         'newyork', 'chicago', 'boston', 'seattle', 'atlanta', 'miami', 'vegas', 'texas', 'canada', 'mexico',
+         'brazil', 'india', 'china', 'japan', 'korea', 'egypt', 'africa', 'europe', 'asia', 'america'],
+  months: ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december',
+         'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'],
+  days: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday',
+       'mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun']
+};
+
+// Common English words that might not be in our categories
+export const OTHER_COMMON_WORDS = [
+  'password', 'secret', 'private', 'letme', 'hello', 'please', 'money', 'summer', 'winter', 'spring', 'autumn',
+  'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday',
+  'company', 'business', 'office', 'house', 'garden', 'school', 'college', 'friend', 'family',
+  'welcome', 'thank', 'sorry', 'great', 'awesome', 'super', 'nice', 'home', 'work', 'play',
+  'simple', 'easy', 'hard', 'strong', 'weak', 'big', 'small', 'first', 'last', 'best',
+  'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten'
+];
+
+// Common prefixes that indicate a likely common word
+// Flatten categories for easy searching
+export const ALL_COMMON_WORDS = Object.values(COMMON_WORDS_CATEGORIES).flat();
+
+// Keep a smaller list of the most common passwords
+export const COMMON_PASSWORDS = [
+  '123456', 'password', '123456789', '12345678', '12345', '1234567',
+  'password123', 'admin', 'welcome', 'qwerty', 'abc123', 'Password1',
+  'letmein', 'monkey', 'dragon', 'sunshine', 'princess', 'football',
+  'charlie', 'shadow', 'master', 'jordan', 'superman', 'harley',
+  'qwerty123', 'password1', 'admin123', 'test123', 'common123'
+];
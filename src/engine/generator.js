@@ -0,0 +1,438 @@
+/**
+ * @file generator.js
+ * @description Framework-free password generation
+ * @author Hardin Irfan <hardinmail05@gmail.com>
+ * @copyright Copyright (c) 2025 Hardin Irfan
+ * @license MIT
+ */
+
+import { assessPasswordStrength } from './analyzer.js';
+import { parsePasswordRules, passwordRulesProblems } from './passwordRules.js';
+import { evaluatePolicy, EMPTY_POLICY_RULES } from './policy.js';
+import { pronounceableSpace, SYLLABLE_LETTERS, SYLLABLE_TEMPLATES } from './pronounceable.js';
+import { chiSquareUniform, log2BigInt, randomBigInt } from './random.js';
+
+// Character groups for random passwords, with the settings that enable them and set their minimum
+export const CHARACTER_GROUPS = {
+  lowercase: { chars: 'abcdefghijklmnopqrstuvwxyz', include: 'includeLowercase', min: 'minLowercase' },
+  uppercase: { chars: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ', include: 'includeUppercase', min: 'minUppercase' },
+  numbers: { chars: '0123456789', include: 'includeNumbers', min: 'minNumbers' },
+  symbols: { chars: '!@#$%^&*()_+-=[]{}|;:,.<>?', include: 'includeSymbols', min: 'minSymbols' }
+};
+
+const SIMILAR_CHARACTERS = /[il1Lo0O]/g;
+
+// Largest per-class minimum; the exact count keeps one state per combination of minimums
+export const MAX_CLASS_MINIMUM = 5;
+
+// Longest password the generator builds; the exact count keeps a table that grows with the length
+export const MAX_PASSWORD_LENGTH = 128;
+
+// Draws before giving up on a target policy's blocklist and minimum-score rules
+const MAX_POLICY_ATTEMPTS = 100;
+
+// Default settings, matching the Generator tab on first load
+export const DEFAULT_GENERATOR_SETTINGS = {
+  length: 16,
+  includeUppercase: true,
+  includeLowercase: true,
+  includeNumbers: true,
+  includeSymbols: true,
+  excludeSimilar: false,
+  pronounceable: false,
+  // At least this many characters from each enabled class
+  minUppercase: 1,
+  minLowercase: 1,
+  minNumbers: 1,
+  minSymbols: 1,
+  // Keep symbols off the first and last position
+  noEdgeSymbols: false,
+  // Policy (a preset from POLICY_PRESETS or { rules }) every generated password must satisfy
+  policy: null,
+  // Site rules in the passwordrules syntax; when set they decide the characters, required classes, length
+  // limits and repeat limit instead of the settings above
+  passwordRules: null
+};
+
+// Every password over disjoint character groups that meets the requirements ({ groups: [group indices], min }),
+// keeps the edge-excluded groups off the first and last position and repeats no character more than
+// maxRepeats times in a row. The count is exact, so drawing a uniform index and decoding it picks each
+// such password with the same probability.
+const constrainedSpace = ({ groups, length, requirements, edgeExcluded = [], maxRepeats = null }) => {
+  // Progress towards the requirements (each counter capped at its minimum) as one mixed-radix code
+  const codes = requirements.reduce((product, requirement) => product * (requirement.min + 1), 1);
+  const decode = (code) => requirements.map(requirement => {
+    const count = code % (requirement.min + 1);
+    code = Math.floor(code / (requirement.min + 1));
+    return count;
+  });
+  const encode = (counters) => counters.reduceRight((code, count, r) => code * (requirements[r].min + 1) + count, 0);
+
+  // Code after adding a character of each group, and the fewest characters still needed from each code.
+  // Groups are disjoint, so a character counts towards at most one single-group requirement.
+  const advance = groups.map((chars, group) => Array.from({ length: codes }, (_, code) => encode(
+    decode(code).map((count, r) => (requirements[r].groups.includes(group) ? Math.min(count + 1, requirements[r].min) : count))
+  )));
+  const needed = Array.from({ length: codes }, (_, code) => {
+    const missing = decode(code).map((count, r) => requirements[r].min - count);
+    const single = missing.filter((count, r) => requirements[r].groups.length === 1).reduce((sum, count) => sum + count, 0);
+    return Math.max(single, ...missing);
+  });
+
+  const allowedGroups = (pos) => groups
+    .map((chars, group) => group)
+    .filter(group => !((pos === 0 || pos === length - 1) && edgeExcluded.includes(group)));
+
+  // Ways to fill positions pos..length-1, tabulated from the last position back so that long passwords need
+  // no deep recursion; lastGroup and run only matter when repeats are limited
+  const runs = (maxRepeats ?? 0) + 1;
+  const stateIndex = (code, lastGroup, run) => (code * (groups.length + 1) + lastGroup + 1) * runs + run;
+  const table = [];
+  const completions = (pos, code, lastGroup, run) => {
+    if (needed[code] > length - pos) return 0n;
+    if (pos === length) return 1n;
+    return table[pos][stateIndex(code, lastGroup, run)];
+  };
+
+  for (let pos = length - 1; pos >= 0; pos--) {
+    // The last group and its run so far: none at the start or when repeats are not limited
+    const states = maxRepeats === null || pos === 0
+      ? [[-1, 0]]
+      : groups.flatMap((chars, group) => Array.from({ length: maxRepeats }, (_, i) => [group, i + 1]));
+    const row = new Array(codes * (groups.length + 1) * runs).fill(0n);
+    for (let code = 0; code < codes; code++) {
+      if (needed[code] > length - pos) continue;
+      for (const [lastGroup, run] of states) {
+        let total = 0n;
+        for (const group of allowedGroups(pos)) {
+          const next = advance[group][code];
+          if (maxRepeats === null) {
+            total += BigInt(groups[group].length) * completions(pos + 1, next, -1, 0);
+            continue;
+          }
+          const same = group === lastGroup ? 1 : 0;
+          if (same && run < maxRepeats) total += completions(pos + 1, next, group, run + 1);
+          total += BigInt(groups[group].length - same) * completions(pos + 1, next, group, 1);
+        }
+        row[stateIndex(code, lastGroup, run)] = total;
+      }
+    }
+    table[pos] = row;
+  }
+
+  const count = completions(0, 0, -1, 0);
+
+  // Decode an index in [0, count) into its password
+  const passwordAt = (index) => {
+    let code = 0;
+    let run = 0;
+    let previous = null;
+    let result = '';
+
+    for (let pos = 0; pos < length; pos++) {
+      let chosen = null;
+      for (const group of allowedGroups(pos)) {
+        const next = advance[group][code];
+        for (const char of groups[group]) {
+          let ways;
+          if (maxRepeats === null) {
+            ways = completions(pos + 1, next, -1, 0);
+          } else if (char === previous) {
+            ways = run < maxRepeats ? completions(pos + 1, next, group, run + 1) : 0n;
+          } else {
+            ways = completions(pos + 1, next, group, 1);
+          }
+          if (index < ways) {
+            chosen = { char, next, run: char === previous ? run + 1 : 1 };
+            break;
+          }
+          index -= ways;
+        }
+        if (chosen) break;
+      }
+
+      result += chosen.char;
+      code = chosen.next;
+      previous = chosen.char;
+      run = chosen.run;
+    }
+    return result;
+  };
+
+  return { count, passwordAt };
+};
+
+// Enabled classes, minimums and length from the settings and the character rules of a target policy.
+// The policy overrides the settings: its length limits clamp the length and its required classes are switched on.
+const applyPolicy = (settings) => {
+  const rules = { ...EMPTY_POLICY_RULES, ...(settings.policy ? settings.policy.rules : {}) };
+  const enabled = {};
+  const minimums = {};
+  Object.entries(CHARACTER_GROUPS).forEach(([name, group]) => {
+    enabled[name] = Boolean(settings[group.include]);
+    minimums[name] = enabled[name] ? Number(settings[group.min] ?? 0) : 0;
+  });
+
+  rules.requiredClasses.forEach(name => {
+    if (name === 'letters') {
+      if (!enabled.lowercase && !enabled.uppercase) enabled.lowercase = true;
+    } else if (CHARACTER_GROUPS[name]) {
+      enabled[name] = true;
+      minimums[name] = Math.max(minimums[name], 1);
+    }
+  });
+
+  let { length } = settings;
+  if (rules.minLength !== null) length = Math.max(length, Number(rules.minLength));
+  if (rules.maxLength !== null) length = Math.min(length, Number(rules.maxLength));
+
+  return { rules, enabled, minimums, length };
+};
+
+const withoutSimilar = (chars, settings) => (settings.excludeSimilar ? chars.replace(SIMILAR_CHARACTERS, '') : chars);
+
+// Turn generator settings into groups and requirements for the random-password space
+const resolveConstraints = (settings) => {
+  const { rules, enabled, minimums, length } = applyPolicy(settings);
+  const names = Object.keys(CHARACTER_GROUPS).filter(name => enabled[name]);
+  const groups = names.map(name => [...withoutSimilar(CHARACTER_GROUPS[name].chars, settings)]);
+  const requirements = names
+    .map((name, group) => ({ groups: [group], min: minimums[name] }))
+    .filter(requirement => requirement.min > 0);
+  if (rules.requiredClasses.includes('letters')) {
+    requirements.push({ groups: ['lowercase', 'uppercase'].map(name => names.indexOf(name)).filter(group => group >= 0), min: 1 });
+  }
+
+  return {
+    groups,
+    length,
+    requirements,
+    edgeExcluded: settings.noEdgeSymbols ? [names.indexOf('symbols')].filter(group => group >= 0) : [],
+    maxRepeats: rules.maxRepeats === null ? null : Number(rules.maxRepeats)
+  };
+};
+
+// Turn site password rules into groups and requirements for the random-password space. The allowed characters
+// are split into disjoint groups by which required classes contain them, so every required class is a union of
+// groups. The length is clamped to the rules' limits.
+const resolvePasswordRules = (settings) => {
+  const { rules } = parsePasswordRules(settings.passwordRules);
+  const bySignature = new Map();
+  [...withoutSimilar(rules.allowed, settings)].forEach(char => {
+    const signature = rules.required.map(set => (set.includes(char) ? 1 : 0)).join('');
+    if (!bySignature.has(signature)) bySignature.set(signature, []);
+    bySignature.get(signature).push(char);
+  });
+  const signatures = [...bySignature.keys()];
+
+  // Required classes that cover the same groups are one requirement
+  const requirements = [];
+  rules.required.forEach((set, r) => {
+    const groups = signatures.map((signature, group) => (signature[r] === '1' ? group : -1)).filter(group => group >= 0);
+    if (!requirements.some(requirement => requirement.groups.join() === groups.join())) requirements.push({ groups, min: 1 });
+  });
+
+  let { length } = settings;
+  if (rules.minLength !== null) length = Math.max(length, rules.minLength);
+  if (rules.maxLength !== null) length = Math.min(length, rules.maxLength);
+
+  return { groups: [...bySignature.values()], length, requirements, edgeExcluded: [], maxRepeats: rules.maxConsecutive };
+};
+
+// Turn generator settings into the pronounceable space's options. Syllables are always lower case letters,
+// so the lowercase and letters rules hold by construction; uppercase capitalizes whole syllables.
+const resolvePronounceable = (settings) => {
+  const { enabled, minimums, length } = applyPolicy(settings);
+  return {
+    length,
+    consonants: withoutSimilar(SYLLABLE_LETTERS.consonants, settings),
+    vowels: withoutSimilar(SYLLABLE_LETTERS.vowels, settings),
+    vowelPairs: SYLLABLE_LETTERS.vowelPairs.filter(pair => withoutSimilar(pair, settings) === pair),
+    capitals: enabled.uppercase,
+    digits: enabled.numbers ? withoutSimilar(CHARACTER_GROUPS.numbers.chars, settings) : '',
+    symbols: enabled.symbols ? withoutSimilar(CHARACTER_GROUPS.symbols.chars, settings) : '',
+    noTrailingSymbol: Boolean(settings.noEdgeSymbols),
+    minimums: { uppercase: minimums.uppercase, numbers: minimums.numbers, symbols: minimums.symbols }
+  };
+};
+
+// Space of the most recent settings, so generating again with the same settings skips the count
+let cachedSpace = null;
+
+const cachedSpaceFor = (constraints, build) => {
+  const key = JSON.stringify(constraints);
+  if (!cachedSpace || cachedSpace.key !== key) cachedSpace = { key, space: build() };
+  return cachedSpace.space;
+};
+
+// Problems with a resolved length, after policies and site rules have clamped it
+const lengthProblems = (length) => (length > MAX_PASSWORD_LENGTH
+  ? [`The length is ${length}; the most allowed is ${MAX_PASSWORD_LENGTH}`]
+  : []);
+
+// Check merged settings and build their password space; space is null when there are problems
+const prepare = (settings) => {
+  const problems = [];
+  Object.values(CHARACTER_GROUPS).forEach(group => {
+    const min = Number(settings[group.min] ?? 0);
+    if (!Number.isInteger(min) || min < 0 || min > MAX_CLASS_MINIMUM) {
+      problems.push(`${group.min} must be a whole number from 0 to ${MAX_CLASS_MINIMUM}`);
+    }
+  });
+  if (problems.length > 0) return { problems, space: null };
+
+  if (settings.passwordRules) {
+    const ruleProblems = passwordRulesProblems(settings.passwordRules);
+    if (ruleProblems.length > 0) return { problems: ruleProblems, space: null };
+    const constraints = resolvePasswordRules(settings);
+    const tooLong = lengthProblems(constraints.length);
+    if (tooLong.length > 0) return { problems: tooLong, space: null };
+    if (constraints.requirements.some(requirement => requirement.groups.length === 0)) {
+      return { problems: ['A required class has no characters left to use'], space: null };
+    }
+    const space = cachedSpaceFor(constraints, () => constrainedSpace(constraints));
+    if (space.count === 0n) return { problems: ['No password can satisfy these rules'], space: null };
+    return { problems, space };
+  }
+
+  if (settings.pronounceable) {
+    const constraints = resolvePronounceable(settings);
+    const tooLong = lengthProblems(constraints.length);
+    if (tooLong.length > 0) return { problems: tooLong, space: null };
+    const space = cachedSpaceFor({ pronounceable: constraints }, () => pronounceableSpace(constraints));
+    if (space.count === 0n) {
+      return { problems: [`No pronounceable password of ${constraints.length} characters can meet these settings`], space: null };
+    }
+    return { problems, space };
+  }
+
+  const constraints = resolveConstraints(settings);
+  if (constraints.groups.length === 0) return { problems: ['Select at least one character set'], space: null };
+  const tooLong = lengthProblems(constraints.length);
+  if (tooLong.length > 0) return { problems: tooLong, space: null };
+
+  const required = constraints.requirements
+    .filter(requirement => requirement.groups.length === 1)
+    .reduce((sum, requirement) => sum + requirement.min, 0);
+  if (required > constraints.length) {
+    return { problems: [`The class minimums need ${required} characters but the length is ${constraints.length}`], space: null };
+  }
+
+  const space = cachedSpaceFor(constraints, () => constrainedSpace(constraints));
+  if (space.count === 0n) return { problems: ['No password can satisfy these settings'], space: null };
+  return { problems, space };
+};
+
+// Problems that keep the settings from producing a password (empty when they are usable)
+export const generatorProblems = (settings = {}) => {
+  const merged = { ...DEFAULT_GENERATOR_SETTINGS, ...settings };
+  return prepare(merged).problems;
+};
+
+// Exact entropy in bits of a password from these settings: log2 of the number of passwords that meet the
+// length, character sets, class minimums, edge rule and the target policy's character rules (for
+// pronounceable passwords, of the syllable sequences of that length). Rejections by the policy's blocklist,
+// minimum-score and, for pronounceable passwords, repeat rules are not counted; for random output they are
+// rare. Returns null for unusable settings.
+export const generationEntropy = (settings = {}) => {
+  const merged = { ...DEFAULT_GENERATOR_SETTINGS, ...settings };
+  const { space } = prepare(merged);
+  return space ? log2BigInt(space.count) : null;
+};
+
+// Exact report on what these settings generate, for showing next to the analyzer's heuristic estimate:
+// { mode, entropy, combinations, averageGuesses, details: [{ label, bits }] }. The details add up to the
+// entropy; the constraint line is negative when class minimums or rules remove passwords. Pronounceable
+// reports also give randomEntropy, the entropy of a random password with the same settings.
+// Returns null for unusable settings.
+export const generationReport = (settings = {}) => {
+  const merged = { ...DEFAULT_GENERATOR_SETTINGS, ...settings };
+  const { space } = prepare(merged);
+  if (!space) return null;
+
+  const entropy = log2BigInt(space.count);
+  const report = {
+    mode: !merged.passwordRules && merged.pronounceable ? 'pronounceable' : 'random',
+    entropy,
+    combinations: space.count,
+    // An attacker who knows the settings finds the password after trying half the possibilities on average
+    averageGuesses: 2 ** (entropy - 1),
+    details: []
+  };
+
+  if (report.mode === 'pronounceable') {
+    const { length } = resolvePronounceable(merged);
+    report.details.push({ label: `${length} characters of ${SYLLABLE_TEMPLATES.join(', ')} syllables`, bits: entropy });
+    report.randomEntropy = generationEntropy({ ...merged, pronounceable: false });
+    return report;
+  }
+
+  const { groups, length } = merged.passwordRules ? resolvePasswordRules(merged) : resolveConstraints(merged);
+  const charsetSize = groups.reduce((sum, group) => sum + group.length, 0);
+  const unconstrained = length * Math.log2(charsetSize);
+  report.details.push({ label: `${length} characters from a set of ${charsetSize}`, bits: unconstrained });
+  if (unconstrained - entropy > 1e-9) {
+    report.details.push({
+      label: merged.passwordRules ? 'Required classes and repeat limit' : 'Class minimums, edge and policy rules',
+      bits: entropy - unconstrained
+    });
+  }
+  return report;
+};
+
+// Generate a password from generator settings; returns '' when no character set is selected.
+// All randomness comes from crypto.getRandomValues with rejection sampling (see random.js).
+// Passwords are drawn uniformly from every password that meets the constraints, so the class minimums,
+// edge rule and target policy never skew which characters appear where. Pronounceable passwords are drawn
+// the same way from the syllable sequences in pronounceable.js and always have the requested length.
+// With passwordRules, passwords are drawn the same way from every password the site rules accept.
+// randomIndex(limit) picks the index of the password, a BigInt in [0, limit); derive.js passes a
+// deterministic one.
+export const generate = (settings = {}, randomIndex = randomBigInt) => {
+  const merged = { ...DEFAULT_GENERATOR_SETTINGS, ...settings };
+  const { problems, space } = prepare(merged);
+  if (!space) {
+    if (!merged.passwordRules && !merged.pronounceable && resolveConstraints(merged).groups.length === 0) return '';
+    throw new Error(problems.join('; '));
+  }
+
+  for (let attempt = 0; attempt < MAX_POLICY_ATTEMPTS; attempt++) {
+    const result = space.passwordAt(randomIndex(space.count));
+    if (!merged.policy || evaluatePolicy(result, merged.policy, assessPasswordStrength(result)).passed) {
+      return result;
+    }
+  }
+  throw new Error(`No password meeting ${merged.policy.name || 'the policy'} was found in ${MAX_POLICY_ATTEMPTS} attempts; try a longer length`);
+};
+
+// Significance level of the self-test; a sound generator still fails a given set about once in a thousand runs
+export const SELF_TEST_ALPHA = 0.001;
+
+// Statistical self-test of the generator: for each character set, and for all of them together, draw
+// samplesPerCharacter × set size one-character passwords through generate() and run a chi-square test
+// that every character comes up equally often. Returns one result per set. randomIndex is handed to
+// generate(), so a test can check the statistics against a fixed index source.
+export const runGeneratorSelfTest = ({ samplesPerCharacter = 200, randomIndex = randomBigInt } = {}) => {
+  const sets = [
+    ...Object.keys(CHARACTER_GROUPS).map(name => ({ name, groups: [name] })),
+    { name: 'all', groups: Object.keys(CHARACTER_GROUPS) }
+  ];
+
+  return sets.map(({ name, groups }) => {
+    const settings = { ...DEFAULT_GENERATOR_SETTINGS, length: 1, noEdgeSymbols: false, policy: null };
+    Object.entries(CHARACTER_GROUPS).forEach(([groupName, group]) => {
+      settings[group.include] = groups.includes(groupName);
+      settings[group.min] = 0;
+    });
+
+    const chars = groups.map(groupName => CHARACTER_GROUPS[groupName].chars).join('');
+    const counts = new Map([...chars].map(char => [char, 0]));
+    for (let i = 0; i < samplesPerCharacter * chars.length; i++) {
+      const char = generate(settings, randomIndex);
+      counts.set(char, counts.get(char) + 1);
+    }
+
+    const result = chiSquareUniform([...counts.values()]);
+    return { name, characters: chars.length, ...result, passed: result.pValue >= SELF_TEST_ALPHA };
+  });
+};
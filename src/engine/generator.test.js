@@ -0,0 +1,115 @@
+import { generate, generationReport, generatorProblems, CHARACTER_GROUPS, DEFAULT_GENERATOR_SETTINGS, MAX_PASSWORD_LENGTH } from './generator.js';
+import { evaluatePolicy, POLICY_PRESETS } from './policy.js';
+import { assessPasswordStrength } from './analyzer.js';
+
+const count = (pwd, chars) => [...pwd].filter(char => chars.includes(char)).length;
+const digitsOnly = { includeUppercase: false, includeLowercase: false, includeSymbols: false, minNumbers: 0 };
+const SAMPLES = 200;
+
+describe('generate', () => {
+  test('meets the length and every class minimum', () => {
+    const settings = { length: 10, minUppercase: 2, minLowercase: 2, minNumbers: 3, minSymbols: 2 };
+    for (let i = 0; i < SAMPLES; i++) {
+      const pwd = generate(settings);
+      expect(pwd).toHaveLength(10);
+      expect(count(pwd, CHARACTER_GROUPS.uppercase.chars)).toBeGreaterThanOrEqual(2);
+      expect(count(pwd, CHARACTER_GROUPS.lowercase.chars)).toBeGreaterThanOrEqual(2);
+      expect(count(pwd, CHARACTER_GROUPS.numbers.chars)).toBeGreaterThanOrEqual(3);
+      expect(count(pwd, CHARACTER_GROUPS.symbols.chars)).toBeGreaterThanOrEqual(2);
+    }
+  });
+
+  test('needs one character of each enabled class by default, so shorter passwords set a class to 0', () => {
+    const pwd = generate({ length: 4 });
+    ['uppercase', 'lowercase', 'numbers', 'symbols'].forEach(group => expect(count(pwd, CHARACTER_GROUPS[group].chars)).toBe(1));
+    expect(() => generate({ length: 3 })).toThrow('The class minimums need 4 characters but the length is 3');
+    expect(generate({ length: 3, minSymbols: 0 })).toHaveLength(3);
+  });
+
+  test('keeps symbols off the edges and leaves out similar characters', () => {
+    for (let i = 0; i < SAMPLES; i++) {
+      const pwd = generate({ length: 8, minSymbols: 3, noEdgeSymbols: true, excludeSimilar: true });
+      expect(CHARACTER_GROUPS.symbols.chars).not.toContain(pwd[0]);
+      expect(CHARACTER_GROUPS.symbols.chars).not.toContain(pwd[7]);
+      expect(pwd).not.toMatch(/[il1Lo0O]/);
+    }
+  });
+
+  test('satisfies a target policy', () => {
+    for (let i = 0; i < 20; i++) {
+      const pwd = generate({ length: 8, includeSymbols: false, minSymbols: 0, policy: POLICY_PRESETS.legacy });
+      expect(evaluatePolicy(pwd, POLICY_PRESETS.legacy, assessPasswordStrength(pwd)).passed).toBe(true);
+    }
+  });
+
+  test('decodes every index of the space to a different valid password', () => {
+    const settings = { ...digitsOnly, length: 2, policy: { rules: { maxRepeats: 1 } } };
+    const { combinations } = generationReport(settings);
+    expect(combinations).toBe(90n);
+    const passwords = Array.from({ length: 90 }, (_, i) => generate(settings, () => BigInt(i)));
+    expect(new Set(passwords).size).toBe(90);
+    passwords.forEach(pwd => expect(pwd[0]).not.toBe(pwd[1]));
+  });
+
+  test('handles the longest allowed password', () => {
+    const settings = { length: MAX_PASSWORD_LENGTH, minUppercase: 5, minLowercase: 5, minNumbers: 5, minSymbols: 5 };
+    expect(generate(settings)).toHaveLength(MAX_PASSWORD_LENGTH);
+  });
+
+  test('returns an empty string without character sets and throws for impossible settings', () => {
+    expect(generate({ ...digitsOnly, includeNumbers: false })).toBe('');
+    expect(() => generate({ length: 3, minNumbers: 2, minSymbols: 2 })).toThrow('The class minimums need');
+  });
+});
+
+describe('generationReport', () => {
+  test('counts exactly the passwords that meet the settings', () => {
+    expect(generationReport({ ...digitsOnly, length: 3 }).combinations).toBe(1000n);
+    // One lowercase letter and one digit, in either order
+    const settings = { includeUppercase: false, includeSymbols: false, minLowercase: 1, minNumbers: 1, length: 2 };
+    expect(generationReport(settings).combinations).toBe(2n * 26n * 10n);
+  });
+
+  test('splits the entropy into the character set and the constraints', () => {
+    const report = generationReport(DEFAULT_GENERATOR_SETTINGS);
+    expect(report.mode).toBe('random');
+    expect(report.details.reduce((sum, detail) => sum + detail.bits, 0)).toBeCloseTo(report.entropy, 9);
+    expect(report.details[1].bits).toBeLessThan(0);
+  });
+
+  test('breaks a constrained configuration down into details that add up to its entropy', () => {
+    const settings = { length: 12, minUppercase: 3, minNumbers: 4, minSymbols: 2, noEdgeSymbols: true, excludeSimilar: true, policy: POLICY_PRESETS.nist };
+    const report = generationReport(settings);
+    expect(report.entropy).toBeCloseTo(Math.log2(Number(report.combinations)), 9);
+    expect(report.details.map(detail => detail.label)).toEqual(['12 characters from a set of 81', 'Class minimums, edge and policy rules']);
+    expect(report.details[0].bits).toBeCloseTo(12 * Math.log2(81), 9);
+    expect(report.details[1].bits).toBeLessThan(0);
+    expect(report.details.reduce((sum, detail) => sum + detail.bits, 0)).toBeCloseTo(report.entropy, 9);
+  });
+
+  test('has a single detail when nothing is excluded', () => {
+    const report = generationReport({ ...digitsOnly, length: 6 });
+    expect(report.details).toHaveLength(1);
+    expect(report.details[0].label).toBe('6 characters from a set of 10');
+    expect(report.details[0].bits).toBeCloseTo(report.entropy, 9);
+    expect(report.averageGuesses).toBeCloseTo(10 ** 6 / 2, 3);
+  });
+});
+
+describe('generatorProblems', () => {
+  test('reports unusable settings', () => {
+    expect(generatorProblems()).toEqual([]);
+    expect(generatorProblems({ minNumbers: 6 })).toEqual(['minNumbers must be a whole number from 0 to 5']);
+    expect(generatorProblems({ length: 4, minUppercase: 3, minNumbers: 3 }))
+      .toEqual(['The class minimums need 8 characters but the length is 4']);
+  });
+
+  test('caps the length, including lengths raised by a policy or site rules', () => {
+    const tooLong = [`The length is 3000; the most allowed is ${MAX_PASSWORD_LENGTH}`];
+    expect(generatorProblems({ length: 3000, minUppercase: 5, minLowercase: 5, minNumbers: 5, minSymbols: 5 })).toEqual(tooLong);
+    expect(generatorProblems({ length: 3000, pronounceable: true })).toEqual(tooLong);
+    expect(generatorProblems({ policy: { rules: { minLength: 3000 } } })).toEqual(tooLong);
+    expect(generatorProblems({ passwordRules: 'minlength: 3000;' })).toEqual(tooLong);
+    expect(() => generate({ length: 3000 })).toThrow('the most allowed is');
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * @file importers.js
+ * @description Read password-manager and browser exports (Bitwarden, 1Password, LastPass, KeePass, Chrome, Firefox) into logins
+ * @author Hardin Irfan <hardinmail05@gmail.com>
+ * @copyright Copyright (c) 2025 Hardin Irfan
+ * @license MIT
+ */
+
+import { siteHost } from './passwordRules.js';
+
+// CSV exports, recognised by their header row (compared in lowercase) in this order, since some headers
+// contain others'. columns lists the header names each field can come from.
+const CSV_FORMATS = {
+  bitwardenCsv: {
+    name: 'Bitwarden (CSV)',
+    headers: ['login_uri', 'login_username', 'login_password'],
+    columns: { title: ['name'], url: ['login_uri'], username: ['login_username'], password: ['login_password'] }
+  },
+  lastPassCsv: {
+    name: 'LastPass (CSV)',
+    headers: ['url', 'username', 'password', 'extra', 'grouping'],
+    columns: { title: ['name'], url: ['url'], username: ['username'], password: ['password'] }
+  },
+  firefoxCsv: {
+    name: 'Firefox (CSV)',
+    headers: ['url', 'username', 'password', 'httprealm'],
+    columns: { title: [], url: ['url'], username: ['username'], password: ['password'] }
+  },
+  keePassXcCsv: {
+    name: 'KeePassXC (CSV)',
+    headers: ['group', 'title', 'username', 'password', 'url'],
+    columns: { title: ['title'], url: ['url'], username: ['username'], password: ['password'] }
+  },
+  keePassCsv: {
+    name: 'KeePass (CSV)',
+    headers: ['account', 'login name', 'password', 'web site'],
+    columns: { title: ['account'], url: ['web site'], username: ['login name'], password: ['password'] }
+  },
+  onePasswordCsv: {
+    name: '1Password (CSV)',
+    headers: ['title', 'username', 'password'],
+    columns: { title: ['title'], url: ['url', 'website'], username: ['username'], password: ['password'] }
+  },
+  chromeCsv: {
+    name: 'Chrome (CSV)',
+    headers: ['name', 'url', 'username', 'password'],
+    columns: { title: ['name'], url: ['url'], username: ['username'], password: ['password'] }
+  }
+};
+
+// Every supported export, by id
+export const IMPORT_FORMATS = {
+  bitwardenJson: { name: 'Bitwarden (JSON)' },
+  keePassXml: { name: 'KeePass (XML)' },
+  ...Object.fromEntries(Object.entries(CSV_FORMATS).map(([id, format]) => [id, { name: format.name }]))
+};
+
+// Bitwarden item type of a login
+const BITWARDEN_LOGIN = 1;
+
+// Rows of a CSV file (RFC 4180: quoted fields may hold commas, quotes as "" and line breaks); blank lines are skipped
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char !== '"') {
+        field += char;
+      } else if (text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+  return rows.filter(cells => cells.some(cell => cell !== ''));
+};
+
+// Login with the site shown for it: the URL's host name, or the title when there is no usable URL
+const login = ({ title = '', url = '', username = '', password = '' }) => ({
+  site: siteHost(url) || url.trim() || title.trim(),
+  title: title.trim(),
+  url: url.trim(),
+  username: username.trim(),
+  password
+});
+
+const readCsv = (rows, id) => {
+  const headers = rows[0].map(header => header.trim().toLowerCase());
+  const { columns } = CSV_FORMATS[id];
+  const index = Object.fromEntries(Object.entries(columns).map(([field, names]) => [
+    field, names.map(name => headers.indexOf(name)).find(i => i >= 0) ?? -1
+  ]));
+  if (index.password < 0) throw new Error(`The header row is not that of a ${CSV_FORMATS[id].name} export`);
+  // Some exports list several URLs in one cell; the first is the login page
+  return rows.slice(1).map(cells => login({
+    title: cells[index.title] ?? '',
+    url: (cells[index.url] ?? '').split(',')[0],
+    username: cells[index.username] ?? '',
+    password: cells[index.password] ?? ''
+  }));
+};
+
+const readBitwardenJson = (text) => {
+  const data = JSON.parse(text);
+  if (data.encrypted) throw new Error('Encrypted Bitwarden exports cannot be read; export as unencrypted JSON or CSV');
+  if (!Array.isArray(data.items)) throw new Error('This is not a Bitwarden JSON export');
+  return data.items.map(item => {
+    const fields = item.type === BITWARDEN_LOGIN && item.login ? item.login : {};
+    return login({
+      title: item.name || '',
+      url: fields.uris?.[0]?.uri || '',
+      username: fields.username || '',
+      password: fields.password || ''
+    });
+  });
+};
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+const decodeXml = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+  if (name[0] !== '#') return XML_ENTITIES[name] ?? entity;
+  return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : Number(name.slice(1)));
+});
+
+// KeePass 2 XML export: every Entry's Title, URL, UserName and Password strings. Old versions of an entry sit
+// in its History and are left out.
+const readKeePassXml = (text) => {
+  if (!/<KeePassFile[\s>]/.test(text)) throw new Error('This is not a KeePass XML export');
+  const current = text.replace(/<History>[\s\S]*?<\/History>/g, '').replace(/<History\s*\/>/g, '');
+  return [...current.matchAll(/<Entry>([\s\S]*?)<\/Entry>/g)].map(([, entry]) => {
+    const strings = Object.fromEntries([...entry.matchAll(
+      /<String>\s*<Key>([\s\S]*?)<\/Key>\s*<Value(?:\s[^>]*?)?(?:\/>|>([\s\S]*?)<\/Value>)\s*<\/String>/g
+    )].map(([, key, value = '']) => [decodeXml(key), decodeXml(value)]));
+    return login({ title: strings.Title, url: strings.URL, username: strings.UserName, password: strings.Password });
+  });
+};
+
+// Id of the export format of a file's text, or null when it is not one of IMPORT_FORMATS
+export const detectImportFormat = (text) => {
+  const trimmed = text.replace(/^\uFEFF/, '').trimStart();
+  if (trimmed.startsWith('{')) return 'bitwardenJson';
+  if (trimmed.startsWith('<')) return 'keePassXml';
+  const [headerRow] = parseCsv(trimmed.split(/\r?\n/)[0]);
+  if (!headerRow) return null;
+  const headers = headerRow.map(header => header.trim().toLowerCase());
+  return Object.keys(CSV_FORMATS).find(id => CSV_FORMATS[id].headers.every(header => headers.includes(header))) || null;
+};
+
+// Read an export into logins of { site, title, url, username, password }, all locally. format is an id of
+// IMPORT_FORMATS, or 'auto' to detect it. Entries without a password (secure notes, cards, identities) are
+// counted in skipped. Returns { format, entries, skipped }; throws for a file that cannot be read.
+export const importPasswords = (text, format = 'auto') => {
+  const id = format === 'auto' ? detectImportFormat(text) : format;
+  if (!IMPORT_FORMATS[id]) {
+    throw new Error(format === 'auto' ? 'The file is not a recognised password export' : `Unknown export format "${format}"`);
+  }
+
+  const content = text.replace(/^\uFEFF/, '');
+  let logins;
+  if (id === 'bitwardenJson') {
+    logins = readBitwardenJson(content);
+  } else if (id === 'keePassXml') {
+    logins = readKeePassXml(content);
+  } else {
+    const rows = parseCsv(content);
+    if (rows.length === 0) throw new Error('The file is empty');
+    logins = readCsv(rows, id);
+  }
+
+  const entries = logins.filter(entry => entry.password);
+  return { format: id, entries, skipped: logins.length - entries.length };
+};
@@ -0,0 +1,90 @@
+import { detectImportFormat, importPasswords, parseCsv } from './importers.js';
+
+const BITWARDEN_CSV = [
+  'folder,favorite,type,name,notes,fields,reprompt,login_uri,login_username,login_password,login_totp',
+  ',,login,Example,,,0,"https://www.example.com/login,https://example.com",alice@example.com,"p""a,ss",',
+  ',,note,Wifi,"router in the hall",,0,,,,'
+].join('\r\n');
+
+const CHROME_CSV = '\uFEFFname,url,username,password,note\n'
+  + 'mail.example.org,https://mail.example.org/,bob,hunter2,\n'
+  + 'Old router,,admin,admin,\n';
+
+const BITWARDEN_JSON = JSON.stringify({
+  encrypted: false,
+  items: [
+    { type: 1, name: 'Bank', login: { uris: [{ uri: 'https://secure.bank.example/' }], username: 'carol', password: 's3cret' } },
+    { type: 2, name: 'A note', secureNote: { type: 0 } }
+  ]
+});
+
+describe('parseCsv', () => {
+  test('reads quoted commas, quotes and line breaks and skips blank lines', () => {
+    expect(parseCsv('a,"b,c","d ""e"""\r\n\r\n"f\ng",h\n')).toEqual([['a', 'b,c', 'd "e"'], ['f\ng', 'h']]);
+  });
+});
+
+describe('detectImportFormat', () => {
+  test('recognises exports by their shape and header row', () => {
+    expect(detectImportFormat(BITWARDEN_CSV)).toBe('bitwardenCsv');
+    expect(detectImportFormat(CHROME_CSV)).toBe('chromeCsv');
+    expect(detectImportFormat(BITWARDEN_JSON)).toBe('bitwardenJson');
+    expect(detectImportFormat('<?xml version="1.0"?><KeePassFile></KeePassFile>')).toBe('keePassXml');
+    expect(detectImportFormat('url,username,password,httpRealm,formActionOrigin')).toBe('firefoxCsv');
+    expect(detectImportFormat('one,two,three')).toBeNull();
+  });
+});
+
+describe('importPasswords', () => {
+  test('maps a Bitwarden CSV login to its site and username', () => {
+    expect(importPasswords(BITWARDEN_CSV)).toEqual({
+      format: 'bitwardenCsv',
+      entries: [{
+        site: 'example.com',
+        title: 'Example',
+        url: 'https://www.example.com/login',
+        username: 'alice@example.com',
+        password: 'p"a,ss'
+      }],
+      skipped: 1
+    });
+  });
+
+  test('maps Chrome CSV logins, falling back to the name without a URL', () => {
+    const { format, entries, skipped } = importPasswords(CHROME_CSV);
+    expect(format).toBe('chromeCsv');
+    expect(skipped).toBe(0);
+    expect(entries.map(({ site, username, password }) => ({ site, username, password }))).toEqual([
+      { site: 'mail.example.org', username: 'bob', password: 'hunter2' },
+      { site: 'Old router', username: 'admin', password: 'admin' }
+    ]);
+  });
+
+  test('reads Bitwarden JSON logins and skips other items', () => {
+    const { entries, skipped } = importPasswords(BITWARDEN_JSON);
+    expect(entries).toEqual([
+      { site: 'secure.bank.example', title: 'Bank', url: 'https://secure.bank.example/', username: 'carol', password: 's3cret' }
+    ]);
+    expect(skipped).toBe(1);
+  });
+
+  test('reads current KeePass XML entries, not their history', () => {
+    const xml = '<KeePassFile><Root><Group><Entry>'
+      + '<String><Key>Title</Key><Value>Forum</Value></String>'
+      + '<String><Key>URL</Key><Value>https://forum.example.net/?a=1&amp;b=2</Value></String>'
+      + '<String><Key>UserName</Key><Value>dave</Value></String>'
+      + '<String><Key>Password</Key><Value ProtectMemory="True">&lt;new&gt;</Value></String>'
+      + '<History><Entry><String><Key>Password</Key><Value>old</Value></String></Entry></History>'
+      + '</Entry></Group></Root></KeePassFile>';
+    const { entries } = importPasswords(xml);
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({ site: 'forum.example.net', username: 'dave', password: '<new>' });
+  });
+
+  test('rejects files it cannot read', () => {
+    expect(() => importPasswords('one,two\n1,2')).toThrow('The file is not a recognised password export');
+    expect(() => importPasswords(CHROME_CSV, 'nope')).toThrow('Unknown export format "nope"');
+    expect(() => importPasswords('title,user\nx,y', 'chromeCsv')).toThrow('The header row is not that of a Chrome (CSV) export');
+    expect(() => importPasswords('{"encrypted":true}')).toThrow('Encrypted Bitwarden exports cannot be read');
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * @file index.js
+ * @description Public API of the HardLock Vault password engine, usable without React
+ * @author Hardin Irfan <hardinmail05@gmail.com>
+ * @copyright Copyright (c) 2025 Hardin Irfan
+ * @license MIT
+ */
+
+export {
+  analyze,
+  audit,
+  auditEntries,
+  assessPasswordStrength,
+  calculateEntropy,
+  calculateTimeToCrack,
+  formatTime,
+  guessesToScore,
+  scoreToStrength,
+  isCommonWord,
+  isLikelyCommonPassword,
+  GUESSES_PER_SECOND,
+  STRENGTH_LEVELS
+} from './analyzer.js';
+
+export { estimateGuesses, mostGuessableMatchSequence } from './scoring.js';
+export { omnimatch } from './matching.js';
+export { buildUserInputs, USER_CONTEXT_FIELDS } from './context.js';
+export {
+  loadLanguagePack, isLanguagePackLoaded, getLanguageDictionaries, LANGUAGE_PACKS
+} from './languagePacks.js';
+export { parseBannedTerms, setBannedTerms, getBannedTerms, findBannedTerm } from './bannedTerms.js';
+export { loadPasswordCorpus, getPasswordRank, formatRank } from './corpus.js';
+export {
+  checkBreach, checkBreaches, fileListRangeSource, urlRangeSource, parseRange, sha1Hex, RANGE_PREFIX_LENGTH
+} from './breach.js';
+
+export {
+  evaluatePolicy, validatePolicy, CHARACTER_CLASSES, EMPTY_POLICY_RULES, POLICY_PRESETS
+} from './policy.js';
+
+export {
+  generate, generationEntropy, generationReport, generatorProblems, runGeneratorSelfTest,
+  CHARACTER_GROUPS, DEFAULT_GENERATOR_SETTINGS, MAX_CLASS_MINIMUM, MAX_PASSWORD_LENGTH, SELF_TEST_ALPHA
+} from './generator.js';
+export {
+  generatePassphrase, loadPassphraseWordlist, parseWordlist, passphraseEntropy, passphraseReport,
+  CAPITALIZATION_MODES, DEFAULT_PASSPHRASE_SETTINGS, PASSPHRASE_SEPARATORS, PASSPHRASE_SYMBOLS, PASSPHRASE_WORDLISTS
+} from './passphrase.js';
+export {
+  checkPasswordRules, findSiteRules, formatSiteRules, parsePasswordRules, parseSiteRules, passwordRulesProblems, siteHost,
+  PASSWORD_RULE_CLASSES
+} from './passwordRules.js';
+export {
+  analyzePin, generatePin, pinProblem, pinReport, MAX_PIN_LENGTH, MIN_PIN_LENGTH, PIN_PATTERNS
+} from './pin.js';
+export {
+  derivePassword, deriveProblems, runDeriveSelfTest, DERIVATION_ITERATIONS, DERIVE_TEST_VECTORS
+} from './derive.js';
+export { generateFromMask, maskProblems, maskReport, MASK_PLACEHOLDERS, MAX_MASK_LENGTH } from './mask.js';
+export {
+  batchProblems, batchToCsv, batchToJson, csvField, generateBatch, parseIdentifiers, MAX_BATCH_SIZE
+} from './batch.js';
+export { detectImportFormat, importPasswords, parseCsv, IMPORT_FORMATS } from './importers.js';
+export {
+  createVault, masterPasswordProblems, openVault, parseTags, saveVaultEntry, sealVault, searchVault, validateVaultRecord,
+  vaultEntryProblems, MIN_MASTER_PASSWORD_LENGTH, VAULT_ITERATIONS, MAX_VAULT_ITERATIONS
+} from './vault.js';
+export { deleteVaultRecord, loadVaultRecord, saveVaultRecord } from './vaultStore.js';
+export { randomInt, randomBigInt, randomChoice, randomUint32, chiSquareUniform, log2BigInt } from './random.js';
@@ -0,0 +1,120 @@
+/**
+ * @file keyboards.js
+ * @description Keyboard adjacency graphs for detecting spatial walks such as qwerty, zaq1xsw2 or 7896
+ * @author Hardin Irfan <hardinmail05@gmail.com>
+ * @copyright Copyright (c) 2025 Hardin Irfan
+ * @license MIT
+ */
+
+// Each key is written as its unshifted character followed by its shifted character.
+// Rows are indented so that keys line up with the row above as they do on the physical keyboard.
+const LAYOUTS = {
+  qwerty: {
+    name: 'QWERTY',
+    slanted: true,
+    rows: [
+      '`~ 1! 2@ 3# 4$ 5% 6^ 7& 8* 9( 0) -_ =+',
+      '    qQ wW eE rR tT yY uU iI oO pP [{ ]} \\|',
+      '     aA sS dD fF gG hH jJ kK lL ;: \'"',
+      '      zZ xX cC vV bB nN mM ,< .> /?'
+    ]
+  },
+  qwertz: {
+    name: 'QWERTZ',
+    slanted: true,
+    rows: [
+      '^° 1! 2" 3§ 4$ 5% 6& 7/ 8( 9) 0= ß? ´`',
+      '    qQ wW eE rR tT zZ uU iI oO pP üÜ +*',
+      '     aA sS dD fF gG hH jJ kK lL öÖ äÄ #\'',
+      '   <> yY xX cC vV bB nN mM ,; .: -_'
+    ]
+  },
+  azerty: {
+    name: 'AZERTY',
+    slanted: true,
+    rows: [
+      '   &1 é2 "3 \'4 (5 -6 è7 _8 ç9 à0 )° =+',
+      '    aA zZ eE rR tT yY uU iI oO pP ^¨ $£',
+      '     qQ sS dD fF gG hH jJ kK lL mM ù% *µ',
+      '   <> wW xX cC vV bB nN ,? ;. :/ !§'
+    ]
+  },
+  dvorak: {
+    name: 'Dvorak',
+    slanted: true,
+    rows: [
+      '`~ 1! 2@ 3# 4$ 5% 6^ 7& 8* 9( 0) [{ ]}',
+      '    \'" ,< .> pP yY fF gG cC rR lL /? =+ \\|',
+      '     aA oO eE uU iI dD hH tT nN sS -_',
+      '      ;: qQ jJ kK xX bB mM wW vV zZ'
+    ]
+  },
+  keypad: {
+    name: 'Numeric keypad',
+    slanted: false,
+    rows: [
+      '  / * -',
+      '7 8 9 +',
+      '4 5 6',
+      '1 2 3',
+      '  0 .'
+    ]
+  }
+};
+
+// Neighbour coordinates in a fixed order, so that the index doubles as the direction of a step.
+// Slanted rows are offset by half a key, giving six neighbours instead of eight.
+const slantedAdjacentCoords = (x, y) => [
+  [x - 1, y], [x, y - 1], [x + 1, y - 1], [x + 1, y], [x, y + 1], [x - 1, y + 1]
+];
+
+const alignedAdjacentCoords = (x, y) => [
+  [x - 1, y], [x - 1, y - 1], [x, y - 1], [x + 1, y - 1],
+  [x + 1, y], [x + 1, y + 1], [x, y + 1], [x - 1, y + 1]
+];
+
+// Build a char -> [neighbour key or null per direction] graph from a layout
+const buildGraph = ({ rows, slanted }) => {
+  const keySize = rows[0].trim().split(/\s+/)[0].length;
+  const xUnit = keySize + 1;
+  const positions = new Map();
+
+  rows.forEach((row, y) => {
+    const slant = slanted ? y : 0;
+    let searchFrom = 0;
+    for (const key of row.trim().split(/\s+/)) {
+      const index = row.indexOf(key, searchFrom);
+      searchFrom = index + key.length;
+      positions.set(`${Math.floor((index - slant) / xUnit)},${y}`, key);
+    }
+  });
+
+  const adjacentCoords = slanted ? slantedAdjacentCoords : alignedAdjacentCoords;
+  const graph = {};
+  for (const [coords, key] of positions) {
+    const [x, y] = coords.split(',').map(Number);
+    const neighbours = adjacentCoords(x, y).map(([nx, ny]) => positions.get(`${nx},${ny}`) || null);
+    for (const char of key) {
+      graph[char] = neighbours;
+    }
+  }
+  return graph;
+};
+
+// Number of keys and average number of neighbours, used to count possible walks
+const graphStats = (graph) => {
+  const degrees = Object.values(graph).map(neighbours => neighbours.filter(Boolean).length);
+  return {
+    startingPositions: Object.keys(graph).length,
+    averageDegree: degrees.reduce((sum, degree) => sum + degree, 0) / degrees.length
+  };
+};
+
+export const KEYBOARD_GRAPHS = Object.fromEntries(
+  Object.entries(LAYOUTS).map(([id, layout]) => {
+    const graph = buildGraph(layout);
+    // Shifted characters are the second character of each key
+    const shiftedChars = new Set(layout.rows.flatMap(row => row.trim().split(/\s+/)).map(key => key[1]).filter(Boolean));
+    return [id, { id, name: layout.name, graph, shiftedChars, ...graphStats(graph) }];
+  })
+);
@@ -0,0 +1,69 @@
+/**
+ * @file l33t.js
+ * @description L33t-speak substitution table and de-substitution of passwords before dictionary checks
+ * @author Hardin Irfan <hardinmail05@gmail.com>
+ * @copyright Copyright (c) 2025 Hardin Irfan
+ * @license MIT
+ */
+
+// Letter -> characters commonly typed in its place
+export const L33T_TABLE = {
+  a: ['4', '@'],
+  b: ['8', '6'],
+  c: ['(', '{', '[', '<'],
+  e: ['3'],
+  g: ['6', '9'],
+  i: ['1', '!', '|'],
+  l: ['1', '|', '7'],
+  o: ['0'],
+  s: ['$', '5'],
+  t: ['7', '+'],
+  x: ['%'],
+  z: ['2']
+};
+
+// Substituted character -> letters it may stand for
+const REVERSE_L33T_TABLE = Object.entries(L33T_TABLE).reduce((table, [letter, subs]) => {
+  subs.forEach(sub => {
+    table[sub] = [...(table[sub] || []), letter];
+  });
+  return table;
+}, {});
+
+// Upper bound on the substitution maps tried per password
+const MAX_L33T_SUBS = 256;
+
+// Enumerate plausible substitution maps ({ '4': 'a', '0': 'o' }) for the l33t characters in a password.
+// With allowUnchanged, each l33t character may also be left as typed (p4ss123 -> pass123).
+export const enumerateL33tSubs = (password, { allowUnchanged = false } = {}) => {
+  const l33tChars = [...new Set(password)].filter(char => REVERSE_L33T_TABLE[char]);
+  let subs = [{}];
+
+  for (const char of l33tChars) {
+    const options = allowUnchanged ? [null, ...REVERSE_L33T_TABLE[char]] : REVERSE_L33T_TABLE[char];
+    const next = [];
+    for (const sub of subs) {
+      for (const letter of options) {
+        next.push(letter ? { ...sub, [char]: letter } : sub);
+        if (next.length >= MAX_L33T_SUBS) break;
+      }
+      if (next.length >= MAX_L33T_SUBS) break;
+    }
+    subs = next;
+  }
+
+  return subs.filter(sub => Object.keys(sub).length > 0);
+};
+
+// Apply a substitution map to a string
+export const translateL33t = (string, sub) => [...string].map(char => sub[char] || char).join('');
+
+// Distinct de-substituted forms of a password, excluding the password itself
+export const l33tVariants = (password, options) => {
+  const variants = new Set(enumerateL33tSubs(password, options).map(sub => translateL33t(password, sub)));
+  variants.delete(password);
+  return [...variants];
+};
+
+// Format a substitution map for display (4→a, 0→o)
+export const describeL33tSub = (sub) => Object.entries(sub).map(([char, letter]) => `${char}→${letter}`).join(', ');
@@ -0,0 +1,45 @@
+import { describeL33tSub, enumerateL33tSubs, l33tVariants, translateL33t } from './l33t.js';
+import { l33tMatch } from './matching.js';
+
+describe('enumerateL33tSubs', () => {
+  test('maps every l33t character to the letters it may stand for', () => {
+    expect(enumerateL33tSubs('p@ssw0rd')).toEqual([{ '@': 'a', 0: 'o' }]);
+    expect(enumerateL33tSubs('1ce')).toEqual([{ 1: 'i' }, { 1: 'l' }]);
+  });
+
+  test('can leave characters as typed', () => {
+    expect(enumerateL33tSubs('p4ss123', { allowUnchanged: true })).toContainEqual({ 4: 'a' });
+    expect(enumerateL33tSubs('p4ss123', { allowUnchanged: true })).toContainEqual({ 4: 'a', 1: 'i' });
+  });
+
+  test('returns nothing for a password without l33t characters', () => {
+    expect(enumerateL33tSubs('password')).toEqual([]);
+  });
+});
+
+describe('l33tVariants', () => {
+  test('lists de-substituted forms other than the password itself', () => {
+    expect(l33tVariants('p@ssw0rd')).toEqual(['password']);
+    expect(l33tVariants('p4ss123', { allowUnchanged: true })).toContain('pass123');
+    expect(l33tVariants('password')).toEqual([]);
+  });
+});
+
+describe('translateL33t and describeL33tSub', () => {
+  test('apply and describe a substitution map', () => {
+    expect(translateL33t('h3ll0', { 3: 'e', 0: 'o' })).toBe('hello');
+    expect(describeL33tSub({ 4: 'a', 0: 'o' })).toBe('0→o, 4→a');
+  });
+});
+
+describe('l33tMatch', () => {
+  test('finds dictionary words typed in l33t speak', () => {
+    expect(l33tMatch('p@ssw0rd')).toContainEqual(expect.objectContaining({
+      token: 'p@ssw0rd', matchedWord: 'password', l33t: true, sub: { '@': 'a', 0: 'o' }
+    }));
+  });
+
+  test('ignores words typed without substitutions', () => {
+    expect(l33tMatch('password')).toEqual([]);
+  });
+});
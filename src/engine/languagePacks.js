@@ -0,0 +1,63 @@
+/**
+ * @file languagePacks.js
+ * @description Optional dictionary language packs (common words, first names, places, sports teams), loaded on demand
+ * @author Hardin Irfan <hardinmail05@gmail.com>
+ * @copyright Copyright (c) 2025 Hardin Irfan
+ * @license MIT
+ */
+
+import { buildRankedDictionary } from './matching.js';
+
+// Available packs; each loads as its own chunk the first time it is selected
+export const LANGUAGE_PACKS = {
+  id: { name: 'Indonesian', load: () => import('./languages/id.js') },
+  es: { name: 'Spanish', load: () => import('./languages/es.js') },
+  de: { name: 'German', load: () => import('./languages/de.js') },
+  nl: { name: 'Dutch', load: () => import('./languages/nl.js') }
+};
+
+// Lists every pack provides and how a match against each is labelled
+const PACK_LISTS = {
+  commonWords: 'word',
+  firstNames: 'first name',
+  places: 'place',
+  sportsTeams: 'sports team'
+};
+
+// Pack id -> { 'id:commonWords': ranked dictionary, ... } for loaded packs
+const loadedPacks = {};
+const pendingPacks = {};
+
+// Load a pack and build its ranked dictionaries (resolves immediately when already loaded)
+export const loadLanguagePack = (id) => {
+  if (!LANGUAGE_PACKS[id]) return Promise.reject(new Error(`Unknown language pack "${id}"`));
+  if (loadedPacks[id]) return Promise.resolve(loadedPacks[id]);
+
+  if (!pendingPacks[id]) {
+    pendingPacks[id] = LANGUAGE_PACKS[id].load()
+      .then(pack => {
+        loadedPacks[id] = Object.fromEntries(
+          Object.keys(PACK_LISTS).map(list => [`${id}:${list}`, buildRankedDictionary(pack[list])])
+        );
+        return loadedPacks[id];
+      })
+      .finally(() => {
+        delete pendingPacks[id];
+      });
+  }
+  return pendingPacks[id];
+};
+
+export const isLanguagePackLoaded = (id) => Boolean(loadedPacks[id]);
+
+// Ranked dictionaries of the given packs, for omnimatch; packs that are not loaded yet are skipped
+export const getLanguageDictionaries = (ids = []) => Object.assign({}, ...ids.map(id => loadedPacks[id] || {}));
+
+// Language and label of a language pack dictionary name ('de:places' -> { language: 'German', label: 'German place' }),
+// or null for the built-in dictionaries
+export const describeLanguageDictionary = (dictionaryName) => {
+  const [id, list] = dictionaryName.split(':');
+  if (!list || !LANGUAGE_PACKS[id]) return null;
+  const language = LANGUAGE_PACKS[id].name;
+  return { language, label: `${language} ${PACK_LISTS[list]}` };
+};
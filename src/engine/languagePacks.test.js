@@ -0,0 +1,32 @@
+import { describeLanguageDictionary, getLanguageDictionaries, isLanguagePackLoaded, loadLanguagePack } from './languagePacks.js';
+import { assessPasswordStrength } from './analyzer.js';
+
+describe('loadLanguagePack', () => {
+  test('makes the pack words match as dictionary words once loaded', async () => {
+    expect(assessPasswordStrength('schmetterling', { languages: ['de'] }).languages).toEqual([]);
+    await loadLanguagePack('de');
+    expect(isLanguagePackLoaded('de')).toBe(true);
+    expect(Object.keys(getLanguageDictionaries(['de']))).toEqual(['de:commonWords', 'de:firstNames', 'de:places', 'de:sportsTeams']);
+
+    const before = assessPasswordStrength('schmetterling');
+    const assessment = assessPasswordStrength('schmetterling', { languages: ['de'] });
+    expect(assessment.languages).toEqual(['German']);
+    expect(assessment.score).toBeLessThan(before.score);
+  });
+
+  test('loads each pack once', async () => {
+    await expect(loadLanguagePack('nl')).resolves.toBe(await loadLanguagePack('nl'));
+  });
+
+  test('rejects unknown language codes', async () => {
+    await expect(loadLanguagePack('xx')).rejects.toThrow('Unknown language pack "xx"');
+    expect(getLanguageDictionaries(['xx'])).toEqual({});
+  });
+});
+
+describe('describeLanguageDictionary', () => {
+  test('labels pack dictionaries and ignores the built-in ones', () => {
+    expect(describeLanguageDictionary('de:places')).toEqual({ language: 'German', label: 'German place' });
+    expect(describeLanguageDictionary('passwords')).toBeNull();
+  });
+});
@@ -0,0 +1,28 @@
+/**
+ * @file de.js
+ * @description German language pack: common words, first names, place names and sports teams
+ * @author Hardin Irfan <hardinmail05@gmail.com>
+ * @copyright Copyright (c) 2025 Hardin Irfan
+ * @license MIT
+ */
+
+// Only the lists this pack uses are imported, so the larger Wikipedia lists stay out of the bundle
+import germanWords from '@zxcvbn-ts/language-de/dist/commonWords.json.js';
+import germanFirstNames from '@zxcvbn-ts/language-de/dist/firstnames.json.js';
+
+export const commonWords = germanWords;
+
+export const firstNames = germanFirstNames;
+
+export const places = [
+  'berlin', 'hamburg', 'munchen', 'muenchen', 'munich', 'koln', 'koeln', 'frankfurt', 'stuttgart', 'dusseldorf',
+  'duesseldorf', 'dortmund', 'essen', 'leipzig', 'bremen', 'dresden', 'hannover', 'nurnberg', 'nuernberg', 'duisburg',
+  'bochum', 'wuppertal', 'bielefeld', 'bonn', 'munster', 'muenster', 'mannheim', 'karlsruhe', 'augsburg', 'wiesbaden',
+  'bayern', 'sachsen', 'hessen', 'deutschland', 'germany', 'osterreich', 'oesterreich', 'wien', 'schweiz', 'zurich'
+];
+
+export const sportsTeams = [
+  'bayern', 'fcbayern', 'bvb', 'borussia', 'dortmund', 'schalke', 'schalke04', 'werder', 'hsv', 'stpauli',
+  'gladbach', 'leverkusen', 'bayer04', 'eintracht', 'vfb', 'vfbstuttgart', 'hertha', 'unionberlin', 'fckoeln', 'effzeh',
+  'rbleipzig', 'wolfsburg', 'freiburg', 'hoffenheim', 'mainz05', 'nuernberg', 'fortuna', 'kaiserslautern', 'fck'
+];
@@ -0,0 +1,28 @@
+/**
+ * @file es.js
+ * @description Spanish language pack: common words, first names, place names and sports teams
+ * @author Hardin Irfan <hardinmail05@gmail.com>
+ * @copyright Copyright (c) 2025 Hardin Irfan
+ * @license MIT
+ */
+
+// Only the lists this pack uses are imported, so the larger Wikipedia lists stay out of the bundle
+import spanishWords from '@zxcvbn-ts/language-es-es/dist/commonWords.json.mjs';
+import spanishFirstNames from '@zxcvbn-ts/language-es-es/dist/firstnames.json.mjs';
+
+export const commonWords = spanishWords;
+
+export const firstNames = spanishFirstNames;
+
+export const places = [
+  'madrid', 'barcelona', 'valencia', 'sevilla', 'zaragoza', 'malaga', 'murcia', 'palma', 'bilbao', 'alicante',
+  'cordoba', 'valladolid', 'vigo', 'gijon', 'granada', 'coruna', 'vitoria', 'oviedo', 'santander', 'pamplona',
+  'salamanca', 'toledo', 'cadiz', 'ibiza', 'tenerife', 'canarias', 'andalucia', 'cataluna', 'galicia', 'asturias',
+  'espana', 'mexico', 'argentina', 'colombia', 'chile', 'peru', 'venezuela', 'bogota', 'lima', 'buenosaires'
+];
+
+export const sportsTeams = [
+  'realmadrid', 'madrid', 'barca', 'barcelona', 'fcbarcelona', 'atletico', 'atleti', 'sevilla', 'betis', 'valencia',
+  'athletic', 'bilbao', 'realsociedad', 'villarreal', 'espanyol', 'celta', 'osasuna', 'getafe', 'mallorca', 'deportivo',
+  'boca', 'bocajuniors', 'riverplate', 'america', 'chivas', 'cruzazul', 'pumas', 'colocolo'
+];
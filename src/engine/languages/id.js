@@ -0,0 +1,32 @@
+/**
+ * @file id.js
+ * @description Indonesian language pack: common words, first names, place names and sports teams
+ * @author Hardin Irfan <hardinmail05@gmail.com>
+ * @copyright Copyright (c) 2025 Hardin Irfan
+ * @license MIT
+ */
+
+// Only the lists this pack uses are imported, so the larger Wikipedia lists stay out of the bundle
+import indonesianWords from '@zxcvbn-ts/language-id/dist/commonWords.json.mjs';
+import indonesianNames from '@zxcvbn-ts/language-id/dist/names.json.mjs';
+
+// Frequency-ranked word lists, plus everyday words that are popular in passwords
+export const commonWords = [
+  ...indonesianWords,
+  'nasi', 'nasigoreng', 'nasikuning', 'sayang', 'cinta', 'rahasia', 'bismillah', 'merdeka', 'indonesia'
+];
+
+export const firstNames = indonesianNames;
+
+export const places = [
+  'jakarta', 'surabaya', 'bandung', 'medan', 'bekasi', 'tangerang', 'depok', 'semarang', 'palembang', 'makassar',
+  'bogor', 'batam', 'pekanbaru', 'malang', 'padang', 'denpasar', 'bali', 'yogyakarta', 'jogja', 'jogjakarta',
+  'solo', 'surakarta', 'manado', 'pontianak', 'balikpapan', 'samarinda', 'banjarmasin', 'jambi', 'cirebon',
+  'lombok', 'aceh', 'ambon', 'kupang', 'jayapura', 'jawa', 'sumatra', 'sumatera', 'kalimantan', 'sulawesi', 'papua'
+];
+
+export const sportsTeams = [
+  'persija', 'persib', 'persebaya', 'arema', 'aremania', 'bonek', 'jakmania', 'viking', 'psm', 'psis',
+  'persik', 'persipura', 'persita', 'pssi', 'baliunited', 'borneo', 'maduraunited', 'psssleman', 'sriwijaya', 'barito',
+  'timnas', 'garuda'
+];
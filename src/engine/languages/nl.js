@@ -0,0 +1,33 @@
+/**
+ * @file nl.js
+ * @description Dutch language pack: common words, first names, place names and sports teams
+ * @author Hardin Irfan <hardinmail05@gmail.com>
+ * @copyright Copyright (c) 2025 Hardin Irfan
+ * @license MIT
+ */
+
+// Only the lists this pack uses are imported, so the larger Wikipedia lists stay out of the bundle
+import dutchWords from '@zxcvbn-ts/language-nl-be/dist/commonWords.json.js';
+import boysFirstNames from '@zxcvbn-ts/language-nl-be/dist/boysFirstnames.json.js';
+import girlsFirstNames from '@zxcvbn-ts/language-nl-be/dist/girlsFirstnames.json.js';
+
+export const commonWords = dutchWords;
+
+// Boys' and girls' names are ranked separately, so interleave them to keep both near the top
+export const firstNames = Array.from(
+  { length: Math.max(boysFirstNames.length, girlsFirstNames.length) },
+  (_, i) => [boysFirstNames[i], girlsFirstNames[i]]
+).flat().filter(Boolean);
+
+export const places = [
+  'amsterdam', 'rotterdam', 'denhaag', 'utrecht', 'eindhoven', 'groningen', 'tilburg', 'almere', 'breda', 'nijmegen',
+  'haarlem', 'arnhem', 'zaandam', 'amersfoort', 'apeldoorn', 'maastricht', 'leiden', 'dordrecht', 'zwolle', 'delft',
+  'antwerpen', 'gent', 'brugge', 'brussel', 'leuven', 'mechelen', 'hasselt', 'oostende', 'kortrijk', 'aalst',
+  'nederland', 'holland', 'belgie', 'vlaanderen', 'friesland', 'limburg', 'brabant', 'zeeland', 'drenthe', 'twente'
+];
+
+export const sportsTeams = [
+  'ajax', 'feyenoord', 'psv', 'azalkmaar', 'fctwente', 'twente', 'utrecht', 'vitesse', 'heerenveen', 'groningen',
+  'spartarotterdam', 'sparta', 'willem2', 'nac', 'adodenhaag', 'goaheadeagles', 'oranje', 'anderlecht', 'clubbrugge', 'standard',
+  'genk', 'antwerp', 'gent', 'beerschot', 'rodedivels'
+];
@@ -0,0 +1,185 @@
+/**
+ * @file mask.js
+ * @description Template (mask) passwords with a fixed shape, such as four letters, a dash and four digits, with exact keyspace
+ * @author Hardin Irfan <hardinmail05@gmail.com>
+ * @copyright Copyright (c) 2025 Hardin Irfan
+ * @license MIT
+ */
+
+import { CHARACTER_GROUPS } from './generator.js';
+import { log2BigInt, randomChoice } from './random.js';
+
+// Placeholders for a character class, written ?l, ?u and so on
+export const MASK_PLACEHOLDERS = {
+  l: { label: 'lowercase', chars: CHARACTER_GROUPS.lowercase.chars },
+  u: { label: 'uppercase', chars: CHARACTER_GROUPS.uppercase.chars },
+  d: { label: 'digits', chars: CHARACTER_GROUPS.numbers.chars },
+  s: { label: 'symbols', chars: CHARACTER_GROUPS.symbols.chars },
+  L: { label: 'letters', chars: CHARACTER_GROUPS.lowercase.chars + CHARACTER_GROUPS.uppercase.chars },
+  a: {
+    label: 'any character',
+    chars: Object.values(CHARACTER_GROUPS).map(group => group.chars).join('')
+  }
+};
+
+// Longest password a template may describe
+export const MAX_MASK_LENGTH = 128;
+
+// Parse a template into elements { source, label, chars, repeat }. Syntax:
+//   ?l ?u ?d ?s ?L ?a   one character from a class (see MASK_PLACEHOLDERS)
+//   [abc] [a-f0-9?s]    one character from a custom class of characters, ranges and placeholders
+//   {n}                 repeat the element before it n times
+//   \x                  the character x itself, for ? [ { and \
+// Anything else stands for itself. Every element has a fixed length, so each password comes from exactly one
+// choice per position and the keyspace is the product of the class sizes.
+const parseMask = (mask) => {
+  const chars = [...mask];
+  const elements = [];
+  const problems = [];
+  let i = 0;
+
+  // Custom class starting after '[': returns the characters, or null after recording a problem
+  const parseClass = () => {
+    const members = [];
+    for (;;) {
+      if (i >= chars.length) {
+        problems.push('A custom class is missing its closing ]');
+        return null;
+      }
+      let char = chars[i];
+      if (char === ']') {
+        i++;
+        break;
+      }
+      if (char === '?') {
+        const placeholder = MASK_PLACEHOLDERS[chars[i + 1]];
+        if (!placeholder) {
+          problems.push(`Unknown placeholder "?${chars[i + 1] || ''}" at position ${i + 1}`);
+          return null;
+        }
+        members.push(...placeholder.chars);
+        i += 2;
+        continue;
+      }
+      if (char === '\\' && i + 1 < chars.length) char = chars[++i];
+      i++;
+
+      // A range such as a-z; a '-' first or last in the class stands for itself
+      if (chars[i] === '-' && i + 1 < chars.length && chars[i + 1] !== ']') {
+        let end = chars[i + 1];
+        i += 2;
+        if (end === '\\' && i < chars.length) end = chars[i++];
+        const from = char.codePointAt(0);
+        const to = end.codePointAt(0);
+        if (to < from) {
+          problems.push(`The range ${char}-${end} runs backwards`);
+          return null;
+        }
+        for (let code = from; code <= to; code++) members.push(String.fromCodePoint(code));
+      } else {
+        members.push(char);
+      }
+    }
+    if (members.length === 0) {
+      problems.push('A custom class cannot be empty');
+      return null;
+    }
+    return [...new Set(members)];
+  };
+
+  while (i < chars.length && problems.length === 0) {
+    const start = i;
+    const char = chars[i];
+    let element;
+
+    if (char === '?') {
+      const placeholder = MASK_PLACEHOLDERS[chars[i + 1]];
+      if (!placeholder) {
+        problems.push(`Unknown placeholder "?${chars[i + 1] || ''}" at position ${i + 1}`);
+        break;
+      }
+      element = { label: placeholder.label, chars: [...placeholder.chars] };
+      i += 2;
+    } else if (char === '[') {
+      i++;
+      const members = parseClass();
+      if (!members) break;
+      element = { label: 'custom class', chars: members };
+    } else if (char === '{') {
+      problems.push(`The repeat count at position ${i + 1} has nothing to repeat`);
+      break;
+    } else {
+      if (char === '\\') {
+        if (i + 1 >= chars.length) {
+          problems.push('The template ends with an unfinished \\');
+          break;
+        }
+        i++;
+      }
+      element = { label: 'fixed', chars: [chars[i]] };
+      i++;
+    }
+    element.source = chars.slice(start, i).join('');
+    element.repeat = 1;
+
+    if (chars[i] === '{') {
+      const match = chars.slice(i).join('').match(/^\{(\d+)\}/);
+      if (!match || Number(match[1]) < 1) {
+        problems.push(`The repeat count at position ${i + 1} must be a whole number of at least 1 in braces, like {4}`);
+        break;
+      }
+      element.repeat = Number(match[1]);
+      i += match[0].length;
+    }
+    elements.push(element);
+  }
+
+  const length = elements.reduce((sum, element) => sum + element.repeat, 0);
+  if (problems.length === 0 && length === 0) problems.push('The template is empty');
+  if (length > MAX_MASK_LENGTH) problems.push(`The template describes ${length} characters; the most allowed is ${MAX_MASK_LENGTH}`);
+  return { elements, length, problems };
+};
+
+// Problems that make a template unusable (empty when it is valid)
+export const maskProblems = (mask) => parseMask(mask).problems;
+
+// Exact report on the passwords a template can produce, in the shape of generationReport; null for an invalid
+// template. Fixed characters add nothing, every class adds log2 of its size per repeat.
+export const maskReport = (mask) => {
+  const { elements, length, problems } = parseMask(mask);
+  if (problems.length > 0) return null;
+
+  const details = [];
+  let combinations = 1n;
+  elements.forEach(element => {
+    combinations *= BigInt(element.chars.length) ** BigInt(element.repeat);
+    if (element.chars.length > 1) {
+      const count = `${element.repeat} character${element.repeat === 1 ? '' : 's'}`;
+      details.push({
+        label: `${element.source}: ${count} from ${element.label} (${element.chars.length})`,
+        bits: element.repeat * Math.log2(element.chars.length)
+      });
+    }
+  });
+  const fixed = elements.filter(element => element.chars.length === 1).reduce((sum, element) => sum + element.repeat, 0);
+  if (fixed > 0) details.push({ label: `${fixed} fixed character${fixed === 1 ? '' : 's'}`, bits: 0 });
+
+  const entropy = log2BigInt(combinations);
+  return {
+    mode: 'mask',
+    length,
+    entropy,
+    combinations,
+    averageGuesses: 2 ** (entropy - 1),
+    details
+  };
+};
+
+// Generate a password matching the template, each position drawn uniformly from its class
+export const generateFromMask = (mask) => {
+  const { elements, problems } = parseMask(mask);
+  if (problems.length > 0) throw new Error(problems.join('; '));
+  return elements
+    .flatMap(element => Array.from({ length: element.repeat }, () => randomChoice(element.chars)))
+    .join('');
+};
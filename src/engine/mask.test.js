@@ -0,0 +1,48 @@
+import { generateFromMask, maskProblems, maskReport, MASK_PLACEHOLDERS } from './mask.js';
+
+const SAMPLES = 200;
+
+describe('generateFromMask', () => {
+  test('fills every position from its class', () => {
+    for (let i = 0; i < SAMPLES; i++) {
+      const pwd = generateFromMask('?u?l{3}-?d{4}?s');
+      expect(pwd).toMatch(/^[A-Z][a-z]{3}-[0-9]{4}.$/);
+      expect(MASK_PLACEHOLDERS.s.chars).toContain(pwd[9]);
+    }
+  });
+
+  test('supports custom classes, ranges and escapes', () => {
+    for (let i = 0; i < SAMPLES; i++) {
+      expect(generateFromMask('ab\\?[x-z]{2}[?d]')).toMatch(/^ab\?[x-z]{2}[0-9]$/);
+    }
+  });
+});
+
+describe('maskReport', () => {
+  test('counts the keyspace exactly', () => {
+    const report = maskReport('?u?l{3}-?d{4}?s');
+    expect(report.length).toBe(10);
+    expect(report.combinations).toBe(26n * 26n ** 3n * 10n ** 4n * 26n);
+    expect(report.details.reduce((sum, detail) => sum + detail.bits, 0)).toBeCloseTo(report.entropy, 9);
+  });
+
+  test('gives nothing for fixed characters and null for an invalid template', () => {
+    expect(maskReport('abc').combinations).toBe(1n);
+    expect(maskReport('?x')).toBeNull();
+  });
+});
+
+describe('maskProblems', () => {
+  test('accepts a valid template', () => {
+    expect(maskProblems('?a{16}')).toEqual([]);
+  });
+
+  test('reports what is wrong with a template', () => {
+    expect(maskProblems('?x')).toEqual(['Unknown placeholder "?x" at position 1']);
+    expect(maskProblems('[a-')).toEqual(['A custom class is missing its closing ]']);
+    expect(maskProblems('[z-a]')).toEqual(['The range z-a runs backwards']);
+    expect(maskProblems('?d{0}')).toEqual(['The repeat count at position 3 must be a whole number of at least 1 in braces, like {4}']);
+    expect(maskProblems('?a{200}')).toEqual(['The template describes 200 characters; the most allowed is 128']);
+    expect(maskProblems('')).toEqual(['The template is empty']);
+  });
+});
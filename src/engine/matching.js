@@ -0,0 +1,460 @@
+/**
+ * @file matching.js
+ * @description Pattern matchers that split a password into candidate segments for the guess estimator
+ * @author Hardin Irfan <hardinmail05@gmail.com>
+ * @copyright Copyright (c) 2025 Hardin Irfan
+ * @license MIT
+ */
+
+import { COMMON_PASSWORDS, COMMON_WORDS_CATEGORIES, OTHER_COMMON_WORDS } from './dictionaries.js';
+import { KEYBOARD_GRAPHS } from './keyboards.js';
+import { enumerateL33tSubs, translateL33t } from './l33t.js';
+
+// Shortest token a dictionary match may cover
+const MIN_DICTIONARY_TOKEN = 3;
+
+// Build word -> rank lookups (rank 1 is the most common entry of a list)
+export const buildRankedDictionary = (words) => {
+  const ranked = new Map();
+  words.forEach((word, index) => {
+    const key = word.toLowerCase();
+    if (!ranked.has(key)) ranked.set(key, index + 1);
+  });
+  return ranked;
+};
+
+const RANKED_DICTIONARIES = {
+  passwords: buildRankedDictionary(COMMON_PASSWORDS),
+  words: buildRankedDictionary(OTHER_COMMON_WORDS),
+  ...Object.fromEntries(
+    Object.entries(COMMON_WORDS_CATEGORIES).map(([category, words]) => [category, buildRankedDictionary(words)])
+  )
+};
+
+// Look up one of the ranked dictionaries by name
+export const getRankedDictionary = (name) => RANKED_DICTIONARIES[name];
+
+// Replace (or add) a ranked dictionary; every later match uses it
+export const setRankedDictionary = (name, words) => {
+  RANKED_DICTIONARIES[name] = buildRankedDictionary(words);
+};
+
+// Sort matches by position, shorter matches first
+const sortMatches = (matches) => matches.sort((a, b) => (a.i - b.i) || (a.j - b.j));
+
+// Dictionary words anywhere in the password
+export const dictionaryMatch = (password, rankedDictionaries = RANKED_DICTIONARIES) => {
+  const matches = [];
+  const lowercasePwd = password.toLowerCase();
+
+  for (const [dictionaryName, ranked] of Object.entries(rankedDictionaries)) {
+    for (let i = 0; i < password.length; i++) {
+      for (let j = i + MIN_DICTIONARY_TOKEN - 1; j < password.length; j++) {
+        const word = lowercasePwd.slice(i, j + 1);
+        if (ranked.has(word)) {
+          matches.push({
+            pattern: 'dictionary',
+            i,
+            j,
+            token: password.slice(i, j + 1),
+            matchedWord: word,
+            rank: ranked.get(word),
+            dictionaryName,
+            reversed: false,
+            l33t: false
+          });
+        }
+      }
+    }
+  }
+
+  return sortMatches(matches);
+};
+
+// Dictionary words typed backwards (drowssap)
+export const reverseDictionaryMatch = (password, rankedDictionaries = RANKED_DICTIONARIES) => {
+  const reversedPwd = [...password].reverse().join('');
+
+  return sortMatches(dictionaryMatch(reversedPwd, rankedDictionaries).map(match => ({
+    ...match,
+    token: [...match.token].reverse().join(''),
+    reversed: true,
+    // Map coordinates back onto the original password
+    i: password.length - 1 - match.j,
+    j: password.length - 1 - match.i
+  })));
+};
+
+// Dictionary words written in l33t speak (P4$$w0rd, dr@g0n)
+export const l33tMatch = (password, rankedDictionaries = RANKED_DICTIONARIES) => {
+  const matches = [];
+  const seen = new Set();
+  const lowercasePwd = password.toLowerCase();
+
+  for (const sub of enumerateL33tSubs(lowercasePwd)) {
+    const subbedPwd = translateL33t(lowercasePwd, sub);
+
+    for (const match of dictionaryMatch(subbedPwd, rankedDictionaries)) {
+      const token = password.slice(match.i, match.j + 1);
+      // Keep only the substitutions that occur in this token
+      const usedSub = Object.fromEntries(Object.entries(sub).filter(([char]) => token.toLowerCase().includes(char)));
+      if (Object.keys(usedSub).length === 0) continue;
+
+      const key = `${match.i}:${match.j}:${match.dictionaryName}:${match.matchedWord}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      matches.push({ ...match, token, l33t: true, sub: usedSub });
+    }
+  }
+
+  return sortMatches(matches);
+};
+
+// Walks across adjacent keys on any known layout (qwerty, zaq1xsw2, !QAZ, 7896)
+export const spatialMatch = (password) => {
+  const matches = [];
+
+  for (const { id, graph, shiftedChars } of Object.values(KEYBOARD_GRAPHS)) {
+    let i = 0;
+    while (i < password.length - 1) {
+      let j = i + 1;
+      let lastDirection = null;
+      let turns = 0;
+      let shiftedCount = shiftedChars.has(password[i]) ? 1 : 0;
+
+      for (;;) {
+        const adjacents = graph[password[j - 1]] || [];
+        let found = false;
+
+        if (j < password.length) {
+          const current = password[j];
+          // The neighbour index is the direction of the step
+          const direction = adjacents.findIndex(adjacent => adjacent && adjacent.includes(current));
+          if (direction !== -1) {
+            found = true;
+            if (adjacents[direction].indexOf(current) === 1) shiftedCount += 1;
+            if (direction !== lastDirection) {
+              turns += 1;
+              lastDirection = direction;
+            }
+          }
+        }
+
+        if (found) {
+          j += 1;
+          continue;
+        }
+
+        // Only walks of three or more keys count
+        if (j - i > 2) {
+          matches.push({
+            pattern: 'spatial',
+            i,
+            j: j - 1,
+            token: password.slice(i, j),
+            graph: id,
+            turns,
+            shiftedCount
+          });
+        }
+        i = j;
+        break;
+      }
+    }
+  }
+
+  return sortMatches(matches);
+};
+
+// Repeated characters or blocks (aaa, abcabc)
+export const repeatMatch = (password) => {
+  const matches = [];
+  const greedy = /(.+)\1+/g;
+  const lazy = /(.+?)\1+/g;
+  const lazyAnchored = /^(.+?)\1+$/;
+  let lastIndex = 0;
+
+  while (lastIndex < password.length) {
+    greedy.lastIndex = lastIndex;
+    lazy.lastIndex = lastIndex;
+    const greedyMatch = greedy.exec(password);
+    const lazyMatch = lazy.exec(password);
+    if (!greedyMatch) break;
+
+    let match;
+    let baseToken;
+    if (greedyMatch[0].length > lazyMatch[0].length) {
+      // The greedy match repeats a longer unit (abcabc rather than aa), find its smallest base
+      match = greedyMatch;
+      baseToken = lazyAnchored.exec(match[0])[1];
+    } else {
+      match = lazyMatch;
+      baseToken = match[1];
+    }
+
+    const i = match.index;
+    const j = i + match[0].length - 1;
+    matches.push({
+      pattern: 'repeat',
+      i,
+      j,
+      token: match[0],
+      baseToken,
+      repeatCount: match[0].length / baseToken.length
+    });
+    lastIndex = j + 1;
+  }
+
+  return matches;
+};
+
+// Largest code-point step still treated as a sequence (aceg, 2468, afkp)
+const MAX_SEQUENCE_STEP = 5;
+
+// Three characters with a wider step are common inside ordinary words (the chm in Schmetterling),
+// so runs that short only count with a step of 1 or 2 (abc, 135)
+const MAX_SHORT_SEQUENCE_STEP = 2;
+
+// Character classes a sequence must stay within, with the size of each class
+const SEQUENCE_CLASSES = [
+  { name: 'lower', test: /^[a-z]$/, space: 26 },
+  { name: 'upper', test: /^[A-Z]$/, space: 26 },
+  { name: 'digits', test: /^\d$/, space: 10 },
+  { name: 'unicode', test: /^\p{L}$/u, space: 26 }
+];
+
+const sequenceClassOf = (char) => SEQUENCE_CLASSES.find(sequenceClass => sequenceClass.test.test(char));
+
+// Runs of three or more characters with a constant code-point step, in any alphabet
+// (defg, 9876, 2468, aceg, zyxw, абвг); steps above 2 need four characters or more
+export const sequenceMatch = (password) => {
+  const matches = [];
+
+  const pushRun = (i, j, step) => {
+    if (j - i < 2) return;
+    if (j - i === 2 && Math.abs(step) > MAX_SHORT_SEQUENCE_STEP) return;
+    const token = password.slice(i, j + 1);
+    const sequenceClass = SEQUENCE_CLASSES.find(candidate => [...token].every(char => candidate.test.test(char)));
+    if (!sequenceClass) return;
+
+    matches.push({
+      pattern: 'sequence',
+      i,
+      j,
+      token,
+      sequenceName: sequenceClass.name,
+      sequenceSpace: sequenceClass.space,
+      ascending: step > 0,
+      step: Math.abs(step)
+    });
+  };
+
+  let i = 0;
+  let lastStep = null;
+  for (let k = 1; k < password.length; k++) {
+    const step = password.charCodeAt(k) - password.charCodeAt(k - 1);
+    const sameClass = sequenceClassOf(password[k]) === sequenceClassOf(password[k - 1]);
+    const isStep = sameClass && step !== 0 && Math.abs(step) <= MAX_SEQUENCE_STEP;
+
+    if (isStep && (lastStep === null || step === lastStep)) {
+      lastStep = step;
+      continue;
+    }
+
+    pushRun(i, k - 1, lastStep);
+    // The current pair may start a new run
+    i = isStep ? k - 1 : k;
+    lastStep = isStep ? step : null;
+  }
+  pushRun(i, password.length - 1, lastStep);
+
+  return matches;
+};
+
+// Years are read relative to the current year
+export const REFERENCE_YEAR = new Date().getFullYear();
+
+// Range of years accepted in dates
+const DATE_MIN_YEAR = 1900;
+const DATE_MAX_YEAR = 2099;
+
+// Orders in which day, month and year are written
+const DATE_ORDERS = {
+  DMY: ['day', 'month', 'year'],
+  MDY: ['month', 'day', 'year'],
+  YMD: ['year', 'month', 'day']
+};
+
+// Orders in which four digits are read as a day and month with no year (0612, 1225)
+const DAY_MONTH_ORDERS = {
+  DM: ['day', 'month'],
+  MD: ['month', 'day']
+};
+
+// Leap year used to check a day and month with no year, so 29/02 is allowed
+const DAY_MONTH_YEAR = 2000;
+
+// Digits allowed for each part of a date
+const DATE_PART_LENGTHS = {
+  day: [1, 2],
+  month: [1, 2],
+  year: [2, 4]
+};
+
+// Two-digit years are taken as 19xx above 50 and 20xx otherwise
+const toFourDigitYear = (digits) => {
+  const year = Number(digits);
+  if (digits.length === 4) return year;
+  return year + (year > 50 ? 1900 : 2000);
+};
+
+// Check that the date exists on the calendar (no 31/04 or 29/02 outside leap years)
+const isValidDate = ({ year, month, day }) => {
+  if (year < DATE_MIN_YEAR || year > DATE_MAX_YEAR) return false;
+  if (month < 1 || month > 12 || day < 1) return false;
+  return day <= new Date(Date.UTC(year, month, 0)).getUTCDate();
+};
+
+// Read three digit groups as a date written in the given order
+const readDate = (parts, order) => {
+  const date = { order };
+  for (let index = 0; index < 3; index++) {
+    const role = DATE_ORDERS[order][index];
+    if (!DATE_PART_LENGTHS[role].includes(parts[index].length)) return null;
+    date[role] = role === 'year' ? toFourDigitYear(parts[index]) : Number(parts[index]);
+  }
+  return isValidDate(date) ? date : null;
+};
+
+// Read four digits as a two-digit day and month (DDMM, then MMDD); other four-digit readings such as 1/2/34
+// or 12-3-4 are too loose to call a date, and years on their own are matched separately
+const readDayMonth = (digits) => {
+  for (const order of Object.keys(DAY_MONTH_ORDERS)) {
+    const [first, second] = DAY_MONTH_ORDERS[order];
+    const date = { order, [first]: Number(digits.slice(0, 2)), [second]: Number(digits.slice(2)) };
+    if (isValidDate({ ...date, year: DAY_MONTH_YEAR })) return date;
+  }
+  return null;
+};
+
+// Two-digit years written first (850612) are rarer than days and months written first (120685)
+const isTwoDigitYearFirst = ({ date, yearDigits }) => date.order === 'YMD' && yearDigits === 2;
+
+// The reading of a run of digits with no separators: four digits as a day and month, longer runs as full dates,
+// preferring DMY and MDY to a two-digit-year YMD and then years close to today
+const readUnseparatedDate = (digits) => {
+  if (digits.length === 4) return readDayMonth(digits);
+  const candidates = [];
+
+  for (const order of Object.keys(DATE_ORDERS)) {
+    const [first, second] = DATE_ORDERS[order];
+    for (const firstLength of DATE_PART_LENGTHS[first]) {
+      for (const secondLength of DATE_PART_LENGTHS[second]) {
+        if (firstLength + secondLength >= digits.length) continue;
+        const parts = [
+          digits.slice(0, firstLength),
+          digits.slice(firstLength, firstLength + secondLength),
+          digits.slice(firstLength + secondLength)
+        ];
+        const date = readDate(parts, order);
+        if (date) candidates.push({ date, yearDigits: parts[DATE_ORDERS[order].indexOf('year')].length });
+      }
+    }
+  }
+
+  // Attackers try recent years first, so among the likely readings the one closest to today is the cheapest to guess
+  const likely = candidates.some(candidate => !isTwoDigitYearFirst(candidate))
+    ? candidates.filter(candidate => !isTwoDigitYearFirst(candidate))
+    : candidates;
+  return likely.reduce((closest, { date }) => (
+    !closest || Math.abs(date.year - REFERENCE_YEAR) < Math.abs(closest.year - REFERENCE_YEAR) ? date : closest
+  ), null);
+};
+
+// Dates anywhere in the password, with or without separators, in DMY, MDY or YMD order
+// (john19850612, Maria0612!, 31121999x, 12/05/1990), and years on their own (summer2024)
+export const dateMatch = (password) => {
+  const dates = [];
+
+  // Without separators: runs of 4 to 8 digits
+  for (let i = 0; i <= password.length - 4; i++) {
+    for (let j = i + 3; j <= i + 7 && j < password.length; j++) {
+      const token = password.slice(i, j + 1);
+      if (!/^\d+$/.test(token)) break;
+
+      const date = readUnseparatedDate(token);
+      if (date) {
+        dates.push({ pattern: 'date', i, j, token, separator: '', hasDayMonth: true, ...date });
+      }
+    }
+  }
+
+  // With separators: 6 to 10 characters such as 1/2/90 or 1990-12-31
+  const separated = /^(\d{1,4})([\s/\\_.-])(\d{1,2})\2(\d{1,4})$/;
+  for (let i = 0; i <= password.length - 6; i++) {
+    for (let j = i + 5; j <= i + 9 && j < password.length; j++) {
+      const token = password.slice(i, j + 1);
+      const parts = separated.exec(token);
+      if (!parts) continue;
+
+      const date = Object.keys(DATE_ORDERS)
+        .map(order => readDate([parts[1], parts[3], parts[4]], order))
+        .find(Boolean);
+      if (date) {
+        dates.push({ pattern: 'date', i, j, token, separator: parts[2], hasDayMonth: true, ...date });
+      }
+    }
+  }
+
+  // Drop dates that sit inside a longer date (1990 inside 31121990)
+  const matches = dates.filter(match => !dates.some(other => (
+    other !== match && other.i <= match.i && other.j >= match.j && (other.j - other.i) > (match.j - match.i)
+  )));
+
+  // Years on their own
+  const yearPattern = /(?:19|20)\d{2}/g;
+  let match;
+  while ((match = yearPattern.exec(password)) !== null) {
+    matches.push({
+      pattern: 'date',
+      i: match.index,
+      j: match.index + 3,
+      token: match[0],
+      year: Number(match[0]),
+      separator: '',
+      hasDayMonth: false
+    });
+  }
+
+  return sortMatches(matches);
+};
+
+// Run every matcher over the password. options.dictionaries adds ranked dictionaries (language packs)
+// and options.userInputs (from buildUserInputs) adds the owner's own details.
+export const omnimatch = (password, { dictionaries: extraDictionaries = {}, userInputs = null } = {}) => {
+  const dictionaries = { ...RANKED_DICTIONARIES, ...extraDictionaries };
+  if (userInputs) dictionaries.userInputs = userInputs.ranked;
+
+  const matches = sortMatches([
+    ...dictionaryMatch(password, dictionaries),
+    ...reverseDictionaryMatch(password, dictionaries),
+    ...l33tMatch(password, dictionaries),
+    ...spatialMatch(password),
+    ...repeatMatch(password),
+    ...sequenceMatch(password),
+    ...dateMatch(password)
+  ]);
+
+  // Record which detail each user-input match came from
+  matches.forEach(match => {
+    if (match.dictionaryName === 'userInputs') match.field = userInputs.fields.get(match.matchedWord);
+  });
+
+  // A token that is a common password is reported as one, even where a word list ranks it higher; only the
+  // owner's own details keep their match alongside it
+  const variant = (match) => `${match.i}|${match.j}|${match.matchedWord}|${match.reversed}|${match.l33t}`;
+  const commonPasswords = new Set(matches.filter(match => match.dictionaryName === 'passwords').map(variant));
+  return matches.filter(match => match.pattern !== 'dictionary' || match.dictionaryName === 'passwords' ||
+    match.dictionaryName === 'userInputs' || !commonPasswords.has(variant(match)));
+};
@@ -0,0 +1,74 @@
+import { dateMatch, sequenceMatch, spatialMatch } from './matching.js';
+
+describe('spatialMatch', () => {
+  test('finds keyboard walks down the columns', () => {
+    const matches = spatialMatch('1qaz2wsx');
+    expect(matches).toContainEqual(expect.objectContaining({ token: '1qaz', graph: 'qwerty', turns: 1 }));
+    expect(matches).toContainEqual(expect.objectContaining({ token: '2wsx', graph: 'qwerty', turns: 1 }));
+  });
+
+  test('follows the layout the walk was typed on', () => {
+    expect(spatialMatch('azertyuiop')).toContainEqual(expect.objectContaining({ i: 0, j: 9, graph: 'azerty' }));
+  });
+
+  test('counts turns and ignores characters that are not adjacent', () => {
+    expect(spatialMatch('qwedcxz')).toContainEqual(expect.objectContaining({ token: 'qwedcxz', graph: 'qwerty', turns: 3 }));
+    expect(spatialMatch('qpzm')).toEqual([]);
+  });
+});
+
+describe('sequenceMatch', () => {
+  test('finds ascending and descending runs', () => {
+    expect(sequenceMatch('abcdef')).toEqual([expect.objectContaining({ token: 'abcdef', ascending: true, sequenceName: 'lower' })]);
+    expect(sequenceMatch('97531')).toEqual([expect.objectContaining({ token: '97531', ascending: false, sequenceName: 'digits' })]);
+  });
+
+  test('allows any constant step', () => {
+    expect(sequenceMatch('2468')).toEqual([expect.objectContaining({ token: '2468', ascending: true })]);
+    expect(sequenceMatch('xy1adgj')).toContainEqual(expect.objectContaining({ token: 'adgj' }));
+  });
+
+  test('needs a constant step throughout', () => {
+    expect(sequenceMatch('1247')).toEqual([]);
+  });
+
+  test('needs four characters for steps above 2, so ordinary words are not sequences', () => {
+    expect(sequenceMatch('Schmetterling')).toEqual([]);
+    expect(sequenceMatch('xx741')).toEqual([]);
+    expect(sequenceMatch('9630')).toEqual([expect.objectContaining({ token: '9630', step: 3 })]);
+    expect(sequenceMatch('x135')).toEqual([expect.objectContaining({ token: '135', step: 2 })]);
+  });
+});
+
+describe('dateMatch', () => {
+  test('finds dates with separators anywhere in the password', () => {
+    expect(dateMatch('pass13/05/1997')).toContainEqual(expect.objectContaining({
+      token: '13/05/1997', year: 1997, month: 5, day: 13, separator: '/'
+    }));
+  });
+
+  test('finds dates without separators', () => {
+    expect(dateMatch('x19970513')).toContainEqual(expect.objectContaining({ token: '19970513', year: 1997, month: 5, day: 13 }));
+  });
+
+  test('skips impossible calendar dates', () => {
+    expect(dateMatch('31/02/1999')).not.toContainEqual(expect.objectContaining({ token: '31/02/1999' }));
+  });
+
+  test('reads four digits only as a year or a day and month', () => {
+    expect(dateMatch('1234')).toEqual([]);
+    expect(dateMatch('1987')).toEqual([expect.objectContaining({ token: '1987', year: 1987, hasDayMonth: false })]);
+    const [dayMonth] = dateMatch('Maria0612!');
+    expect(dayMonth).toMatchObject({ token: '0612', order: 'DM', day: 6, month: 12 });
+    expect(dayMonth.year).toBeUndefined();
+    expect(dateMatch('1225')).toEqual([expect.objectContaining({ order: 'MD', month: 12, day: 25 })]);
+  });
+
+  test('prefers a day or month first to a two-digit year first', () => {
+    expect(dateMatch('120685')).toContainEqual(expect.objectContaining({ token: '120685', order: 'DMY', year: 1985 }));
+    // 2020-11-10 would be closer to today
+    expect(dateMatch('201110')).toContainEqual(expect.objectContaining({ token: '201110', order: 'DMY', year: 2010 }));
+    // No day or month can come first here
+    expect(dateMatch('850612')).toContainEqual(expect.objectContaining({ token: '850612', order: 'YMD', year: 1985 }));
+  });
+});
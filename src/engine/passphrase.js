@@ -0,0 +1,153 @@
+/**
+ * @file passphrase.js
+ * @description Diceware-style passphrases from the EFF word lists or a language pack, with exact entropy
+ * @author Hardin Irfan <hardinmail05@gmail.com>
+ * @copyright Copyright (c) 2025 Hardin Irfan
+ * @license MIT
+ */
+
+import { LANGUAGE_PACKS } from './languagePacks.js';
+import { log2BigInt, randomChoice, randomInt } from './random.js';
+
+// Most frequent words taken from a language pack: 4,096 words give exactly 12 bits per word
+const LANGUAGE_LIST_SIZE = 4096;
+const LANGUAGE_WORD_PATTERN = /^\p{L}{4,9}$/u;
+
+// Longest word kept for the short-word subset of the EFF large list
+const SHORT_WORD_LENGTH = 5;
+
+const loadEffLarge = () => import('@zxcvbn-ts/language-common/dist/diceware.json.mjs').then(module => module.default);
+
+// Lowercased, de-duplicated words from a language pack's frequency list, most frequent first
+const loadLanguageWords = (id) => LANGUAGE_PACKS[id].load().then(pack => [
+  ...new Set(pack.commonWords.map(word => word.toLowerCase()).filter(word => LANGUAGE_WORD_PATTERN.test(word)))
+].slice(0, LANGUAGE_LIST_SIZE));
+
+// Built-in word lists; each loads as its own chunk the first time it is used
+export const PASSPHRASE_WORDLISTS = {
+  effLarge: {
+    name: 'EFF large list',
+    description: 'The EFF large Diceware list: 7,776 words, 12.9 bits each',
+    load: loadEffLarge
+  },
+  effShort: {
+    name: 'EFF short list',
+    description: 'The EFF short list for four dice: 1,296 words of 3 to 5 letters, 10.3 bits each, chosen to be easy to remember and type',
+    load: () => import('./wordlists/effShort.js').then(module => module.default)
+  },
+  // Not the EFF short list above, which has different words
+  effLargeShortWords: {
+    name: `EFF large list, up to ${SHORT_WORD_LENGTH} letters`,
+    description: `The 1,476 words of up to ${SHORT_WORD_LENGTH} letters in the EFF large list, 10.5 bits each: quicker to type, fewer bits per word`,
+    load: () => loadEffLarge().then(words => words.filter(word => word.length <= SHORT_WORD_LENGTH))
+  },
+  ...Object.fromEntries(Object.entries(LANGUAGE_PACKS).map(([id, pack]) => [id, {
+    name: `${pack.name} words`,
+    description: `The ${LANGUAGE_LIST_SIZE.toLocaleString('en-US')} most common ${pack.name} words of 4 to 9 letters, 12 bits each`,
+    load: () => loadLanguageWords(id)
+  }]))
+};
+
+// Symbols that can be added to a passphrase; kept to ones every site and keyboard accepts
+export const PASSPHRASE_SYMBOLS = '!#$%&*+-=?@^_';
+
+export const PASSPHRASE_SEPARATORS = ['-', ' ', '.', '_', ''];
+
+export const CAPITALIZATION_MODES = {
+  none: 'lowercase',
+  first: 'Capitalize each word',
+  all: 'UPPERCASE',
+  random: 'Capitalize random words'
+};
+
+// Default passphrase settings, matching the Generator tab on first load
+export const DEFAULT_PASSPHRASE_SETTINGS = {
+  wordlist: 'effLarge',
+  wordCount: 6,
+  separator: '-',
+  capitalization: 'none',
+  addDigit: false,
+  addSymbol: false
+};
+
+const loadedWordlists = {};
+
+// Load a built-in word list (resolves immediately when already loaded)
+export const loadPassphraseWordlist = (id) => {
+  if (!PASSPHRASE_WORDLISTS[id]) return Promise.reject(new Error(`Unknown word list "${id}"`));
+  if (!loadedWordlists[id]) {
+    loadedWordlists[id] = PASSPHRASE_WORDLISTS[id].load().catch(error => {
+      // Allow a later retry
+      delete loadedWordlists[id];
+      throw error;
+    });
+  }
+  return loadedWordlists[id];
+};
+
+// Parse a custom word list: one word per line, Diceware-style dice numbers in front are ignored
+// ("11111 abacus"), words are lowercased and de-duplicated so each one counts once towards the entropy
+export const parseWordlist = (text) => [
+  ...new Set(text
+    .split(/\r?\n/)
+    .map(line => line.trim().replace(/^[1-6]{4,5}\s+/, '').toLowerCase())
+    .filter(Boolean))
+];
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+// Exact report on a passphrase from these settings and word list, in the shape of generationReport:
+// log2 of the list size per word, one bit per word when capitalization is random, and log2(choices × word count)
+// for a digit or symbol appended to a random word. With no separator and lowercase words, two word sequences
+// can spell the same string, so the figures are then an upper bound. Returns null without a word list.
+export const passphraseReport = (settings, words) => {
+  const { wordCount, capitalization, addDigit, addSymbol } = { ...DEFAULT_PASSPHRASE_SETTINGS, ...settings };
+  if (!words || words.length === 0) return null;
+
+  const count = BigInt(wordCount);
+  const factors = [
+    { label: `${wordCount} words from a list of ${words.length.toLocaleString('en-US')}`, choices: BigInt(words.length) ** count }
+  ];
+  if (capitalization === 'random') factors.push({ label: 'Random capitalization', choices: 2n ** count });
+  if (addDigit) factors.push({ label: 'Digit added to a random word', choices: 10n * count });
+  if (addSymbol) factors.push({ label: 'Symbol added to a random word', choices: BigInt(PASSPHRASE_SYMBOLS.length) * count });
+
+  const details = factors.map(factor => ({ label: factor.label, bits: log2BigInt(factor.choices) }));
+  const entropy = details.reduce((sum, detail) => sum + detail.bits, 0);
+  return {
+    mode: 'passphrase',
+    entropy,
+    combinations: factors.reduce((product, factor) => product * factor.choices, 1n),
+    averageGuesses: 2 ** (entropy - 1),
+    details
+  };
+};
+
+// Exact entropy in bits of a passphrase from these settings and word list (see passphraseReport)
+export const passphraseEntropy = (settings, words) => passphraseReport(settings, words)?.entropy ?? null;
+
+// Generate a passphrase from a loaded word list. Words, capitalization and the position and value of the
+// extra digit and symbol all come from the CSPRNG; words may repeat, as with real dice.
+export const generatePassphrase = (settings, words) => {
+  const { wordCount, separator, capitalization, addDigit, addSymbol } = { ...DEFAULT_PASSPHRASE_SETTINGS, ...settings };
+  if (!words || words.length === 0) throw new Error('The word list is empty');
+  if (!Number.isInteger(wordCount) || wordCount < 1) throw new Error('wordCount must be a whole number of at least 1');
+
+  const chosen = Array.from({ length: wordCount }, () => {
+    const word = randomChoice(words);
+    switch (capitalization) {
+      case 'first':
+        return capitalize(word);
+      case 'all':
+        return word.toUpperCase();
+      case 'random':
+        return randomInt(2) ? capitalize(word) : word;
+      default:
+        return word;
+    }
+  });
+
+  if (addDigit) chosen[randomInt(wordCount)] += randomInt(10);
+  if (addSymbol) chosen[randomInt(wordCount)] += randomChoice(PASSPHRASE_SYMBOLS);
+  return chosen.join(separator);
+};
@@ -0,0 +1,98 @@
+import {
+  generatePassphrase, loadPassphraseWordlist, parseWordlist, passphraseReport, PASSPHRASE_SYMBOLS
+} from './passphrase.js';
+
+// One passphrase symbol, as a regular expression character class
+const SYMBOL = `[${PASSPHRASE_SYMBOLS.replace(/[-^]/g, '\\$&')}]`;
+
+describe('EFF large list', () => {
+  test('has 7,776 distinct lowercase words', async () => {
+    const words = await loadPassphraseWordlist('effLarge');
+    expect(words).toHaveLength(7776);
+    expect(new Set(words).size).toBe(7776);
+    expect(words.every(word => /^[a-z-]+$/.test(word))).toBe(true);
+  });
+
+  test('gives log2(7776) bits per word, and its short words 1,476', async () => {
+    expect(passphraseReport({ wordCount: 1 }, await loadPassphraseWordlist('effLarge')).entropy).toBeCloseTo(Math.log2(7776), 9);
+    const shortWords = await loadPassphraseWordlist('effLargeShortWords');
+    expect(shortWords).toHaveLength(1476);
+    expect(shortWords.every(word => word.length <= 5)).toBe(true);
+  });
+});
+
+describe('EFF short list', () => {
+  test('has 1,296 distinct words of 3 to 5 letters', async () => {
+    const words = await loadPassphraseWordlist('effShort');
+    expect(words).toHaveLength(1296);
+    expect(new Set(words).size).toBe(1296);
+    expect(words.every(word => /^[a-z-]{3,5}$/.test(word))).toBe(true);
+    expect(words.slice(0, 3)).toEqual(['acid', 'acorn', 'acre']);
+    expect(words[words.length - 1]).toBe('zoom');
+  });
+
+  test('gives log2(1296) bits per word', async () => {
+    const words = await loadPassphraseWordlist('effShort');
+    expect(passphraseReport({ wordCount: 1 }, words).entropy).toBeCloseTo(Math.log2(1296), 9);
+    const report = passphraseReport({ wordCount: 6 }, words);
+    expect(report.entropy).toBeCloseTo(6 * Math.log2(1296), 9);
+    expect(report.combinations).toBe(1296n ** 6n);
+  });
+});
+
+describe('generatePassphrase', () => {
+  test('joins words of the list with the separator', async () => {
+    const words = await loadPassphraseWordlist('effShort');
+    const passphrase = generatePassphrase({ wordCount: 5, separator: '.' }, words);
+    const parts = passphrase.split('.');
+    expect(parts).toHaveLength(5);
+    expect(parts.every(part => words.includes(part))).toBe(true);
+  });
+
+  test('capitalizes each word, every letter or random words', () => {
+    const words = ['alpha', 'bravo'];
+    expect(generatePassphrase({ wordCount: 8, capitalization: 'first' }, words)).toMatch(/^(Alpha|Bravo)(-(Alpha|Bravo)){7}$/);
+    expect(generatePassphrase({ wordCount: 8, capitalization: 'all' }, words)).toMatch(/^(ALPHA|BRAVO)(-(ALPHA|BRAVO)){7}$/);
+    // 64 words leave a chance of 2^-63 that all come out the same case
+    const parts = generatePassphrase({ wordCount: 64, capitalization: 'random' }, ['alpha']).split('-');
+    expect(new Set(parts)).toEqual(new Set(['alpha', 'Alpha']));
+  });
+
+  test('adds one digit and one symbol to the end of words', () => {
+    const passphrase = generatePassphrase({ wordCount: 4, addDigit: true, addSymbol: true }, ['alpha']);
+    expect(passphrase).toHaveLength(4 * 5 + 3 + 2);
+    const parts = passphrase.split(/-(?=alpha)/);
+    expect(parts).toHaveLength(4);
+    parts.forEach(part => expect(part).toMatch(new RegExp(`^alpha\\d?${SYMBOL}?$`)));
+    expect(parts.filter(part => /\d/.test(part))).toHaveLength(1);
+    expect(parts.filter(part => new RegExp(`${SYMBOL}$`).test(part))).toHaveLength(1);
+  });
+});
+
+describe('passphraseReport', () => {
+  test('lists the bits of the words and of each extra', () => {
+    const words = Array.from({ length: 7776 }, (_, index) => `word${index}`);
+    const report = passphraseReport({ wordCount: 4, capitalization: 'random', addDigit: true, addSymbol: true }, words);
+    expect(report.details.map(detail => detail.label)).toEqual([
+      '4 words from a list of 7,776', 'Random capitalization', 'Digit added to a random word', 'Symbol added to a random word'
+    ]);
+    const bits = [4 * Math.log2(7776), 4, Math.log2(10 * 4), Math.log2(PASSPHRASE_SYMBOLS.length * 4)];
+    report.details.forEach((detail, index) => expect(detail.bits).toBeCloseTo(bits[index], 9));
+    expect(report).toMatchObject({ mode: 'passphrase', combinations: 7776n ** 4n * 16n * 40n * BigInt(PASSPHRASE_SYMBOLS.length * 4) });
+    expect(report.entropy).toBeCloseTo(bits.reduce((sum, value) => sum + value, 0), 9);
+    expect(report.averageGuesses).toBe(2 ** (report.entropy - 1));
+  });
+
+  test('leaves out extras that are off and returns null without a word list', () => {
+    expect(passphraseReport({ wordCount: 3, capitalization: 'first' }, ['a', 'b']).details).toEqual([
+      { label: '3 words from a list of 2', bits: 3 }
+    ]);
+    expect(passphraseReport({}, [])).toBeNull();
+  });
+});
+
+describe('parseWordlist', () => {
+  test('drops dice numbers, case and duplicates', () => {
+    expect(parseWordlist('1111 Acid\r\n1112 acorn\n\n1113 ACID\n')).toEqual(['acid', 'acorn']);
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * @file passwordRules.js
+ * @description Site password rules in the passwordrules attribute syntax, and a local database of rules per site
+ * @author Hardin Irfan <hardinmail05@gmail.com>
+ * @copyright Copyright (c) 2025 Hardin Irfan
+ * @license MIT
+ */
+
+const ASCII_PRINTABLE = Array.from({ length: 95 }, (_, i) => String.fromCharCode(32 + i)).join('');
+
+// Named character classes of the syntax. Space belongs to special and ascii-printable, but is left out here
+// because many sign-up forms trim or reject it; a custom class such as [ ] still allows it. unicode is
+// generated as ascii-printable.
+export const PASSWORD_RULE_CLASSES = {
+  upper: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+  lower: 'abcdefghijklmnopqrstuvwxyz',
+  digit: '0123456789',
+  special: '-~!@#$%^&*_+=`|(){}[:;"\'<>,.?]',
+  'ascii-printable': ASCII_PRINTABLE.slice(1),
+  unicode: ASCII_PRINTABLE.slice(1)
+};
+
+const unique = (chars) => [...new Set(chars)].join('');
+
+// Character classes of a required or allowed value: named classes and [custom] classes, separated by commas.
+// In a custom class a - stands for itself and ]] is a literal ] followed by the closing bracket.
+const parseClasses = (value, name, problems) => {
+  let chars = '';
+  let i = 0;
+  while (i < value.length) {
+    if (/[\s,]/.test(value[i])) {
+      i++;
+      continue;
+    }
+    if (value[i] === '[') {
+      let end = value.indexOf(']', i + 1);
+      while (end >= 0 && value[end + 1] === ']') end++;
+      if (end < 0) {
+        problems.push(`${name}: a custom class is missing its closing ]`);
+        return chars;
+      }
+      const custom = [...value.slice(i + 1, end)].filter(char => ASCII_PRINTABLE.includes(char)).join('');
+      if (!custom) problems.push(`${name}: a custom class has no ASCII characters`);
+      chars += custom;
+      i = end + 1;
+      continue;
+    }
+    const match = value.slice(i).match(/^[a-z-]+/i);
+    const className = match ? match[0].toLowerCase() : value[i];
+    if (!PASSWORD_RULE_CLASSES[className]) {
+      problems.push(`${name}: unknown class "${className}"`);
+    } else {
+      chars += PASSWORD_RULE_CLASSES[className];
+    }
+    i += match ? match[0].length : 1;
+  }
+  return unique(chars);
+};
+
+// Parse a rule string such as "minlength: 8; maxlength: 20; required: lower, upper; required: digit;
+// allowed: [!@#]". Each required property needs at least one character from its classes; the allowed
+// characters are every required and allowed class, or ascii-printable when there are neither. Repeated
+// length and max-consecutive properties keep the strictest value, and unknown properties are ignored as the
+// syntax specifies. Returns { rules: { required, allowed, minLength, maxLength, maxConsecutive }, problems }.
+export const parsePasswordRules = (text) => {
+  const problems = [];
+  const required = [];
+  let allowed = '';
+  let minLength = null;
+  let maxLength = null;
+  let maxConsecutive = null;
+
+  const number = (value, name) => {
+    if (!/^\d+$/.test(value)) {
+      problems.push(`${name} must be a whole number`);
+      return null;
+    }
+    return Number(value);
+  };
+
+  // A ; inside a custom class does not end the property
+  const properties = (text || '').match(/(?:\[[^\]]*\]+|[^;])+/g) || [];
+  properties.map(property => property.trim()).filter(Boolean).forEach(property => {
+    const colon = property.indexOf(':');
+    if (colon < 0) {
+      problems.push(`"${property}" is missing a ":"`);
+      return;
+    }
+    const name = property.slice(0, colon).trim().toLowerCase();
+    const value = property.slice(colon + 1).trim();
+    switch (name) {
+      case 'required': {
+        const chars = parseClasses(value, name, problems);
+        if (chars) required.push(chars);
+        allowed += chars;
+        break;
+      }
+      case 'allowed':
+        allowed += parseClasses(value, name, problems);
+        break;
+      case 'minlength': {
+        const length = number(value, name);
+        if (length !== null) minLength = Math.max(minLength ?? 0, length);
+        break;
+      }
+      case 'maxlength': {
+        const length = number(value, name);
+        if (length !== null) maxLength = Math.min(maxLength ?? Infinity, length);
+        break;
+      }
+      case 'max-consecutive': {
+        const count = number(value, name);
+        if (count !== null) maxConsecutive = Math.min(maxConsecutive ?? Infinity, count);
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  if (!allowed) allowed = PASSWORD_RULE_CLASSES['ascii-printable'];
+  if (minLength !== null && maxLength !== null && minLength > maxLength) {
+    problems.push(`minlength ${minLength} is greater than maxlength ${maxLength}`);
+  }
+  if (maxLength === 0) problems.push('maxlength must be at least 1');
+  if (maxConsecutive === 0) problems.push('max-consecutive must be at least 1');
+
+  return {
+    rules: { required, allowed: unique(allowed), minLength, maxLength, maxConsecutive },
+    problems
+  };
+};
+
+// Problems with a rule string (empty when it is usable)
+export const passwordRulesProblems = (text) => parsePasswordRules(text).problems;
+
+// Check a password against a rule string; returns { passed, failures: [messages] }
+export const checkPasswordRules = (pwd, text) => {
+  const { rules } = parsePasswordRules(text);
+  const failures = [];
+  const chars = [...pwd];
+  if (rules.minLength !== null && chars.length < rules.minLength) failures.push(`Shorter than ${rules.minLength} characters`);
+  if (rules.maxLength !== null && chars.length > rules.maxLength) failures.push(`Longer than ${rules.maxLength} characters`);
+  rules.required.forEach(set => {
+    if (!chars.some(char => set.includes(char))) failures.push(`Needs one of ${set}`);
+  });
+  const disallowed = unique(chars.filter(char => !rules.allowed.includes(char)));
+  if (disallowed) failures.push(`Characters not allowed: ${disallowed}`);
+  if (rules.maxConsecutive !== null) {
+    let run = 0;
+    const tooLong = chars.some((char, i) => {
+      run = i > 0 && char === chars[i - 1] ? run + 1 : 1;
+      return run > rules.maxConsecutive;
+    });
+    if (tooLong) failures.push(`Same character more than ${rules.maxConsecutive} times in a row`);
+  }
+  return { passed: failures.length === 0, failures };
+};
+
+// Parse a site rules database: either { "example.com": "rules" } or the password-rules.json format of
+// Apple's password-manager-resources ({ "example.com": { "password-rules": "rules" } }).
+// Returns [{ domain, rules }] sorted by domain; entries without a rule string are skipped.
+export const parseSiteRules = (text) => {
+  const data = JSON.parse(text);
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('A site rules file must be a JSON object keyed by domain');
+  }
+  return Object.entries(data)
+    .map(([domain, entry]) => ({
+      domain: domain.trim().toLowerCase(),
+      rules: typeof entry === 'string' ? entry : entry?.['password-rules']
+    }))
+    .filter(entry => entry.domain && typeof entry.rules === 'string')
+    .sort((a, b) => a.domain.localeCompare(b.domain));
+};
+
+// Serialize site entries as { "example.com": { "password-rules": "rules" } }, which parseSiteRules reads back
+export const formatSiteRules = (entries) => JSON.stringify(
+  Object.fromEntries(entries.map(entry => [entry.domain, { 'password-rules': entry.rules }])), null, 2
+);
+
+// Lowercased host name of a site address (URL or host name) without a leading www., or '' when it is not one
+export const siteHost = (address) => {
+  let host = (address || '').trim().toLowerCase();
+  try {
+    if (/[/:]/.test(host)) host = new URL(host.includes('://') ? host : `https://${host}`).hostname;
+  } catch (error) {
+    return '';
+  }
+  return host.replace(/^www\./, '');
+};
+
+// Entry for a site address (URL or host name), also matching a parent domain: rules for example.com apply to
+// login.example.com. Returns null when there is none.
+export const findSiteRules = (entries, address) => {
+  // The host and each parent domain, most specific first
+  const labels = siteHost(address).split('.');
+  const candidates = labels.map((label, i) => labels.slice(i).join('.')).filter(Boolean);
+  const byDomain = new Map(entries.map(entry => [entry.domain, entry]));
+  return candidates.map(candidate => byDomain.get(candidate)).find(Boolean) || null;
+};
@@ -0,0 +1,89 @@
+import {
+  checkPasswordRules, findSiteRules, formatSiteRules, parsePasswordRules, parseSiteRules, passwordRulesProblems, siteHost,
+  PASSWORD_RULE_CLASSES
+} from './passwordRules.js';
+import { generate } from './generator.js';
+
+const RULES = 'minlength: 8; maxlength: 12; required: lower, upper; required: digit; allowed: [-_]; max-consecutive: 2';
+
+describe('parsePasswordRules', () => {
+  test('parses every property', () => {
+    const { rules, problems } = parsePasswordRules(RULES);
+    expect(problems).toEqual([]);
+    expect(rules).toEqual({
+      required: [PASSWORD_RULE_CLASSES.lower + PASSWORD_RULE_CLASSES.upper, PASSWORD_RULE_CLASSES.digit],
+      allowed: PASSWORD_RULE_CLASSES.lower + PASSWORD_RULE_CLASSES.upper + PASSWORD_RULE_CLASSES.digit + '-_',
+      minLength: 8,
+      maxLength: 12,
+      maxConsecutive: 2
+    });
+  });
+
+  test('reads custom classes with ; and ] inside them', () => {
+    expect(parsePasswordRules('required: [;]]]').rules.required).toEqual([';]']);
+  });
+
+  test('keeps the strictest of repeated limits and ignores unknown properties', () => {
+    const { rules, problems } = parsePasswordRules('minlength: 6; minlength: 10; maxlength: 30; maxlength: 20; colour: blue');
+    expect(problems).toEqual([]);
+    expect(rules).toMatchObject({ minLength: 10, maxLength: 20, allowed: PASSWORD_RULE_CLASSES['ascii-printable'] });
+  });
+});
+
+describe('passwordRulesProblems', () => {
+  test('reports unusable rules', () => {
+    expect(passwordRulesProblems('allowed: emoji')).toEqual(['allowed: unknown class "emoji"']);
+    expect(passwordRulesProblems('minlength: 10; maxlength: 8')).toEqual(['minlength 10 is greater than maxlength 8']);
+    expect(passwordRulesProblems('required: [abc')).toEqual(['required: a custom class is missing its closing ]']);
+    expect(passwordRulesProblems('minlength eight')).toEqual(['"minlength eight" is missing a ":"']);
+  });
+});
+
+describe('checkPasswordRules', () => {
+  test('passes a password that meets the rules and lists every failure otherwise', () => {
+    expect(checkPasswordRules('Abc-def_12', RULES)).toEqual({ passed: true, failures: [] });
+    expect(checkPasswordRules('aaab!', RULES).failures).toEqual([
+      'Shorter than 8 characters',
+      `Needs one of ${PASSWORD_RULE_CLASSES.digit}`,
+      'Characters not allowed: !',
+      'Same character more than 2 times in a row'
+    ]);
+  });
+});
+
+describe('generate with site rules', () => {
+  test('every password satisfies the rules', () => {
+    for (let i = 0; i < 100; i++) {
+      expect(checkPasswordRules(generate({ passwordRules: RULES }), RULES).passed).toBe(true);
+    }
+  });
+});
+
+describe('site rules database', () => {
+  test('reads plain and password-rules.json entries', () => {
+    const entries = parseSiteRules(JSON.stringify({
+      'Example.com': 'minlength: 8',
+      'bank.example': { 'password-rules': 'required: digit' },
+      'notes.example': { other: true }
+    }));
+    expect(entries).toEqual([
+      { domain: 'bank.example', rules: 'required: digit' },
+      { domain: 'example.com', rules: 'minlength: 8' }
+    ]);
+    expect(parseSiteRules(formatSiteRules(entries))).toEqual(entries);
+    expect(() => parseSiteRules('[]')).toThrow('A site rules file must be a JSON object keyed by domain');
+  });
+
+  test('finds the rules of a site or its parent domain', () => {
+    const entries = [{ domain: 'example.com', rules: 'minlength: 8' }, { domain: 'login.example.com', rules: 'minlength: 12' }];
+    expect(findSiteRules(entries, 'https://www.login.example.com/signin').rules).toBe('minlength: 12');
+    expect(findSiteRules(entries, 'shop.example.com').rules).toBe('minlength: 8');
+    expect(findSiteRules(entries, 'example.org')).toBeNull();
+  });
+
+  test('reduces addresses to their host name', () => {
+    expect(siteHost('https://WWW.Example.com:8443/login?x=1')).toBe('example.com');
+    expect(siteHost('mail.example.org')).toBe('mail.example.org');
+    expect(siteHost('')).toBe('');
+  });
+});
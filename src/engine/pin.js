@@ -0,0 +1,248 @@
+/**
+ * @file pin.js
+ * @description PIN analysis (common PINs, dates, repeats, mirrors, keypad shapes, sequences) and a generator that avoids them
+ * @author Hardin Irfan <hardinmail05@gmail.com>
+ * @copyright Copyright (c) 2025 Hardin Irfan
+ * @license MIT
+ */
+
+import { randomInt } from './random.js';
+
+export const MIN_PIN_LENGTH = 4;
+export const MAX_PIN_LENGTH = 8;
+
+// Most common PINs, most common first. The 4-digit list is the top 20 of the DataGenetics analysis of 3.4 million
+// leaked four-digit PINs (2012), with the share of people who chose each; the others follow the digit-only
+// passwords that top leaked-password rankings.
+const COMMON_PINS = {
+  4: ['1234', '1111', '0000', '1212', '7777', '1004', '2000', '4444', '2222', '6969',
+    '9999', '3333', '5555', '6666', '1122', '1313', '8888', '4321', '2001', '1010'],
+  5: ['12345', '11111', '00000', '54321', '55555', '12321', '99999', '22222', '13579', '77777'],
+  6: ['123456', '111111', '000000', '654321', '123123', '121212', '666666', '112233', '123321', '696969',
+    '222222', '555555', '777777', '999999', '888888', '333333', '444444', '159753', '147258', '789456',
+    '131313', '101010', '987654', '100200', '007007'],
+  7: ['1234567', '7654321', '1111111', '0000000', '8675309', '1234321', '7777777', '5555555'],
+  8: ['12345678', '87654321', '11111111', '00000000', '12341234', '11223344', '12121212', '88888888',
+    '69696969', '22222222', '99999999']
+};
+
+// Percentage of people choosing each of the top 4-digit PINs (DataGenetics)
+const FOUR_DIGIT_SHARES = {
+  '1234': 10.713, '1111': 6.016, '0000': 1.881, '1212': 1.197, '7777': 0.745, '1004': 0.616, '2000': 0.613,
+  '4444': 0.526, '2222': 0.516, '6969': 0.512, '9999': 0.451, '3333': 0.419, '5555': 0.395, '6666': 0.391,
+  '1122': 0.366, '1313': 0.304, '8888': 0.303, '4321': 0.293, '2001': 0.290, '1010': 0.285
+};
+
+// Phone keypad layout, as [row, column]
+const KEYPAD = {
+  1: [0, 0], 2: [0, 1], 3: [0, 2],
+  4: [1, 0], 5: [1, 1], 6: [1, 2],
+  7: [2, 0], 8: [2, 1], 9: [2, 2],
+  0: [3, 1]
+};
+const DIGITS = '0123456789';
+
+const pad = (value, width) => String(value).padStart(width, '0');
+const daysInMonth = (month, year) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+// Each class lists every PIN of a length in it; the analysis order below is also the order an attacker
+// trying the most likely PINs first would use
+
+// The same digit throughout (1111)
+const repeatedDigits = (length) => [...DIGITS].map(digit => digit.repeat(length));
+
+// Steps of 1 or 2 up or down, wrapping from 9 to 0 as on a keyboard row (1234, 7890, 2468, 9753)
+const sequences = (length) => [1, -1, 2, -2].flatMap(step => [...DIGITS].map(start =>
+  Array.from({ length }, (_, i) => (Number(start) + step * i + 10 * length) % 10).join('')));
+
+// A shorter block repeated (1212, 123123) or every digit doubled (112233)
+const repeatedBlocks = (length) => {
+  const pins = [];
+  for (let size = 1; size < length; size++) {
+    if (length % size !== 0) continue;
+    for (let block = 0; block < 10 ** size; block++) pins.push(pad(block, size).repeat(length / size));
+  }
+  if (length % 2 === 0) {
+    for (let half = 0; half < 10 ** (length / 2); half++) {
+      pins.push([...pad(half, length / 2)].map(digit => digit + digit).join(''));
+    }
+  }
+  return pins;
+};
+
+// Walks between neighbouring keys (diagonals included) that turn at most once: lines such as 2580 or 147,
+// and L shapes such as 1478 or 3698. For four digits, the four corners in any order (1397) too.
+const keypadShapes = (length) => {
+  const pins = [];
+  const walk = (path, direction, turns) => {
+    if (path.length === length) {
+      pins.push(path.join(''));
+      return;
+    }
+    const [row, col] = KEYPAD[path[path.length - 1]];
+    for (const digit of DIGITS) {
+      if (path.includes(digit)) continue;
+      const step = [KEYPAD[digit][0] - row, KEYPAD[digit][1] - col];
+      if (Math.max(Math.abs(step[0]), Math.abs(step[1])) !== 1) continue;
+      const turned = direction !== null && (step[0] !== direction[0] || step[1] !== direction[1]);
+      if (turned && turns === 1) continue;
+      walk([...path, digit], step, turns + (turned ? 1 : 0));
+    }
+  };
+  [...DIGITS].forEach(digit => walk([digit], null, 0));
+
+  if (length === 4) {
+    const corners = ['1', '3', '7', '9'];
+    const permute = (rest, prefix) => (rest.length === 0 ? [prefix] : rest.flatMap((digit, i) =>
+      permute([...rest.slice(0, i), ...rest.slice(i + 1)], prefix + digit)));
+    pins.push(...permute(corners, ''));
+  }
+  return pins;
+};
+
+// Reads the same both ways (1221, 123321)
+const mirrored = (length) => {
+  const pins = [];
+  const half = Math.ceil(length / 2);
+  for (let value = 0; value < 10 ** half; value++) {
+    const start = pad(value, half);
+    pins.push(start + [...start.slice(0, length - half)].reverse().join(''));
+  }
+  return pins;
+};
+
+// Years 1900-2099 and dates in the common orders: DDMM, MMDD, MMYY and YYYY for four digits, DDMMYY, MMDDYY,
+// YYMMDD and MMYYYY for six, DDMMYYYY, MMDDYYYY and YYYYMMDD for eight
+const dates = (length) => {
+  const pins = [];
+  const years = Array.from({ length: 200 }, (_, i) => 1900 + i);
+  const eachDay = (year, visit) => {
+    for (let month = 1; month <= 12; month++) {
+      for (let day = 1; day <= daysInMonth(month, year); day++) visit(pad(day, 2), pad(month, 2));
+    }
+  };
+
+  if (length === 4) {
+    years.forEach(year => pins.push(String(year)));
+    eachDay(2000, (dd, mm) => pins.push(dd + mm, mm + dd));
+    for (let month = 1; month <= 12; month++) {
+      for (let year = 0; year < 100; year++) pins.push(pad(month, 2) + pad(year, 2));
+    }
+  } else if (length === 6) {
+    years.slice(0, 100).forEach(year => eachDay(year, (dd, mm) => {
+      const yy = pad(year % 100, 2);
+      pins.push(dd + mm + yy, mm + dd + yy, yy + mm + dd);
+    }));
+    years.forEach(year => {
+      for (let month = 1; month <= 12; month++) pins.push(pad(month, 2) + year);
+    });
+  } else if (length === 8) {
+    years.forEach(year => eachDay(year, (dd, mm) => pins.push(dd + mm + year, mm + dd + year, year + mm + dd)));
+  }
+  return pins;
+};
+
+// Pattern classes in the order an attacker tries them, after the common PINs
+export const PIN_PATTERNS = {
+  repeated: { label: 'Same digit repeated', members: repeatedDigits },
+  sequence: { label: 'Sequence', members: sequences },
+  blocks: { label: 'Repeated block or doubled digits', members: repeatedBlocks },
+  keypad: { label: 'Keypad shape', members: keypadShapes },
+  mirrored: { label: 'Mirrored (reads the same backwards)', members: mirrored },
+  date: { label: 'Year or date', members: dates }
+};
+
+// Per length: the set of PINs in each class and the rank of every predictable PIN in guessing order
+const dictionaries = {};
+const dictionaryFor = (length) => {
+  if (!dictionaries[length]) {
+    const classes = Object.fromEntries(Object.entries(PIN_PATTERNS).map(([id, pattern]) => [id, new Set(pattern.members(length))]));
+    const ranks = new Map();
+    [COMMON_PINS[length] || [], ...Object.values(classes)].forEach(pins => {
+      pins.forEach(pin => {
+        if (!ranks.has(pin)) ranks.set(pin, ranks.size + 1);
+      });
+    });
+    dictionaries[length] = { classes, ranks };
+  }
+  return dictionaries[length];
+};
+
+// Problem with a PIN, or null when it can be analyzed
+export const pinProblem = (pin) => {
+  if (!/^\d*$/.test(pin)) return 'A PIN can only contain digits';
+  if (pin.length < MIN_PIN_LENGTH || pin.length > MAX_PIN_LENGTH) {
+    return `A PIN must have ${MIN_PIN_LENGTH} to ${MAX_PIN_LENGTH} digits`;
+  }
+  return null;
+};
+
+// Analyze a PIN: where it ranks among the most common PINs, which pattern classes it falls in, and how far into
+// the guessing order it sits. guessRank is its exact position when it is predictable, and the average position
+// among the remaining PINs otherwise; percentile is the share of all PINs of this length guessed before it.
+// Returns null for input that is not a PIN (see pinProblem).
+export const analyzePin = (pin) => {
+  if (pinProblem(pin)) return null;
+
+  const { classes, ranks } = dictionaryFor(pin.length);
+  const total = 10 ** pin.length;
+  const commonIndex = (COMMON_PINS[pin.length] || []).indexOf(pin);
+  const patterns = Object.entries(PIN_PATTERNS)
+    .filter(([id]) => classes[id].has(pin))
+    .map(([id, pattern]) => ({ id, label: pattern.label }));
+  const guessRank = ranks.get(pin) ?? ranks.size + (total - ranks.size + 1) / 2;
+  const percentile = Math.round(guessRank / total * 1000) / 10;
+
+  const feedback = [];
+  if (commonIndex >= 0) {
+    const share = pin.length === 4 ? FOUR_DIGIT_SHARES[pin] : undefined;
+    feedback.push(`Number ${commonIndex + 1} on the list of most common ${pin.length}-digit PINs` +
+      (share ? `, chosen by ${share}% of people` : ''));
+  }
+  patterns.forEach(pattern => feedback.push(pattern.label));
+  if (feedback.length === 0) {
+    feedback.push(`Not in any common class; ${(total - ranks.size).toLocaleString('en-US')} of the ${total.toLocaleString('en-US')} ${pin.length}-digit PINs are like this`);
+  }
+
+  return {
+    pin,
+    length: pin.length,
+    commonRank: commonIndex >= 0 ? commonIndex + 1 : null,
+    patterns,
+    predictable: ranks.has(pin),
+    guessRank,
+    percentile,
+    total,
+    feedback
+  };
+};
+
+// Exact report on generated PINs of a length, in the shape of generationReport: every PIN outside the common
+// list and pattern classes is equally likely
+export const pinReport = (length) => {
+  if (!Number.isInteger(length) || length < MIN_PIN_LENGTH || length > MAX_PIN_LENGTH) return null;
+  const { ranks } = dictionaryFor(length);
+  const total = 10 ** length;
+  const combinations = total - ranks.size;
+  const entropy = Math.log2(combinations);
+  return {
+    mode: 'pin',
+    entropy,
+    combinations: BigInt(combinations),
+    averageGuesses: 2 ** (entropy - 1),
+    details: [
+      { label: `${length} digits`, bits: Math.log2(total) },
+      { label: `Excluding ${ranks.size.toLocaleString('en-US')} common and patterned PINs`, bits: entropy - Math.log2(total) }
+    ]
+  };
+};
+
+// Generate a PIN of the given length that is in none of the common or pattern classes
+export const generatePin = (length) => {
+  if (!pinReport(length)) throw new Error(`A PIN must have ${MIN_PIN_LENGTH} to ${MAX_PIN_LENGTH} digits`);
+  const { ranks } = dictionaryFor(length);
+  for (;;) {
+    const pin = Array.from({ length }, () => DIGITS[randomInt(10)]).join('');
+    if (!ranks.has(pin)) return pin;
+  }
+};
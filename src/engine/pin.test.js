@@ -0,0 +1,68 @@
+import { analyzePin, generatePin, pinProblem, pinReport } from './pin.js';
+
+const patternIds = (pin) => analyzePin(pin).patterns.map(pattern => pattern.id);
+
+describe('analyzePin', () => {
+  test('ranks the most common PINs first', () => {
+    expect(analyzePin('1234')).toMatchObject({ commonRank: 1, guessRank: 1, percentile: 0, predictable: true });
+    expect(analyzePin('1111').commonRank).toBe(2);
+    expect(analyzePin('12345678').commonRank).toBe(1);
+    expect(analyzePin('1234').feedback[0]).toBe('Number 1 on the list of most common 4-digit PINs, chosen by 10.713% of people');
+  });
+
+  test.each([
+    ['5555', 'repeated'],
+    ['2468', 'sequence'],
+    ['7890', 'sequence'],
+    ['9753', 'sequence'],
+    ['123123', 'blocks'],
+    ['112233', 'blocks'],
+    ['2580', 'keypad'],
+    ['1478', 'keypad'],
+    ['1397', 'keypad'],
+    ['1221', 'mirrored'],
+    ['1987', 'date'],
+    ['2512', 'date'],
+    ['311299', 'date'],
+    ['19991231', 'date']
+  ])('puts %s in the %s class', (pin, id) => {
+    expect(patternIds(pin)).toContain(id);
+    expect(analyzePin(pin).predictable).toBe(true);
+  });
+
+  test('places patterned PINs before the rest and gives the rest the average remaining rank', () => {
+    const patterned = analyzePin('2580');
+    const random = analyzePin('5831');
+    expect(random).toMatchObject({ commonRank: null, patterns: [], predictable: false });
+    expect(analyzePin('4093').guessRank).toBe(random.guessRank);
+    expect(random.guessRank).toBeGreaterThan(patterned.guessRank);
+    expect(patterned.percentile).toBe(Math.round(patterned.guessRank / 10000 * 1000) / 10);
+    expect(random.percentile).toBe(Math.round(random.guessRank / 10000 * 1000) / 10);
+    expect(random.percentile).toBeGreaterThan(50);
+  });
+
+  test('rejects input that is not a PIN', () => {
+    expect(pinProblem('12a4')).toBe('A PIN can only contain digits');
+    expect(pinProblem('123')).toBe('A PIN must have 4 to 8 digits');
+    expect(analyzePin('123456789')).toBeNull();
+  });
+});
+
+describe('generatePin', () => {
+  test.each([4, 6, 8])('never returns a common or patterned %i-digit PIN', (length) => {
+    for (let i = 0; i < 200; i++) {
+      const pin = generatePin(length);
+      expect(pin).toMatch(new RegExp(`^\\d{${length}}$`));
+      expect(analyzePin(pin)).toMatchObject({ commonRank: null, patterns: [], predictable: false });
+    }
+  });
+
+  test('reports the entropy of the PINs left over', () => {
+    const report = pinReport(4);
+    const predictable = 10000 - Number(report.combinations);
+    expect(predictable).toBe(Math.round(2 * analyzePin('5831').guessRank - 10001));
+    expect(report.entropy).toBeCloseTo(Math.log2(Number(report.combinations)), 9);
+    expect(report.details.reduce((sum, detail) => sum + detail.bits, 0)).toBeCloseTo(report.entropy, 9);
+    expect(() => generatePin(3)).toThrow('4 to 8 digits');
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * @file policy.js
+ * @description Password policies: built-in presets, custom rule sets and per-rule compliance checks
+ * @author Hardin Irfan <hardinmail05@gmail.com>
+ * @copyright Copyright (c) 2025 Hardin Irfan
+ * @license MIT
+ */
+
+// Character classes a policy can require, with the pattern each one needs
+export const CHARACTER_CLASSES = {
+  letters: { label: 'letters', pattern: /\p{L}/u },
+  uppercase: { label: 'uppercase', pattern: /[A-Z]/ },
+  lowercase: { label: 'lowercase', pattern: /[a-z]/ },
+  numbers: { label: 'numbers', pattern: /[0-9]/ },
+  symbols: { label: 'symbols', pattern: /[^a-zA-Z0-9]/ }
+};
+
+// Rules that are switched off; a policy only sets the rules it needs
+export const EMPTY_POLICY_RULES = {
+  minLength: null,
+  maxLength: null,
+  requiredClasses: [],
+  blocklist: false,
+  minScore: null,
+  maxRepeats: null
+};
+
+// Built-in presets
+export const POLICY_PRESETS = {
+  nist: {
+    id: 'nist',
+    name: 'NIST SP 800-63B',
+    description: 'At least 8 characters, no maximum length, no composition rules, screened against common, breached and context-specific passwords',
+    rules: { ...EMPTY_POLICY_RULES, minLength: 8, blocklist: true }
+  },
+  pci: {
+    id: 'pci',
+    name: 'PCI DSS v4',
+    description: 'Requirement 8.3.6: at least 12 characters containing both letters and numbers',
+    rules: { ...EMPTY_POLICY_RULES, minLength: 12, requiredClasses: ['letters', 'numbers'] }
+  },
+  cis: {
+    id: 'cis',
+    name: 'CIS',
+    description: 'CIS Password Policy Guide for accounts without MFA: at least 14 characters, screened against common and banned passwords',
+    rules: { ...EMPTY_POLICY_RULES, minLength: 14, blocklist: true }
+  },
+  legacy: {
+    id: 'legacy',
+    name: 'Legacy complexity',
+    description: 'Classic complexity rules: at least 8 characters with uppercase, lowercase, numbers and symbols, no long repeats',
+    rules: {
+      ...EMPTY_POLICY_RULES,
+      minLength: 8,
+      requiredClasses: ['uppercase', 'lowercase', 'numbers', 'symbols'],
+      maxRepeats: 2
+    }
+  }
+};
+
+// Longest run of one character repeated back to back
+const longestRepeat = (pwd) => {
+  let longest = 0;
+  let run = 0;
+  for (let i = 0; i < pwd.length; i++) {
+    run = i > 0 && pwd[i] === pwd[i - 1] ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  }
+  return longest;
+};
+
+const isSet = (value) => value !== null && value !== undefined && value !== '';
+
+// Problems that make a rule set unusable (empty when the rules are valid)
+export const validatePolicy = (rules) => {
+  const problems = [];
+  for (const name of ['minLength', 'maxLength', 'minScore', 'maxRepeats']) {
+    if (isSet(rules[name]) && (!Number.isInteger(Number(rules[name])) || Number(rules[name]) < 1)) {
+      problems.push(`${name} must be a whole number of at least 1`);
+    }
+  }
+  if (isSet(rules.minLength) && isSet(rules.maxLength) && Number(rules.minLength) > Number(rules.maxLength)) {
+    problems.push('minLength cannot be greater than maxLength');
+  }
+  if (isSet(rules.minScore) && Number(rules.minScore) > 100) {
+    problems.push('minScore cannot be greater than 100');
+  }
+  if (rules.requiredClasses !== undefined && !Array.isArray(rules.requiredClasses)) {
+    problems.push('requiredClasses must be a list of character classes');
+  } else {
+    const unknown = (rules.requiredClasses || []).filter(name => !CHARACTER_CLASSES[name]);
+    if (unknown.length > 0) {
+      problems.push(`Unknown character classes: ${unknown.join(', ')}`);
+    }
+  }
+  return problems;
+};
+
+// Check a password against a policy. The assessment comes from assessPasswordStrength (or analyze), so the
+// blocklist and score rules reuse its common-password, organization-term, personal-detail and breach findings.
+// Returns { passed, results: [{ rule, label, passed }] } with one result per rule the policy sets.
+export const evaluatePolicy = (pwd, policy, assessment) => {
+  const rules = { ...EMPTY_POLICY_RULES, ...policy.rules };
+  const results = [];
+  const check = (rule, label, passed) => results.push({ rule, label, passed });
+
+  if (isSet(rules.minLength)) {
+    check('minLength', `At least ${rules.minLength} characters`, pwd.length >= Number(rules.minLength));
+  }
+  if (isSet(rules.maxLength)) {
+    check('maxLength', `At most ${rules.maxLength} characters`, pwd.length <= Number(rules.maxLength));
+  }
+  // A rule set that was never validated may hold null here
+  (rules.requiredClasses || []).forEach(name => {
+    check(`requiredClasses.${name}`, `Contains ${CHARACTER_CLASSES[name].label}`, CHARACTER_CLASSES[name].pattern.test(pwd));
+  });
+  if (rules.blocklist) {
+    const blocked = assessment.isCommon || assessment.organizationTerms.length > 0 ||
+      assessment.personalDetails.length > 0 || assessment.breached === true;
+    check('blocklist', 'Not a common, breached, banned or personal password', !blocked);
+  }
+  if (isSet(rules.minScore)) {
+    check('minScore', `Score of at least ${rules.minScore}`, assessment.score >= Number(rules.minScore));
+  }
+  if (isSet(rules.maxRepeats)) {
+    check('maxRepeats', `No character repeated more than ${rules.maxRepeats} times in a row`,
+      longestRepeat(pwd) <= Number(rules.maxRepeats));
+  }
+
+  return {
+    id: policy.id,
+    name: policy.name,
+    passed: results.every(result => result.passed),
+    results
+  };
+};
@@ -0,0 +1,67 @@
+import { evaluatePolicy, validatePolicy, POLICY_PRESETS } from './policy.js';
+import { assessPasswordStrength } from './analyzer.js';
+
+const check = (pwd, policy) => evaluatePolicy(pwd, policy, assessPasswordStrength(pwd));
+const failedRules = (pwd, policy) => check(pwd, policy).results.filter(result => !result.passed).map(result => result.rule);
+
+describe('POLICY_PRESETS', () => {
+  test('NIST accepts long passphrases and refuses common passwords', () => {
+    const passphrase = 'correct horse battery staple '.repeat(3).trim();
+    expect(passphrase.length).toBeGreaterThan(64);
+    expect(check(passphrase, POLICY_PRESETS.nist).passed).toBe(true);
+    expect(failedRules('password123', POLICY_PRESETS.nist)).toEqual(['blocklist']);
+    expect(failedRules('Zq8#', POLICY_PRESETS.nist)).toContain('minLength');
+  });
+
+  test('PCI DSS needs 12 characters with letters and numbers', () => {
+    expect(check('vivid-otter-42', POLICY_PRESETS.pci).passed).toBe(true);
+    expect(failedRules('vivid-otter-pond', POLICY_PRESETS.pci)).toEqual(['requiredClasses.numbers']);
+  });
+
+  test('legacy complexity checks every class and repeats', () => {
+    expect(failedRules('Paaas5!word', POLICY_PRESETS.legacy)).toEqual(['maxRepeats']);
+    expect(failedRules('password', POLICY_PRESETS.legacy)).toEqual([
+      'requiredClasses.uppercase', 'requiredClasses.numbers', 'requiredClasses.symbols'
+    ]);
+  });
+});
+
+describe('evaluatePolicy', () => {
+  test('reports one result per rule the policy sets', () => {
+    const policy = { id: 'custom', name: 'Custom', rules: { minLength: 10, maxLength: 12, minScore: 90 } };
+    const result = check('Tr0ub4dor&3xyz', policy);
+    expect(result.results.map(rule => rule.rule)).toEqual(['minLength', 'maxLength', 'minScore']);
+    expect(result.passed).toBe(false);
+  });
+
+  test('treats requiredClasses of null as none', () => {
+    expect(check('abcdefgh', { rules: { minLength: 8, requiredClasses: null } }).results.map(result => result.rule)).toEqual(['minLength']);
+  });
+
+  test('uses the breach result of the assessment', () => {
+    const pwd = 'unusual-Walrus-81';
+    const assessment = { ...assessPasswordStrength(pwd), breached: true };
+    expect(evaluatePolicy(pwd, POLICY_PRESETS.nist, assessment).passed).toBe(false);
+  });
+});
+
+describe('validatePolicy', () => {
+  test('accepts a valid rule set', () => {
+    expect(validatePolicy({ minLength: 8, maxLength: 64, requiredClasses: ['letters'], minScore: 50 })).toEqual([]);
+  });
+
+  test('reports bad numbers and lengths', () => {
+    expect(validatePolicy({ minLength: 0, maxRepeats: 1.5 })).toEqual([
+      'minLength must be a whole number of at least 1',
+      'maxRepeats must be a whole number of at least 1'
+    ]);
+    expect(validatePolicy({ minLength: 20, maxLength: 10 })).toEqual(['minLength cannot be greater than maxLength']);
+    expect(validatePolicy({ minScore: 101 })).toEqual(['minScore cannot be greater than 100']);
+  });
+
+  test('reports unknown classes and a requiredClasses that is not a list', () => {
+    expect(validatePolicy({ requiredClasses: ['numbers', 'emoji'] })).toEqual(['Unknown character classes: emoji']);
+    expect(validatePolicy({ requiredClasses: 'numbers' })).toEqual(['requiredClasses must be a list of character classes']);
+    expect(validatePolicy({ requiredClasses: null })).toEqual(['requiredClasses must be a list of character classes']);
+  });
+});
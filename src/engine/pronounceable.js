@@ -0,0 +1,135 @@
+/**
+ * @file pronounceable.js
+ * @description Pronounceable passwords built from syllable templates, counted exactly so each one is equally likely
+ * @author Hardin Irfan <hardinmail05@gmail.com>
+ * @copyright Copyright (c) 2025 Hardin Irfan
+ * @license MIT
+ */
+
+// Letters syllables are built from: consonants without c, q, x and y, whose sound depends on context,
+// and vowel pairs that read as one sound
+export const SYLLABLE_LETTERS = {
+  consonants: 'bdfghjklmnprstvwz',
+  vowels: 'aeiou',
+  vowelPairs: ['ai', 'au', 'ea', 'ee', 'ei', 'ia', 'ie', 'io', 'oa', 'oi', 'oo', 'ou', 'ua', 'ue', 'ui']
+};
+
+// Syllable templates (C = consonant, V = vowel, VV = vowel pair). Every syllable starts with one consonant
+// followed by a vowel, so a password splits into syllables in exactly one way: a consonant followed by a
+// vowel always starts a new syllable. Distinct choices therefore always give distinct passwords.
+export const SYLLABLE_TEMPLATES = ['CV', 'CVC', 'CVV'];
+
+// Every password of the given length made of syllables, optionally with a capitalized first letter, and
+// single digits or symbols at syllable boundaries (after a syllable, never two in a row).
+// minimums.uppercase, .numbers and .symbols set how many capitalized syllables, digits and symbols are needed;
+// noTrailingSymbol keeps a symbol off the end (one can never come first).
+// Returns { count, passwordAt(index) } like the random-password space in generator.js.
+export const pronounceableSpace = ({
+  length,
+  consonants = SYLLABLE_LETTERS.consonants,
+  vowels = SYLLABLE_LETTERS.vowels,
+  vowelPairs = SYLLABLE_LETTERS.vowelPairs,
+  capitals = false,
+  digits = '',
+  symbols = '',
+  noTrailingSymbol = false,
+  minimums = {}
+}) => {
+  const slots = { C: [...consonants], V: [...vowels], VV: vowelPairs };
+  const needed = { uppercase: minimums.uppercase || 0, numbers: minimums.numbers || 0, symbols: minimums.symbols || 0 };
+
+  // Tokens in a fixed order: each syllable template in lower case and capitalized, then the boundary characters
+  const tokens = [];
+  SYLLABLE_TEMPLATES.forEach(template => {
+    const parts = template.match(/C|VV|V/g).map(part => slots[part]);
+    if (parts.some(part => part.length === 0)) return;
+    const tokenLength = parts.reduce((sum, part) => sum + part[0].length, 0);
+    tokens.push({ parts, length: tokenLength, syllable: true, counts: 'none' });
+    if (capitals) tokens.push({ parts, length: tokenLength, syllable: true, capitalized: true, counts: 'uppercase' });
+  });
+  if (digits) tokens.push({ parts: [[...digits]], length: 1, syllable: false, counts: 'numbers' });
+  if (symbols) tokens.push({ parts: [[...symbols]], length: 1, syllable: false, counts: 'symbols' });
+  tokens.forEach(token => {
+    token.ways = token.parts.reduce((product, part) => product * BigInt(part.length), 1n);
+  });
+
+  // Counters for capitalized syllables, digits and symbols are capped at their minimums
+  const advance = (counters, token) => {
+    const next = { ...counters };
+    if (token.counts !== 'none') next[token.counts] = Math.min(next[token.counts] + 1, needed[token.counts]);
+    return next;
+  };
+  const allowed = (token, pos, afterSyllable) => (token.syllable || afterSyllable) &&
+    !(noTrailingSymbol && token.counts === 'symbols' && pos + token.length === length);
+  const missing = (counters) => Object.keys(needed).reduce((sum, name) => sum + needed[name] - counters[name], 0);
+
+  // Ways to fill positions pos..length-1, tabulated from the last position back so that long passwords need
+  // no deep recursion; afterSyllable says whether a boundary character may come next
+  const range = (max) => Array.from({ length: max + 1 }, (_, i) => i);
+  const states = range(needed.uppercase).flatMap(uppercase => range(needed.numbers).flatMap(numbers =>
+    range(needed.symbols).flatMap(symbols => [false, true].map(afterSyllable => ({ counters: { uppercase, numbers, symbols }, afterSyllable })))));
+  const stateIndex = (counters, afterSyllable) =>
+    ((counters.uppercase * (needed.numbers + 1) + counters.numbers) * (needed.symbols + 1) + counters.symbols) * 2 + (afterSyllable ? 1 : 0);
+  const table = [];
+  const completions = (pos, counters, afterSyllable) => {
+    if (pos > length) return 0n;
+    if (pos === length) return missing(counters) === 0 ? 1n : 0n;
+    return table[pos][stateIndex(counters, afterSyllable)];
+  };
+
+  for (let pos = length - 1; pos >= 0; pos--) {
+    const row = [];
+    states.forEach(({ counters, afterSyllable }) => {
+      let total = 0n;
+      for (const token of tokens) {
+        if (!allowed(token, pos, afterSyllable)) continue;
+        total += token.ways * completions(pos + token.length, advance(counters, token), token.syllable);
+      }
+      row[stateIndex(counters, afterSyllable)] = total;
+    });
+    table[pos] = row;
+  }
+
+  const start = { uppercase: 0, numbers: 0, symbols: 0 };
+  const count = completions(0, start, false);
+
+  // Decode an index in [0, count) into its password
+  const passwordAt = (index) => {
+    let pos = 0;
+    let counters = start;
+    let afterSyllable = false;
+    let result = '';
+
+    while (pos < length) {
+      for (const token of tokens) {
+        if (!allowed(token, pos, afterSyllable)) continue;
+        const next = advance(counters, token);
+        const rest = completions(pos + token.length, next, token.syllable);
+        const block = token.ways * rest;
+        if (index >= block) {
+          index -= block;
+          continue;
+        }
+
+        // Split the index into the choice for each part of the token and the index of the rest
+        let choice = index / rest;
+        index %= rest;
+        let text = '';
+        for (let i = token.parts.length - 1; i >= 0; i--) {
+          const size = BigInt(token.parts[i].length);
+          text = token.parts[i][Number(choice % size)] + text;
+          choice /= size;
+        }
+        result += token.capitalized ? text.charAt(0).toUpperCase() + text.slice(1) : text;
+
+        pos += token.length;
+        counters = next;
+        afterSyllable = token.syllable;
+        break;
+      }
+    }
+    return result;
+  };
+
+  return { count, passwordAt };
+};
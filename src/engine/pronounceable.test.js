@@ -0,0 +1,63 @@
+import { pronounceableSpace, SYLLABLE_LETTERS } from './pronounceable.js';
+import { generate, generationReport, generatorProblems, CHARACTER_GROUPS, MAX_PASSWORD_LENGTH } from './generator.js';
+
+const lettersOnly = { pronounceable: true, includeUppercase: false, includeNumbers: false, includeSymbols: false, minUppercase: 0, minNumbers: 0, minSymbols: 0 };
+const { consonants, vowels, vowelPairs } = SYLLABLE_LETTERS;
+const count = (pwd, chars) => [...pwd].filter(char => chars.includes(char)).length;
+
+// Syllables (a capital only on their first letter), each optionally followed by one digit or symbol
+const C = `[${consonants}]`;
+const SYLLABLES = new RegExp(`^(?:(?:${C}|${C.toUpperCase()})(?:${vowelPairs.join('|')}|[${vowels}]${C}?)[^a-zA-Z]?)+$`);
+const isSyllables = (pwd) => SYLLABLES.test(pwd);
+
+describe('pronounceable generation', () => {
+  test.each([2, 3, 7, 11, 16, 33, MAX_PASSWORD_LENGTH])('always returns exactly %i letters made of syllables', (length) => {
+    for (let i = 0; i < 50; i++) {
+      const pwd = generate({ ...lettersOnly, length });
+      expect(pwd).toHaveLength(length);
+      expect(isSyllables(pwd)).toBe(true);
+    }
+  });
+
+  test.each([6, 9, 13, 24])('meets the class minimums at exactly %i characters', (length) => {
+    for (let i = 0; i < 50; i++) {
+      const pwd = generate({ pronounceable: true, length });
+      expect(pwd).toHaveLength(length);
+      expect(isSyllables(pwd)).toBe(true);
+      expect(count(pwd, CHARACTER_GROUPS.uppercase.chars)).toBeGreaterThanOrEqual(1);
+      expect(count(pwd, CHARACTER_GROUPS.numbers.chars)).toBeGreaterThanOrEqual(1);
+      expect(count(pwd, CHARACTER_GROUPS.symbols.chars)).toBeGreaterThanOrEqual(1);
+    }
+  });
+
+  test('reports lengths no syllables can fill instead of returning another length', () => {
+    expect(generatorProblems({ ...lettersOnly, length: 1 })).toEqual(['No pronounceable password of 1 characters can meet these settings']);
+    // A capital, a digit and a symbol need two syllables to follow
+    expect(generatorProblems({ pronounceable: true, length: 5 })).toEqual(['No pronounceable password of 5 characters can meet these settings']);
+    expect(() => generate({ pronounceable: true, length: 5 })).toThrow('No pronounceable password');
+  });
+});
+
+describe('pronounceable entropy', () => {
+  test('counts every syllable sequence of the length', () => {
+    // CV
+    expect(generationReport({ ...lettersOnly, length: 2 }).combinations).toBe(17n * 5n);
+    // CVC, CVV, or CV and a digit
+    const report = generationReport({ ...lettersOnly, includeNumbers: true, length: 3 });
+    expect(report.combinations).toBe(17n * 5n * 17n + 17n * 15n + 17n * 5n * 10n);
+    expect(report.entropy).toBeCloseTo(Math.log2(2550), 9);
+    expect(report.details).toEqual([{ label: '3 characters of CV, CVC, CVV syllables', bits: report.entropy }]);
+  });
+
+  test('matches the space it draws from and is below a random password of the same settings', () => {
+    const settings = { pronounceable: true, length: 16 };
+    const report = generationReport(settings);
+    expect(report.mode).toBe('pronounceable');
+    expect(report.entropy).toBeLessThan(report.randomEntropy);
+
+    const space = pronounceableSpace({ length: 4 });
+    const passwords = Array.from({ length: Number(space.count) }, (_, i) => space.passwordAt(BigInt(i)));
+    expect(new Set(passwords).size).toBe(passwords.length);
+    expect(space.count).toBe(generationReport({ ...lettersOnly, length: 4 }).combinations);
+  });
+});
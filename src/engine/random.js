@@ -0,0 +1,82 @@
+/**
+ * @file random.js
+ * @description Cryptographically secure random numbers without modulo bias, and a chi-square uniformity check
+ * @author Hardin Irfan <hardinmail05@gmail.com>
+ * @copyright Copyright (c) 2025 Hardin Irfan
+ * @license MIT
+ */
+
+const UINT32_RANGE = 0x100000000;
+
+// Random words are fetched from crypto.getRandomValues in blocks and handed out one at a time
+const BLOCK_SIZE = 256;
+let block = new Uint32Array(0);
+let offset = 0;
+
+// Uniform random 32-bit unsigned integer from the platform CSPRNG
+export const randomUint32 = () => {
+  if (offset >= block.length) {
+    block = crypto.getRandomValues(new Uint32Array(BLOCK_SIZE));
+    offset = 0;
+  }
+  return block[offset++];
+};
+
+// Uniform random integer in [0, limit) for limit up to 2^32. Words from the top partial range are
+// rejected, so every result is equally likely instead of favouring small values as `word % limit` would.
+export const randomInt = (limit) => {
+  if (!Number.isInteger(limit) || limit < 1 || limit > UINT32_RANGE) {
+    throw new RangeError(`randomInt limit must be an integer from 1 to 2^32, got ${limit}`);
+  }
+  const accepted = UINT32_RANGE - (UINT32_RANGE % limit);
+  for (;;) {
+    const word = randomUint32();
+    if (word < accepted) return word % limit;
+  }
+};
+
+// Uniform random BigInt in [0, limit): just enough random bits, redrawn until the value is below limit
+export const randomBigInt = (limit) => {
+  const bits = limit.toString(2).length;
+  const words = Math.ceil(bits / 32);
+  const excess = BigInt(words * 32 - bits);
+  for (;;) {
+    let value = 0n;
+    for (let i = 0; i < words; i++) {
+      value = (value << 32n) | BigInt(randomUint32());
+    }
+    value >>= excess;
+    if (value < limit) return value;
+  }
+};
+
+// log2 of a BigInt, exact to double precision
+export const log2BigInt = (value) => {
+  const bits = value.toString(2).length;
+  if (bits <= 53) return Math.log2(Number(value));
+  return Math.log2(Number(value >> BigInt(bits - 53))) + bits - 53;
+};
+
+// Uniformly chosen element of an array or string
+export const randomChoice = (items) => items[randomInt(items.length)];
+
+// Standard normal upper tail, P(Z > z) (Abramowitz and Stegun 26.2.17, error below 1e-7)
+const normalUpperTail = (z) => {
+  if (z < 0) return 1 - normalUpperTail(-z);
+  const t = 1 / (1 + 0.2316419 * z);
+  const density = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+  return density * t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+};
+
+// Pearson chi-square test of observed counts against a uniform distribution.
+// The p-value uses the Wilson-Hilferty approximation, which is accurate for the category counts used here.
+export const chiSquareUniform = (counts) => {
+  const samples = counts.reduce((sum, count) => sum + count, 0);
+  const expected = samples / counts.length;
+  const statistic = counts.reduce((sum, count) => sum + (count - expected) ** 2 / expected, 0);
+  const degreesOfFreedom = counts.length - 1;
+
+  const scale = 2 / (9 * degreesOfFreedom);
+  const z = (Math.cbrt(statistic / degreesOfFreedom) - (1 - scale)) / Math.sqrt(scale);
+  return { samples, statistic, degreesOfFreedom, pValue: normalUpperTail(z) };
+};
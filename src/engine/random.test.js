@@ -0,0 +1,104 @@
+import { chiSquareUniform, log2BigInt, randomBigInt, randomInt } from './random.js';
+import { runGeneratorSelfTest, SELF_TEST_ALPHA } from './generator.js';
+
+// A fresh copy of random.js whose random words come from the given list (then zeros), so rejections can be forced
+const withWords = (words) => {
+  const spy = jest.spyOn(crypto, 'getRandomValues').mockImplementation(array => {
+    array.set(words.slice(0, array.length));
+    return array;
+  });
+  let module;
+  jest.isolateModules(() => {
+    module = require('./random.js');
+  });
+  return { ...module, restore: () => spy.mockRestore() };
+};
+
+describe('randomInt', () => {
+  test('stays within bounds for ranges that are not a power of two', () => {
+    for (const limit of [1, 3, 10, 26, 94]) {
+      for (let i = 0; i < 500; i++) {
+        const value = randomInt(limit);
+        expect(Number.isInteger(value) && value >= 0 && value < limit).toBe(true);
+      }
+    }
+  });
+
+  test('rejects words from the top partial range instead of folding them', () => {
+    // 2^32 mod 6 is 4, so the top four words would favour 0-3
+    const { randomInt: drawInt, restore } = withWords([0xFFFFFFFF, 0xFFFFFFFC, 0xFFFFFFFB]);
+    try {
+      expect(drawInt(6)).toBe(0xFFFFFFFB % 6);
+    } finally {
+      restore();
+    }
+  });
+
+  test('rejects limits outside 1 to 2^32', () => {
+    expect(() => randomInt(0)).toThrow(RangeError);
+    expect(() => randomInt(2.5)).toThrow(RangeError);
+    expect(() => randomInt(2 ** 32 + 1)).toThrow(RangeError);
+  });
+});
+
+describe('randomBigInt', () => {
+  test('stays below limits of any size', () => {
+    for (const limit of [1n, 5n, 2n ** 64n + 3n, 10n ** 40n]) {
+      for (let i = 0; i < 200; i++) {
+        const value = randomBigInt(limit);
+        expect(value >= 0n && value < limit).toBe(true);
+      }
+    }
+  });
+
+  test('draws just enough bits and redraws values at or above the limit', () => {
+    // A limit of 5 takes the top 3 bits of a word: 7 and 5 are redrawn, 2 is kept
+    const { randomBigInt: drawBigInt, restore } = withWords([0xE0000000, 0xA0000000, 0x40000000]);
+    try {
+      expect(drawBigInt(5n)).toBe(2n);
+    } finally {
+      restore();
+    }
+  });
+
+  test('log2BigInt is exact beyond double precision', () => {
+    expect(log2BigInt(2n ** 200n)).toBe(200);
+    expect(log2BigInt(3n * 2n ** 100n)).toBeCloseTo(100 + Math.log2(3), 9);
+  });
+});
+
+describe('chiSquareUniform', () => {
+  test('accepts uniform counts', () => {
+    const result = chiSquareUniform([100, 100, 100, 100, 100, 100, 100, 100, 100, 100]);
+    expect(result).toMatchObject({ samples: 1000, statistic: 0, degreesOfFreedom: 9 });
+    expect(result.pValue).toBeGreaterThan(0.99);
+  });
+
+  test('rejects skewed counts', () => {
+    const result = chiSquareUniform([190, 90, 90, 90, 90, 90, 90, 90, 90, 90]);
+    expect(result.statistic).toBeCloseTo(90, 9);
+    expect(result.pValue).toBeLessThan(SELF_TEST_ALPHA);
+  });
+});
+
+describe('runGeneratorSelfTest', () => {
+  test('passes every character set when each index comes up equally often', () => {
+    let next = 0n;
+    const cycle = (limit) => next++ % limit;
+    const results = runGeneratorSelfTest({ samplesPerCharacter: 50, randomIndex: cycle });
+    expect(results.map(result => result.name)).toEqual(['lowercase', 'uppercase', 'numbers', 'symbols', 'all']);
+    results.forEach(result => {
+      expect(result).toMatchObject({ samples: 50 * result.characters, statistic: 0, passed: true });
+    });
+  });
+
+  test('fails every character set when one index takes half the draws', () => {
+    // Every other draw is index 0; the rest cycle through the whole set
+    let draw = 0n;
+    const skewed = (limit) => (draw++ % 2n === 0n ? 0n : (draw / 2n) % limit);
+    runGeneratorSelfTest({ samplesPerCharacter: 50, randomIndex: skewed }).forEach(result => {
+      expect(result.pValue).toBeLessThan(SELF_TEST_ALPHA);
+      expect(result.passed).toBe(false);
+    });
+  });
+});
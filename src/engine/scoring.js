@@ -0,0 +1,299 @@
+/**
+ * @file scoring.js
+ * @description Guess estimator: finds the decomposition of a password into matched segments with the fewest total guesses
+ * @author Hardin Irfan <hardinmail05@gmail.com>
+ * @copyright Copyright (c) 2025 Hardin Irfan
+ * @license MIT
+ */
+
+import { omnimatch, REFERENCE_YEAR } from './matching.js';
+import { KEYBOARD_GRAPHS } from './keyboards.js';
+
+// Guesses an attacker spends before trying sequences with one more segment
+const MIN_GUESSES_BEFORE_GROWING_SEQUENCE = 10000;
+
+// Floor for segments that do not cover the whole password (single characters / longer tokens)
+const MIN_SUBMATCH_GUESSES_SINGLE_CHAR = 10;
+const MIN_SUBMATCH_GUESSES_MULTI_CHAR = 50;
+
+// Longest stretch of a password matched at once; the search grows quadratically with length
+const MAX_MATCHED_LENGTH = 256;
+
+// Years are guessed outward from the current year, at least this many either way
+const MIN_YEAR_SPACE = 20;
+
+const factorial = (n) => {
+  let result = 1;
+  for (let i = 2; i <= n; i++) result *= i;
+  return result;
+};
+
+// Binomial coefficient n choose k
+const nCk = (n, k) => {
+  if (k > n) return 0;
+  if (k === 0) return 1;
+  let result = 1;
+  for (let d = 1; d <= k; d++) {
+    result *= n;
+    result /= d;
+    n -= 1;
+  }
+  return result;
+};
+
+// Size of the character space a brute-force attacker must cover for this password
+export const getCharsetSize = (pwd) => {
+  let size = 0;
+  if (/[a-z]/.test(pwd)) size += 26;
+  if (/[A-Z]/.test(pwd)) size += 26;
+  if (/[0-9]/.test(pwd)) size += 10;
+  if (/[^a-zA-Z0-9]/.test(pwd)) size += 33;
+  return size || 10; // Minimum charset size
+};
+
+// Capitalisation variants an attacker tries for a dictionary word
+const uppercaseVariations = (token) => {
+  if (token === token.toLowerCase()) return 1;
+
+  // Capitalised, all caps and last-letter caps are tried first
+  if (/^[A-Z][^A-Z]+$/.test(token) || /^[^A-Z]+[A-Z]$/.test(token) || /^[^a-z]+$/.test(token)) return 2;
+
+  const upper = (token.match(/[A-Z]/g) || []).length;
+  const lower = (token.match(/[a-z]/g) || []).length;
+  let variations = 0;
+  for (let i = 1; i <= Math.min(upper, lower); i++) {
+    variations += nCk(upper + lower, i);
+  }
+  return variations;
+};
+
+// For each substitution, the ways of choosing which occurrences were substituted
+const l33tVariations = (match) => {
+  if (!match.l33t) return 1;
+
+  const token = match.token.toLowerCase();
+  let variations = 1;
+  for (const [char, letter] of Object.entries(match.sub)) {
+    const substituted = [...token].filter(c => c === char).length;
+    const unsubstituted = [...token].filter(c => c === letter).length;
+
+    if (substituted === 0 || unsubstituted === 0) {
+      // Every occurrence was substituted (or none), so only the choice to substitute counts
+      variations *= 2;
+    } else {
+      let possibilities = 0;
+      for (let i = 1; i <= Math.min(substituted, unsubstituted); i++) {
+        possibilities += nCk(substituted + unsubstituted, i);
+      }
+      variations *= possibilities;
+    }
+  }
+  return variations;
+};
+
+const dictionaryGuesses = (match) => {
+  return match.rank * uppercaseVariations(match.token) * l33tVariations(match) * (match.reversed ? 2 : 1);
+};
+
+// Possible keyboard walks up to the token's length with at most its number of turns
+const spatialGuesses = (match) => {
+  const { startingPositions, averageDegree } = KEYBOARD_GRAPHS[match.graph];
+  const length = match.token.length;
+  let guesses = 0;
+
+  for (let i = 2; i <= length; i++) {
+    const possibleTurns = Math.min(match.turns, i - 1);
+    for (let j = 1; j <= possibleTurns; j++) {
+      guesses += nCk(i - 1, j - 1) * startingPositions * Math.pow(averageDegree, j);
+    }
+  }
+
+  // Shifted keys multiply the space like capitalisation does
+  if (match.shiftedCount) {
+    const unshifted = length - match.shiftedCount;
+    if (unshifted === 0) {
+      guesses *= 2;
+    } else {
+      let variations = 0;
+      for (let i = 1; i <= Math.min(match.shiftedCount, unshifted); i++) {
+        variations += nCk(match.shiftedCount + unshifted, i);
+      }
+      guesses *= variations;
+    }
+  }
+
+  return guesses;
+};
+
+// Guesses grow with the run's length, its direction and how unusual its start and step are
+const sequenceGuesses = (match) => {
+  const firstChar = match.token.charAt(0).toLowerCase();
+
+  // Obvious starting points are tried first
+  let baseGuesses;
+  if (['a', 'z', '0', '1', '9'].includes(firstChar)) {
+    baseGuesses = 4;
+  } else {
+    baseGuesses = match.sequenceSpace;
+  }
+
+  if (!match.ascending) baseGuesses *= 2;
+  return baseGuesses * match.step * match.token.length;
+};
+
+// A day and month with no year (0612) is one of 365
+const dateGuesses = (match) => {
+  const yearSpace = match.year === undefined ? 1 : Math.max(Math.abs(match.year - REFERENCE_YEAR), MIN_YEAR_SPACE);
+  let guesses = match.hasDayMonth ? yearSpace * 365 : yearSpace;
+  if (match.separator) guesses *= 4;
+  return guesses;
+};
+
+// Capped at the largest finite number, so very long passwords still compare
+const bruteforceGuesses = (match, password) => {
+  return Math.min(Math.pow(getCharsetSize(password), match.token.length), Number.MAX_VALUE);
+};
+
+// Guesses needed for one matched segment, cached on the match
+const estimatePatternGuesses = (match, password) => {
+  if (match.guesses !== undefined) return match.guesses;
+
+  let guesses;
+  switch (match.pattern) {
+    case 'dictionary':
+      guesses = dictionaryGuesses(match);
+      break;
+    case 'spatial':
+      guesses = spatialGuesses(match);
+      break;
+    case 'repeat':
+      guesses = estimateGuesses(match.baseToken).guesses * match.repeatCount;
+      break;
+    case 'sequence':
+      guesses = sequenceGuesses(match);
+      break;
+    case 'date':
+      guesses = dateGuesses(match);
+      break;
+    default:
+      guesses = bruteforceGuesses(match, password);
+      break;
+  }
+
+  // Segments inside a longer password cost at least a few guesses each
+  if (match.token.length < password.length) {
+    const minGuesses = match.token.length === 1 ? MIN_SUBMATCH_GUESSES_SINGLE_CHAR : MIN_SUBMATCH_GUESSES_MULTI_CHAR;
+    guesses = Math.max(guesses, minGuesses);
+  }
+
+  match.guesses = guesses;
+  return guesses;
+};
+
+// Pick the sequence of non-overlapping matches covering the password with the fewest total guesses.
+// A sequence of l segments costs l! * product(segment guesses) + MIN_GUESSES_BEFORE_GROWING_SEQUENCE^(l - 1).
+export const mostGuessableMatchSequence = (password, matches) => {
+  const n = password.length;
+  if (n === 0) return { guesses: 1, sequence: [] };
+
+  const matchesByEnd = Array.from({ length: n }, () => []);
+  matches.forEach(match => matchesByEnd[match.j].push(match));
+
+  // optimal.x[k][l]: best sequence of l segments covering password[0..k]
+  const optimal = {
+    m: Array.from({ length: n }, () => ({})),
+    pi: Array.from({ length: n }, () => ({})),
+    g: Array.from({ length: n }, () => ({}))
+  };
+
+  const update = (match, l) => {
+    const k = match.j;
+    let pi = estimatePatternGuesses(match, password);
+    if (l > 1) pi *= optimal.pi[match.i - 1][l - 1];
+    const g = factorial(l) * pi + Math.pow(MIN_GUESSES_BEFORE_GROWING_SEQUENCE, l - 1);
+
+    // Skip if a sequence with as few or fewer segments already does better
+    for (const [competingL, competingG] of Object.entries(optimal.g[k])) {
+      if (Number(competingL) <= l && competingG <= g) return;
+    }
+
+    optimal.m[k][l] = match;
+    optimal.pi[k][l] = pi;
+    optimal.g[k][l] = g;
+  };
+
+  const makeBruteforceMatch = (i, j) => ({
+    pattern: 'bruteforce',
+    i,
+    j,
+    token: password.slice(i, j + 1)
+  });
+
+  const bruteforceUpdate = (k) => {
+    update(makeBruteforceMatch(0, k), 1);
+    for (let i = 1; i <= k; i++) {
+      const match = makeBruteforceMatch(i, k);
+      for (const [l, lastMatch] of Object.entries(optimal.m[i - 1])) {
+        // Two adjacent brute-force segments are never better than one
+        if (lastMatch.pattern === 'bruteforce') continue;
+        update(match, Number(l) + 1);
+      }
+    }
+  };
+
+  for (let k = 0; k < n; k++) {
+    for (const match of matchesByEnd[k]) {
+      if (match.i > 0) {
+        for (const l of Object.keys(optimal.m[match.i - 1])) {
+          update(match, Number(l) + 1);
+        }
+      } else {
+        update(match, 1);
+      }
+    }
+    bruteforceUpdate(k);
+  }
+
+  // Walk back from the cheapest full-length sequence (the first one when every cost overflows)
+  let bestL = null;
+  let guesses = Infinity;
+  for (const [l, g] of Object.entries(optimal.g[n - 1])) {
+    if (bestL === null || g < guesses) {
+      bestL = Number(l);
+      guesses = g;
+    }
+  }
+
+  const sequence = [];
+  let k = n - 1;
+  let l = bestL;
+  while (k >= 0) {
+    const match = optimal.m[k][l];
+    sequence.unshift(match);
+    k = match.i - 1;
+    l -= 1;
+  }
+
+  return { guesses, sequence };
+};
+
+// Estimate how many guesses an attacker needs for the password (options are passed on to omnimatch).
+// Passwords longer than MAX_MATCHED_LENGTH are matched in chunks of that many characters, whose guesses multiply.
+export const estimateGuesses = (password, options = {}) => {
+  let guesses = 1;
+  const sequence = [];
+  let start = 0;
+  do {
+    const chunk = password.slice(start, start + MAX_MATCHED_LENGTH);
+    const result = mostGuessableMatchSequence(chunk, omnimatch(chunk, options));
+    guesses = Math.min(guesses * result.guesses, Number.MAX_VALUE);
+    const offset = start;
+    sequence.push(...result.sequence.map(match => (offset ? { ...match, i: match.i + offset, j: match.j + offset } : match)));
+    start += MAX_MATCHED_LENGTH;
+  } while (start < password.length);
+  return {
+    guesses,
+    guessesLog10: Math.log10(guesses),
+    sequence
+  };
+};
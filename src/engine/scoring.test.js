@@ -0,0 +1,64 @@
+import { estimateGuesses, getCharsetSize, mostGuessableMatchSequence } from './scoring.js';
+
+// The matched segments must cover the password once, in order
+const expectCoverage = (password, sequence) => {
+  expect(sequence[0].i).toBe(0);
+  sequence.slice(1).forEach((match, n) => expect(match.i).toBe(sequence[n].j + 1));
+  expect(sequence[sequence.length - 1].j).toBe(password.length - 1);
+};
+
+describe('estimateGuesses', () => {
+  test('a common password is one cheap dictionary match', () => {
+    const { guesses, sequence } = estimateGuesses('password');
+    expect(sequence).toHaveLength(1);
+    expect(sequence[0]).toMatchObject({ pattern: 'dictionary', matchedWord: 'password' });
+    expect(guesses).toBeLessThan(100);
+  });
+
+  test('a passphrase is split into its words', () => {
+    const password = 'correcthorsebatterystaple';
+    const { sequence } = estimateGuesses(password);
+    expect(sequence.map(match => match.token).slice(0, 2)).toEqual(['correct', 'horse']);
+    expectCoverage(password, sequence);
+  });
+
+  test('random characters cost more guesses than a word of the same length', () => {
+    expect(estimateGuesses('xq7#Lw2!').guesses).toBeGreaterThan(estimateGuesses('sunshine').guesses * 1e6);
+  });
+
+  test('long passwords are scored in chunks that still cover every character', () => {
+    const repeated = 'a'.repeat(600);
+    const { guesses, sequence } = estimateGuesses(repeated);
+    expect(Number.isFinite(guesses)).toBe(true);
+    expect(guesses).toBeLessThan(1e15);
+    expectCoverage(repeated, sequence);
+  });
+
+  test('guesses past the number range are capped instead of failing', () => {
+    const password = Array.from({ length: 400 }, (_, i) => String.fromCharCode(33 + ((i * 37) % 94))).join('');
+    const { guesses, guessesLog10, sequence } = estimateGuesses(password);
+    expect(guesses).toBe(Number.MAX_VALUE);
+    expect(guessesLog10).toBeCloseTo(308.25, 1);
+    expectCoverage(password, sequence);
+  });
+});
+
+describe('mostGuessableMatchSequence', () => {
+  test('an empty password needs one guess', () => {
+    expect(mostGuessableMatchSequence('', [])).toEqual({ guesses: 1, sequence: [] });
+  });
+
+  test('without matches the password is one brute-force segment', () => {
+    const { sequence } = mostGuessableMatchSequence('zzq', []);
+    expect(sequence).toEqual([expect.objectContaining({ pattern: 'bruteforce', i: 0, j: 2, token: 'zzq' })]);
+  });
+});
+
+describe('getCharsetSize', () => {
+  test('adds up the classes present', () => {
+    expect(getCharsetSize('abc')).toBe(26);
+    expect(getCharsetSize('aB3')).toBe(62);
+    expect(getCharsetSize('aB3!')).toBe(95);
+    expect(getCharsetSize('')).toBe(10);
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * @file vault.js
+ * @description Encrypted password vault: entries sealed with AES-GCM under a PBKDF2 key from the master password
+ * @author Hardin Irfan <hardinmail05@gmail.com>
+ * @copyright Copyright (c) 2025 Hardin Irfan
+ * @license MIT
+ */
+
+import { assessPasswordStrength, STRENGTH_LEVELS } from './analyzer.js';
+
+const VAULT_FORMAT = 'hardlock-vault';
+const VAULT_VERSION = 1;
+
+// PBKDF2-HMAC-SHA256 iterations for new vaults (the OWASP recommendation); stored in each vault, so it can
+// be raised later without locking anyone out
+export const VAULT_ITERATIONS = 600000;
+
+// Most iterations a vault record may ask for; a damaged or crafted record could otherwise stall unlocking indefinitely
+export const MAX_VAULT_ITERATIONS = 10 * VAULT_ITERATIONS;
+
+// Shortest master password accepted for a new vault
+export const MIN_MASTER_PASSWORD_LENGTH = 12;
+
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+// Byte by byte, since spreading a large vault into String.fromCharCode would exceed the argument limit
+const toBase64 = (bytes) => btoa(new Uint8Array(bytes).reduce((binary, byte) => binary + String.fromCharCode(byte), ''));
+const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+// The unencrypted part of a vault record; also authenticated by AES-GCM, so it cannot be changed unnoticed
+const recordHeader = (kdf) => new TextEncoder().encode(JSON.stringify({ format: VAULT_FORMAT, version: VAULT_VERSION, kdf }));
+
+const deriveKey = async (master, kdf) => {
+  const password = await crypto.subtle.importKey('raw', new TextEncoder().encode(master.normalize('NFC')), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: kdf.hash, salt: fromBase64(kdf.salt), iterations: kdf.iterations },
+    password,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+// Problems with a master password for a new vault (empty when it is acceptable)
+export const masterPasswordProblems = (master) => {
+  const problems = [];
+  if ([...master].length < MIN_MASTER_PASSWORD_LENGTH) {
+    problems.push(`Use at least ${MIN_MASTER_PASSWORD_LENGTH} characters for the master password`);
+  }
+  const { strength } = assessPasswordStrength(master);
+  if (STRENGTH_LEVELS.indexOf(strength) < STRENGTH_LEVELS.indexOf('Strong')) {
+    problems.push(`The master password is ${strength.toLowerCase()}; anyone who guesses it can read the whole vault`);
+  }
+  return problems;
+};
+
+// Start a new vault: returns the session ({ kdf, key }) that sealVault needs. The key cannot be exported.
+export const createVault = async (master) => {
+  const kdf = {
+    name: 'PBKDF2',
+    hash: 'SHA-256',
+    iterations: VAULT_ITERATIONS,
+    salt: toBase64(crypto.getRandomValues(new Uint8Array(SALT_BYTES)))
+  };
+  return { kdf, key: await deriveKey(master, kdf) };
+};
+
+// Encrypt entries into a vault record that can be stored or exported as JSON:
+// { format, version, kdf, iv, data }. Every call uses a fresh IV.
+export const sealVault = async (entries, session) => {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: recordHeader(session.kdf) },
+    session.key,
+    new TextEncoder().encode(JSON.stringify(entries))
+  );
+  return { format: VAULT_FORMAT, version: VAULT_VERSION, kdf: session.kdf, iv: toBase64(iv), data: toBase64(data) };
+};
+
+// Check that a parsed object is a vault record this version can open; throws otherwise
+export const validateVaultRecord = (record) => {
+  if (!record || record.format !== VAULT_FORMAT) throw new Error('This is not a HardLock vault');
+  if (record.version !== VAULT_VERSION) throw new Error(`Unsupported vault version ${record.version}`);
+  const { kdf } = record;
+  if (!kdf || kdf.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' || !Number.isInteger(kdf.iterations) || kdf.iterations < 1 ||
+    kdf.iterations > MAX_VAULT_ITERATIONS || typeof kdf.salt !== 'string' || typeof record.iv !== 'string' ||
+    typeof record.data !== 'string') {
+    throw new Error('The vault is damaged');
+  }
+  return record;
+};
+
+// Decrypt a vault record with the master password. Returns { session, entries }; throws when the password is
+// wrong or the record was changed, which AES-GCM cannot tell apart.
+export const openVault = async (record, master) => {
+  validateVaultRecord(record);
+  const key = await deriveKey(master, record.kdf);
+  let plaintext;
+  try {
+    plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(record.iv), additionalData: recordHeader(record.kdf) },
+      key,
+      fromBase64(record.data)
+    );
+  } catch (error) {
+    throw new Error('Wrong master password, or the vault is damaged');
+  }
+  return { session: { kdf: record.kdf, key }, entries: JSON.parse(new TextDecoder().decode(plaintext)) };
+};
+
+// Tags from comma-separated text, trimmed and without repeats
+export const parseTags = (text) => [...new Set(text.split(',').map(tag => tag.trim()).filter(Boolean))];
+
+// Problems with entry fields (empty when they can be saved)
+export const vaultEntryProblems = (fields) => {
+  const problems = [];
+  if (!fields.site?.trim()) problems.push('Enter the site or service');
+  if (!fields.password) problems.push('Enter the password');
+  return problems;
+};
+
+// New entry from { site, username, password, notes, tags }, or an existing one with those fields replaced
+export const saveVaultEntry = (fields, existing = null) => {
+  const now = new Date().toISOString();
+  return {
+    id: existing?.id ?? crypto.randomUUID(),
+    site: fields.site.trim(),
+    username: (fields.username || '').trim(),
+    password: fields.password,
+    notes: fields.notes || '',
+    tags: Array.isArray(fields.tags) ? fields.tags : parseTags(fields.tags || ''),
+    created: existing?.created ?? now,
+    updated: now
+  };
+};
+
+// Entries whose site, username, notes or tags contain the query (case-insensitive), sorted by site
+export const searchVault = (entries, query = '') => {
+  const needle = query.trim().toLowerCase();
+  return entries
+    .filter(entry => !needle || [entry.site, entry.username, entry.notes, ...entry.tags]
+      .some(value => value.toLowerCase().includes(needle)))
+    .sort((a, b) => a.site.localeCompare(b.site) || a.username.localeCompare(b.username));
+};
@@ -0,0 +1,87 @@
+import { createVault, openVault, saveVaultEntry, sealVault, validateVaultRecord, MAX_VAULT_ITERATIONS, VAULT_ITERATIONS } from './vault.js';
+
+const MASTER = 'correct horse battery staple';
+const ENTRIES = [saveVaultEntry({ site: 'example.com', username: 'alice', password: 'hunter2', tags: 'work, mail' })];
+
+const toBase64 = (bytes) => Buffer.from(bytes).toString('base64');
+
+// A record sealed with Web Crypto directly, as the vault format describes, with a chosen iteration count
+const sealWith = async (master, iterations, entries) => {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const kdf = { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: toBase64(salt) };
+  const password = await crypto.subtle.importKey('raw', new TextEncoder().encode(master), 'PBKDF2', false, ['deriveKey']);
+  const key = await crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, password, { name: 'AES-GCM', length: 256 }, false, ['encrypt']
+  );
+  const header = new TextEncoder().encode(JSON.stringify({ format: 'hardlock-vault', version: 1, kdf }));
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: header }, key, new TextEncoder().encode(JSON.stringify(entries))
+  );
+  return { format: 'hardlock-vault', version: 1, kdf, iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+};
+
+describe('sealVault and openVault', () => {
+  let record;
+
+  beforeAll(async () => {
+    record = await sealVault(ENTRIES, await createVault(MASTER));
+  });
+
+  test('a sealed vault opens with its master password', async () => {
+    expect(record.kdf.iterations).toBe(VAULT_ITERATIONS);
+    expect(record.data).not.toContain('hunter2');
+    const { entries, session } = await openVault(JSON.parse(JSON.stringify(record)), MASTER);
+    expect(entries).toEqual(ENTRIES);
+    const resealed = await sealVault(entries, session);
+    expect(resealed.iv).not.toBe(record.iv);
+    expect((await openVault(resealed, MASTER)).entries).toEqual(ENTRIES);
+  });
+
+  test('a wrong master password is rejected', async () => {
+    await expect(openVault(record, `${MASTER}!`)).rejects.toThrow('Wrong master password, or the vault is damaged');
+  });
+
+  test('a changed header cannot be decrypted', async () => {
+    const salt = toBase64(crypto.getRandomValues(new Uint8Array(16)));
+    await expect(openVault({ ...record, kdf: { ...record.kdf, salt } }, MASTER)).rejects.toThrow('Wrong master password');
+    const weaker = await sealWith(MASTER, 1000, ENTRIES);
+    await expect(openVault({ ...weaker, kdf: { ...weaker.kdf, iterations: 1001 } }, MASTER)).rejects.toThrow('Wrong master password');
+  });
+
+  test('the iteration count of the record is used', async () => {
+    const weaker = await sealWith(MASTER, 1000, ENTRIES);
+    const { entries, session } = await openVault(weaker, MASTER);
+    expect(entries).toEqual(ENTRIES);
+    expect(session.kdf.iterations).toBe(1000);
+    expect((await sealVault(entries, session)).kdf.iterations).toBe(1000);
+  });
+});
+
+describe('validateVaultRecord', () => {
+  const valid = {
+    format: 'hardlock-vault',
+    version: 1,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: 1000, salt: 'c2FsdA==' },
+    iv: 'aXY=',
+    data: 'ZGF0YQ=='
+  };
+
+  test('accepts a well-formed record', () => {
+    expect(validateVaultRecord(valid)).toBe(valid);
+    const slowest = { ...valid, kdf: { ...valid.kdf, iterations: MAX_VAULT_ITERATIONS } };
+    expect(validateVaultRecord(slowest)).toBe(slowest);
+  });
+
+  test('rejects malformed records', () => {
+    expect(() => validateVaultRecord(null)).toThrow('This is not a HardLock vault');
+    expect(() => validateVaultRecord({ ...valid, format: 'other' })).toThrow('This is not a HardLock vault');
+    expect(() => validateVaultRecord({ ...valid, version: 2 })).toThrow('Unsupported vault version 2');
+    for (const kdf of [undefined, { ...valid.kdf, name: 'scrypt' }, { ...valid.kdf, hash: 'SHA-1' },
+      { ...valid.kdf, iterations: 0 }, { ...valid.kdf, iterations: MAX_VAULT_ITERATIONS + 1 }, { ...valid.kdf, iterations: '1000' }, { ...valid.kdf, salt: null }]) {
+      expect(() => validateVaultRecord({ ...valid, kdf })).toThrow('The vault is damaged');
+    }
+    expect(() => validateVaultRecord({ ...valid, iv: 1 })).toThrow('The vault is damaged');
+    expect(() => validateVaultRecord({ ...valid, data: undefined })).toThrow('The vault is damaged');
+  });
+});
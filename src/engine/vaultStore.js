@@ -0,0 +1,44 @@
+/**
+ * @file vaultStore.js
+ * @description IndexedDB storage for the encrypted vault record in the browser
+ * @author Hardin Irfan <hardinmail05@gmail.com>
+ * @copyright Copyright (c) 2025 Hardin Irfan
+ * @license MIT
+ */
+
+const DB_NAME = 'hardlock';
+const DB_VERSION = 1;
+const STORE_NAME = 'vault';
+// The vault is a single record; only its encrypted form is ever stored
+const RECORD_KEY = 'vault';
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Run one request in its own transaction and resolve with its result once the transaction has committed
+const withStore = async (mode, makeRequest) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = makeRequest(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    transaction.onerror = transaction.onabort = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+};
+
+// Stored vault record, or null when there is none
+export const loadVaultRecord = () => withStore('readonly', store => store.get(RECORD_KEY)).then(record => record ?? null);
+
+export const saveVaultRecord = (record) => withStore('readwrite', store => store.put(record, RECORD_KEY));
+
+export const deleteVaultRecord = () => withStore('readwrite', store => store.delete(RECORD_KEY));
@@ -0,0 +1,22 @@
+import 'fake-indexeddb/auto';
+import { deleteVaultRecord, loadVaultRecord, saveVaultRecord } from './vaultStore.js';
+
+const RECORD = {
+  format: 'hardlock-vault',
+  version: 1,
+  kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: 1000, salt: 'c2FsdA==' },
+  iv: 'aXY=',
+  data: 'ZGF0YQ=='
+};
+
+describe('vault record storage', () => {
+  test('stores, replaces and deletes the single record', async () => {
+    expect(await loadVaultRecord()).toBeNull();
+    await saveVaultRecord(RECORD);
+    expect(await loadVaultRecord()).toEqual(RECORD);
+    await saveVaultRecord({ ...RECORD, iv: 'bmV3' });
+    expect((await loadVaultRecord()).iv).toBe('bmV3');
+    await deleteVaultRecord();
+    expect(await loadVaultRecord()).toBeNull();
+  });
+});
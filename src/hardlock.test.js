@@ -0,0 +1,81 @@
+// Tests for the hardlock CLI in bin/, run as a child process the way provisioning scripts call it
+import { spawnSync } from 'child_process';
+import path from 'path';
+
+const CLI = path.join(__dirname, '..', 'bin', 'hardlock.mjs');
+const STRONG = 'Tr0ub4dor&3-horse-staple';
+
+// Run hardlock with the arguments and optional stdin; returns { status, stdout, stderr }
+const hardlock = (args, input = '') => spawnSync(process.execPath, [CLI, ...args], { input, encoding: 'utf8' });
+
+jest.setTimeout(30000);
+
+describe('exit codes', () => {
+  test('exits 0 when every password meets the gate', () => {
+    expect(hardlock(['analyze', STRONG, '--min-score', '80']).status).toBe(0);
+    expect(hardlock(['audit', '-', '--min-strength', 'Strong'], `${STRONG}\n`).status).toBe(0);
+  });
+
+  test('exits 1 when a password is below --min-score or --min-strength', () => {
+    expect(hardlock(['analyze', 'password', '--min-score', '80']).status).toBe(1);
+    expect(hardlock(['audit', '-', '--min-strength', 'Strong'], `${STRONG}\npassword\n`).status).toBe(1);
+  });
+
+  test('exits 2 with the usage text on bad options and one line on unreadable files', () => {
+    const badFlag = hardlock(['analyze', STRONG, '--no-such-flag']);
+    expect(badFlag.status).toBe(2);
+    expect(badFlag.stderr).toContain('Usage: hardlock');
+    expect(hardlock(['analyze', STRONG, '--min-strength', 'Unbreakable']).status).toBe(2);
+    expect(hardlock(['analyze', STRONG, '--format', 'xml']).status).toBe(2);
+
+    const tooShort = hardlock(['generate', '--length', '3']);
+    expect(tooShort.status).toBe(2);
+    expect(tooShort.stderr).toContain('The class minimums need 4 characters but the length is 3');
+    expect(hardlock(['generate', '--length', '3', '--min-symbols', '0']).status).toBe(0);
+
+    const missing = hardlock(['audit', '/nonexistent/passwords.txt']);
+    expect(missing.status).toBe(2);
+    expect(missing.stderr.trim().split('\n')).toEqual([expect.stringContaining('Cannot read /nonexistent/passwords.txt')]);
+  });
+});
+
+describe('input', () => {
+  test('reads the password from stdin when none is given', () => {
+    const result = hardlock(['analyze', '--format', 'json'], 'qwerty\n');
+    expect(result.status).toBe(0);
+    expect(JSON.parse(result.stdout)).toMatchObject({ password: 'qwerty', isCommon: true });
+  });
+
+  test('audits one password per line from stdin, skipping blank lines', () => {
+    const result = hardlock(['audit', '-', '--format', 'json'], `password\n\n${STRONG}\n`);
+    expect(JSON.parse(result.stdout).map(row => row.password)).toEqual(['password', STRONG]);
+  });
+});
+
+describe('output formats', () => {
+  test('table has a header, a rule and one line per password', () => {
+    const lines = hardlock(['audit', '-'], `password\n${STRONG}\n`).stdout.trim().split('\n');
+    expect(lines).toHaveLength(4);
+    expect(lines[0]).toMatch(/^Password\s+Score\s+Strength/);
+    expect(lines[1]).toMatch(/^-+ +-+/);
+    expect(lines[2]).toMatch(/^password\s+\d+\s+Very Weak/);
+  });
+
+  test('csv has a header and one row per password, quoting fields that need it', () => {
+    const lines = hardlock(['audit', '-', '--format', 'csv'], 'pass,word\n').stdout.trim().split('\n');
+    expect(lines[0]).toMatch(/^Password,Score,Strength,Entropy,/);
+    expect(lines).toHaveLength(2);
+    expect(lines[1]).toMatch(/^"pass,word",\d+,/);
+  });
+
+  test('json of generate lists each password with its entropy', () => {
+    const result = hardlock(['generate', '--count', '3', '--length', '20', '--format', 'json']);
+    expect(result.status).toBe(0);
+    const rows = JSON.parse(result.stdout);
+    expect(rows).toHaveLength(3);
+    rows.forEach(row => {
+      expect(row.password).toHaveLength(20);
+      expect(row.entropy).toBeGreaterThan(100);
+    });
+  });
+});
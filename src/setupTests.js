@@ -0,0 +1,5 @@
+// jsdom provides neither Web Crypto nor TextEncoder, which the engine relies on; use Node's
+import { webcrypto } from 'crypto';
+import { TextDecoder, TextEncoder } from 'util';
+
+Object.assign(global, { crypto: webcrypto, TextDecoder, TextEncoder });